@@ -6,12 +6,19 @@ import AddProduct from "./pages/ProductManagement/AddProduct";
 import EditProduct from "./pages/ProductManagement/EditProduct";
 import CategoryManager from "./pages/CategoryManagement/CategoryManager";
 import BannerManager from "./pages/BannerManagement/BannerManager";
+import CouponManager from "./pages/CouponManagement/CouponManager";
+import ReviewManager from "./pages/ReviewManagement/ReviewManager";
+import InventoryManager from "./pages/InventoryManagement/InventoryManager";
+import ShippingManager from "./pages/ShippingManagement/ShippingManager";
+import EmailTemplateEditor from "./pages/EmailTemplates/EmailTemplateEditor";
+import RoleManager from "./pages/RoleManagement/RoleManager";
 import Orders from "./pages/Orders";
 import Login from "./pages/Login";
 import AdminHome from "./pages/AdminHome";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { AuthProvider } from "./contexts/AuthContext";
+import { PERMISSIONS } from "./utils/roleService";
 
 function App() {
   return (
@@ -23,19 +30,117 @@ function App() {
           <Route
             path="/"
             element={
-              <ProtectedRoute requiredRole="Admin">
+              <ProtectedRoute requireAdmin>
                 <AdminHome />
               </ProtectedRoute>
             }
           >
             {/* Dashboard is shown at the root route (inside AdminHome) */}
-            <Route path="orders" element={<Orders />} />
-            <Route path="users" element={<Users />} />
-            <Route path="products" element={<ProductManager />} />
-            <Route path="products/add" element={<AddProduct />} />
-            <Route path="products/edit/:id" element={<EditProduct />} />
-            <Route path="categories" element={<CategoryManager />} />
-            <Route path="banners" element={<BannerManager />} />
+            {/* Each page needs its permission; see utils/roleService */}
+            <Route
+              path="orders"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.ORDERS_READ}>
+                  <Orders />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="users"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.USERS_READ}>
+                  <Users />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="roles"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.USERS_ROLES}>
+                  <RoleManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="products"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.PRODUCTS_READ}>
+                  <ProductManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="products/add"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.PRODUCTS_WRITE}>
+                  <AddProduct />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="products/edit/:id"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.PRODUCTS_WRITE}>
+                  <EditProduct />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="categories"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.CATEGORIES_WRITE}>
+                  <CategoryManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="banners"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.BANNERS_READ}>
+                  <BannerManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="coupons"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.COUPONS_WRITE}>
+                  <CouponManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="reviews"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.REVIEWS_MODERATE}>
+                  <ReviewManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="inventory"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.INVENTORY_WRITE}>
+                  <InventoryManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="shipping"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.SHIPPING_WRITE}>
+                  <ShippingManager />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="email-templates"
+              element={
+                <ProtectedRoute requiredPermission={PERMISSIONS.EMAILS_WRITE}>
+                  <EmailTemplateEditor />
+                </ProtectedRoute>
+              }
+            />
           </Route>
           {/* Optionally, handle 404 Not Found */}
           <Route path="*" element={<div className="p-4">404 Not Found</div>} />
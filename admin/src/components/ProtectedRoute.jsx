@@ -2,9 +2,21 @@
 import { Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import React from "react";
-
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, loading, error, role, roleLoading, roleError } = useAuth();
+import { isAdminRole } from "../utils/roleService";
+
+/**
+ * Route guard
+ * - requireAdmin: any admin role (see utils/roleService); others go to the login page
+ * - requiredPermission: a PERMISSIONS value; admins without it go back to the dashboard
+ * - requiredRole: an exact userRole
+ */
+const ProtectedRoute = ({
+  children,
+  requireAdmin,
+  requiredPermission,
+  requiredRole,
+}) => {
+  const { user, loading, error, role, roleLoading, roleError, can } = useAuth();
   const location = useLocation();
 
   if (loading || roleLoading) {
@@ -19,6 +31,14 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
+  if (requireAdmin && !isAdminRole(role)) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (requiredPermission && !can(requiredPermission)) {
+    return <Navigate to="/" replace />;
+  }
+
   if (requiredRole && role !== requiredRole) {
     return <Navigate to="/" replace />;
   }
@@ -0,0 +1,255 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import AdminRefundService, {
+  canRestockOnRefund,
+  getRefundableItems,
+  getRefundableShipping,
+  previewRefund,
+} from "../utils/refundService";
+import { ORDER_STATUSES } from "../utils/orderService";
+import { formatCurrency } from "../utils/formatUtils";
+import { useAuth } from "../contexts/AuthContext";
+
+const inputClass =
+  "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+/**
+ * RefundModal Component
+ *
+ * Refunds all or part of an order from the admin Orders page
+ * Features:
+ * - Quantity to refund for each line, up to what is not refunded yet
+ * - Restock toggle per line; unavailable for returns and cancelled orders,
+ *   whose stock was already given back
+ * - Optional shipping refund
+ * - Live refund total, matching the credit note that will be issued
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order being refunded
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onRefunded - Called with the order changes after a refund
+ * @returns {JSX.Element} The refund modal
+ */
+const RefundModal = ({ order, onClose, onRefunded }) => {
+  const { user } = useAuth();
+  const refundableItems = useMemo(() => getRefundableItems(order), [order]);
+  const refundableShipping = getRefundableShipping(order);
+  const isReturn = order.status === ORDER_STATUSES.RETURN_RECEIVED;
+  const canRestock = canRestockOnRefund(order);
+
+  // Returns start with the returned items; other orders with everything left
+  const [lines, setLines] = useState(() =>
+    refundableItems.map((item) => {
+      const returned = order.returnRequest?.items?.find(
+        (returnItem) => returnItem.productId === item.productId
+      );
+      return {
+        productId: item.productId,
+        quantity: isReturn
+          ? Math.min(returned?.quantity || 0, item.quantity)
+          : item.quantity,
+        restock: canRestock,
+      };
+    })
+  );
+  const [shipping, setShipping] = useState(isReturn ? 0 : refundableShipping);
+  const [reason, setReason] = useState(isReturn ? "Return refunded" : "");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const preview = previewRefund(order, {
+    items: lines,
+    shipping: Number(shipping) || 0,
+  });
+
+  /**
+   * Update one field of a refund line
+   */
+  const updateLine = (lineIndex, field, value) => {
+    setLines((prev) =>
+      prev.map((line, index) =>
+        index === lineIndex ? { ...line, [field]: value } : line
+      )
+    );
+  };
+
+  /**
+   * Issue the refund
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const confirmed = window.confirm(
+      `Refund ${formatCurrency(preview.amount)} for order ${
+        order.orderId || order.id
+      }? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    setIsSubmitting(true);
+    const result = await AdminRefundService.processRefund(
+      order.id,
+      {
+        items: lines,
+        shipping: Number(shipping) || 0,
+        reason,
+      },
+      user?.uid || "admin"
+    );
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      toast.error(`Failed to refund: ${result.error}`);
+      return;
+    }
+
+    result.warnings.forEach((warning) => toast.warning(warning));
+    toast.success(`Refunded ${formatCurrency(result.refund.amount)}`);
+    onRefunded(result.changes);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="px-6 py-4 border-b border-gray-700 flex justify-between items-center">
+          <h3 className="text-xl font-bold text-white">
+            Refund Order #{order.orderId || order.id}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-300 p-2 rounded-full hover:bg-gray-700"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-4">Item</th>
+                <th className="py-2 pr-4">Refundable</th>
+                <th className="py-2 pr-4">Refund qty</th>
+                <th className="py-2">Restock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {refundableItems.map((item, lineIndex) => (
+                <tr
+                  key={`${item.productId}-${lineIndex}`}
+                  className="border-b border-gray-700/50"
+                >
+                  <td className="py-2 pr-4 text-white">
+                    {item.name}
+                    <div className="text-xs text-gray-400">
+                      {formatCurrency(item.unitPrice)} each
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">
+                    {item.quantity} of {item.ordered}
+                  </td>
+                  <td className="py-2 pr-4 w-28">
+                    <input
+                      type="number"
+                      min="0"
+                      max={item.quantity}
+                      step="1"
+                      value={lines[lineIndex].quantity}
+                      onChange={(e) =>
+                        updateLine(
+                          lineIndex,
+                          "quantity",
+                          Math.min(
+                            item.quantity,
+                            Math.max(0, Number.parseInt(e.target.value, 10) || 0)
+                          )
+                        )
+                      }
+                      disabled={item.quantity === 0}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-2">
+                    <input
+                      type="checkbox"
+                      checked={lines[lineIndex].restock}
+                      onChange={(e) =>
+                        updateLine(lineIndex, "restock", e.target.checked)
+                      }
+                      disabled={!canRestock || lines[lineIndex].quantity === 0}
+                      className="h-4 w-4"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">
+                Shipping refund (up to {formatCurrency(refundableShipping)})
+              </label>
+              <input
+                type="number"
+                min="0"
+                max={refundableShipping}
+                step="0.01"
+                value={shipping}
+                onChange={(e) => setShipping(e.target.value)}
+                disabled={refundableShipping === 0}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm text-gray-400 mb-1">
+                Reason (shown to the customer)
+              </label>
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Damaged in transit"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          {!canRestock && (
+            <p className="text-sm text-gray-400">
+              {isReturn
+                ? "Returned items were restocked when they were received."
+                : "This order's items were restocked when it was cancelled."}
+            </p>
+          )}
+
+          <div className="flex justify-between items-center border-t border-gray-700 pt-4">
+            <span className="text-gray-300 font-semibold">
+              Refund total: {formatCurrency(preview.amount)}
+            </span>
+            <div className="flex gap-3">
+              <button type="button" onClick={onClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting || preview.amount <= 0}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSubmitting ? "Refunding..." : "Issue Refund"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RefundModal;
@@ -3,6 +3,7 @@ import React, { createContext, useContext, useEffect, useState } from "react";
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth, db } from "../firebase"; 
 import { doc, getDoc } from "firebase/firestore"; 
+import { getRolePermissions } from "../utils/roleService";
 
 const AuthContext = createContext();
 
@@ -11,6 +12,7 @@ export const AuthProvider = ({ children }) => {
   const [role, setRole] = useState(null);
   const [roleLoading, setRoleLoading] = useState(true);
   const [roleError, setRoleError] = useState(null);
+  const [roleUid, setRoleUid] = useState(null); // User the role was loaded for
 
   useEffect(() => {
     const fetchUserRole = async () => {
@@ -28,6 +30,7 @@ export const AuthProvider = ({ children }) => {
           console.error("Error fetching user role:", err);
           setRoleError(err);
         } finally {
+          setRoleUid(user.uid);
           setRoleLoading(false);
         }
       } else {
@@ -39,8 +42,24 @@ export const AuthProvider = ({ children }) => {
     fetchUserRole();
   }, [user]);
 
+  // Pages and actions check permissions, not roles; see utils/roleService
+  const permissions = getRolePermissions(role);
+  const can = (permission) => permissions.includes(permission);
+
   return (
-    <AuthContext.Provider value={{ user, loading, error, role, roleLoading, roleError }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        loading,
+        error,
+        role,
+        // Still loading until the role belongs to the signed-in user
+        roleLoading: roleLoading || Boolean(user && roleUid !== user.uid),
+        roleError,
+        permissions,
+        can,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -6,6 +6,8 @@ import { toast } from "react-toastify";
 import { collection, query, getDocs, orderBy, limit } from "firebase/firestore";
 import { db } from "../firebase";
 import { formatCurrency, formatLakhs } from "../utils/formatUtils";
+import { useAuth } from "../contexts/AuthContext";
+import { PERMISSIONS, resolveAdminRole } from "../utils/roleService";
 
 // ✅ Import recharts directly
 import {
@@ -795,6 +797,7 @@ const AdminDashboard = () => {
  */
 const AdminHome = () => {
   const location = useLocation();
+  const { user, role, can } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   /**
@@ -812,6 +815,12 @@ const AdminHome = () => {
     location.pathname === "/orders" ||
     location.pathname === "/banners" ||
     location.pathname === "/categories" ||
+    location.pathname === "/coupons" ||
+    location.pathname === "/reviews" ||
+    location.pathname === "/inventory" ||
+    location.pathname === "/shipping" ||
+    location.pathname === "/email-templates" ||
+    location.pathname === "/roles" ||
     location.pathname.startsWith("/products/edit") ||
     location.pathname.startsWith("/products/add");
 
@@ -844,6 +853,7 @@ const AdminHome = () => {
     {
       name: "Orders",
       path: "/orders",
+      permission: PERMISSIONS.ORDERS_READ,
       icon: (
         <svg
           className="w-5 h-5"
@@ -863,6 +873,7 @@ const AdminHome = () => {
     {
       name: "Products",
       path: "/products",
+      permission: PERMISSIONS.PRODUCTS_READ,
       icon: (
         <svg
           className="w-5 h-5"
@@ -882,6 +893,7 @@ const AdminHome = () => {
     {
       name: "Categories",
       path: "/categories",
+      permission: PERMISSIONS.CATEGORIES_WRITE,
       icon: (
         <svg
           className="w-5 h-5"
@@ -898,9 +910,110 @@ const AdminHome = () => {
         </svg>
       ),
     },
+    {
+      name: "Coupons",
+      path: "/coupons",
+      permission: PERMISSIONS.COUPONS_WRITE,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+          />
+        </svg>
+      ),
+    },
+    {
+      name: "Reviews",
+      path: "/reviews",
+      permission: PERMISSIONS.REVIEWS_MODERATE,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"
+          />
+        </svg>
+      ),
+    },
+    {
+      name: "Inventory",
+      path: "/inventory",
+      permission: PERMISSIONS.INVENTORY_WRITE,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
+          />
+        </svg>
+      ),
+    },
+    {
+      name: "Shipping",
+      path: "/shipping",
+      permission: PERMISSIONS.SHIPPING_WRITE,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M9 17a2 2 0 11-4 0 2 2 0 014 0zm10 0a2 2 0 11-4 0 2 2 0 014 0zM13 16V6a1 1 0 00-1-1H4a1 1 0 00-1 1v10a1 1 0 001 1h1m8-1a1 1 0 01-1 1H9m4-1V8a1 1 0 011-1h2.586a1 1 0 01.707.293l3.414 3.414a1 1 0 01.293.707V16a1 1 0 01-1 1h-1m-6-1a1 1 0 001 1h1M5 17a2 2 0 104 0m-4 0a2 2 0 114 0m6 0a2 2 0 104 0m-4 0a2 2 0 114 0"
+          />
+        </svg>
+      ),
+    },
+    {
+      name: "Email Templates",
+      path: "/email-templates",
+      permission: PERMISSIONS.EMAILS_WRITE,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+          />
+        </svg>
+      ),
+    },
     {
       name: "Users",
       path: "/users",
+      permission: PERMISSIONS.USERS_READ,
       icon: (
         <svg
           className="w-5 h-5"
@@ -917,9 +1030,30 @@ const AdminHome = () => {
         </svg>
       ),
     },
+    {
+      name: "Roles",
+      path: "/roles",
+      permission: PERMISSIONS.USERS_ROLES,
+      icon: (
+        <svg
+          className="w-5 h-5"
+          fill="none"
+          stroke="currentColor"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth="2"
+            d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+          />
+        </svg>
+      ),
+    },
     {
       name: "Banners",
       path: "/banners",
+      permission: PERMISSIONS.BANNERS_READ,
       icon: (
         <svg
           className="w-5 h-5"
@@ -936,7 +1070,7 @@ const AdminHome = () => {
         </svg>
       ),
     },
-  ];
+  ].filter((item) => !item.permission || can(item.permission));
 
   return (
     <div className="flex h-screen bg-gray-950">
@@ -1081,7 +1215,20 @@ const AdminHome = () => {
           )}
 
           {!isManageRoute && location.pathname === "/" ? (
-            <AdminDashboard />
+            can(PERMISSIONS.DASHBOARD_VIEW) ? (
+              <AdminDashboard />
+            ) : (
+              <div className="card">
+                <p className="text-gray-300">
+                  You are signed in as {user?.email} with the{" "}
+                  <span className="font-semibold text-white">
+                    {resolveAdminRole(role)}
+                  </span>{" "}
+                  role. Use the menu to get to the parts of the store you look
+                  after.
+                </p>
+              </div>
+            )
           ) : (
             <Outlet />
           )}
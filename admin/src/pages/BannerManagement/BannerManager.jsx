@@ -10,6 +10,8 @@ import {
 } from "firebase/firestore";
 import { db } from "../../firebase";
 import { toast } from "react-toastify";
+import { useAuth } from "../../contexts/AuthContext";
+import { PERMISSIONS } from "../../utils/roleService";
 
 /**
  * Banner Manager Component
@@ -19,10 +21,14 @@ import { toast } from "react-toastify";
  * - Add up to 5 banner images with URLs
  * - Delete existing banners
  * - Preview banners before saving
+ * - Read-only for roles without banners.write
  *
  * @returns {JSX.Element} The Banner Manager component
  */
 const BannerManager = () => {
+  const { can } = useAuth();
+  const canWriteBanners = can(PERMISSIONS.BANNERS_WRITE);
+
   // State for banner data
   const [banners, setBanners] = useState([]);
   const [newBanner, setNewBanner] = useState({ imageUrl: "", active: true });
@@ -283,7 +289,8 @@ const BannerManager = () => {
               <label className="text-white font-medium">Slideshow:</label>
               <button
                 onClick={updateSlideshowSetting}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                disabled={!canWriteBanners}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                   slideshowEnabled ? "bg-blue-600" : "bg-gray-600"
                 }`}
               >
@@ -295,39 +302,41 @@ const BannerManager = () => {
               </button>
             </div>
 
-            <button
-              onClick={() => {
-                if (banners.length >= 5) {
-                  toast.error("Maximum of 5 banners allowed");
-                  return;
-                }
-                setIsAddingNew(true);
-                setIsEditing(false);
-              }}
-              disabled={isAddingNew || isEditing || banners.length >= 5}
-              className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <svg
-                className="w-5 h-5"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
+            {canWriteBanners && (
+              <button
+                onClick={() => {
+                  if (banners.length >= 5) {
+                    toast.error("Maximum of 5 banners allowed");
+                    return;
+                  }
+                  setIsAddingNew(true);
+                  setIsEditing(false);
+                }}
+                disabled={isAddingNew || isEditing || banners.length >= 5}
+                className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth="2"
-                  d="M12 6v6m0 0v6m0-6h6m-6 0H6"
-                />
-              </svg>
-              Add Banner
-            </button>
+                <svg
+                  className="w-5 h-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth="2"
+                    d="M12 6v6m0 0v6m0-6h6m-6 0H6"
+                  />
+                </svg>
+                Add Banner
+              </button>
+            )}
           </div>
         </div>
       </div>
 
       {/* Add/Edit Banner Form */}
-      {(isAddingNew || isEditing) && (
+      {canWriteBanners && (isAddingNew || isEditing) && (
         <div className="mb-8 card">
           <h2 className="text-xl font-semibold text-white mb-6">
             {isEditing ? "Edit Banner" : "Add New Banner"}
@@ -450,12 +459,14 @@ const BannerManager = () => {
               No banners have been added yet. Add your first banner to display
               it on the homepage.
             </p>
-            <button
-              onClick={() => setIsAddingNew(true)}
-              className="btn-primary"
-            >
-              Add First Banner
-            </button>
+            {canWriteBanners && (
+              <button
+                onClick={() => setIsAddingNew(true)}
+                className="btn-primary"
+              >
+                Add First Banner
+              </button>
+            )}
           </div>
         ) : (
           <div className="space-y-4">
@@ -512,48 +523,50 @@ const BannerManager = () => {
                     </div>
                   </div>
                 </div>
-                <div className="flex items-center gap-2">
-                  <button
-                    onClick={() => startEdit(banner)}
-                    disabled={isEditing || isAddingNew}
-                    className="p-2 text-blue-400 hover:text-blue-300 hover:bg-blue-500/10 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Edit banner"
-                  >
-                    <svg
-                      className="w-4 h-4"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
+                {canWriteBanners && (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => startEdit(banner)}
+                      disabled={isEditing || isAddingNew}
+                      className="p-2 text-blue-400 hover:text-blue-300 hover:bg-blue-500/10 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Edit banner"
                     >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
-                      />
-                    </svg>
-                  </button>
-                  <button
-                    onClick={() => handleDeleteBanner(banner.id)}
-                    disabled={isEditing || isAddingNew}
-                    className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/10 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Delete banner"
-                  >
-                    <svg
-                      className="w-4 h-4"
-                      fill="none"
-                      stroke="currentColor"
-                      viewBox="0 0 24 24"
+                      <svg
+                        className="w-4 h-4"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth="2"
+                          d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"
+                        />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => handleDeleteBanner(banner.id)}
+                      disabled={isEditing || isAddingNew}
+                      className="p-2 text-red-400 hover:text-red-300 hover:bg-red-500/10 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Delete banner"
                     >
-                      <path
-                        strokeLinecap="round"
-                        strokeLinejoin="round"
-                        strokeWidth="2"
-                        d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                      />
-                    </svg>
-                  </button>
-                </div>
+                      <svg
+                        className="w-4 h-4"
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                      >
+                        <path
+                          strokeLinecap="round"
+                          strokeLinejoin="round"
+                          strokeWidth="2"
+                          d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                        />
+                      </svg>
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
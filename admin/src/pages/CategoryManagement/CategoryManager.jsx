@@ -4,6 +4,7 @@ import { useEffect, useState, useCallback } from "react"
 import { collection, getDocs, deleteDoc, doc, addDoc, updateDoc, query, orderBy } from "firebase/firestore"
 import { db } from "../../firebase"
 import { toast } from "react-toastify"
+import { GST_SLABS, DEFAULT_GST_RATE, isValidHsnCode, toStoredGstRate } from "../../utils/gstUtils"
 
 /**
  * CategoryManager Component
@@ -24,6 +25,8 @@ const CategoryManager = () => {
     name: "",
     description: "",
     slug: "",
+    gstRate: "",
+    hsnCode: "",
     isActive: true,
   })
 
@@ -91,6 +94,8 @@ const CategoryManager = () => {
       name: "",
       description: "",
       slug: "",
+      gstRate: "",
+      hsnCode: "",
       isActive: true,
     })
     setEditingCategory(null)
@@ -108,6 +113,11 @@ const CategoryManager = () => {
       return
     }
 
+    if (formData.hsnCode.trim() && !isValidHsnCode(formData.hsnCode)) {
+      toast.error("HSN code must have 4, 6 or 8 digits!")
+      return
+    }
+
     // Check if slug already exists
     const existingCategory = categories.find((cat) => cat.slug === formData.slug)
     if (existingCategory) {
@@ -120,6 +130,8 @@ const CategoryManager = () => {
         ...formData,
         name: formData.name.trim(),
         slug: formData.slug || generateSlug(formData.name),
+        gstRate: toStoredGstRate(formData.gstRate),
+        hsnCode: formData.hsnCode.trim(),
         createdAt: new Date(),
         updatedAt: new Date(),
       }
@@ -142,6 +154,8 @@ const CategoryManager = () => {
       name: category.name,
       description: category.description || "",
       slug: category.slug,
+      gstRate: category.gstRate ?? "",
+      hsnCode: category.hsnCode || "",
       isActive: category.isActive !== false,
     })
     setEditingCategory(category)
@@ -159,6 +173,11 @@ const CategoryManager = () => {
       return
     }
 
+    if (formData.hsnCode.trim() && !isValidHsnCode(formData.hsnCode)) {
+      toast.error("HSN code must have 4, 6 or 8 digits!")
+      return
+    }
+
     // Check if slug already exists (excluding current category)
     const existingCategory = categories.find((cat) => cat.slug === formData.slug && cat.id !== editingCategory.id)
     if (existingCategory) {
@@ -171,6 +190,8 @@ const CategoryManager = () => {
         ...formData,
         name: formData.name.trim(),
         slug: formData.slug || generateSlug(formData.name),
+        gstRate: toStoredGstRate(formData.gstRate),
+        hsnCode: formData.hsnCode.trim(),
         updatedAt: new Date(),
       }
 
@@ -274,6 +295,38 @@ const CategoryManager = () => {
               />
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">GST Rate</label>
+                <select
+                  name="gstRate"
+                  value={formData.gstRate}
+                  onChange={handleInputChange}
+                  className="w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+                >
+                  <option value="">Default ({DEFAULT_GST_RATE}%)</option>
+                  {GST_SLABS.map((rate) => (
+                    <option key={rate} value={rate}>
+                      {rate}%
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-400 mt-1">Used by products in this category that don't set their own rate</p>
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">HSN Code</label>
+                <input
+                  type="text"
+                  name="hsnCode"
+                  value={formData.hsnCode}
+                  onChange={handleInputChange}
+                  className="w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+                  placeholder="e.g. 8517"
+                />
+                <p className="text-xs text-gray-400 mt-1">4, 6 or 8 digits, printed on tax invoices</p>
+              </div>
+            </div>
+
             <div className="mb-4">
               <label className="flex items-center text-gray-300">
                 <input
@@ -344,6 +397,7 @@ const CategoryManager = () => {
               <tr>
                 <th className="px-4 py-3 text-left text-gray-300 font-semibold">Name</th>
                 <th className="px-4 py-3 text-left text-gray-300 font-semibold hidden md:table-cell">Description</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold hidden md:table-cell">GST</th>
                 <th className="px-4 py-3 text-left text-gray-300 font-semibold">Status</th>
                 <th className="px-4 py-3 text-left text-gray-300 font-semibold">Actions</th>
               </tr>
@@ -358,6 +412,10 @@ const CategoryManager = () => {
                     </div>
                   </td>
                   <td className="px-4 py-3 text-gray-300 hidden md:table-cell">{category.description || "—"}</td>
+                  <td className="px-4 py-3 text-gray-300 hidden md:table-cell">
+                    <div>{category.gstRate ?? DEFAULT_GST_RATE}%</div>
+                    {category.hsnCode && <div className="text-sm text-gray-400">HSN {category.hsnCode}</div>}
+                  </td>
                   <td className="px-4 py-3">
                     <span
                       className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
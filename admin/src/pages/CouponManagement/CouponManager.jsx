@@ -0,0 +1,832 @@
+"use client";
+
+import { useEffect, useState, useCallback, useMemo } from "react";
+import {
+  collection,
+  getDocs,
+  doc,
+  addDoc,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "../../firebase";
+import { toast } from "react-toastify";
+import { formatCurrency, formatIndianNumber } from "../../utils/formatUtils";
+
+// Characters used for generated codes (no 0/O or 1/I to avoid misreads)
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// Orders in these statuses do not count towards coupon revenue
+const EXCLUDED_ORDER_STATUSES = ["Cancelled", "Declined", "Refunded"];
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  discountType: "percentage",
+  discountValue: "",
+  maxDiscountAmount: "",
+  minOrderAmount: "",
+  maxUses: "",
+  startDate: "",
+  endDate: "",
+  isActive: true,
+  isProductSpecific: false,
+  applicableProducts: [],
+};
+
+/**
+ * Normalize a coupon code the same way the storefront does when validating
+ */
+const normalizeCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Generate a random coupon code
+ * @param {string} prefix - Optional prefix, joined with a dash
+ * @param {number} length - Number of random characters
+ * @returns {string} The generated code
+ */
+const generateRandomCode = (prefix, length) => {
+  const values = new Uint32Array(length);
+  crypto.getRandomValues(values);
+  const random = Array.from(values, (v) => CODE_ALPHABET[v % CODE_ALPHABET.length]).join("");
+  return prefix ? `${normalizeCode(prefix)}-${random}` : random;
+};
+
+/**
+ * Convert a stored date (ISO string or Firestore Timestamp) to a date input
+ * value, in local time like the dates the form saves
+ */
+const toDateInputValue = (value) => {
+  if (!value) return "";
+  const date = value.toDate ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * CouponManager Component
+ *
+ * Manages the discount coupons read by the storefront cart
+ * Features:
+ * - Create, edit, duplicate and deactivate coupons
+ * - Restrict coupons to selected catalog products
+ * - Bulk-generate unique single-use codes
+ * - Redemption counts and revenue per coupon from placed orders
+ *
+ * @returns {JSX.Element} The Coupon Manager component
+ */
+const CouponManager = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [redemptions, setRedemptions] = useState({});
+  const [searchTerm, setSearchTerm] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [productSearch, setProductSearch] = useState("");
+  const [showBulkForm, setShowBulkForm] = useState(false);
+  const [bulkOptions, setBulkOptions] = useState({ count: 10, prefix: "", length: 8 });
+
+  /**
+   * Fetch coupons, catalog products and coupon redemptions from Firestore
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [couponSnapshot, productSnapshot, orderSnapshot] = await Promise.all([
+        getDocs(collection(db, "coupons")),
+        getDocs(collection(db, "products")),
+        getDocs(collection(db, "orders")),
+      ]);
+
+      const couponList = couponSnapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.code || "").localeCompare(b.code || ""));
+      setCoupons(couponList);
+
+      setProducts(
+        productSnapshot.docs
+          .map((doc) => ({ id: doc.id, name: doc.data().name || doc.id }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+
+      // Aggregate redemptions from orders that carry a coupon
+      const stats = {};
+      orderSnapshot.docs.forEach((orderDoc) => {
+        const order = orderDoc.data();
+        if (!order.coupon?.id) return;
+
+        const entry = stats[order.coupon.id] || { orders: 0, revenue: 0, discount: 0 };
+        if (!EXCLUDED_ORDER_STATUSES.includes(order.status)) {
+          entry.orders += 1;
+          entry.revenue += Number(order.totalAmount || order.financials?.total || 0);
+          entry.discount += Number(order.coupon.discountAmount || order.discount || 0);
+        }
+        stats[order.coupon.id] = entry;
+      });
+      setRedemptions(stats);
+    } catch (error) {
+      console.error("Error fetching coupons:", error);
+      toast.error("Failed to fetch coupons");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  /**
+   * Handle form input changes
+   */
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  /**
+   * Toggle a product in the eligible products list
+   */
+  const toggleProduct = (productId) => {
+    setFormData((prev) => ({
+      ...prev,
+      applicableProducts: prev.applicableProducts.includes(productId)
+        ? prev.applicableProducts.filter((id) => id !== productId)
+        : [...prev.applicableProducts, productId],
+    }));
+  };
+
+  /**
+   * Reset form data
+   */
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setEditingCoupon(null);
+    setShowForm(false);
+    setProductSearch("");
+  };
+
+  /**
+   * Open the form pre-filled with an existing coupon
+   * @param {Object} coupon - Coupon to edit
+   * @param {boolean} duplicate - Whether to create a copy instead of editing
+   */
+  const openCouponForm = (coupon, duplicate = false) => {
+    setFormData({
+      code: duplicate ? `${coupon.code}-COPY` : coupon.code,
+      description: coupon.description || "",
+      discountType: coupon.discountType || "percentage",
+      discountValue: coupon.discountValue ?? "",
+      maxDiscountAmount: coupon.maxDiscountAmount || "",
+      minOrderAmount: coupon.minOrderAmount || "",
+      maxUses: coupon.maxUses || "",
+      startDate: toDateInputValue(coupon.startDate),
+      endDate: toDateInputValue(coupon.endDate),
+      isActive: duplicate ? true : coupon.isActive !== false,
+      isProductSpecific: !!coupon.isProductSpecific,
+      applicableProducts: coupon.applicableProducts || [],
+    });
+    setEditingCoupon(duplicate ? null : coupon);
+    setShowBulkForm(false);
+    setShowForm(true);
+  };
+
+  /**
+   * Build the Firestore payload for a coupon from the form values
+   */
+  const buildCouponData = (values) => {
+    const isProductSpecific = values.isProductSpecific && values.applicableProducts.length > 0;
+    return {
+      description: values.description.trim(),
+      discountType: values.discountType,
+      discountValue: Number(values.discountValue) || 0,
+      maxDiscountAmount: Number(values.maxDiscountAmount) || 0,
+      minOrderAmount: Number(values.minOrderAmount) || 0,
+      maxUses: Number(values.maxUses) || 0,
+      // Both dates are local: the coupon starts at local midnight and, as the
+      // end date is inclusive, stays valid until the end of that day
+      startDate: new Date(`${values.startDate}T00:00:00`).toISOString(),
+      endDate: new Date(`${values.endDate}T23:59:59`).toISOString(),
+      isActive: values.isActive,
+      isProductSpecific,
+      applicableProducts: isProductSpecific ? values.applicableProducts : [],
+      updatedAt: new Date(),
+    };
+  };
+
+  /**
+   * Validate form values before saving
+   * @returns {string|null} Error message, or null when valid
+   */
+  const validateForm = (values, excludeId = null) => {
+    const code = normalizeCode(values.code);
+    if (!code) return "Coupon code is required!";
+    if (!/^[A-Z0-9-]+$/.test(code)) return "Coupon code may only contain letters, numbers and dashes";
+    if (coupons.some((c) => c.code === code && c.id !== excludeId)) return "A coupon with this code already exists!";
+
+    const value = Number(values.discountValue);
+    if (!value || value <= 0) return "Discount value must be greater than zero";
+    if (values.discountType === "percentage" && value > 100) return "Percentage discount cannot exceed 100%";
+
+    if (!values.startDate || !values.endDate) return "Start and end dates are required";
+    if (new Date(values.endDate) < new Date(values.startDate)) return "End date must be after the start date";
+
+    if (values.isProductSpecific && values.applicableProducts.length === 0) {
+      return "Select at least one eligible product";
+    }
+    return null;
+  };
+
+  /**
+   * Handle creating or updating a coupon
+   */
+  const handleSaveCoupon = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateForm(formData, editingCoupon?.id);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const couponData = {
+        ...buildCouponData(formData),
+        code: normalizeCode(formData.code),
+      };
+
+      if (editingCoupon) {
+        await updateDoc(doc(db, "coupons", editingCoupon.id), couponData);
+        toast.success("Coupon updated successfully!");
+      } else {
+        await addDoc(collection(db, "coupons"), {
+          ...couponData,
+          usedCount: 0,
+          createdAt: new Date(),
+        });
+        toast.success("Coupon created successfully!");
+      }
+
+      resetForm();
+      fetchData();
+    } catch (error) {
+      console.error("Error saving coupon:", error);
+      toast.error("Failed to save coupon");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Activate or deactivate a coupon
+   */
+  const handleToggleActive = async (coupon) => {
+    const activate = coupon.isActive === false;
+    if (!activate && !window.confirm(`Deactivate coupon "${coupon.code}"? Customers will no longer be able to use it.`)) {
+      return;
+    }
+
+    try {
+      await updateDoc(doc(db, "coupons", coupon.id), {
+        isActive: activate,
+        updatedAt: new Date(),
+      });
+      setCoupons((prev) => prev.map((c) => (c.id === coupon.id ? { ...c, isActive: activate } : c)));
+      toast.success(`Coupon ${activate ? "activated" : "deactivated"}`);
+    } catch (error) {
+      console.error("Error updating coupon status:", error);
+      toast.error("Failed to update coupon status");
+    }
+  };
+
+  /**
+   * Bulk-generate unique single-use codes that share the form's discount settings
+   */
+  const handleBulkGenerate = async (e) => {
+    e.preventDefault();
+
+    const count = Number.parseInt(bulkOptions.count, 10);
+    const length = Number.parseInt(bulkOptions.length, 10);
+    if (!count || count < 1 || count > 500) {
+      toast.error("Generate between 1 and 500 codes at a time");
+      return;
+    }
+    if (!length || length < 4 || length > 16) {
+      toast.error("Code length must be between 4 and 16 characters");
+      return;
+    }
+
+    // Validate the shared settings with a placeholder code
+    const validationError = validateForm({ ...formData, code: "BULK" });
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const existingCodes = new Set(coupons.map((c) => c.code));
+      const codes = new Set();
+      let attempts = 0;
+      while (codes.size < count && attempts < count * 20) {
+        const code = generateRandomCode(bulkOptions.prefix, length);
+        if (!existingCodes.has(code)) codes.add(code);
+        attempts++;
+      }
+
+      if (codes.size < count) {
+        toast.error("Could not generate enough unique codes. Try a longer code length.");
+        return;
+      }
+
+      const batchId = `BATCH-${Date.now()}`;
+      const sharedData = {
+        ...buildCouponData(formData),
+        // Single-use codes
+        maxUses: 1,
+        usedCount: 0,
+        batchId,
+        createdAt: new Date(),
+      };
+
+      const batch = writeBatch(db);
+      codes.forEach((code) => {
+        batch.set(doc(collection(db, "coupons")), { ...sharedData, code });
+      });
+      await batch.commit();
+
+      toast.success(`${codes.size} single-use codes generated`);
+
+      // Offer the generated codes as a download so they can be distributed
+      const blob = new Blob([["code", ...codes].join("\n")], { type: "text/csv" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${batchId.toLowerCase()}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setShowBulkForm(false);
+      resetForm();
+      fetchData();
+    } catch (error) {
+      console.error("Error generating coupons:", error);
+      toast.error("Failed to generate coupons");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Describe the discount a coupon gives
+   */
+  const describeDiscount = (coupon) => {
+    if (coupon.discountType === "percentage") {
+      const cap = coupon.maxDiscountAmount > 0 ? ` (max ${formatCurrency(coupon.maxDiscountAmount)})` : "";
+      return `${coupon.discountValue}% off${cap}`;
+    }
+    return `${formatCurrency(coupon.discountValue || 0)} off`;
+  };
+
+  /**
+   * Work out the display status of a coupon
+   */
+  const getCouponStatus = (coupon) => {
+    if (coupon.isActive === false) return { label: "Inactive", className: "bg-red-500/10 text-red-400 border border-red-500/20" };
+    if (coupon.endDate && new Date(coupon.endDate) < new Date()) {
+      return { label: "Expired", className: "bg-gray-500/10 text-gray-400 border border-gray-500/20" };
+    }
+    if (coupon.maxUses > 0 && (coupon.usedCount || 0) >= coupon.maxUses) {
+      return { label: "Used up", className: "bg-yellow-500/10 text-yellow-400 border border-yellow-500/20" };
+    }
+    return { label: "Active", className: "bg-green-500/10 text-green-400 border border-green-500/20" };
+  };
+
+  const filteredCoupons = coupons.filter((coupon) => {
+    const term = searchTerm.toLowerCase();
+    const matchesSearch =
+      coupon.code?.toLowerCase().includes(term) ||
+      coupon.description?.toLowerCase().includes(term) ||
+      coupon.batchId?.toLowerCase().includes(term);
+    const status = getCouponStatus(coupon).label;
+    const matchesStatus = statusFilter === "all" || status.toLowerCase() === statusFilter;
+    return matchesSearch && matchesStatus;
+  });
+
+  const filteredProducts = useMemo(
+    () => products.filter((product) => product.name.toLowerCase().includes(productSearch.toLowerCase())),
+    [products, productSearch]
+  );
+
+  const productNames = useMemo(
+    () => Object.fromEntries(products.map((product) => [product.id, product.name])),
+    [products]
+  );
+
+  const inputClass =
+    "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-white">Manage Coupons</h1>
+        <div className="flex gap-2">
+          <button
+            onClick={() => {
+              if (showBulkForm) {
+                resetForm();
+                setShowBulkForm(false);
+              } else {
+                setFormData(EMPTY_FORM);
+                setEditingCoupon(null);
+                setShowBulkForm(true);
+                setShowForm(true);
+              }
+            }}
+            className="px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 transition duration-200"
+          >
+            {showBulkForm ? "Cancel" : "Bulk Generate"}
+          </button>
+          <button
+            onClick={() => {
+              if (showForm && !showBulkForm) {
+                resetForm();
+              } else {
+                setFormData(EMPTY_FORM);
+                setEditingCoupon(null);
+                setShowBulkForm(false);
+                setShowForm(true);
+              }
+            }}
+            className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200"
+          >
+            {showForm && !showBulkForm ? "Cancel" : "Add New Coupon"}
+          </button>
+        </div>
+      </div>
+
+      {/* Add/Edit/Bulk Coupon Form */}
+      {showForm && (
+        <div className="bg-gray-800 p-6 rounded-lg mb-6 border border-gray-700">
+          <h2 className="text-xl font-semibold text-white mb-4">
+            {showBulkForm ? "Bulk Generate Single-Use Codes" : editingCoupon ? "Edit Coupon" : "Add New Coupon"}
+          </h2>
+          <form onSubmit={showBulkForm ? handleBulkGenerate : handleSaveCoupon}>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              {showBulkForm ? (
+                <>
+                  <div>
+                    <label className="block text-gray-300 text-sm font-bold mb-2">Number of Codes *</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="500"
+                      value={bulkOptions.count}
+                      onChange={(e) => setBulkOptions((prev) => ({ ...prev, count: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 text-sm font-bold mb-2">Prefix</label>
+                    <input
+                      type="text"
+                      value={bulkOptions.prefix}
+                      onChange={(e) => setBulkOptions((prev) => ({ ...prev, prefix: e.target.value }))}
+                      className={`${inputClass} uppercase`}
+                      placeholder="e.g. DIWALI"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-gray-300 text-sm font-bold mb-2">Random Characters</label>
+                    <input
+                      type="number"
+                      min="4"
+                      max="16"
+                      value={bulkOptions.length}
+                      onChange={(e) => setBulkOptions((prev) => ({ ...prev, length: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-gray-300 text-sm font-bold mb-2">Coupon Code *</label>
+                    <input
+                      type="text"
+                      name="code"
+                      value={formData.code}
+                      onChange={handleInputChange}
+                      className={`${inputClass} uppercase`}
+                      placeholder="e.g. SUMMER20"
+                      disabled={!!editingCoupon}
+                      required
+                    />
+                    {editingCoupon && <p className="text-xs text-gray-400 mt-1">Codes cannot be changed once created</p>}
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-gray-300 text-sm font-bold mb-2">Description</label>
+                    <input
+                      type="text"
+                      name="description"
+                      value={formData.description}
+                      onChange={handleInputChange}
+                      className={inputClass}
+                      placeholder="Internal note about this coupon (optional)"
+                    />
+                  </div>
+                </>
+              )}
+
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">Discount Type</label>
+                <select name="discountType" value={formData.discountType} onChange={handleInputChange} className={inputClass}>
+                  <option value="percentage">Percentage</option>
+                  <option value="fixed">Fixed amount</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">
+                  Discount Value * {formData.discountType === "percentage" ? "(%)" : "(amount)"}
+                </label>
+                <input
+                  type="number"
+                  name="discountValue"
+                  min="0"
+                  step="0.01"
+                  value={formData.discountValue}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">Max Discount Amount</label>
+                <input
+                  type="number"
+                  name="maxDiscountAmount"
+                  min="0"
+                  step="0.01"
+                  value={formData.maxDiscountAmount}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  placeholder="No cap"
+                  disabled={formData.discountType !== "percentage"}
+                />
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">Minimum Order Amount</label>
+                <input
+                  type="number"
+                  name="minOrderAmount"
+                  min="0"
+                  step="0.01"
+                  value={formData.minOrderAmount}
+                  onChange={handleInputChange}
+                  className={inputClass}
+                  placeholder="None"
+                />
+              </div>
+              {!showBulkForm && (
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">Usage Limit</label>
+                  <input
+                    type="number"
+                    name="maxUses"
+                    min="0"
+                    value={formData.maxUses}
+                    onChange={handleInputChange}
+                    className={inputClass}
+                    placeholder="Unlimited"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">Start Date *</label>
+                <input type="date" name="startDate" value={formData.startDate} onChange={handleInputChange} className={inputClass} required />
+              </div>
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">End Date *</label>
+                <input type="date" name="endDate" value={formData.endDate} onChange={handleInputChange} className={inputClass} required />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-6 mb-4">
+              <label className="flex items-center text-gray-300">
+                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleInputChange} className="mr-2" />
+                Active Coupon
+              </label>
+              <label className="flex items-center text-gray-300">
+                <input
+                  type="checkbox"
+                  name="isProductSpecific"
+                  checked={formData.isProductSpecific}
+                  onChange={handleInputChange}
+                  className="mr-2"
+                />
+                Only for selected products
+              </label>
+            </div>
+
+            {/* Eligible product picker */}
+            {formData.isProductSpecific && (
+              <div className="mb-4">
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-gray-300 text-sm font-bold">
+                    Eligible Products ({formData.applicableProducts.length} selected)
+                  </label>
+                  <input
+                    type="text"
+                    value={productSearch}
+                    onChange={(e) => setProductSearch(e.target.value)}
+                    placeholder="Search products..."
+                    className="p-1 px-2 text-sm border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+                  />
+                </div>
+                <div className="max-h-48 overflow-y-auto border border-gray-600 rounded bg-gray-900 divide-y divide-gray-800">
+                  {filteredProducts.map((product) => (
+                    <label key={product.id} className="flex items-center px-3 py-2 text-gray-300 hover:bg-gray-800 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={formData.applicableProducts.includes(product.id)}
+                        onChange={() => toggleProduct(product.id)}
+                        className="mr-3"
+                      />
+                      {product.name}
+                    </label>
+                  ))}
+                  {filteredProducts.length === 0 && <p className="px-3 py-2 text-gray-500 text-sm">No products found</p>}
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+              >
+                {isSaving
+                  ? "Saving..."
+                  : showBulkForm
+                    ? `Generate ${bulkOptions.count || 0} Codes`
+                    : editingCoupon
+                      ? "Update Coupon"
+                      : "Add Coupon"}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  resetForm();
+                  setShowBulkForm(false);
+                }}
+                className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition duration-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Search and status filter */}
+      <div className="flex flex-col md:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Search by code, description or batch..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="flex-grow p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+        />
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+        >
+          <option value="all">All statuses</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="expired">Expired</option>
+          <option value="used up">Used up</option>
+        </select>
+      </div>
+
+      {/* Coupons Table */}
+      {isLoading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+        </div>
+      ) : filteredCoupons.length > 0 ? (
+        <div className="bg-gray-800 rounded-lg overflow-x-auto border border-gray-700">
+          <table className="min-w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Code</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Discount</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold hidden md:table-cell">Validity</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Redemptions</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Revenue</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Status</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {filteredCoupons.map((coupon) => {
+                const status = getCouponStatus(coupon);
+                const stats = redemptions[coupon.id] || { orders: 0, revenue: 0, discount: 0 };
+                return (
+                  <tr key={coupon.id} className="hover:bg-gray-700/50">
+                    <td className="px-4 py-3 text-white">
+                      <div className="font-mono font-medium">{coupon.code}</div>
+                      {coupon.description && <div className="text-sm text-gray-400">{coupon.description}</div>}
+                      {coupon.isProductSpecific && (
+                        <div
+                          className="text-xs text-blue-400 mt-1"
+                          title={(coupon.applicableProducts || []).map((id) => productNames[id] || id).join(", ")}
+                        >
+                          {coupon.applicableProducts?.length || 0} eligible products
+                        </div>
+                      )}
+                      {coupon.batchId && <div className="text-xs text-purple-400 mt-1">{coupon.batchId}</div>}
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      <div>{describeDiscount(coupon)}</div>
+                      {coupon.minOrderAmount > 0 && (
+                        <div className="text-xs text-gray-400">Min order {formatCurrency(coupon.minOrderAmount)}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-gray-300 text-sm hidden md:table-cell">
+                      {toDateInputValue(coupon.startDate) || "—"} → {toDateInputValue(coupon.endDate) || "—"}
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      <div>
+                        {formatIndianNumber(coupon.usedCount || 0, 0)}
+                        {coupon.maxUses > 0 && <span className="text-gray-500"> / {formatIndianNumber(coupon.maxUses, 0)}</span>}
+                      </div>
+                      <div className="text-xs text-gray-400">{formatIndianNumber(stats.orders, 0)} orders</div>
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      <div>{formatCurrency(stats.revenue)}</div>
+                      {stats.discount > 0 && (
+                        <div className="text-xs text-gray-400">{formatCurrency(stats.discount)} discounted</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          onClick={() => openCouponForm(coupon)}
+                          className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => openCouponForm(coupon, true)}
+                          className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+                        >
+                          Duplicate
+                        </button>
+                        <button
+                          onClick={() => handleToggleActive(coupon)}
+                          className={`px-3 py-1 text-white text-sm rounded transition duration-200 ${
+                            coupon.isActive === false ? "bg-green-500 hover:bg-green-600" : "bg-red-500 hover:bg-red-600"
+                          }`}
+                        >
+                          {coupon.isActive === false ? "Activate" : "Deactivate"}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="bg-gray-800 p-8 rounded-lg text-center text-gray-400 border border-gray-700">
+          <p className="text-lg mb-2">No coupons found</p>
+          {searchTerm || statusFilter !== "all" ? (
+            <p>Try clearing your filters or adding a new coupon.</p>
+          ) : (
+            <p>Get started by creating your first discount coupon.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CouponManager;
@@ -0,0 +1,421 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import AdminEmailTemplateService, {
+  EMAIL_TEMPLATE_KEYS,
+  STARTER_TEMPLATE,
+  TEMPLATE_VARIABLES,
+} from "../../utils/emailTemplateService";
+import { isEmailEnabled, sendEmail } from "../../utils/emailService";
+import { useAuth } from "../../contexts/AuthContext";
+
+const inputClass =
+  "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+/**
+ * Editable copy of a stored template, or the starter for a built-in email
+ */
+const toDraft = (stored) => ({
+  subject: stored?.subject ?? STARTER_TEMPLATE.subject,
+  html: stored?.html ?? STARTER_TEMPLATE.html,
+  text: stored?.text ?? STARTER_TEMPLATE.text,
+  enabled: stored?.enabled !== false,
+});
+
+/**
+ * EmailTemplateEditor Component
+ *
+ * Split-pane editor for the order emails customers receive
+ * Features:
+ * - One template per order status, stored in Firestore
+ * - Subject, HTML and optional plain-text sources with {{variables}} and loops
+ * - Live preview against a real recent order, as HTML or plain text
+ * - Test send to the signed-in admin
+ * - Reverting to the built-in email
+ *
+ * @returns {JSX.Element} The email template editor
+ */
+const EmailTemplateEditor = () => {
+  const { user } = useAuth();
+  const [templates, setTemplates] = useState({});
+  const [status, setStatus] = useState(EMAIL_TEMPLATE_KEYS[0]);
+  const [draft, setDraft] = useState(toDraft(null));
+  const [isDirty, setIsDirty] = useState(false);
+  const [orders, setOrders] = useState([]);
+  const [previewOrderId, setPreviewOrderId] = useState("");
+  const [previewTab, setPreviewTab] = useState("html");
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSendingTest, setIsSendingTest] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      const [templatesResult, ordersResult] = await Promise.all([
+        AdminEmailTemplateService.getTemplates(),
+        AdminEmailTemplateService.getPreviewOrders(),
+      ]);
+
+      if (templatesResult.success) {
+        setTemplates(templatesResult.templates);
+        setDraft(toDraft(templatesResult.templates[EMAIL_TEMPLATE_KEYS[0]]));
+      } else {
+        toast.error("Failed to load email templates");
+      }
+      if (ordersResult.success) {
+        setOrders(ordersResult.orders);
+        setPreviewOrderId(ordersResult.orders[0]?.id || "");
+      } else {
+        toast.error("Failed to load orders for the preview");
+      }
+      setIsLoading(false);
+    };
+
+    fetchData();
+  }, []);
+
+  const previewOrder = orders.find((order) => order.id === previewOrderId);
+  const isCustom = Boolean(templates[status]);
+
+  // Re-rendered on every keystroke; parse errors are shown instead of the email
+  const preview = useMemo(() => {
+    if (!previewOrder) return null;
+    try {
+      return AdminEmailTemplateService.renderPreview(status, draft, previewOrder);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [status, draft, previewOrder]);
+
+  /**
+   * Switch to another status's template
+   */
+  const selectStatus = (nextStatus) => {
+    if (
+      isDirty &&
+      !window.confirm("Discard your unsaved changes to this template?")
+    ) {
+      return;
+    }
+    setStatus(nextStatus);
+    setDraft(toDraft(templates[nextStatus]));
+    setIsDirty(false);
+    setErrors([]);
+  };
+
+  /**
+   * Update one field of the draft
+   */
+  const updateDraft = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+    setIsDirty(true);
+  };
+
+  /**
+   * Validate and save the draft
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = AdminEmailTemplateService.validateTemplate(draft);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) {
+      toast.error("Please fix the template errors");
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await AdminEmailTemplateService.saveTemplate(
+      status,
+      draft,
+      user?.uid || "admin"
+    );
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setTemplates((prev) => ({ ...prev, [status]: result.template }));
+    setIsDirty(false);
+    toast.success(`${status} email saved`);
+  };
+
+  /**
+   * Delete the stored template so the built-in email is sent again
+   */
+  const handleRevert = async () => {
+    if (
+      !window.confirm(
+        `Delete the custom ${status} email? Customers will get the built-in email again.`
+      )
+    ) {
+      return;
+    }
+
+    const result = await AdminEmailTemplateService.deleteTemplate(status);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setTemplates((prev) => {
+      const next = { ...prev };
+      delete next[status];
+      return next;
+    });
+    setDraft(toDraft(null));
+    setIsDirty(false);
+    toast.success(`${status} email reverted to the built-in one`);
+  };
+
+  /**
+   * Send the previewed email to the signed-in admin
+   */
+  const handleSendTest = async () => {
+    if (!preview || preview.error) return;
+
+    setIsSendingTest(true);
+    const result = await sendEmail({
+      to: user.email,
+      subject: `[Test] ${preview.subject}`,
+      body: preview.html,
+      text: preview.text,
+      outbox: { template: `test:${status}` },
+    });
+    setIsSendingTest(false);
+
+    if (result.success) {
+      toast.success(`Test email sent to ${user.email}`);
+    } else {
+      toast.error(`Test email not sent: ${result.error}`);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Email Templates</h1>
+          <p className="text-sm text-gray-400">
+            Emails customers receive when their order changes status
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <select
+            value={status}
+            onChange={(e) => selectStatus(e.target.value)}
+            className={`${inputClass} w-auto`}
+          >
+            {EMAIL_TEMPLATE_KEYS.map((key) => (
+              <option key={key} value={key}>
+                {key}
+                {templates[key] ? " (custom)" : ""}
+              </option>
+            ))}
+          </select>
+          <select
+            value={previewOrderId}
+            onChange={(e) => setPreviewOrderId(e.target.value)}
+            className={`${inputClass} w-auto`}
+            disabled={orders.length === 0}
+          >
+            {orders.length === 0 && <option value="">No orders yet</option>}
+            {orders.map((order) => (
+              <option key={order.id} value={order.id}>
+                #{order.orderId || order.id} · {order.userName || order.userEmail} ·{" "}
+                {order.status}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400 py-12">Loading email templates...</div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <form
+            onSubmit={handleSave}
+            className="bg-gray-800 p-6 rounded-lg border border-gray-700 space-y-4"
+          >
+            <div className="flex justify-between items-center">
+              <h2 className="text-xl font-semibold text-white">{status}</h2>
+              <span
+                className={`px-2 py-1 rounded-full text-xs font-medium ${
+                  isCustom
+                    ? "bg-blue-500/20 text-blue-300"
+                    : "bg-gray-500/20 text-gray-300"
+                }`}
+              >
+                {isCustom ? "Custom" : "Built-in — save to customise"}
+              </span>
+            </div>
+
+            {errors.length > 0 && (
+              <ul className="p-3 bg-red-900/40 border border-red-700 rounded text-sm text-red-300 list-disc list-inside">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">Subject</label>
+              <input
+                type="text"
+                value={draft.subject}
+                onChange={(e) => updateDraft("subject", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">HTML</label>
+              <textarea
+                value={draft.html}
+                onChange={(e) => updateDraft("html", e.target.value)}
+                rows={22}
+                spellCheck={false}
+                className={`${inputClass} font-mono text-xs`}
+              />
+            </div>
+
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">
+                Plain text (optional)
+              </label>
+              <textarea
+                value={draft.text}
+                onChange={(e) => updateDraft("text", e.target.value)}
+                rows={6}
+                spellCheck={false}
+                placeholder="Leave empty to use the text of the HTML"
+                className={`${inputClass} font-mono text-xs`}
+              />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={draft.enabled}
+                onChange={(e) => updateDraft("enabled", e.target.checked)}
+                className="h-4 w-4"
+              />
+              Send this template instead of the built-in email
+            </label>
+
+            <details className="text-sm">
+              <summary className="cursor-pointer text-gray-300 font-semibold">
+                Variables
+              </summary>
+              <dl className="mt-3 space-y-2">
+                {TEMPLATE_VARIABLES.map(([tag, description]) => (
+                  <div key={tag}>
+                    <dt className="font-mono text-xs text-blue-300 break-all">{tag}</dt>
+                    <dd className="text-gray-400">{description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </details>
+
+            <div className="flex flex-wrap justify-end gap-3 pt-2 border-t border-gray-700">
+              {isCustom && (
+                <button
+                  type="button"
+                  onClick={handleRevert}
+                  className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600 transition duration-200"
+                >
+                  Revert to Built-in
+                </button>
+              )}
+              <button
+                type="submit"
+                disabled={isSaving || !isDirty}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 transition duration-200"
+              >
+                {isSaving ? "Saving..." : "Save Template"}
+              </button>
+            </div>
+          </form>
+
+          <div className="bg-gray-800 p-6 rounded-lg border border-gray-700 space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+              <div className="flex gap-2">
+                {["html", "text"].map((tab) => (
+                  <button
+                    key={tab}
+                    type="button"
+                    onClick={() => setPreviewTab(tab)}
+                    className={`px-3 py-1 rounded text-sm ${
+                      previewTab === tab
+                        ? "bg-blue-600 text-white"
+                        : "bg-gray-700 text-gray-300 hover:bg-gray-600"
+                    }`}
+                  >
+                    {tab === "html" ? "HTML" : "Plain text"}
+                  </button>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={handleSendTest}
+                disabled={
+                  isSendingTest ||
+                  !preview ||
+                  Boolean(preview.error) ||
+                  !user?.email ||
+                  !isEmailEnabled()
+                }
+                title={
+                  isEmailEnabled()
+                    ? `Send this preview to ${user?.email}`
+                    : "Email is disabled (EMAIL_ENABLED)"
+                }
+                className="btn-secondary"
+              >
+                {isSendingTest ? "Sending..." : "Send Test to Me"}
+              </button>
+            </div>
+
+            {!preview && (
+              <p className="text-gray-400 text-sm">
+                Place an order in the store to preview emails against it.
+              </p>
+            )}
+            {preview?.error && (
+              <p className="p-3 bg-red-900/40 border border-red-700 rounded text-sm text-red-300">
+                {preview.error}
+              </p>
+            )}
+            {preview && !preview.error && (
+              <>
+                <div className="text-sm">
+                  <span className="text-gray-400">Subject: </span>
+                  <span className="text-white">{preview.subject}</span>
+                </div>
+                {previewTab === "html" ? (
+                  <iframe
+                    title="Email preview"
+                    srcDoc={preview.html}
+                    sandbox=""
+                    className="w-full h-[70vh] bg-white rounded"
+                  />
+                ) : (
+                  <pre className="p-4 bg-gray-900 rounded text-sm text-gray-200 whitespace-pre-wrap h-[70vh] overflow-y-auto">
+                    {preview.text}
+                  </pre>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailTemplateEditor;
@@ -0,0 +1,587 @@
+"use client";
+
+import { useEffect, useState, useCallback, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import AdminInventoryService, {
+  LEDGER_REASONS,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+} from "../../utils/inventoryService";
+import { formatIndianNumber } from "../../utils/formatUtils";
+import { useAuth } from "../../contexts/AuthContext";
+
+// Sales windows offered for the sell-through and stock-out figures
+const WINDOW_OPTIONS = [7, 30, 90];
+
+// Days of cover below which a product is flagged as running out soon
+const STOCK_OUT_WARNING_DAYS = 14;
+
+const REASON_LABELS = {
+  [LEDGER_REASONS.SALE]: "Sale",
+  [LEDGER_REASONS.CANCELLATION]: "Cancellation",
+  [LEDGER_REASONS.RETURN]: "Return",
+  [LEDGER_REASONS.RESTOCK]: "Restock",
+  [LEDGER_REASONS.MANUAL_EDIT]: "Manual edit",
+};
+
+// Reasons an admin can choose when adding stock by hand
+const RESTOCK_REASONS = [
+  LEDGER_REASONS.RESTOCK,
+  LEDGER_REASONS.RETURN,
+  LEDGER_REASONS.MANUAL_EDIT,
+];
+
+const EMPTY_RESTOCK_LINE = { productId: "", quantity: "" };
+
+/**
+ * Describe a product's days of cover for the table
+ */
+const describeStockOut = (product) => {
+  if (product.stock === 0) return "Out of stock";
+  if (product.daysToStockOut === null) return "No recent sales";
+  if (product.daysToStockOut === 0) return "Under a day";
+  return `${formatIndianNumber(product.daysToStockOut, 0)} days`;
+};
+
+/**
+ * InventoryManager Component
+ *
+ * Stock overview for the whole catalog
+ * Features:
+ * - Low-stock list based on per-product thresholds
+ * - Sell-through rate and estimated days until stock-out from recent orders
+ * - Bulk restock form that records every change in the inventory ledger
+ * - Recent ledger entries showing who changed stock and why
+ *
+ * @returns {JSX.Element} The Inventory Manager component
+ */
+const InventoryManager = () => {
+  const { user } = useAuth();
+  const [products, setProducts] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [ledgerEntries, setLedgerEntries] = useState([]);
+  const [windowDays, setWindowDays] = useState(30);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showLowStockOnly, setShowLowStockOnly] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [thresholdEdits, setThresholdEdits] = useState({});
+  const [showRestockForm, setShowRestockForm] = useState(false);
+  const [restockLines, setRestockLines] = useState([EMPTY_RESTOCK_LINE]);
+  const [restockReason, setRestockReason] = useState(LEDGER_REASONS.RESTOCK);
+  const [restockNote, setRestockNote] = useState("");
+  const [isRestocking, setIsRestocking] = useState(false);
+
+  /**
+   * Fetch the inventory overview and the latest ledger entries
+   */
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+    const [overview, ledger] = await Promise.all([
+      AdminInventoryService.getInventoryOverview({ days: windowDays }),
+      AdminInventoryService.getLedgerEntries({ max: 25 }),
+    ]);
+
+    if (overview.success) {
+      setProducts(overview.products);
+      setSummary(overview.summary);
+    } else {
+      toast.error("Failed to load inventory");
+    }
+    setLedgerEntries(ledger.entries);
+    setIsLoading(false);
+  }, [windowDays]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const productNames = useMemo(() => {
+    const names = {};
+    products.forEach((product) => {
+      names[product.id] = product.name;
+    });
+    return names;
+  }, [products]);
+
+  const lowStockProducts = useMemo(
+    () =>
+      products
+        .filter((product) => product.isLowStock)
+        .sort((a, b) => a.stock - b.stock),
+    [products]
+  );
+
+  const filteredProducts = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return (showLowStockOnly ? lowStockProducts : products).filter(
+      (product) =>
+        !term ||
+        product.name.toLowerCase().includes(term) ||
+        product.category.toLowerCase().includes(term)
+    );
+  }, [products, lowStockProducts, searchTerm, showLowStockOnly]);
+
+  /**
+   * Save an edited low-stock threshold; an empty value resets to the default
+   */
+  const handleSaveThreshold = async (product) => {
+    const rawValue = thresholdEdits[product.id];
+    const threshold = rawValue === "" ? null : Number(rawValue);
+
+    const result = await AdminInventoryService.updateLowStockThreshold(product.id, threshold);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setProducts((prev) =>
+      prev.map((item) =>
+        item.id === product.id
+          ? {
+              ...item,
+              lowStockThreshold: result.lowStockThreshold,
+              hasCustomThreshold: threshold !== null,
+              isLowStock: item.stock <= result.lowStockThreshold,
+            }
+          : item
+      )
+    );
+    setThresholdEdits((prev) => {
+      const next = { ...prev };
+      delete next[product.id];
+      return next;
+    });
+    toast.success(`Threshold updated for ${product.name}`);
+  };
+
+  /**
+   * Open the restock form, optionally pre-filled with the low-stock products
+   */
+  const openRestockForm = (prefillLowStock = false) => {
+    setRestockLines(
+      prefillLowStock && lowStockProducts.length > 0
+        ? lowStockProducts.map((product) => ({ productId: product.id, quantity: "" }))
+        : [EMPTY_RESTOCK_LINE]
+    );
+    setRestockReason(LEDGER_REASONS.RESTOCK);
+    setRestockNote("");
+    setShowRestockForm(true);
+  };
+
+  const updateRestockLine = (index, field, value) => {
+    setRestockLines((prev) =>
+      prev.map((line, i) => (i === index ? { ...line, [field]: value } : line))
+    );
+  };
+
+  const removeRestockLine = (index) => {
+    setRestockLines((prev) =>
+      prev.length === 1 ? [EMPTY_RESTOCK_LINE] : prev.filter((_, i) => i !== index)
+    );
+  };
+
+  /**
+   * Submit the bulk restock; blank lines are ignored
+   */
+  const handleRestock = async (e) => {
+    e.preventDefault();
+
+    const entries = restockLines
+      .filter((line) => line.productId || line.quantity)
+      .map((line) => ({ productId: line.productId, quantity: Number(line.quantity) }));
+
+    if (entries.length === 0) {
+      toast.error("Add at least one product to restock");
+      return;
+    }
+
+    setIsRestocking(true);
+    const result = await AdminInventoryService.bulkRestock(
+      entries,
+      { reason: restockReason, note: restockNote.trim() },
+      user?.uid || "admin"
+    );
+    setIsRestocking(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success(`Restocked ${Object.keys(result.updatedStock).length} products`);
+    setShowRestockForm(false);
+    fetchData();
+  };
+
+  const inputClass =
+    "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-white">Inventory</h1>
+        <div className="flex gap-2">
+          <select
+            value={windowDays}
+            onChange={(e) => setWindowDays(Number(e.target.value))}
+            className="p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+          >
+            {WINDOW_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                Last {days} days
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => (showRestockForm ? setShowRestockForm(false) : openRestockForm())}
+            className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200"
+          >
+            {showRestockForm ? "Cancel" : "Bulk Restock"}
+          </button>
+        </div>
+      </div>
+
+      {/* Summary cards */}
+      {summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+            <p className="text-sm text-gray-400">Units in stock</p>
+            <p className="text-2xl font-bold text-white">{formatIndianNumber(summary.totalUnits, 0)}</p>
+            <p className="text-xs text-gray-500">{formatIndianNumber(summary.totalProducts, 0)} products</p>
+          </div>
+          <div className="bg-gray-800 p-4 rounded-lg border border-gray-700">
+            <p className="text-sm text-gray-400">Units sold</p>
+            <p className="text-2xl font-bold text-white">{formatIndianNumber(summary.unitsSold, 0)}</p>
+            <p className="text-xs text-gray-500">Last {windowDays} days</p>
+          </div>
+          <div className="bg-gray-800 p-4 rounded-lg border border-yellow-500/30">
+            <p className="text-sm text-gray-400">Low stock</p>
+            <p className="text-2xl font-bold text-yellow-400">{summary.lowStockCount}</p>
+            <p className="text-xs text-gray-500">At or below threshold</p>
+          </div>
+          <div className="bg-gray-800 p-4 rounded-lg border border-red-500/30">
+            <p className="text-sm text-gray-400">Out of stock</p>
+            <p className="text-2xl font-bold text-red-400">{summary.outOfStockCount}</p>
+            <p className="text-xs text-gray-500">Cannot be ordered</p>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk restock form */}
+      {showRestockForm && (
+        <div className="bg-gray-800 p-6 rounded-lg mb-6 border border-gray-700">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold text-white">Bulk Restock</h2>
+            {lowStockProducts.length > 0 && (
+              <button
+                type="button"
+                onClick={() => openRestockForm(true)}
+                className="px-3 py-1 bg-yellow-600 text-white text-sm rounded hover:bg-yellow-700 transition duration-200"
+              >
+                Add all low-stock products ({lowStockProducts.length})
+              </button>
+            )}
+          </div>
+          <form onSubmit={handleRestock}>
+            <div className="space-y-2 mb-4">
+              {restockLines.map((line, index) => {
+                const product = products.find((item) => item.id === line.productId);
+                return (
+                  <div key={index} className="flex flex-col md:flex-row gap-2 md:items-center">
+                    <select
+                      value={line.productId}
+                      onChange={(e) => updateRestockLine(index, "productId", e.target.value)}
+                      className={`${inputClass} md:flex-grow`}
+                    >
+                      <option value="">Select product</option>
+                      {products.map((item) => (
+                        <option key={item.id} value={item.id}>
+                          {item.name} ({item.stock} in stock)
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={line.quantity}
+                      onChange={(e) => updateRestockLine(index, "quantity", e.target.value)}
+                      placeholder="Qty to add"
+                      className={`${inputClass} md:w-32`}
+                    />
+                    <span className="text-sm text-gray-400 md:w-28">
+                      {product && Number(line.quantity) > 0
+                        ? `→ ${product.stock + Number(line.quantity)}`
+                        : ""}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => removeRestockLine(index)}
+                      className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                onClick={() => setRestockLines((prev) => [...prev, EMPTY_RESTOCK_LINE])}
+                className="text-sm text-blue-400 hover:text-blue-300"
+              >
+                + Add another product
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">Reason</label>
+                <select
+                  value={restockReason}
+                  onChange={(e) => setRestockReason(e.target.value)}
+                  className={inputClass}
+                >
+                  {RESTOCK_REASONS.map((reason) => (
+                    <option key={reason} value={reason}>
+                      {REASON_LABELS[reason]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-gray-300 text-sm font-bold mb-2">Note</label>
+                <input
+                  type="text"
+                  value={restockNote}
+                  onChange={(e) => setRestockNote(e.target.value)}
+                  className={inputClass}
+                  placeholder="e.g. supplier invoice number (optional)"
+                />
+              </div>
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={isRestocking}
+                className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+              >
+                {isRestocking ? "Saving..." : "Apply Restock"}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowRestockForm(false)}
+                className="px-4 py-2 bg-gray-600 text-white rounded hover:bg-gray-700 transition duration-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Low-stock list */}
+      {lowStockProducts.length > 0 && (
+        <div className="bg-gray-800 p-4 rounded-lg mb-6 border border-yellow-500/30">
+          <h2 className="text-lg font-semibold text-yellow-400 mb-3">
+            Needs restocking ({lowStockProducts.length})
+          </h2>
+          <div className="flex flex-wrap gap-2">
+            {lowStockProducts.map((product) => (
+              <Link
+                key={product.id}
+                to={`/products/edit/${product.id}`}
+                className={`px-3 py-1 text-sm rounded-full border ${
+                  product.stock === 0
+                    ? "bg-red-500/10 text-red-400 border-red-500/20"
+                    : "bg-yellow-500/10 text-yellow-400 border-yellow-500/20"
+                }`}
+              >
+                {product.name}: {product.stock} / {product.lowStockThreshold}
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Search and filter */}
+      <div className="flex flex-col md:flex-row gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Search by product or category..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="flex-grow p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+        />
+        <label className="flex items-center gap-2 text-gray-300 text-sm px-2">
+          <input
+            type="checkbox"
+            checked={showLowStockOnly}
+            onChange={(e) => setShowLowStockOnly(e.target.checked)}
+          />
+          Low stock only
+        </label>
+      </div>
+
+      {/* Inventory table */}
+      {isLoading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+        </div>
+      ) : filteredProducts.length > 0 ? (
+        <div className="bg-gray-800 rounded-lg overflow-x-auto border border-gray-700 mb-6">
+          <table className="min-w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Product</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Stock</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Threshold</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Sold</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Sell-through</th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">Stock-out in</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {filteredProducts.map((product) => {
+                const editing = thresholdEdits[product.id] !== undefined;
+                const runningOut =
+                  product.daysToStockOut !== null &&
+                  product.daysToStockOut < STOCK_OUT_WARNING_DAYS;
+                return (
+                  <tr key={product.id} className="hover:bg-gray-700/50">
+                    <td className="px-4 py-3 text-white">
+                      <Link to={`/products/edit/${product.id}`} className="font-medium hover:text-blue-400">
+                        {product.name}
+                      </Link>
+                      {product.category && <div className="text-sm text-gray-400">{product.category}</div>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span
+                        className={`font-semibold ${
+                          product.stock === 0
+                            ? "text-red-400"
+                            : product.isLowStock
+                              ? "text-yellow-400"
+                              : "text-white"
+                        }`}
+                      >
+                        {formatIndianNumber(product.stock, 0)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      {editing ? (
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={thresholdEdits[product.id]}
+                            onChange={(e) =>
+                              setThresholdEdits((prev) => ({ ...prev, [product.id]: e.target.value }))
+                            }
+                            placeholder={String(DEFAULT_LOW_STOCK_THRESHOLD)}
+                            className="w-20 p-1 border border-gray-600 rounded bg-gray-700 text-white text-sm focus:border-blue-500 focus:outline-none"
+                          />
+                          <button
+                            onClick={() => handleSaveThreshold(product)}
+                            className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200"
+                          >
+                            Save
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() =>
+                            setThresholdEdits((prev) => ({
+                              ...prev,
+                              [product.id]: product.hasCustomThreshold ? String(product.lowStockThreshold) : "",
+                            }))
+                          }
+                          className="hover:text-blue-400"
+                          title="Edit threshold (leave empty to use the default)"
+                        >
+                          {product.lowStockThreshold}
+                          {!product.hasCustomThreshold && <span className="text-xs text-gray-500"> (default)</span>}
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      <div>{formatIndianNumber(product.unitsSold, 0)}</div>
+                      <div className="text-xs text-gray-400">
+                        {formatIndianNumber(product.dailyVelocity, 1)} / day
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-gray-300">
+                      <div className="flex items-center gap-2">
+                        <div className="w-16 h-2 bg-gray-700 rounded-full overflow-hidden">
+                          <div
+                            className="h-full bg-blue-500"
+                            style={{ width: `${Math.round(product.sellThroughRate * 100)}%` }}
+                          />
+                        </div>
+                        <span>{Math.round(product.sellThroughRate * 100)}%</span>
+                      </div>
+                    </td>
+                    <td className={`px-4 py-3 ${product.stock === 0 || runningOut ? "text-red-400" : "text-gray-300"}`}>
+                      {describeStockOut(product)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-gray-400 text-center py-10">No products found</p>
+      )}
+
+      {/* Recent ledger entries */}
+      <div className="bg-gray-800 rounded-lg border border-gray-700">
+        <h2 className="text-lg font-semibold text-white p-4 border-b border-gray-700">Recent Stock Changes</h2>
+        {ledgerEntries.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead className="bg-gray-700">
+                <tr>
+                  <th className="px-4 py-2 text-left text-gray-300 font-semibold text-sm">When</th>
+                  <th className="px-4 py-2 text-left text-gray-300 font-semibold text-sm">Product</th>
+                  <th className="px-4 py-2 text-left text-gray-300 font-semibold text-sm">Change</th>
+                  <th className="px-4 py-2 text-left text-gray-300 font-semibold text-sm">Reason</th>
+                  <th className="px-4 py-2 text-left text-gray-300 font-semibold text-sm">By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {ledgerEntries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td className="px-4 py-2 text-gray-400 text-sm">
+                      {entry.createdAt ? entry.createdAt.toLocaleString() : "—"}
+                    </td>
+                    <td className="px-4 py-2 text-white text-sm">
+                      {productNames[entry.productId] || entry.productName || entry.productId}
+                    </td>
+                    <td className={`px-4 py-2 text-sm font-semibold ${entry.delta > 0 ? "text-green-400" : "text-red-400"}`}>
+                      {entry.delta > 0 ? `+${entry.delta}` : entry.delta}
+                      {entry.newStock !== null && entry.newStock !== undefined && (
+                        <span className="text-gray-500 font-normal"> → {entry.newStock}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-300 text-sm">
+                      {REASON_LABELS[entry.reason] || entry.reason}
+                      {entry.orderId && <span className="text-gray-500"> · {entry.orderId}</span>}
+                      {entry.note && <div className="text-xs text-gray-500">{entry.note}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-gray-400 text-sm font-mono">{entry.actor}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-gray-400 text-sm p-4">No stock changes recorded yet</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InventoryManager;
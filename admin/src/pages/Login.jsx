@@ -6,6 +6,7 @@ import { auth, db } from "../firebase";
 import { useNavigate } from "react-router-dom";
 import { doc, getDoc } from "firebase/firestore";
 import { toast } from "react-toastify";
+import { isAdminRole } from "../utils/roleService";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -32,7 +33,7 @@ const Login = () => {
       const userDoc = await getDoc(userDocRef);
       if (userDoc.exists()) {
         const userData = userDoc.data();
-        if (userData.userRole === "Admin") {
+        if (isAdminRole(userData.userRole)) {
           navigate("/");
         } else {
           await signOut(auth);
@@ -21,12 +21,66 @@ import AdminOrderService, {
   SHIPPING_CARRIERS,
 } from "../utils/orderService";
 import { formatCurrency, formatIndianNumber } from "../utils/formatUtils";
+import { useAuth } from "../contexts/AuthContext";
+import { downloadCsv } from "../utils/csvUtils";
+import {
+  buildOrderRows,
+  buildLineItemRows,
+  buildGstSummaryRows,
+} from "../utils/orderExportUtils";
+import AdminInvoiceService, {
+  NON_INVOICEABLE_STATUSES,
+} from "../utils/invoiceService";
+import { downloadTaxInvoice, downloadCreditNote } from "../utils/invoicePdf";
+import AdminPaymentService, {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  PAYMENT_NOT_CONFIRMED_MESSAGE,
+  getOrderPayment,
+  isPaymentConfirmed,
+} from "../utils/paymentService";
+import { canRefundOrder, getOrderRefunds } from "../utils/refundService";
+import RefundModal from "../components/RefundModal";
+import AdminEmailOutboxService, {
+  EMAIL_STATUSES,
+} from "../utils/emailOutboxService";
+import { resendEmail } from "../utils/emailService";
+import { PERMISSIONS } from "../utils/roleService";
+
+// Badge colours for payment states
+const PAYMENT_STATUS_STYLES = {
+  [PAYMENT_STATUSES.PENDING]: "bg-yellow-500/20 text-yellow-300",
+  [PAYMENT_STATUSES.AUTHORIZED]: "bg-blue-500/20 text-blue-300",
+  [PAYMENT_STATUSES.CAPTURED]: "bg-green-500/20 text-green-300",
+  [PAYMENT_STATUSES.FAILED]: "bg-red-500/20 text-red-300",
+  [PAYMENT_STATUSES.REFUNDED]: "bg-gray-500/20 text-gray-300",
+};
+
+// Badge colours for outbox email states
+const EMAIL_STATUS_STYLES = {
+  [EMAIL_STATUSES.PENDING]: "bg-yellow-500/20 text-yellow-300",
+  [EMAIL_STATUSES.SENDING]: "bg-blue-500/20 text-blue-300",
+  [EMAIL_STATUSES.SENT]: "bg-green-500/20 text-green-300",
+  [EMAIL_STATUSES.FAILED]: "bg-red-500/20 text-red-300",
+};
+
+// Spreadsheet layouts offered for the filtered order list
+const EXPORT_LAYOUTS = {
+  orders: { label: "Orders", filePrefix: "orders", buildRows: buildOrderRows },
+  lineItems: { label: "Line Items", filePrefix: "order-line-items", buildRows: buildLineItemRows },
+  gstSummary: { label: "GST Summary", filePrefix: "gst-summary", buildRows: buildGstSummaryRows },
+};
 
 /**
  * Main Orders Management Component
  * Provides comprehensive order management interface for administrators
  */
 function Orders() {
+  const { user, can } = useAuth();
+  const canUpdateOrders = can(PERMISSIONS.ORDERS_UPDATE);
+  const canHandleReturns = can(PERMISSIONS.ORDERS_RETURNS);
+  const canRefund = can(PERMISSIONS.ORDERS_REFUND);
+
   // Core state management for orders and UI
   const [orders, setOrders] = useState([]); // Main orders list
   const [filteredOrders, setFilteredOrders] = useState([]); // Filtered orders based on current filters
@@ -58,6 +112,9 @@ function Orders() {
   const [isModalOpen, setIsModalOpen] = useState(false); // Modal visibility state
   const [modalMode, setModalMode] = useState("view"); // Modal mode: 'view', 'edit', 'shipping'
   const [processingAction, setProcessingAction] = useState(false); // Action processing state
+  const [refundingOrder, setRefundingOrder] = useState(null); // Order open in the refund modal
+  const [orderEmails, setOrderEmails] = useState([]); // Outbox emails for the selected order
+  const [resendingEmailId, setResendingEmailId] = useState(null); // Email being resent
 
   // Bulk operations state management - Initialize with proper Set object
   const [selectedOrderIds, setSelectedOrderIds] = useState(() => new Set()); // Selected orders for bulk operations
@@ -86,6 +143,16 @@ function Orders() {
    */
   const ORDER_STATUS_CONFIG = useMemo(
     () => ({
+      [ORDER_STATUSES.PENDING_PAYMENT]: {
+        label: "Pending Payment",
+        color: "bg-orange-50 text-orange-700 border-orange-200",
+        description:
+          "Awaiting payment; cancel if the customer never finished paying",
+        nextActions: [],
+        workflow: {
+          canCancel: true,
+        },
+      },
       [ORDER_STATUSES.PLACED]: {
         label: "Placed",
         color: "bg-yellow-100 text-yellow-800 border-yellow-200",
@@ -130,6 +197,61 @@ function Orders() {
           canRefund: true,
         },
       },
+      [ORDER_STATUSES.DECLINED]: {
+        label: "Declined",
+        color: "bg-red-100 text-red-800 border-red-200",
+        description: "Order declined by admin",
+        nextActions: [],
+        workflow: {
+          isComplete: true,
+        },
+      },
+      [ORDER_STATUSES.CANCELLED]: {
+        label: "Cancelled",
+        color: "bg-gray-100 text-gray-800 border-gray-200",
+        description: "Order cancelled by the customer or an admin",
+        nextActions: [],
+        workflow: {
+          isComplete: true,
+        },
+      },
+      [ORDER_STATUSES.RETURN_REQUESTED]: {
+        label: "Return Requested",
+        color: "bg-orange-100 text-orange-800 border-orange-200",
+        description: "Customer asked to return delivered items",
+        nextActions: ["approveReturn", "rejectReturn"],
+        workflow: {
+          requiresAction: true,
+        },
+      },
+      [ORDER_STATUSES.RETURN_APPROVED]: {
+        label: "Return Approved",
+        color: "bg-amber-100 text-amber-800 border-amber-200",
+        description: "Return accepted, waiting for the items to arrive",
+        nextActions: ["receiveReturn"],
+        workflow: {
+          requiresAction: true,
+        },
+      },
+      [ORDER_STATUSES.RETURN_RECEIVED]: {
+        label: "Return Received",
+        color: "bg-teal-100 text-teal-800 border-teal-200",
+        description: "Returned items received and restocked, refund pending",
+        nextActions: ["refund"],
+        workflow: {
+          canRefund: true,
+          requiresAction: true,
+        },
+      },
+      [ORDER_STATUSES.REFUNDED]: {
+        label: "Refunded",
+        color: "bg-gray-100 text-gray-800 border-gray-200",
+        description: "Payment refunded to the customer",
+        nextActions: [],
+        workflow: {
+          isComplete: true,
+        },
+      },
     }),
     []
   );
@@ -539,6 +661,22 @@ function Orders() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Empty dependency array - only run on mount/unmount
 
+  /**
+   * Load the outbox emails of the order open in the modal
+   */
+  const loadOrderEmails = useCallback(async (orderId) => {
+    const result = await AdminEmailOutboxService.getOrderEmails(orderId);
+    setOrderEmails(result.success ? result.emails : []);
+  }, []);
+
+  useEffect(() => {
+    if (isModalOpen && selectedOrder?.id) {
+      loadOrderEmails(selectedOrder.id);
+    } else {
+      setOrderEmails([]);
+    }
+  }, [isModalOpen, selectedOrder?.id, selectedOrder?.status, loadOrderEmails]);
+
   /**
    * Filter application effect
    * Applies current filters to the orders list whenever filters or orders change
@@ -570,6 +708,16 @@ function Orders() {
 
       const orderData = orderSnap.data();
 
+      if (
+        newStatus === ORDER_STATUSES.APPROVED &&
+        !(await AdminPaymentService.isPaymentConfirmedForApproval(
+          orderId,
+          orderData.payment
+        ))
+      ) {
+        throw new Error(PAYMENT_NOT_CONFIRMED_MESSAGE);
+      }
+
       // Show confirmation for critical status changes
       if (["Declined", "Cancelled"].includes(newStatus)) {
         const confirmed = window.confirm(
@@ -592,12 +740,35 @@ function Orders() {
           additionalInfo.note || `Order ${newStatus.toLowerCase()} by admin`,
       };
 
+      // Cash on delivery is collected when the order is delivered
+      const payment =
+        newStatus === ORDER_STATUSES.DELIVERED
+          ? AdminPaymentService.getDeliveredPayment(
+              orderData.payment,
+              user?.uid || "admin"
+            )
+          : null;
+
       // Update order with new status and history
       await updateDoc(orderRef, {
         status: newStatus,
         statusHistory: [...(orderData.statusHistory || []), statusUpdate],
+        ...(payment && { payment }),
       });
 
+      // The customer email goes out in the background and never fails the update
+      AdminOrderService.notifyStatusChange(
+        {
+          ...orderData,
+          id: orderId,
+          status: newStatus,
+          statusHistory: [...(orderData.statusHistory || []), statusUpdate],
+          ...(payment && { payment }),
+        },
+        newStatus,
+        { reason: additionalInfo.reason }
+      );
+
       // Update local state
       setOrders((prevOrders) =>
         prevOrders.map((order) =>
@@ -606,6 +777,7 @@ function Orders() {
                 ...order,
                 status: newStatus,
                 statusHistory: [...(order.statusHistory || []), statusUpdate],
+                ...(payment && { payment }),
               }
             : order
         )
@@ -645,6 +817,116 @@ function Orders() {
     }
   };
 
+  /**
+   * Verify a cash on delivery order or capture an authorized gateway
+   * payment, then show the updated payment
+   * @param {Object} order - Order whose payment is being confirmed
+   */
+  const confirmPayment = async (order) => {
+    const isCod =
+      getOrderPayment(order.payment).method === PAYMENT_METHODS.COD;
+    let note = "";
+    if (isCod) {
+      note = window.prompt(
+        "How was this COD order verified? e.g. Confirmed by phone"
+      );
+      if (note === null) return;
+    }
+
+    setProcessingAction(true);
+    try {
+      const result = isCod
+        ? await AdminPaymentService.verifyCodOrder(
+            order.id,
+            note,
+            user?.uid || "admin"
+          )
+        : await AdminPaymentService.capturePayment(
+            order.id,
+            user?.uid || "admin"
+          );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setOrders((prevOrders) =>
+        prevOrders.map((existing) =>
+          existing.id === order.id
+            ? { ...existing, payment: result.payment }
+            : existing
+        )
+      );
+      if (selectedOrder?.id === order.id) {
+        setSelectedOrder((prev) => ({ ...prev, payment: result.payment }));
+      }
+
+      toast.success(isCod ? "COD order verified" : "Payment captured");
+    } catch (error) {
+      console.error("❌ Orders: Error confirming payment:", error);
+      toast.error(`Failed to confirm payment: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  /**
+   * Move an order through the return workflow via the admin order service,
+   * which keeps the return request in sync and restocks received items
+   * @param {Object} order - Order being updated
+   * @param {string} newStatus - Next return workflow status
+   */
+  const updateReturnStatus = async (order, newStatus) => {
+    console.log(`↩️ Orders: Moving order ${order.id} to ${newStatus}`);
+
+    const updateInfo = {};
+    if (newStatus === ORDER_STATUSES.DELIVERED) {
+      const reason = window.prompt(
+        "Why is this return being declined? The customer will see this."
+      );
+      if (reason === null) return;
+      updateInfo.reason = reason.trim() || "Return request declined";
+      updateInfo.note = `Return declined: ${updateInfo.reason}`;
+    }
+
+    setProcessingAction(true);
+    try {
+      const result = await AdminOrderService.updateOrderStatus(
+        order.id,
+        newStatus,
+        updateInfo,
+        user?.uid || "admin"
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const changes = {
+        status: newStatus,
+        statusHistory: result.updateData.statusHistory,
+        ...(result.updateData.returnRequest && {
+          returnRequest: result.updateData.returnRequest,
+        }),
+      };
+
+      setOrders((prevOrders) =>
+        prevOrders.map((existing) =>
+          existing.id === order.id ? { ...existing, ...changes } : existing
+        )
+      );
+      if (selectedOrder?.id === order.id) {
+        setSelectedOrder((prev) => ({ ...prev, ...changes }));
+      }
+
+      toast.success(`Order ${order.orderId || order.id} moved to ${newStatus}`);
+    } catch (error) {
+      console.error("❌ Orders: Error updating return status:", error);
+      toast.error(`Failed to update return: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
   /**
    * Add tracking information to an order (simplified approach from original code)
    * @param {Event} e - Form submit event
@@ -690,6 +972,13 @@ function Orders() {
         statusHistory: [...(selectedOrder.statusHistory || []), statusUpdate],
       });
 
+      if (selectedOrder.status !== ORDER_STATUSES.SHIPPED) {
+        AdminOrderService.notifyStatusChange(
+          { ...selectedOrder, status: ORDER_STATUSES.SHIPPED, tracking: trackingData },
+          ORDER_STATUSES.SHIPPED
+        );
+      }
+
       // Update local state
       setOrders((prevOrders) =>
         prevOrders.map((order) =>
@@ -892,6 +1181,127 @@ function Orders() {
     }
   };
 
+  /**
+   * Apply changes to an order in the list and in the open modal
+   * @param {string} orderId - Order being changed
+   * @param {Object} changes - Fields to merge into the order
+   */
+  const mergeOrderChanges = (orderId, changes) => {
+    setOrders((prevOrders) =>
+      prevOrders.map((existing) =>
+        existing.id === orderId ? { ...existing, ...changes } : existing
+      )
+    );
+    if (selectedOrder?.id === orderId) {
+      setSelectedOrder((prev) => ({ ...prev, ...changes }));
+    }
+  };
+
+  /**
+   * Send a copy of an order email again
+   * @param {Object} email - Outbox entry to resend
+   */
+  const handleResendEmail = async (email) => {
+    setResendingEmailId(email.id);
+    const result = await resendEmail(email.id, user?.uid || "admin");
+    setResendingEmailId(null);
+
+    if (result.success) {
+      toast.success(`Resent "${email.subject}" to ${email.to}`);
+    } else {
+      toast.error(`Failed to resend email: ${result.error}`);
+    }
+    loadOrderEmails(email.orderId);
+  };
+
+  /**
+   * Regenerate an order's tax invoice, issuing its number on first use
+   * @param {Object} order - Order to invoice
+   */
+  const downloadInvoice = async (order) => {
+    setProcessingAction(true);
+    try {
+      let invoice = order.invoice;
+      if (!invoice?.number) {
+        const result = await AdminInvoiceService.issueInvoice(order.id);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        invoice = result.invoice;
+        mergeOrderChanges(order.id, { invoice });
+      }
+      downloadTaxInvoice({ ...order, invoice });
+    } catch (error) {
+      console.error("❌ Orders: Error generating invoice:", error);
+      toast.error(`Failed to generate invoice: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  /**
+   * Issue a credit note for a refunded order that does not have one yet,
+   * e.g. one refunded before credit notes were issued automatically
+   * @param {Object} order - Refunded order
+   */
+  const issueCreditNote = async (order) => {
+    const returnItems = order.returnRequest?.items;
+    const confirmed = window.confirm(
+      `Issue a credit note for ${
+        returnItems?.length ? "the returned items of" : "the whole of"
+      } order ${order.orderId || order.id}? Credit note numbers cannot be reused.`
+    );
+    if (!confirmed) return;
+
+    setProcessingAction(true);
+    try {
+      const result = await AdminInvoiceService.issueCreditNote(
+        order.id,
+        {
+          items: returnItems?.length ? returnItems : null,
+          shipping: returnItems?.length
+            ? 0
+            : order.financials?.shipping ?? order.shipping?.cost ?? 0,
+          reason: getOrderRefunds(order).at(-1)?.reason || "Refund",
+        },
+        user?.uid || "admin"
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const creditNotes = [...(order.creditNotes || []), result.creditNote];
+      mergeOrderChanges(order.id, { creditNotes });
+      toast.success(`Credit note ${result.creditNote.number} issued`);
+      downloadCreditNote({ ...order, creditNotes }, result.creditNote);
+    } catch (error) {
+      console.error("❌ Orders: Error issuing credit note:", error);
+      toast.error(`Failed to issue credit note: ${error.message}`);
+    } finally {
+      setProcessingAction(false);
+    }
+  };
+
+  /**
+   * Export the currently filtered orders as CSV in the chosen layout
+   * @param {string} layout - Key of EXPORT_LAYOUTS
+   */
+  const exportFilteredOrders = (layout) => {
+    const { label, filePrefix, buildRows } = EXPORT_LAYOUTS[layout];
+
+    if (filteredOrders.length === 0) {
+      toast.info("No orders match the current filters");
+      return;
+    }
+
+    const rows = buildRows(filteredOrders);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadCsv(`${filePrefix}-${date}.csv`, rows);
+
+    console.log(`📤 Orders: Exported ${rows.length - 1} ${label.toLowerCase()} rows`);
+    toast.success(`Exported ${label.toLowerCase()} for ${filteredOrders.length} orders`);
+  };
+
   /**
    * Format date to display in a user-friendly way (simplified from original)
    */
@@ -935,8 +1345,8 @@ function Orders() {
     if (mode === "shipping") {
       setShippingInfo({
         trackingNumber: order.tracking?.code || "",
-        carrier: order.tracking?.carrier || "IndiaPost",
-        service: "standard",
+        carrier: order.tracking?.carrier || order.shipping?.carrier || "IndiaPost",
+        service: order.shipping?.service || "standard",
         weight: "",
         notes: "",
       });
@@ -1111,6 +1521,33 @@ function Orders() {
           </div>
 
           <div className="flex flex-wrap gap-3">
+            {/* Export buttons for the filtered orders */}
+            {can(PERMISSIONS.ORDERS_EXPORT) &&
+              Object.entries(EXPORT_LAYOUTS).map(([layout, { label }]) => (
+                <button
+                  key={layout}
+                  onClick={() => exportFilteredOrders(layout)}
+                  disabled={loading || filteredOrders.length === 0}
+                  className="btn-secondary flex items-center gap-2"
+                  title={`Download the ${formatIndianNumber(filteredOrders.length, 0)} filtered orders as CSV`}
+                >
+                  <svg
+                    className="w-4 h-4"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth="2"
+                      d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                    />
+                  </svg>
+                  {label} CSV
+                </button>
+              ))}
+
             {/* Refresh button */}
             <button
               onClick={fetchOrders}
@@ -1499,7 +1936,8 @@ function Orders() {
                             View Details
                           </button>
                           {/* Status-specific action buttons */}
-                          {order.status === ORDER_STATUSES.PLACED && (
+                          {canUpdateOrders &&
+                            order.status === ORDER_STATUSES.PLACED && (
                             <>
                               <button
                                 onClick={() =>
@@ -1508,9 +1946,16 @@ function Orders() {
                                     ORDER_STATUSES.APPROVED
                                   )
                                 }
-                                className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-medium hover:bg-green-700 transition-colors"
-                                disabled={processingAction}
-                                title="Approve order"
+                                className="px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-medium hover:bg-green-700 transition-colors disabled:opacity-50"
+                                disabled={
+                                  processingAction ||
+                                  !isPaymentConfirmed(order.payment)
+                                }
+                                title={
+                                  isPaymentConfirmed(order.payment)
+                                    ? "Approve order"
+                                    : PAYMENT_NOT_CONFIRMED_MESSAGE
+                                }
                               >
                                 Approve
                               </button>
@@ -1533,7 +1978,8 @@ function Orders() {
                               </button>
                             </>
                           )}
-                          {order.status === ORDER_STATUSES.APPROVED && (
+                          {canUpdateOrders &&
+                            order.status === ORDER_STATUSES.APPROVED && (
                             <button
                               onClick={() =>
                                 updateOrderStatus(
@@ -1548,7 +1994,8 @@ function Orders() {
                               Mark Packed
                             </button>
                           )}
-                          {order.status === ORDER_STATUSES.PACKED && (
+                          {canUpdateOrders &&
+                            order.status === ORDER_STATUSES.PACKED && (
                             <button
                               onClick={() =>
                                 updateOrderStatus(
@@ -1846,6 +2293,27 @@ function Orders() {
                             }
                           </span>
                         </div>
+                        {selectedOrder.shipping?.method && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Shipping:</span>
+                            <span className="text-white text-right">
+                              {selectedOrder.shipping.method}
+                              {selectedOrder.shipping.carrier &&
+                                ` via ${selectedOrder.shipping.carrier}`}{" "}
+                              (
+                              {selectedOrder.shipping.freeShipping
+                                ? "Free"
+                                : formatPrice(selectedOrder.shipping.cost || 0)}
+                              )
+                              {selectedOrder.shipping.estimatedDelivery && (
+                                <span className="block text-xs text-gray-400">
+                                  Est. delivery{" "}
+                                  {formatDate(selectedOrder.shipping.estimatedDelivery)}
+                                </span>
+                              )}
+                            </span>
+                          </div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-400">Total:</span>
                           <span className="font-bold text-lg text-white">
@@ -1907,6 +2375,26 @@ function Orders() {
                             )}
                           </div>
                         </div>
+                        {selectedOrder.billingAddress && (
+                          <div>
+                            <span className="text-gray-400">Billing Address:</span>
+                            <div className="text-xs mt-1 leading-relaxed text-gray-300">
+                              {selectedOrder.billingAddress.name &&
+                                `${selectedOrder.billingAddress.name}, `}
+                              {selectedOrder.billingAddress.street}
+                              <br />
+                              {[
+                                selectedOrder.billingAddress.city,
+                                selectedOrder.billingAddress.state,
+                                selectedOrder.billingAddress.country,
+                              ]
+                                .filter(Boolean)
+                                .join(", ")}
+                              {selectedOrder.billingAddress.zip &&
+                                ` - ${selectedOrder.billingAddress.zip}`}
+                            </div>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -2006,6 +2494,80 @@ function Orders() {
                           </div>
                         )}
 
+                        <div className="flex justify-between items-center">
+                          <span className="text-gray-400">Payment Status:</span>
+                          <span
+                            className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${
+                              PAYMENT_STATUS_STYLES[
+                                getOrderPayment(selectedOrder.payment).status
+                              ]
+                            }`}
+                          >
+                            {getOrderPayment(selectedOrder.payment).status}
+                          </span>
+                        </div>
+
+                        {selectedOrder.payment?.transactionId && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Transaction ID:</span>
+                            <span className="font-mono text-gray-300 break-all text-right">
+                              {selectedOrder.payment.transactionId}
+                            </span>
+                          </div>
+                        )}
+
+                        {selectedOrder.payment?.failureReason && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Failure:</span>
+                            <span className="text-red-400">
+                              {selectedOrder.payment.failureReason}
+                            </span>
+                          </div>
+                        )}
+
+                        {selectedOrder.payment?.codVerification && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">COD Verified:</span>
+                            <span className="text-gray-300 text-right">
+                              {selectedOrder.payment.codVerification.note} ·{" "}
+                              {new Date(
+                                selectedOrder.payment.codVerification.verifiedAt
+                              ).toLocaleDateString("en-IN")}
+                            </span>
+                          </div>
+                        )}
+
+                        {canUpdateOrders &&
+                          selectedOrder.status === ORDER_STATUSES.PLACED &&
+                          getOrderPayment(selectedOrder.payment).method ===
+                            PAYMENT_METHODS.COD &&
+                          !isPaymentConfirmed(selectedOrder.payment) && (
+                            <button
+                              onClick={() => confirmPayment(selectedOrder)}
+                              disabled={processingAction}
+                              className="w-full px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+                            >
+                              Verify COD Order
+                            </button>
+                          )}
+
+                        {canUpdateOrders &&
+                          getOrderPayment(selectedOrder.payment).status ===
+                            PAYMENT_STATUSES.AUTHORIZED &&
+                          ![
+                            ORDER_STATUSES.CANCELLED,
+                            ORDER_STATUSES.DECLINED,
+                            ORDER_STATUSES.REFUNDED,
+                          ].includes(selectedOrder.status) && (
+                            <button
+                              onClick={() => confirmPayment(selectedOrder)}
+                              disabled={processingAction}
+                              className="w-full px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50"
+                            >
+                              Capture Payment
+                            </button>
+                          )}
+
                         <div className="flex justify-between">
                           <span className="text-gray-400">Subtotal:</span>
                           <span className="text-white">
@@ -2086,6 +2648,252 @@ function Orders() {
                     </div>
                   </div>
 
+                  {/* Return Request */}
+                  {selectedOrder.returnRequest && (
+                    <div>
+                      <h4 className="font-semibold text-white mb-3">
+                        Return Request
+                      </h4>
+                      <div className="card space-y-3">
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-400">Status:</span>
+                          <span className="text-white capitalize">
+                            {selectedOrder.returnRequest.status}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-400">Requested:</span>
+                          <span className="text-white">
+                            {formatDate(selectedOrder.returnRequest.requestedAt)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-gray-400">Reason:</span>
+                          <span className="text-white">
+                            {selectedOrder.returnRequest.reason}
+                          </span>
+                        </div>
+                        {selectedOrder.returnRequest.comments && (
+                          <p className="text-sm text-gray-300 italic">
+                            &ldquo;{selectedOrder.returnRequest.comments}&rdquo;
+                          </p>
+                        )}
+                        <div className="border-t border-gray-700 pt-3 space-y-1">
+                          {selectedOrder.returnRequest.items?.map((item) => (
+                            <div
+                              key={item.productId}
+                              className="flex justify-between text-sm"
+                            >
+                              <span className="text-gray-300">
+                                {item.quantity} × {item.name}
+                              </span>
+                              <span className="text-white">
+                                {formatPrice(item.price * item.quantity)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                        <div className="flex justify-between text-sm font-semibold border-t border-gray-700 pt-3">
+                          <span className="text-gray-300">Refund due:</span>
+                          <span className="text-white">
+                            {formatPrice(
+                              selectedOrder.returnRequest.refundAmount || 0
+                            )}
+                          </span>
+                        </div>
+                        {selectedOrder.returnRequest.rejectionReason && (
+                          <p className="text-sm text-red-400">
+                            Declined: {selectedOrder.returnRequest.rejectionReason}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Refunds */}
+                  {getOrderRefunds(selectedOrder).length > 0 && (
+                    <div>
+                      <h4 className="font-semibold text-white mb-3">
+                        Refunds
+                      </h4>
+                      <div className="card space-y-3">
+                        {getOrderRefunds(selectedOrder).map((refund) => (
+                          <div
+                            key={refund.id}
+                            className="text-sm border-b border-gray-700 pb-3 last:border-b-0 last:pb-0"
+                          >
+                            <div className="flex justify-between">
+                              <span className="text-white font-medium">
+                                {formatPrice(refund.amount)} · {refund.reason}
+                              </span>
+                              <span className="text-gray-400">
+                                {new Date(refund.refundedAt).toLocaleDateString(
+                                  "en-IN"
+                                )}
+                              </span>
+                            </div>
+                            <div className="text-gray-400">
+                              {[
+                                ...refund.items.map(
+                                  (item) =>
+                                    `${item.quantity} × ${item.name}${
+                                      item.restocked ? " (restocked)" : ""
+                                    }`
+                                ),
+                                ...(refund.shipping > 0
+                                  ? [`Shipping ${formatPrice(refund.shipping)}`]
+                                  : []),
+                              ].join(", ")}
+                            </div>
+                          </div>
+                        ))}
+                        <div className="flex justify-between text-sm font-semibold border-t border-gray-700 pt-3">
+                          <span className="text-gray-300">Total refunded:</span>
+                          <span className="text-white">
+                            {formatPrice(selectedOrder.financials.refunded)}
+                          </span>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Tax Documents */}
+                  {(selectedOrder.invoice?.number ||
+                    !NON_INVOICEABLE_STATUSES.includes(selectedOrder.status) ||
+                    selectedOrder.creditNotes?.length > 0) && (
+                    <div>
+                      <h4 className="font-semibold text-white mb-3">
+                        Tax Documents
+                      </h4>
+                      <div className="card space-y-3">
+                        <div className="flex justify-between items-center text-sm">
+                          <div>
+                            <span className="text-gray-400">Tax invoice: </span>
+                            <span className="text-white font-medium">
+                              {selectedOrder.invoice?.number || "Not issued yet"}
+                            </span>
+                          </div>
+                          <button
+                            onClick={() => downloadInvoice(selectedOrder)}
+                            className="btn-secondary"
+                            disabled={
+                              processingAction ||
+                              (!selectedOrder.invoice?.number && !canUpdateOrders)
+                            }
+                          >
+                            {selectedOrder.invoice?.number
+                              ? "Regenerate Invoice"
+                              : "Issue Invoice"}
+                          </button>
+                        </div>
+                        {selectedOrder.creditNotes?.map((creditNote) => (
+                          <div
+                            key={creditNote.number}
+                            className="flex justify-between items-center text-sm border-t border-gray-700 pt-3"
+                          >
+                            <div>
+                              <span className="text-gray-400">Credit note: </span>
+                              <span className="text-white font-medium">
+                                {creditNote.number}
+                              </span>
+                              <span className="text-gray-400">
+                                {" "}
+                                · {formatPrice(creditNote.total)}
+                              </span>
+                            </div>
+                            <button
+                              onClick={() =>
+                                downloadCreditNote(selectedOrder, creditNote)
+                              }
+                              className="btn-secondary"
+                            >
+                              Download
+                            </button>
+                          </div>
+                        ))}
+                        {canRefund &&
+                          selectedOrder.status === ORDER_STATUSES.REFUNDED &&
+                          selectedOrder.invoice?.number &&
+                          !selectedOrder.creditNotes?.length && (
+                            <div className="flex justify-between items-center text-sm border-t border-gray-700 pt-3">
+                              <span className="text-gray-400">
+                                This refund has no credit note.
+                              </span>
+                              <button
+                                onClick={() => issueCreditNote(selectedOrder)}
+                                className="btn-secondary"
+                                disabled={processingAction}
+                              >
+                                Issue Credit Note
+                              </button>
+                            </div>
+                          )}
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Emails */}
+                  {orderEmails.length > 0 && (
+                    <div>
+                      <h4 className="font-semibold text-white mb-3">Emails</h4>
+                      <div className="card space-y-3">
+                        {orderEmails.map((email) => (
+                          <div
+                            key={email.id}
+                            className="flex justify-between items-start gap-4 text-sm border-b border-gray-700 pb-3 last:border-b-0 last:pb-0"
+                          >
+                            <div className="min-w-0">
+                              <div className="text-white font-medium truncate">
+                                {email.subject}
+                              </div>
+                              <div className="text-gray-400">
+                                {email.to} ·{" "}
+                                {email.status === EMAIL_STATUSES.SENT
+                                  ? `Sent ${new Date(email.sentAt).toLocaleString("en-IN")}`
+                                  : `${email.attempts} attempt${
+                                      email.attempts === 1 ? "" : "s"
+                                    }`}
+                                {email.status === EMAIL_STATUSES.PENDING &&
+                                  email.attempts > 0 &&
+                                  ` · next retry ${new Date(
+                                    email.nextAttemptAt
+                                  ).toLocaleString("en-IN")}`}
+                              </div>
+                              {email.lastError &&
+                                email.status !== EMAIL_STATUSES.SENT && (
+                                  <div className="text-red-400">
+                                    {email.lastError}
+                                  </div>
+                                )}
+                            </div>
+                            <div className="flex items-center gap-2 shrink-0">
+                              <span
+                                className={`px-2 py-1 rounded-full text-xs font-medium ${
+                                  EMAIL_STATUS_STYLES[email.status] ||
+                                  "bg-gray-500/20 text-gray-300"
+                                }`}
+                              >
+                                {email.status}
+                              </span>
+                              <button
+                                onClick={() => handleResendEmail(email)}
+                                className="btn-secondary"
+                                disabled={
+                                  resendingEmailId !== null ||
+                                  email.status === EMAIL_STATUSES.SENDING
+                                }
+                              >
+                                {resendingEmailId === email.id
+                                  ? "Sending..."
+                                  : "Resend"}
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Status History */}
                   <div>
                     <h4 className="font-semibold text-white mb-3">
@@ -2155,7 +2963,8 @@ function Orders() {
                         Close
                       </button>
 
-                      {selectedOrder.status === ORDER_STATUSES.PLACED && (
+                      {canUpdateOrders &&
+                        selectedOrder.status === ORDER_STATUSES.PLACED && (
                         <>
                           <button
                             onClick={() =>
@@ -2164,8 +2973,16 @@ function Orders() {
                                 ORDER_STATUSES.APPROVED
                               )
                             }
-                            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
-                            disabled={processingAction}
+                            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                            disabled={
+                              processingAction ||
+                              !isPaymentConfirmed(selectedOrder.payment)
+                            }
+                            title={
+                              isPaymentConfirmed(selectedOrder.payment)
+                                ? undefined
+                                : PAYMENT_NOT_CONFIRMED_MESSAGE
+                            }
                           >
                             Approve Order
                           </button>
@@ -2184,7 +3001,8 @@ function Orders() {
                         </>
                       )}
 
-                      {selectedOrder.status === ORDER_STATUSES.APPROVED && (
+                      {canUpdateOrders &&
+                        selectedOrder.status === ORDER_STATUSES.APPROVED && (
                         <button
                           onClick={() =>
                             updateOrderStatus(
@@ -2199,7 +3017,8 @@ function Orders() {
                         </button>
                       )}
 
-                      {selectedOrder.status === ORDER_STATUSES.PACKED && (
+                      {canUpdateOrders &&
+                        selectedOrder.status === ORDER_STATUSES.PACKED && (
                         <button
                           onClick={() =>
                             updateOrderStatus(
@@ -2213,6 +3032,67 @@ function Orders() {
                           Mark as Delivered
                         </button>
                       )}
+
+                      {canHandleReturns &&
+                        selectedOrder.status ===
+                          ORDER_STATUSES.RETURN_REQUESTED && (
+                        <>
+                          <button
+                            onClick={() =>
+                              updateReturnStatus(
+                                selectedOrder,
+                                ORDER_STATUSES.RETURN_APPROVED
+                              )
+                            }
+                            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                            disabled={processingAction}
+                          >
+                            Approve Return
+                          </button>
+                          <button
+                            onClick={() =>
+                              updateReturnStatus(
+                                selectedOrder,
+                                ORDER_STATUSES.DELIVERED
+                              )
+                            }
+                            className="btn-destructive"
+                            disabled={processingAction}
+                          >
+                            Decline Return
+                          </button>
+                        </>
+                      )}
+
+                      {canHandleReturns &&
+                        selectedOrder.status ===
+                          ORDER_STATUSES.RETURN_APPROVED && (
+                        <button
+                          onClick={() =>
+                            updateReturnStatus(
+                              selectedOrder,
+                              ORDER_STATUSES.RETURN_RECEIVED
+                            )
+                          }
+                          className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700"
+                          disabled={processingAction}
+                        >
+                          Mark Items Received
+                        </button>
+                      )}
+
+                      {canRefund && canRefundOrder(selectedOrder) && (
+                        <button
+                          onClick={() => setRefundingOrder(selectedOrder)}
+                          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                          disabled={processingAction}
+                        >
+                          {selectedOrder.status ===
+                          ORDER_STATUSES.RETURN_RECEIVED
+                            ? "Issue Refund"
+                            : "Refund"}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -2221,6 +3101,17 @@ function Orders() {
           </div>
         </div>
       )}
+
+      {refundingOrder && (
+        <RefundModal
+          order={refundingOrder}
+          onClose={() => setRefundingOrder(null)}
+          onRefunded={(changes) => {
+            mergeOrderChanges(refundingOrder.id, changes);
+            setRefundingOrder(null);
+          }}
+        />
+      )}
     </div>
   );
 }
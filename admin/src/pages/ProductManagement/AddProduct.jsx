@@ -3,8 +3,8 @@
 import { useState, useEffect } from "react";
 import {
   doc,
-  setDoc,
   getDoc,
+  writeBatch,
   collection,
   getDocs,
   query,
@@ -13,6 +13,16 @@ import {
 import { db } from "../../firebase";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-toastify"; // Added for better error messaging
+import AdminInventoryService, {
+  LEDGER_REASONS,
+} from "../../utils/inventoryService";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  GST_SLABS,
+  isValidHsnCode,
+  toStoredGstRate,
+} from "../../utils/gstUtils";
+import { toStoredWeight } from "../../utils/shippingService";
 
 /**
  * AddProduct Component
@@ -20,6 +30,7 @@ import { toast } from "react-toastify"; // Added for better error messaging
  * Enhanced with additional features for comprehensive product information
  */
 const AddProduct = () => {
+  const { user } = useAuth();
   const [newProduct, setNewProduct] = useState({
     name: "",
     description: "",
@@ -35,6 +46,9 @@ const AddProduct = () => {
     tags: [],
     slug: "",
     origin: "",
+    gstRate: "",
+    hsnCode: "",
+    weight: "",
     additionalInfo: "",
     warranty: { available: false, period: "", details: "" },
     guarantee: { available: false, period: "", details: "" },
@@ -133,6 +147,11 @@ const AddProduct = () => {
       return;
     }
 
+    if (newProduct.hsnCode.trim() && !isValidHsnCode(newProduct.hsnCode)) {
+      toast.error("HSN code must have 4, 6 or 8 digits!");
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       setSubmissionStatus("submitting");
@@ -152,12 +171,30 @@ const AddProduct = () => {
         mrp: Number(newProduct.mrp || newProduct.sellingPrice),
         price: Number(newProduct.sellingPrice || newProduct.price),
         stock: Number(newProduct.stock || 0),
+        gstRate: toStoredGstRate(newProduct.gstRate),
+        hsnCode: newProduct.hsnCode.trim(),
+        weight: toStoredWeight(newProduct.weight),
         createdAt: new Date(),
       };
 
-      // Use setDoc with a specific document ID (the slug) instead of addDoc
+      // Use a specific document ID (the slug) instead of addDoc, and log the
+      // opening stock to the inventory ledger in the same batch
       const productRef = doc(db, "products", formattedSlug);
-      await setDoc(productRef, productToSave);
+      const batch = writeBatch(db);
+      batch.set(productRef, productToSave);
+      if (productToSave.stock !== 0) {
+        AdminInventoryService.addLedgerEntry(batch, {
+          productId: formattedSlug,
+          productName: productToSave.name,
+          delta: productToSave.stock,
+          previousStock: 0,
+          newStock: productToSave.stock,
+          reason: LEDGER_REASONS.MANUAL_EDIT,
+          note: "Opening stock",
+          actor: user?.uid || "admin",
+        });
+      }
+      await batch.commit();
 
       setSubmissionStatus("success");
       toast.success("Product added successfully!");
@@ -438,6 +475,76 @@ const AddProduct = () => {
           </div>
         </div>
 
+        {/* Tax Section */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b border-gray-600 pb-2 text-white">
+            Tax
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">
+                GST Rate
+              </label>
+              <select
+                className="border border-gray-600 bg-gray-700 text-white p-2 mb-4 w-full rounded focus:border-blue-500 focus:outline-none"
+                value={newProduct.gstRate}
+                onChange={(e) =>
+                  setNewProduct({ ...newProduct, gstRate: e.target.value })
+                }
+              >
+                <option value="">Use category rate</option>
+                {GST_SLABS.map((rate) => (
+                  <option key={rate} value={rate}>
+                    {rate}%
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">
+                HSN Code
+              </label>
+              <input
+                className="border border-gray-600 bg-gray-700 text-white p-2 mb-4 w-full rounded focus:border-blue-500 focus:outline-none"
+                placeholder="Leave empty to use the category code"
+                value={newProduct.hsnCode}
+                onChange={(e) =>
+                  setNewProduct({ ...newProduct, hsnCode: e.target.value })
+                }
+              />
+              {newProduct.hsnCode.trim() && !isValidHsnCode(newProduct.hsnCode) && (
+                <div className="text-red-400 text-sm">
+                  HSN codes have 4, 6 or 8 digits
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Shipping Section */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b border-gray-600 pb-2 text-white">
+            Shipping
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-300 text-sm font-bold mb-2">
+                Shipping Weight (grams)
+              </label>
+              <input
+                type="number"
+                min="0"
+                className="border border-gray-600 bg-gray-700 text-white p-2 mb-4 w-full rounded focus:border-blue-500 focus:outline-none"
+                placeholder="Leave empty to use the default item weight"
+                value={newProduct.weight}
+                onChange={(e) =>
+                  setNewProduct({ ...newProduct, weight: e.target.value })
+                }
+              />
+            </div>
+          </div>
+        </div>
+
         {/* Tags Section */}
         <div className="mb-6">
           <h2 className="text-xl font-semibold mb-4 border-b border-gray-600 pb-2 text-white">
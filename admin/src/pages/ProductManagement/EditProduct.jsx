@@ -1,10 +1,9 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import {
   doc,
   getDoc,
-  updateDoc,
   collection,
   getDocs,
   query,
@@ -12,6 +11,25 @@ import {
 } from "firebase/firestore";
 import { db } from "../../firebase";
 import { useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import AdminInventoryService, {
+  LEDGER_REASONS,
+} from "../../utils/inventoryService";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  GST_SLABS,
+  isValidHsnCode,
+  toStoredGstRate,
+} from "../../utils/gstUtils";
+import { toStoredWeight } from "../../utils/shippingService";
+
+const LEDGER_REASON_LABELS = {
+  [LEDGER_REASONS.SALE]: "Sale",
+  [LEDGER_REASONS.CANCELLATION]: "Cancellation",
+  [LEDGER_REASONS.RETURN]: "Return",
+  [LEDGER_REASONS.RESTOCK]: "Restock",
+  [LEDGER_REASONS.MANUAL_EDIT]: "Manual edit",
+};
 
 /**
  * EditProduct Component
@@ -25,8 +43,11 @@ const EditProduct = () => {
   const [tagInput, setTagInput] = useState("");
   const [categories, setCategories] = useState([]);
   const [loadingCategories, setLoadingCategories] = useState(true);
+  const [stockHistory, setStockHistory] = useState(null);
+  const [isReconciling, setIsReconciling] = useState(false);
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   useEffect(() => {
     const fetchCategories = async () => {
@@ -71,6 +92,9 @@ const EditProduct = () => {
           sellingPrice: productData.sellingPrice || productData.price || 0,
           tags: productData.tags || [],
           origin: productData.origin || "",
+          gstRate: productData.gstRate ?? "",
+          hsnCode: productData.hsnCode || "",
+          weight: productData.weight ?? "",
           warranty: productData.warranty || {
             available: false,
             period: "",
@@ -95,17 +119,73 @@ const EditProduct = () => {
     fetchProduct();
   }, [id]);
 
+  /**
+   * Fetch the product's stock ledger and its reconciliation figures
+   */
+  const fetchStockHistory = useCallback(async () => {
+    const result = await AdminInventoryService.getProductStockHistory(id);
+    setStockHistory(result.success ? result : null);
+  }, [id]);
+
+  useEffect(() => {
+    fetchStockHistory();
+  }, [fetchStockHistory]);
+
+  /**
+   * Record a ledger adjustment so the ledger total matches the current stock
+   */
+  const handleReconcile = async () => {
+    const note = window.prompt(
+      `Record an adjustment of ${stockHistory.difference > 0 ? "+" : ""}${stockHistory.difference} so the ledger matches the current stock? Add a note (optional):`,
+      ""
+    );
+    if (note === null) return;
+
+    setIsReconciling(true);
+    const result = await AdminInventoryService.reconcileProductStock(
+      id,
+      note.trim(),
+      user?.uid || "admin"
+    );
+    setIsReconciling(false);
+
+    if (!result.success) {
+      toast.error(`Failed to reconcile stock: ${result.error}`);
+      return;
+    }
+
+    toast.success("Ledger reconciled with current stock");
+    fetchStockHistory();
+  };
+
   /**
    * Handle product update submission
    * Includes loading state and success/error feedback
    */
   const handleUpdateProduct = async () => {
+    if (product.hsnCode.trim() && !isValidHsnCode(product.hsnCode)) {
+      toast.error("HSN code must have 4, 6 or 8 digits");
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       setSubmissionStatus("submitting");
 
-      const productRef = doc(db, "products", id);
-      await updateDoc(productRef, product);
+      // Stock changes are logged to the inventory ledger as manual edits
+      const result = await AdminInventoryService.updateProductWithStock(
+        id,
+        {
+          ...product,
+          gstRate: toStoredGstRate(product.gstRate),
+          hsnCode: product.hsnCode.trim(),
+          weight: toStoredWeight(product.weight),
+        },
+        user?.uid || "admin"
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
       setSubmissionStatus("success");
 
@@ -281,6 +361,74 @@ const EditProduct = () => {
           </div>
         </div>
 
+        {/* Tax Section */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b pb-2">Tax</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">
+                GST Rate
+              </label>
+              <select
+                className="border p-2 mb-4 w-full rounded"
+                value={product.gstRate}
+                onChange={(e) =>
+                  setProduct({ ...product, gstRate: e.target.value })
+                }
+              >
+                <option value="">Use category rate</option>
+                {GST_SLABS.map((rate) => (
+                  <option key={rate} value={rate}>
+                    {rate}%
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">
+                HSN Code
+              </label>
+              <input
+                className="border p-2 mb-4 w-full rounded"
+                placeholder="Leave empty to use the category code"
+                value={product.hsnCode}
+                onChange={(e) =>
+                  setProduct({ ...product, hsnCode: e.target.value })
+                }
+              />
+              {product.hsnCode.trim() && !isValidHsnCode(product.hsnCode) && (
+                <div className="text-red-600 text-sm">
+                  HSN codes have 4, 6 or 8 digits
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Shipping Section */}
+        <div className="mb-6">
+          <h2 className="text-xl font-semibold mb-4 border-b pb-2">
+            Shipping
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2">
+                Shipping Weight (grams)
+              </label>
+              <input
+                type="number"
+                min="0"
+                className="border p-2 mb-4 w-full rounded"
+                placeholder="Leave empty to use the default item weight"
+                value={product.weight}
+                onChange={(e) =>
+                  setProduct({ ...product, weight: e.target.value })
+                }
+              />
+            </div>
+          </div>
+        </div>
+
         {/* Tags Section */}
         <div className="mb-6">
           <h2 className="text-xl font-semibold mb-4 border-b pb-2">
@@ -693,6 +841,117 @@ const EditProduct = () => {
             : "Update Product"}
         </button>
       </div>
+
+      {/* Stock History */}
+      <div className="shadow-md rounded p-6 mb-6">
+        <h2 className="text-xl font-semibold mb-4 border-b pb-2">
+          Stock History
+        </h2>
+        {!stockHistory ? (
+          <p className="text-gray-500 text-sm">Stock history unavailable</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div className="p-3 rounded border">
+                <p className="text-sm text-gray-500">Current stock</p>
+                <p className="text-xl font-bold">{stockHistory.stock}</p>
+              </div>
+              <div className="p-3 rounded border">
+                <p className="text-sm text-gray-500">Ledger total</p>
+                <p className="text-xl font-bold">{stockHistory.ledgerTotal}</p>
+              </div>
+              <div
+                className={`p-3 rounded border ${
+                  stockHistory.difference === 0
+                    ? "border-green-500"
+                    : "border-yellow-500"
+                }`}
+              >
+                <p className="text-sm text-gray-500">Difference</p>
+                <p
+                  className={`text-xl font-bold ${
+                    stockHistory.difference === 0
+                      ? "text-green-500"
+                      : "text-yellow-500"
+                  }`}
+                >
+                  {stockHistory.difference > 0 ? "+" : ""}
+                  {stockHistory.difference}
+                </p>
+                {stockHistory.difference !== 0 && (
+                  <button
+                    onClick={handleReconcile}
+                    disabled={isReconciling}
+                    className="mt-2 px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+                  >
+                    {isReconciling ? "Reconciling..." : "Reconcile"}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {stockHistory.entries.length === 0 ? (
+              <p className="text-gray-500 text-sm">
+                No stock changes recorded yet
+              </p>
+            ) : (
+              <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-500">
+                      <th className="py-2 pr-4">When</th>
+                      <th className="py-2 pr-4">Change</th>
+                      <th className="py-2 pr-4">Stock</th>
+                      <th className="py-2 pr-4">Reason</th>
+                      <th className="py-2 pr-4">Order</th>
+                      <th className="py-2 pr-4">By</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stockHistory.entries.map((entry) => (
+                      <tr key={entry.id} className="border-b">
+                        <td className="py-2 pr-4 text-gray-500">
+                          {entry.createdAt
+                            ? entry.createdAt.toLocaleString()
+                            : "—"}
+                        </td>
+                        <td
+                          className={`py-2 pr-4 font-semibold ${
+                            entry.delta > 0
+                              ? "text-green-500"
+                              : entry.delta < 0
+                              ? "text-red-500"
+                              : "text-gray-500"
+                          }`}
+                        >
+                          {entry.delta > 0 ? `+${entry.delta}` : entry.delta}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-500">
+                          {entry.previousStock ?? "—"} → {entry.newStock ?? "—"}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {LEDGER_REASON_LABELS[entry.reason] || entry.reason}
+                          {entry.note && (
+                            <div className="text-xs text-gray-500">
+                              {entry.note}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 font-mono text-xs">
+                          {entry.orderId || "—"}
+                        </td>
+                        <td className="py-2 pr-4 font-mono text-xs">
+                          {entry.actor}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
     </div>
   );
 };
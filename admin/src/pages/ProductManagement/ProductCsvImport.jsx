@@ -0,0 +1,290 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import AdminProductImportService, {
+  PRODUCT_CSV_FIELDS,
+  IMPORT_ACTIONS,
+  TAG_SEPARATOR,
+} from "../../utils/productImportService";
+import { parseCsv, downloadCsv } from "../../utils/csvUtils";
+import { useAuth } from "../../contexts/AuthContext";
+
+const ACTION_BADGES = {
+  [IMPORT_ACTIONS.CREATE]: { label: "Create", className: "bg-green-500/10 text-green-400 border border-green-500/20" },
+  [IMPORT_ACTIONS.UPDATE]: { label: "Update", className: "bg-blue-500/10 text-blue-400 border border-blue-500/20" },
+  [IMPORT_ACTIONS.ERROR]: { label: "Error", className: "bg-red-500/10 text-red-400 border border-red-500/20" },
+};
+
+/**
+ * ProductCsvImport Component
+ *
+ * Three-step spreadsheet import for ProductManager
+ * - Upload a CSV or tab-separated file exported from a spreadsheet
+ * - Map its columns onto product fields
+ * - Preview creates, updates and row errors, then apply the valid rows
+ *
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the import panel is closed
+ * @param {Function} props.onImported - Called after rows have been saved
+ * @returns {JSX.Element} The import panel
+ */
+const ProductCsvImport = ({ onClose, onImported }) => {
+  const { user } = useAuth();
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+
+  const counts = useMemo(() => {
+    const totals = { create: 0, update: 0, error: 0 };
+    (preview || []).forEach((row) => {
+      totals[row.action] += 1;
+    });
+    return totals;
+  }, [preview]);
+
+  /**
+   * Read the chosen file and guess the column mapping
+   */
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseCsv(String(reader.result || ""));
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        toast.error("The file has no data rows");
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRows(parsed.rows);
+      setMapping(AdminProductImportService.autoMapColumns(parsed.headers));
+      setPreview(null);
+    };
+    reader.onerror = () => toast.error("Could not read the file");
+    reader.readAsText(file);
+  };
+
+  /**
+   * Change the field a column maps to; a field can only be mapped once
+   */
+  const handleMappingChange = (column, key) => {
+    setMapping((prev) =>
+      prev.map((current, index) => {
+        if (index === column) return key;
+        return key && current === key ? "" : current;
+      })
+    );
+    setPreview(null);
+  };
+
+  /**
+   * Validate the rows against the live catalog
+   */
+  const handlePreview = async () => {
+    if (!mapping.includes("slug") && !mapping.includes("name")) {
+      toast.error("Map a Slug or Name column so rows can be matched to products");
+      return;
+    }
+
+    setIsWorking(true);
+    const catalog = await AdminProductImportService.loadCatalog();
+    setIsWorking(false);
+
+    if (!catalog.success) {
+      toast.error("Failed to load the catalog for validation");
+      return;
+    }
+    setPreview(AdminProductImportService.buildImportPreview(rows, mapping, catalog));
+  };
+
+  /**
+   * Save every valid row
+   */
+  const handleApply = async () => {
+    const confirmApply = window.confirm(
+      `Create ${counts.create} and update ${counts.update} products?` +
+        (counts.error > 0 ? ` ${counts.error} rows with errors will be skipped.` : "")
+    );
+    if (!confirmApply) return;
+
+    setIsWorking(true);
+    const result = await AdminProductImportService.applyImport(preview, user?.uid || "admin");
+    setIsWorking(false);
+
+    if (!result.success) {
+      toast.error(
+        `Import stopped: ${result.error}. ${result.created + result.updated} products were saved before the error.`
+      );
+      onImported();
+      return;
+    }
+
+    toast.success(`Import complete: ${result.created} created, ${result.updated} updated`);
+    onImported();
+    onClose();
+  };
+
+  /**
+   * Download an empty file with every supported column
+   */
+  const handleDownloadTemplate = () => {
+    downloadCsv("product-import-template.csv", [PRODUCT_CSV_FIELDS.map((field) => field.key)]);
+  };
+
+  const visibleRows = (preview || []).filter(
+    (row) => !showErrorsOnly || row.action === IMPORT_ACTIONS.ERROR
+  );
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-lg mb-6 border border-gray-700">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-white">Import Products</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={handleDownloadTemplate}
+            className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+          >
+            Download Template
+          </button>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      {/* Step 1: file */}
+      <div className="mb-4">
+        <label className="block text-gray-300 text-sm font-bold mb-2">
+          Spreadsheet file (CSV or tab-separated, first row as headers)
+        </label>
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+          onChange={handleFileChange}
+          className="text-gray-300 text-sm"
+        />
+        <p className="text-xs text-gray-400 mt-1">
+          Save Excel or Google Sheets files as CSV first. Separate tags with &quot;{TAG_SEPARATOR}&quot;.
+          Categories can be given by name or ID. Empty cells keep the existing value when updating.
+        </p>
+      </div>
+
+      {/* Step 2: mapping */}
+      {headers.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold text-white mb-2">
+            Map Columns <span className="text-sm text-gray-400 font-normal">({fileName}, {rows.length} rows)</span>
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            {headers.map((header, column) => (
+              <div key={`${header}-${column}`} className="flex items-center gap-2">
+                <span className="text-gray-300 text-sm w-1/2 truncate" title={header}>
+                  {header || `Column ${column + 1}`}
+                </span>
+                <select
+                  value={mapping[column] || ""}
+                  onChange={(e) => handleMappingChange(column, e.target.value)}
+                  className="w-1/2 p-1 text-sm border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none"
+                >
+                  <option value="">Ignore</option>
+                  {PRODUCT_CSV_FIELDS.map((field) => (
+                    <option key={field.key} value={field.key}>
+                      {field.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={handlePreview}
+            disabled={isWorking}
+            className="mt-4 px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+          >
+            {isWorking && !preview ? "Checking..." : "Preview Import"}
+          </button>
+        </div>
+      )}
+
+      {/* Step 3: preview */}
+      {preview && (
+        <div>
+          <div className="flex flex-wrap items-center gap-4 mb-2">
+            <span className="text-green-400 text-sm">{counts.create} to create</span>
+            <span className="text-blue-400 text-sm">{counts.update} to update</span>
+            <span className="text-red-400 text-sm">{counts.error} with errors</span>
+            <label className="flex items-center gap-2 text-gray-300 text-sm">
+              <input
+                type="checkbox"
+                checked={showErrorsOnly}
+                onChange={(e) => setShowErrorsOnly(e.target.checked)}
+              />
+              Errors only
+            </label>
+          </div>
+          <div className="max-h-96 overflow-y-auto border border-gray-700 rounded mb-4">
+            <table className="min-w-full">
+              <thead className="bg-gray-700 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-gray-300 font-semibold text-sm">Row</th>
+                  <th className="px-3 py-2 text-left text-gray-300 font-semibold text-sm">Action</th>
+                  <th className="px-3 py-2 text-left text-gray-300 font-semibold text-sm">Slug</th>
+                  <th className="px-3 py-2 text-left text-gray-300 font-semibold text-sm">Name</th>
+                  <th className="px-3 py-2 text-left text-gray-300 font-semibold text-sm">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {visibleRows.map((row) => (
+                  <tr key={row.rowNumber}>
+                    <td className="px-3 py-2 text-gray-400 text-sm">{row.rowNumber}</td>
+                    <td className="px-3 py-2">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${ACTION_BADGES[row.action].className}`}>
+                        {ACTION_BADGES[row.action].label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-300 text-sm font-mono">{row.slug || "—"}</td>
+                    <td className="px-3 py-2 text-white text-sm">{row.name || "—"}</td>
+                    <td className="px-3 py-2 text-sm">
+                      {row.errors.length > 0 ? (
+                        <ul className="text-red-400 list-disc list-inside">
+                          {row.errors.map((error) => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-gray-400">
+                          {Object.keys(row.fields).length} fields
+                          {row.fields.stock !== undefined && row.fields.stock !== row.previousStock &&
+                            ` · stock ${row.previousStock} → ${row.fields.stock}`}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={handleApply}
+            disabled={isWorking || counts.create + counts.update === 0}
+            className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200 disabled:opacity-50"
+          >
+            {isWorking ? "Importing..." : `Apply ${counts.create + counts.update} Rows`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductCsvImport;
@@ -13,6 +13,12 @@ import {
 } from "firebase/firestore";
 import { db } from "../../firebase";
 import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import ProductCsvImport from "./ProductCsvImport";
+import AdminProductImportService from "../../utils/productImportService";
+import { downloadCsv } from "../../utils/csvUtils";
+import { useAuth } from "../../contexts/AuthContext";
+import { PERMISSIONS } from "../../utils/roleService";
 
 /**
  * ProductManager Component
@@ -20,6 +26,9 @@ import { Link } from "react-router-dom";
  * Implements API rate limiting by loading products in chunks
  */
 const ProductManager = () => {
+  const { can } = useAuth();
+  const canWriteProducts = can(PERMISSIONS.PRODUCTS_WRITE); // Add, edit, delete and import
+
   // State variables
   const [products, setProducts] = useState([]); // Store loaded products
   const [searchTerm, setSearchTerm] = useState(""); // Search filter text
@@ -29,6 +38,8 @@ const ProductManager = () => {
   const [productsPerPage] = useState(5); // Number of products to load per page
   const [isDeleting, setIsDeleting] = useState(false); // Delete operation state
   const [categories, setCategories] = useState({});
+  const [showImport, setShowImport] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   /**
    * Fetch categories to display names instead of IDs
@@ -175,17 +186,55 @@ const ProductManager = () => {
     })}`;
   };
 
+  /**
+   * Check whether a product matches the search term by name or category
+   * @param {Object} product - Product to check
+   * @returns {boolean} - Whether the product should be listed
+   */
+  const matchesSearch = (product) =>
+    product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (categories[product.category] &&
+      categories[product.category]
+        .toLowerCase()
+        .includes(searchTerm.toLowerCase()));
+
   /**
    * Filter products based on search term
    */
-  const filteredProducts = products.filter(
-    (product) =>
-      product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (categories[product.category] &&
-        categories[product.category]
-          .toLowerCase()
-          .includes(searchTerm.toLowerCase()))
-  );
+  const filteredProducts = products.filter(matchesSearch);
+
+  /**
+   * Export every product matching the current search as CSV
+   * Reads the whole catalog rather than only the pages loaded so far
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const snapshot = await getDocs(
+        query(collection(db, "products"), orderBy("name"))
+      );
+      const allProducts = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter(matchesSearch);
+
+      if (allProducts.length === 0) {
+        toast.info("No products match the current search");
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      downloadCsv(
+        `products-${date}.csv`,
+        AdminProductImportService.buildExportRows(allProducts, categories)
+      );
+      toast.success(`Exported ${allProducts.length} products`);
+    } catch (error) {
+      console.error("Error exporting products:", error);
+      toast.error("Failed to export products");
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
   /**
    * Reset search and fetch initial products
@@ -201,12 +250,33 @@ const ProductManager = () => {
 
       {/* Action buttons */}
       <div className="flex flex-wrap gap-2 mb-4">
-        <Link
-          to="/products/add"
-          className="inline-block px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200"
+        {canWriteProducts && (
+          <>
+            <Link
+              to="/products/add"
+              className="inline-block px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200"
+            >
+              Add New Product
+            </Link>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="inline-block px-4 py-2 bg-purple-500 text-white rounded hover:bg-purple-600 transition duration-200"
+            >
+              {showImport ? "Cancel Import" : "Import CSV"}
+            </button>
+          </>
+        )}
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className="inline-block px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
         >
-          Add New Product
-        </Link>
+          {isExporting
+            ? "Exporting..."
+            : searchTerm
+            ? "Export Filtered CSV"
+            : "Export CSV"}
+        </button>
         {searchTerm && (
           <button
             onClick={handleClearSearch}
@@ -217,6 +287,13 @@ const ProductManager = () => {
         )}
       </div>
 
+      {canWriteProducts && showImport && (
+        <ProductCsvImport
+          onClose={() => setShowImport(false)}
+          onImported={fetchInitialProducts}
+        />
+      )}
+
       {/* Search bar */}
       <div className="mb-4 relative">
         <input
@@ -265,9 +342,11 @@ const ProductManager = () => {
                   <th className="px-4 py-3 text-left text-gray-300 font-semibold">
                     Price ($)
                   </th>
-                  <th className="px-4 py-3 text-left text-gray-300 font-semibold">
-                    Actions
-                  </th>
+                  {canWriteProducts && (
+                    <th className="px-4 py-3 text-left text-gray-300 font-semibold">
+                      Actions
+                    </th>
+                  )}
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-700">
@@ -315,23 +394,25 @@ const ProductManager = () => {
                         formatPrice(product.price)
                       )}
                     </td>
-                    <td className="px-4 py-3">
-                      <div className="flex gap-2">
-                        <Link
-                          to={`/products/edit/${product.id}`}
-                          className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200"
-                        >
-                          Edit
-                        </Link>
-                        <button
-                          onClick={() => handleDeleteProduct(product.id)}
-                          className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600 transition duration-200"
-                          disabled={isDeleting}
-                        >
-                          {isDeleting ? "..." : "Delete"}
-                        </button>
-                      </div>
-                    </td>
+                    {canWriteProducts && (
+                      <td className="px-4 py-3">
+                        <div className="flex gap-2">
+                          <Link
+                            to={`/products/edit/${product.id}`}
+                            className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200"
+                          >
+                            Edit
+                          </Link>
+                          <button
+                            onClick={() => handleDeleteProduct(product.id)}
+                            className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600 transition duration-200"
+                            disabled={isDeleting}
+                          >
+                            {isDeleting ? "..." : "Delete"}
+                          </button>
+                        </div>
+                      </td>
+                    )}
                   </tr>
                 ))}
               </tbody>
@@ -382,8 +463,10 @@ const ProductManager = () => {
           <p className="text-lg mb-2">No products found</p>
           {searchTerm ? (
             <p>Try clearing your search or adding a new product.</p>
-          ) : (
+          ) : canWriteProducts ? (
             <p>Get started by adding your first product.</p>
+          ) : (
+            <p>No products have been added yet.</p>
           )}
         </div>
       )}
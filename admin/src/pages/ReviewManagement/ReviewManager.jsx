@@ -0,0 +1,393 @@
+"use client";
+
+import { useEffect, useState, useCallback, useMemo } from "react";
+import { toast } from "react-toastify";
+import { useAuth } from "../../contexts/AuthContext";
+import AdminReviewService, { REVIEW_STATUSES } from "../../utils/reviewService";
+
+const STATUS_BADGES = {
+  [REVIEW_STATUSES.PENDING]: "bg-yellow-500/10 text-yellow-400 border border-yellow-500/20",
+  [REVIEW_STATUSES.APPROVED]: "bg-green-500/10 text-green-400 border border-green-500/20",
+  [REVIEW_STATUSES.HIDDEN]: "bg-red-500/10 text-red-400 border border-red-500/20",
+};
+
+/**
+ * ReviewManager Component
+ *
+ * Moderation queue for customer product reviews
+ * Features:
+ * - Filter reviews by product, rating, status, reports and date
+ * - Approve, hide or delete reviews
+ * - Show customer reports and dismiss them
+ * - Post a public store response on a review
+ *
+ * @returns {JSX.Element} The Review Manager component
+ */
+const ReviewManager = () => {
+  const { user } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [processingId, setProcessingId] = useState(null);
+  const [respondingTo, setRespondingTo] = useState(null);
+  const [responseText, setResponseText] = useState("");
+  const [expandedReports, setExpandedReports] = useState(null);
+  const [filters, setFilters] = useState({
+    status: REVIEW_STATUSES.PENDING,
+    productId: "all",
+    rating: "all",
+    reportedOnly: false,
+    startDate: "",
+    endDate: "",
+    sortBy: "newest",
+  });
+
+  const adminUserId = user?.uid || "admin";
+
+  /**
+   * Fetch all reviews from Firestore
+   */
+  const fetchReviews = useCallback(async () => {
+    setIsLoading(true);
+    const result = await AdminReviewService.getAllReviews();
+    if (result.success) {
+      setReviews(result.reviews);
+      setProducts(result.products.sort((a, b) => a.name.localeCompare(b.name)));
+    } else {
+      toast.error("Failed to fetch reviews");
+    }
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  /**
+   * Handle filter changes
+   */
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  /**
+   * Approve or hide a review
+   */
+  const handleStatusChange = async (review, newStatus) => {
+    setProcessingId(review.id);
+    const result = await AdminReviewService.updateReviewStatus(review.id, newStatus, adminUserId);
+    if (result.success) {
+      setReviews((prev) => prev.map((r) => (r.id === review.id ? { ...r, status: newStatus } : r)));
+      toast.success(`Review ${newStatus === REVIEW_STATUSES.APPROVED ? "approved" : "hidden"}`);
+    } else {
+      toast.error(`Failed to update review: ${result.error}`);
+    }
+    setProcessingId(null);
+  };
+
+  /**
+   * Delete a review after confirmation
+   */
+  const handleDelete = async (review) => {
+    const confirmDelete = window.confirm(
+      `Are you sure you want to delete this review by ${review.userName || "a customer"}? This action cannot be undone.`
+    );
+    if (!confirmDelete) return;
+
+    setProcessingId(review.id);
+    const result = await AdminReviewService.deleteReview(review.id);
+    if (result.success) {
+      setReviews((prev) => prev.filter((r) => r.id !== review.id));
+      toast.success("Review deleted successfully!");
+    } else {
+      toast.error(`Failed to delete review: ${result.error}`);
+    }
+    setProcessingId(null);
+  };
+
+  /**
+   * Dismiss customer reports on a review
+   */
+  const handleDismissReports = async (review) => {
+    setProcessingId(review.id);
+    const result = await AdminReviewService.dismissReports(review.id, adminUserId);
+    if (result.success) {
+      setReviews((prev) => prev.map((r) => (r.id === review.id ? { ...r, reports: [], reportCount: 0 } : r)));
+      setExpandedReports(null);
+      toast.success("Reports dismissed");
+    } else {
+      toast.error(`Failed to dismiss reports: ${result.error}`);
+    }
+    setProcessingId(null);
+  };
+
+  /**
+   * Open the store response editor for a review
+   */
+  const startResponse = (review) => {
+    setRespondingTo(review.id);
+    setResponseText(review.storeResponse?.text || "");
+  };
+
+  /**
+   * Save the store response for a review
+   */
+  const handleSaveResponse = async (review) => {
+    setProcessingId(review.id);
+    const result = await AdminReviewService.respondToReview(review.id, responseText, adminUserId);
+    if (result.success) {
+      setReviews((prev) => prev.map((r) => (r.id === review.id ? { ...r, storeResponse: result.storeResponse } : r)));
+      setRespondingTo(null);
+      setResponseText("");
+      toast.success(result.storeResponse ? "Response published" : "Response removed");
+    } else {
+      toast.error(`Failed to save response: ${result.error}`);
+    }
+    setProcessingId(null);
+  };
+
+  const filteredReviews = useMemo(() => {
+    const filtered = reviews.filter((review) => {
+      if (filters.status !== "all" && review.status !== filters.status) return false;
+      if (filters.productId !== "all" && review.productId !== filters.productId) return false;
+      if (filters.rating !== "all" && review.rating !== Number(filters.rating)) return false;
+      if (filters.reportedOnly && !(review.reportCount > 0)) return false;
+      if (filters.startDate && review.createdAt < new Date(filters.startDate)) return false;
+      if (filters.endDate) {
+        const endDate = new Date(filters.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        if (review.createdAt > endDate) return false;
+      }
+      return true;
+    });
+
+    if (filters.sortBy === "oldest") {
+      filtered.sort((a, b) => a.createdAt - b.createdAt);
+    } else if (filters.sortBy === "reports") {
+      filtered.sort((a, b) => (b.reportCount || 0) - (a.reportCount || 0));
+    } else if (filters.sortBy === "rating") {
+      filtered.sort((a, b) => a.rating - b.rating);
+    }
+    return filtered;
+  }, [reviews, filters]);
+
+  const pendingCount = reviews.filter((r) => r.status === REVIEW_STATUSES.PENDING).length;
+  const reportedCount = reviews.filter((r) => r.reportCount > 0).length;
+
+  const inputClass =
+    "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Review Moderation</h1>
+          <p className="text-gray-400 text-sm mt-1">
+            {pendingCount} awaiting approval · {reportedCount} reported
+          </p>
+        </div>
+        <button
+          onClick={fetchReviews}
+          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-gray-800 p-4 rounded-lg mb-6 border border-gray-700 grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3">
+        <select name="status" value={filters.status} onChange={handleFilterChange} className={inputClass}>
+          <option value="all">All statuses</option>
+          <option value={REVIEW_STATUSES.PENDING}>Pending</option>
+          <option value={REVIEW_STATUSES.APPROVED}>Approved</option>
+          <option value={REVIEW_STATUSES.HIDDEN}>Hidden</option>
+        </select>
+        <select name="productId" value={filters.productId} onChange={handleFilterChange} className={inputClass}>
+          <option value="all">All products</option>
+          {products.map((product) => (
+            <option key={product.id} value={product.id}>
+              {product.name}
+            </option>
+          ))}
+        </select>
+        <select name="rating" value={filters.rating} onChange={handleFilterChange} className={inputClass}>
+          <option value="all">All ratings</option>
+          {[5, 4, 3, 2, 1].map((value) => (
+            <option key={value} value={value}>
+              {value} star{value > 1 ? "s" : ""}
+            </option>
+          ))}
+        </select>
+        <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} className={inputClass} />
+        <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} className={inputClass} />
+        <select name="sortBy" value={filters.sortBy} onChange={handleFilterChange} className={inputClass}>
+          <option value="newest">Newest first</option>
+          <option value="oldest">Oldest first</option>
+          <option value="reports">Most reported</option>
+          <option value="rating">Lowest rating</option>
+        </select>
+        <label className="flex items-center text-gray-300 md:col-span-3 lg:col-span-6">
+          <input
+            type="checkbox"
+            name="reportedOnly"
+            checked={filters.reportedOnly}
+            onChange={handleFilterChange}
+            className="mr-2"
+          />
+          Only show reviews reported by customers
+        </label>
+      </div>
+
+      {/* Review list */}
+      {isLoading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+        </div>
+      ) : filteredReviews.length > 0 ? (
+        <div className="space-y-4">
+          {filteredReviews.map((review) => (
+            <div key={review.id} className="bg-gray-800 rounded-lg border border-gray-700 p-4">
+              <div className="flex flex-col md:flex-row md:justify-between md:items-start gap-2">
+                <div>
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <span className="text-yellow-400">
+                      {"★".repeat(review.rating)}
+                      <span className="text-gray-600">{"★".repeat(5 - review.rating)}</span>
+                    </span>
+                    <span className="font-medium text-white">{review.productName}</span>
+                    <span
+                      className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                        STATUS_BADGES[review.status] || STATUS_BADGES[REVIEW_STATUSES.PENDING]
+                      }`}
+                    >
+                      {review.status}
+                    </span>
+                    {review.verifiedPurchase && (
+                      <span className="text-xs text-green-400">Verified purchase</span>
+                    )}
+                    {review.reportCount > 0 && (
+                      <button
+                        onClick={() => setExpandedReports(expandedReports === review.id ? null : review.id)}
+                        className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-orange-500/10 text-orange-400 border border-orange-500/20"
+                      >
+                        {review.reportCount} report{review.reportCount > 1 ? "s" : ""}
+                      </button>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-400 mt-1">
+                    {review.userName || "Customer"} · {review.createdAt.toLocaleString("en-IN")}
+                    {review.helpfulCount > 0 && ` · ${review.helpfulCount} found helpful`}
+                  </div>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                  {review.status !== REVIEW_STATUSES.APPROVED && (
+                    <button
+                      onClick={() => handleStatusChange(review, REVIEW_STATUSES.APPROVED)}
+                      disabled={processingId === review.id}
+                      className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600 transition duration-200 disabled:opacity-50"
+                    >
+                      Approve
+                    </button>
+                  )}
+                  {review.status !== REVIEW_STATUSES.HIDDEN && (
+                    <button
+                      onClick={() => handleStatusChange(review, REVIEW_STATUSES.HIDDEN)}
+                      disabled={processingId === review.id}
+                      className="px-3 py-1 bg-yellow-600 text-white text-sm rounded hover:bg-yellow-700 transition duration-200 disabled:opacity-50"
+                    >
+                      Hide
+                    </button>
+                  )}
+                  <button
+                    onClick={() => startResponse(review)}
+                    disabled={processingId === review.id}
+                    className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+                  >
+                    {review.storeResponse ? "Edit Response" : "Respond"}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(review)}
+                    disabled={processingId === review.id}
+                    className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600 transition duration-200 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              <p className="text-gray-300 mt-3 whitespace-pre-line">{review.text}</p>
+
+              {/* Customer reports */}
+              {expandedReports === review.id && review.reports?.length > 0 && (
+                <div className="mt-3 bg-gray-900 border border-orange-500/20 rounded p-3">
+                  <h4 className="text-sm font-semibold text-orange-400 mb-2">Customer reports</h4>
+                  <ul className="space-y-1 text-sm text-gray-300">
+                    {review.reports.map((report, index) => (
+                      <li key={`${report.userId}-${index}`}>
+                        <span className="text-gray-500">
+                          {report.createdAt ? new Date(report.createdAt).toLocaleString("en-IN") : "—"}:
+                        </span>{" "}
+                        {report.reason}
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    onClick={() => handleDismissReports(review)}
+                    disabled={processingId === review.id}
+                    className="mt-2 px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+                  >
+                    Dismiss Reports
+                  </button>
+                </div>
+              )}
+
+              {/* Store response */}
+              {respondingTo === review.id ? (
+                <div className="mt-3">
+                  <textarea
+                    value={responseText}
+                    onChange={(e) => setResponseText(e.target.value)}
+                    rows="3"
+                    className={inputClass}
+                    placeholder="Write a public response from the store (leave empty to remove)"
+                  />
+                  <div className="flex gap-2 mt-2">
+                    <button
+                      onClick={() => handleSaveResponse(review)}
+                      disabled={processingId === review.id}
+                      className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition duration-200"
+                    >
+                      Publish Response
+                    </button>
+                    <button
+                      onClick={() => setRespondingTo(null)}
+                      className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-700 transition duration-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                review.storeResponse?.text && (
+                  <div className="mt-3 ml-4 pl-4 border-l-2 border-blue-500/50">
+                    <p className="text-xs font-semibold text-blue-400">Store response</p>
+                    <p className="text-sm text-gray-300 whitespace-pre-line">{review.storeResponse.text}</p>
+                  </div>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="bg-gray-800 p-8 rounded-lg text-center text-gray-400 border border-gray-700">
+          <p className="text-lg mb-2">No reviews found</p>
+          <p>Try changing the filters above.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewManager;
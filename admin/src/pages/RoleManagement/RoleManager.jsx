@@ -0,0 +1,217 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { useAuth } from "../../contexts/AuthContext";
+import AdminRoleService, {
+  ADMIN_ROLES,
+  CUSTOMER_ROLE,
+  LEGACY_ADMIN_ROLE,
+  ROLE_DESCRIPTIONS,
+  ROLE_PERMISSIONS,
+  isAdminRole,
+  resolveAdminRole,
+} from "../../utils/roleService";
+
+const ASSIGNABLE_ROLES = [...Object.values(ADMIN_ROLES), CUSTOMER_ROLE];
+
+/**
+ * Role Manager Component
+ *
+ * Lets Owners decide who can do what in the admin panel
+ * Features:
+ * - Permissions each role grants
+ * - Staff list, or search across all users to give someone a role
+ * - Role changes for everyone but yourself
+ *
+ * @returns {JSX.Element} The Role Manager component
+ */
+const RoleManager = () => {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [savingUserId, setSavingUserId] = useState(null);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setLoading(true);
+      const result = await AdminRoleService.getUsers();
+      if (result.success) {
+        setUsers(result.users);
+      } else {
+        toast.error("Failed to load users");
+      }
+      setLoading(false);
+    };
+
+    fetchUsers();
+  }, []);
+
+  /**
+   * Give a user a new role after confirming
+   */
+  const handleRoleChange = async (targetUser, role) => {
+    if (
+      !window.confirm(
+        `Change ${targetUser.name || targetUser.email} from ${
+          targetUser.userRole || CUSTOMER_ROLE
+        } to ${role}?`
+      )
+    ) {
+      return;
+    }
+
+    setSavingUserId(targetUser.id);
+    const result = await AdminRoleService.assignRole(
+      targetUser.id,
+      role,
+      user?.uid
+    );
+    setSavingUserId(null);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setUsers((prev) =>
+      prev.map((item) =>
+        item.id === targetUser.id ? { ...item, ...result.changes } : item
+      )
+    );
+    toast.success(`${targetUser.name || targetUser.email} is now ${role}`);
+  };
+
+  // Staff by default; a search looks through every user
+  const visibleUsers = searchTerm
+    ? users.filter(
+        (item) =>
+          item.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+          item.email?.toLowerCase().includes(searchTerm.toLowerCase())
+      )
+    : users.filter((item) => isAdminRole(item.userRole));
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[400px]">
+        <div className="w-16 h-16 border-4 border-gray-700 border-t-blue-500 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-white mb-2">Roles</h1>
+        <p className="text-gray-400">
+          Choose what each member of staff can see and change
+        </p>
+      </div>
+
+      {/* What each role can do */}
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mb-8">
+        {Object.values(ADMIN_ROLES).map((role) => (
+          <div key={role} className="card">
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-white">{role}</h3>
+              <span className="text-sm text-gray-400">
+                {users.filter((item) => resolveAdminRole(item.userRole) === role).length}{" "}
+                staff
+              </span>
+            </div>
+            <p className="text-sm text-gray-400 mb-3">{ROLE_DESCRIPTIONS[role]}</p>
+            <div className="flex flex-wrap gap-1">
+              {ROLE_PERMISSIONS[role].map((permission) => (
+                <span
+                  key={permission}
+                  className="px-2 py-0.5 text-xs font-mono bg-gray-700 text-gray-300 rounded"
+                >
+                  {permission}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-6 card">
+        <input
+          type="text"
+          placeholder="Search all users by name or email to give them a role..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          className="form-input"
+        />
+      </div>
+
+      <div className="card overflow-hidden">
+        {visibleUsers.length === 0 ? (
+          <div className="p-12 text-center text-gray-400">
+            {searchTerm
+              ? "No users match your search."
+              : "No staff yet. Search for a user to give them a role."}
+          </div>
+        ) : (
+          <table className="min-w-full">
+            <thead className="bg-gray-700">
+              <tr>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">
+                  Name
+                </th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">
+                  Email
+                </th>
+                <th className="px-4 py-3 text-left text-gray-300 font-semibold">
+                  Role
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleUsers.map((item) => {
+                const isSelf = item.id === user?.uid;
+                return (
+                  <tr key={item.id}>
+                    <td>
+                      <div className="font-medium text-white">
+                        {item.name || "N/A"}
+                        {isSelf && (
+                          <span className="ml-2 text-xs text-gray-400">(you)</span>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <div className="text-white break-all">{item.email}</div>
+                    </td>
+                    <td>
+                      <select
+                        value={resolveAdminRole(item.userRole) || CUSTOMER_ROLE}
+                        onChange={(e) => handleRoleChange(item, e.target.value)}
+                        disabled={isSelf || savingUserId !== null}
+                        title={isSelf ? "You cannot change your own role" : undefined}
+                        className="form-input w-auto"
+                      >
+                        {ASSIGNABLE_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role === CUSTOMER_ROLE ? "Customer (no access)" : role}
+                          </option>
+                        ))}
+                      </select>
+                      {item.userRole === LEGACY_ADMIN_ROLE && (
+                        <div className="mt-1 text-xs text-gray-500">
+                          Legacy Admin, treated as Owner
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoleManager;
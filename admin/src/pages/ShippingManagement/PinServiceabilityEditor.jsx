@@ -0,0 +1,227 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import AdminShippingService, {
+  PIN_RESTRICTION_TYPES,
+  PIN_RESTRICTION_LABELS,
+} from "../../utils/shippingService";
+import { useAuth } from "../../contexts/AuthContext";
+
+const EMPTY_RANGE = {
+  id: "",
+  from: "",
+  to: "",
+  type: PIN_RESTRICTION_TYPES.NON_SERVICEABLE,
+  note: "",
+};
+
+/**
+ * PinServiceabilityEditor Component
+ *
+ * Editor for the Indian PIN ranges checkout refuses or only accepts prepaid
+ * orders for
+ * Features:
+ * - Single PIN codes or from–to ranges
+ * - Non-serviceable ranges block the order; COD-unavailable ranges block
+ *   cash on delivery
+ * - Optional note shown to customers, e.g. "Deliveries paused due to floods"
+ *
+ * @returns {JSX.Element} The PIN serviceability editor
+ */
+const PinServiceabilityEditor = () => {
+  const { user } = useAuth();
+  const [ranges, setRanges] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    const fetchRanges = async () => {
+      setIsLoading(true);
+      const result = await AdminShippingService.getPinRestrictions();
+      if (result.success) {
+        setRanges(result.ranges);
+      } else {
+        toast.error("Failed to load PIN restrictions");
+      }
+      setIsLoading(false);
+    };
+
+    fetchRanges();
+  }, []);
+
+  /**
+   * Update one field of a range
+   */
+  const updateRange = (rangeIndex, field, value) => {
+    setRanges((prev) =>
+      prev.map((range, index) =>
+        index === rangeIndex ? { ...range, [field]: value } : range
+      )
+    );
+  };
+
+  const addRange = () => {
+    setRanges((prev) => [...prev, { ...EMPTY_RANGE }]);
+  };
+
+  const removeRange = (rangeIndex) => {
+    setRanges((prev) => prev.filter((_, index) => index !== rangeIndex));
+  };
+
+  /**
+   * Validate and save the ranges
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = AdminShippingService.validatePinRestrictions(ranges);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) {
+      toast.error("Please fix the highlighted problems");
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await AdminShippingService.savePinRestrictions(ranges, user?.uid || "admin");
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setRanges(result.ranges);
+    toast.success("PIN restrictions saved");
+  };
+
+  const inputClass =
+    "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <form
+      onSubmit={handleSave}
+      className="bg-gray-800 p-6 rounded-lg mb-6 border border-gray-700"
+    >
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-semibold text-white">PIN Serviceability</h2>
+        <button
+          type="button"
+          onClick={addRange}
+          className="px-3 py-1 bg-green-500 text-white text-sm rounded hover:bg-green-600 transition duration-200"
+        >
+          Add Range
+        </button>
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Indian PIN codes checkout can't deliver to, or can't collect cash on
+        delivery for. Leave "To" empty for a single PIN code.
+      </p>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400 py-6">Loading PIN restrictions...</div>
+      ) : ranges.length === 0 ? (
+        <p className="text-gray-400 text-sm mb-4">
+          Every PIN code in a shipping zone can be served.
+        </p>
+      ) : (
+        <div className="overflow-x-auto mb-2">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-4">From</th>
+                <th className="py-2 pr-4">To</th>
+                <th className="py-2 pr-4">Restriction</th>
+                <th className="py-2 pr-4">Note for customers</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ranges.map((range, rangeIndex) => (
+                <tr
+                  key={range.id || `new-${rangeIndex}`}
+                  className="border-b border-gray-700/50"
+                >
+                  <td className="py-2 pr-4">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      maxLength={6}
+                      value={range.from}
+                      onChange={(e) => updateRange(rangeIndex, "from", e.target.value)}
+                      className={inputClass}
+                      placeholder="e.g. 744101"
+                    />
+                  </td>
+                  <td className="py-2 pr-4">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      maxLength={6}
+                      value={range.to}
+                      onChange={(e) => updateRange(rangeIndex, "to", e.target.value)}
+                      className={inputClass}
+                      placeholder="Same as from"
+                    />
+                  </td>
+                  <td className="py-2 pr-4">
+                    <select
+                      value={range.type}
+                      onChange={(e) => updateRange(rangeIndex, "type", e.target.value)}
+                      className={inputClass}
+                    >
+                      {Object.entries(PIN_RESTRICTION_LABELS).map(([type, label]) => (
+                        <option key={type} value={type}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <input
+                      type="text"
+                      value={range.note}
+                      onChange={(e) => updateRange(rangeIndex, "note", e.target.value)}
+                      className={inputClass}
+                      placeholder="Optional"
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => removeRange(rangeIndex)}
+                      className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200"
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="bg-red-500/10 border border-red-500/30 text-red-400 rounded-lg p-4 mb-4 text-sm">
+          <ul className="list-disc list-inside space-y-1">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={isSaving || isLoading}
+        className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+      >
+        {isSaving ? "Saving..." : "Save PIN Restrictions"}
+      </button>
+    </form>
+  );
+};
+
+export default PinServiceabilityEditor;
@@ -0,0 +1,468 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import AdminShippingService, {
+  SHIPPING_BASES,
+  DEFAULT_SHIPPING_RULES,
+} from "../../utils/shippingService";
+import { SHIPPING_CARRIERS } from "../../utils/orderService";
+import { formatCurrency } from "../../utils/formatUtils";
+import { useAuth } from "../../contexts/AuthContext";
+import PinServiceabilityEditor from "./PinServiceabilityEditor";
+
+const EMPTY_TIER = { upTo: "", standard: "", express: "" };
+
+const EMPTY_ZONE = {
+  id: "",
+  name: "",
+  country: "India",
+  states: "",
+  carrier: "INDIA_POST",
+  basis: SHIPPING_BASES.WEIGHT,
+  freeShippingThreshold: "",
+  expressEnabled: true,
+  tiers: [{ ...EMPTY_TIER }],
+};
+
+/**
+ * Convert stored rules to editable form values
+ */
+const toFormRules = (rules) => ({
+  defaultItemWeight: String(rules.defaultItemWeight ?? ""),
+  zones: (rules.zones || []).map((zone) => ({
+    ...EMPTY_ZONE,
+    ...zone,
+    states: (zone.states || []).join(", "),
+    freeShippingThreshold: zone.freeShippingThreshold ?? "",
+    tiers: (zone.tiers || []).map((tier) => ({
+      upTo: tier.upTo ?? "",
+      standard: tier.standard ?? "",
+      express: tier.express ?? "",
+    })),
+  })),
+});
+
+/**
+ * Convert form values back to the shape the service saves
+ */
+const fromFormRules = (form) => ({
+  defaultItemWeight: form.defaultItemWeight,
+  zones: form.zones.map((zone) => ({
+    ...zone,
+    states: zone.states
+      .split(",")
+      .map((state) => state.trim())
+      .filter(Boolean),
+    freeShippingThreshold:
+      zone.freeShippingThreshold === "" ? null : zone.freeShippingThreshold,
+  })),
+});
+
+/**
+ * Describe the range a tier covers
+ */
+const describeTier = (zone, index) => {
+  const unit = zone.basis === SHIPPING_BASES.WEIGHT ? "g" : "";
+  const format = (value) =>
+    zone.basis === SHIPPING_BASES.WEIGHT
+      ? `${value}${unit}`
+      : formatCurrency(Number(value));
+  const previous = index > 0 ? zone.tiers[index - 1].upTo : "";
+  const from = previous === "" ? "0" : format(previous);
+  const tier = zone.tiers[index];
+  return tier.upTo === "" ? `Above ${from}` : `${from} – ${format(tier.upTo)}`;
+};
+
+/**
+ * ShippingManager Component
+ *
+ * Editor for the shipping rules used at checkout
+ * Features:
+ * - Zones by country, optionally limited to specific states
+ * - Weight or order-value tiers with standard and express prices
+ * - Free standard shipping threshold per zone
+ * - Carrier per zone, which decides the delivery estimates shown to customers
+ * - PIN ranges that can't be served or can't pay on delivery
+ *
+ * @returns {JSX.Element} The Shipping Manager component
+ */
+const ShippingManager = () => {
+  const { user } = useAuth();
+  const [form, setForm] = useState(toFormRules(DEFAULT_SHIPPING_RULES));
+  const [isDefault, setIsDefault] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      setIsLoading(true);
+      const result = await AdminShippingService.getRules();
+      if (result.success) {
+        setForm(toFormRules(result.rules));
+        setIsDefault(result.isDefault);
+      } else {
+        toast.error("Failed to load shipping rules");
+      }
+      setIsLoading(false);
+    };
+
+    fetchRules();
+  }, []);
+
+  /**
+   * Update one field of a zone
+   */
+  const updateZone = (zoneIndex, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, index) =>
+        index === zoneIndex ? { ...zone, [field]: value } : zone
+      ),
+    }));
+  };
+
+  /**
+   * Update one field of a zone's tier
+   */
+  const updateTier = (zoneIndex, tierIndex, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, index) =>
+        index === zoneIndex
+          ? {
+              ...zone,
+              tiers: zone.tiers.map((tier, i) =>
+                i === tierIndex ? { ...tier, [field]: value } : tier
+              ),
+            }
+          : zone
+      ),
+    }));
+  };
+
+  const addZone = () => {
+    setForm((prev) => ({
+      ...prev,
+      zones: [...prev.zones, { ...EMPTY_ZONE, tiers: [{ ...EMPTY_TIER }] }],
+    }));
+  };
+
+  const removeZone = (zoneIndex) => {
+    setForm((prev) => ({
+      ...prev,
+      zones: prev.zones.filter((_, index) => index !== zoneIndex),
+    }));
+  };
+
+  const addTier = (zoneIndex) => {
+    setForm((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, index) =>
+        index === zoneIndex
+          ? { ...zone, tiers: [...zone.tiers, { ...EMPTY_TIER }] }
+          : zone
+      ),
+    }));
+  };
+
+  const removeTier = (zoneIndex, tierIndex) => {
+    setForm((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, index) =>
+        index === zoneIndex
+          ? { ...zone, tiers: zone.tiers.filter((_, i) => i !== tierIndex) }
+          : zone
+      ),
+    }));
+  };
+
+  /**
+   * Validate and save the rules
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const rules = fromFormRules(form);
+    const validationErrors = AdminShippingService.validateRules(rules);
+    setErrors(validationErrors);
+    if (validationErrors.length > 0) {
+      toast.error("Please fix the highlighted problems");
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await AdminShippingService.saveRules(rules, user?.uid || "admin");
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    setForm(toFormRules(result.rules));
+    setIsDefault(false);
+    toast.success("Shipping rules saved");
+  };
+
+  const inputClass =
+    "w-full p-2 border border-gray-600 rounded bg-gray-700 text-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-white">Shipping</h1>
+          <p className="text-sm text-gray-400">
+            Rates and delivery options offered at checkout
+            {isDefault && " — showing the built-in defaults until you save"}
+          </p>
+        </div>
+        <button
+          onClick={addZone}
+          className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 transition duration-200"
+        >
+          Add Zone
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center text-gray-400 py-12">Loading shipping rules...</div>
+      ) : (
+        <form onSubmit={handleSave}>
+          <div className="bg-gray-800 p-4 rounded-lg mb-6 border border-gray-700">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-gray-300 text-sm font-bold mb-2">
+                  Default item weight (grams)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  value={form.defaultItemWeight}
+                  onChange={(e) =>
+                    setForm((prev) => ({ ...prev, defaultItemWeight: e.target.value }))
+                  }
+                  className={inputClass}
+                />
+              </div>
+              <p className="md:col-span-2 text-sm text-gray-400 self-end">
+                Used for products without a shipping weight. Each address is
+                matched to the zone naming its state first, then the zone
+                for its country, then a zone with no country.
+              </p>
+            </div>
+          </div>
+
+          {form.zones.map((zone, zoneIndex) => (
+            <div
+              key={zone.id || `new-${zoneIndex}`}
+              className="bg-gray-800 p-6 rounded-lg mb-6 border border-gray-700"
+            >
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold text-white">
+                  {zone.name || `Zone ${zoneIndex + 1}`}
+                </h2>
+                <button
+                  type="button"
+                  onClick={() => removeZone(zoneIndex)}
+                  className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600 transition duration-200"
+                >
+                  Remove Zone
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">Name</label>
+                  <input
+                    type="text"
+                    value={zone.name}
+                    onChange={(e) => updateZone(zoneIndex, "name", e.target.value)}
+                    className={inputClass}
+                    placeholder="e.g. North East India"
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">Country</label>
+                  <input
+                    type="text"
+                    value={zone.country}
+                    onChange={(e) => updateZone(zoneIndex, "country", e.target.value)}
+                    className={inputClass}
+                    placeholder="Leave empty for everywhere else"
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">States</label>
+                  <input
+                    type="text"
+                    value={zone.states}
+                    onChange={(e) => updateZone(zoneIndex, "states", e.target.value)}
+                    className={inputClass}
+                    placeholder="Comma separated; empty for the whole country"
+                  />
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">Carrier</label>
+                  <select
+                    value={zone.carrier}
+                    onChange={(e) => updateZone(zoneIndex, "carrier", e.target.value)}
+                    className={inputClass}
+                  >
+                    {Object.entries(SHIPPING_CARRIERS).map(([key, carrier]) => (
+                      <option key={key} value={key}>
+                        {carrier.name} ({carrier.estimatedDays.standard} days standard,{" "}
+                        {carrier.estimatedDays.express} express)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">Price by</label>
+                  <select
+                    value={zone.basis}
+                    onChange={(e) => updateZone(zoneIndex, "basis", e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value={SHIPPING_BASES.WEIGHT}>Total weight (grams)</option>
+                    <option value={SHIPPING_BASES.PRICE}>Order value</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-300 text-sm font-bold mb-2">
+                    Free standard shipping from
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={zone.freeShippingThreshold}
+                    onChange={(e) =>
+                      updateZone(zoneIndex, "freeShippingThreshold", e.target.value)
+                    }
+                    className={inputClass}
+                    placeholder="Leave empty for no free shipping"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-gray-300 text-sm mb-4">
+                <input
+                  type="checkbox"
+                  checked={zone.expressEnabled}
+                  onChange={(e) => updateZone(zoneIndex, "expressEnabled", e.target.checked)}
+                />
+                Offer express delivery
+              </label>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                      <th className="py-2 pr-4">
+                        Up to {zone.basis === SHIPPING_BASES.WEIGHT ? "(grams)" : "(order value)"}
+                      </th>
+                      <th className="py-2 pr-4">Covers</th>
+                      <th className="py-2 pr-4">Standard</th>
+                      {zone.expressEnabled && <th className="py-2 pr-4">Express</th>}
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {zone.tiers.map((tier, tierIndex) => (
+                      <tr key={tierIndex} className="border-b border-gray-700/50">
+                        <td className="py-2 pr-4">
+                          <input
+                            type="number"
+                            min="0"
+                            value={tier.upTo}
+                            onChange={(e) =>
+                              updateTier(zoneIndex, tierIndex, "upTo", e.target.value)
+                            }
+                            className={inputClass}
+                            placeholder="No limit"
+                          />
+                        </td>
+                        <td className="py-2 pr-4 text-gray-400 whitespace-nowrap">
+                          {describeTier(zone, tierIndex)}
+                        </td>
+                        <td className="py-2 pr-4">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={tier.standard}
+                            onChange={(e) =>
+                              updateTier(zoneIndex, tierIndex, "standard", e.target.value)
+                            }
+                            className={inputClass}
+                          />
+                        </td>
+                        {zone.expressEnabled && (
+                          <td className="py-2 pr-4">
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={tier.express}
+                              onChange={(e) =>
+                                updateTier(zoneIndex, tierIndex, "express", e.target.value)
+                              }
+                              className={inputClass}
+                            />
+                          </td>
+                        )}
+                        <td className="py-2 text-right">
+                          <button
+                            type="button"
+                            onClick={() => removeTier(zoneIndex, tierIndex)}
+                            disabled={zone.tiers.length === 1}
+                            className="px-3 py-1 bg-gray-600 text-white text-sm rounded hover:bg-gray-500 transition duration-200 disabled:opacity-50"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button
+                type="button"
+                onClick={() => addTier(zoneIndex)}
+                className="mt-2 text-sm text-blue-400 hover:text-blue-300"
+              >
+                + Add tier
+              </button>
+            </div>
+          ))}
+
+          {errors.length > 0 && (
+            <div className="bg-red-500/10 border border-red-500/30 text-red-400 rounded-lg p-4 mb-6 text-sm">
+              <ul className="list-disc list-inside space-y-1">
+                {errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition duration-200 disabled:opacity-50"
+          >
+            {isSaving ? "Saving..." : "Save Shipping Rules"}
+          </button>
+        </form>
+      )}
+
+      <div className="mt-8">
+        <PinServiceabilityEditor />
+      </div>
+    </div>
+  );
+};
+
+export default ShippingManager;
@@ -4,8 +4,12 @@ import { useEffect, useState } from "react";
 import { collection, getDocs, doc, updateDoc } from "firebase/firestore";
 import { db } from "../firebase";
 import { toast } from "react-toastify";
+import { useAuth } from "../contexts/AuthContext";
+import { PERMISSIONS } from "../utils/roleService";
 
 const Users = () => {
+  const { can } = useAuth();
+  const canBan = can(PERMISSIONS.USERS_BAN);
   const [users, setUsers] = useState([]);
   const [visibleUsers, setVisibleUsers] = useState(10);
   const [allUsers, setAllUsers] = useState([]);
@@ -201,9 +205,11 @@ const Users = () => {
                 <th className="px-4 py-3 text-left text-gray-300 font-semibold">
                   Status
                 </th>
-                <th className="px-4 py-3 text-left text-gray-300 font-semibold">
-                  Actions
-                </th>
+                {canBan && (
+                  <th className="px-4 py-3 text-left text-gray-300 font-semibold">
+                    Actions
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody>
@@ -280,18 +286,20 @@ const Users = () => {
                       {user.isBanned ? "Banned" : "Active"}
                     </span>
                   </td>
-                  <td>
-                    <button
-                      onClick={() => toggleBanUser(user.id, user.isBanned)}
-                      className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
-                        user.isBanned
-                          ? "bg-green-600 text-white hover:bg-green-700"
-                          : "bg-red-600 text-white hover:bg-red-700"
-                      }`}
-                    >
-                      {user.isBanned ? "Unban" : "Ban"}
-                    </button>
-                  </td>
+                  {canBan && (
+                    <td>
+                      <button
+                        onClick={() => toggleBanUser(user.id, user.isBanned)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                          user.isBanned
+                            ? "bg-green-600 text-white hover:bg-green-700"
+                            : "bg-red-600 text-white hover:bg-red-700"
+                        }`}
+                      >
+                        {user.isBanned ? "Unban" : "Ban"}
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -0,0 +1,131 @@
+/**
+ * Utilities for reading and writing spreadsheet data as CSV
+ * Files saved from Excel, Google Sheets or Numbers as CSV or tab-separated
+ * text can be read; exports are CSV with a byte order mark so Excel opens
+ * them as UTF-8
+ */
+
+// Delimiters recognised when sniffing the first line of a file
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Pick the delimiter that appears most often in the header line
+ * @param {string} text - Raw file contents
+ * @returns {string} - The detected delimiter, comma by default
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Parse CSV or tab-separated text into a header row and data rows
+ * Handles quoted cells containing delimiters, quotes and line breaks.
+ * Blank lines are skipped, and the apostrophe toCsv puts in front of
+ * formula-like text is removed again.
+ *
+ * @param {string} text - Raw file contents
+ * @returns {Object} - { headers: string[], rows: string[][] }
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((row) => row.some((value) => value.trim() !== ""));
+  const [headers = [], ...rows] = nonEmpty;
+
+  return {
+    headers: headers.map((header) => header.trim()),
+    rows: rows.map((row) =>
+      row.map((value) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value))
+    ),
+  };
+};
+
+/**
+ * Quote a value for CSV output when it contains a delimiter, quote or line break
+ * Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading
+ * apostrophe, so a customer name like =HYPERLINK(...) stays text; numbers are
+ * written as they are.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "number" ? String(value) : String(value).replace(FORMULA_PREFIX, "'$&");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows of values
+ * @param {Array<Array>} rows - Rows including the header row
+ * @returns {string} - CSV text with CRLF line endings
+ */
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+
+/**
+ * Offer rows as a CSV file download
+ * @param {string} filename - Name of the downloaded file
+ * @param {Array<Array>} rows - Rows including the header row
+ */
+export const downloadCsv = (filename, rows) => {
+  const blob = new Blob([`\uFEFF${toCsv(rows)}`], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
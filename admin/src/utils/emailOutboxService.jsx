@@ -0,0 +1,281 @@
+/**
+ * Admin Email Outbox Service
+ *
+ * Every customer email is queued in the `emailOutbox` collection before it
+ * is sent, so a failed send is retried instead of lost. The document ID is
+ * the email's idempotency key: queueing the same email twice finds the
+ * existing entry instead of sending again.
+ *
+ * Key Features:
+ * - Outbox entries with template, recipient, order reference and content
+ * - Delivery attempts claimed in a transaction so two admins never send together
+ * - Exponential backoff between attempts, failing after MAX_EMAIL_ATTEMPTS
+ * - Order email history and resending for the Orders page
+ *
+ * Due retries are sent by the processEmailOutbox Cloud Function. Keep in step
+ * with it and with the storefront's emailOutbox, which queues the same entries.
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+export const EMAIL_OUTBOX_COLLECTION = 'emailOutbox';
+
+/**
+ * Outbox entry states
+ */
+export const EMAIL_STATUSES = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+/**
+ * Attempts before an email is marked failed
+ */
+export const MAX_EMAIL_ATTEMPTS = 5;
+
+/**
+ * How long a send may take before another processor can claim it again
+ */
+const SENDING_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Wait before the next attempt: 1, 2, 4, 8... minutes, at most 6 hours
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(60 * 1000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+
+/**
+ * Idempotency key for an order email. Status emails are keyed by the
+ * status history entry that caused them, shipped emails by tracking code
+ * and refund emails by refund.
+ * @param {Object} order - Order data with its global `id`
+ * @param {string} template - Template name, usually the order status
+ * @param {Object} details - Template details, e.g. { refund }
+ * @returns {string} - Idempotency key
+ */
+export const getOrderEmailKey = (order, template, details = {}) => {
+  const orderKey = order.id || order.orderId;
+  if (details.refund?.id) return `${orderKey}:${template}:${details.refund.id}`;
+  if (template === 'Placed') return `${orderKey}:${template}`;
+  if (template === 'Shipped' && order.tracking?.code) return `${orderKey}:${template}:${order.tracking.code}`;
+  return `${orderKey}:${template}:${order.statusHistory?.length || 0}`;
+};
+
+/**
+ * Firestore document ID for an idempotency key
+ */
+const toOutboxId = (idempotencyKey) => idempotencyKey.replace(/[/\s]+/g, '_');
+
+/**
+ * Admin Email Outbox Service Class
+ * The transport is passed in by the email service, which picks it from the configuration.
+ */
+class AdminEmailOutboxService {
+  /**
+   * Queue an email unless one with the same idempotency key exists
+   * @param {Object} email - { to, from, subject, html, text }
+   * @param {Object} meta - { idempotencyKey, template, orderId, orderNumber, resendOf, requestedBy }
+   * @returns {Promise<Object>} - { id, entry, deduplicated }
+   */
+  static async enqueue(email, { idempotencyKey, template = 'custom', orderId = null, orderNumber = null, ...extra } = {}) {
+    const key = idempotencyKey || `${template}:${Date.now().toString(36)}:${Math.random().toString(36).slice(2, 8)}`;
+    const outboxRef = doc(db, EMAIL_OUTBOX_COLLECTION, toOutboxId(key));
+
+    return runTransaction(db, async (transaction) => {
+      const existing = await transaction.get(outboxRef);
+      if (existing.exists()) {
+        console.log(`📭 AdminEmailOutboxService: ${key} is already queued (${existing.data().status})`);
+        return { id: outboxRef.id, entry: existing.data(), deduplicated: true };
+      }
+
+      const entry = {
+        idempotencyKey: key,
+        template,
+        orderId,
+        orderNumber,
+        to: email.to,
+        from: email.from || null,
+        subject: email.subject,
+        html: email.html,
+        text: email.text || '',
+        status: EMAIL_STATUSES.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null,
+        createdAt: serverTimestamp(),
+        sentAt: null,
+        ...extra
+      };
+      transaction.set(outboxRef, entry);
+      return { id: outboxRef.id, entry, deduplicated: false };
+    });
+  }
+
+  /**
+   * Claim a due entry for one delivery attempt
+   * @param {Object} outboxRef - Outbox document reference
+   * @returns {Promise<Object|null>} - The claimed entry, or null when it is not due
+   */
+  static claimEntry(outboxRef) {
+    return runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(outboxRef);
+      if (!snapshot.exists()) return null;
+
+      const entry = snapshot.data();
+      const now = Date.now();
+      const isDue = entry.status === EMAIL_STATUSES.PENDING && Date.parse(entry.nextAttemptAt) <= now;
+      const isStale = entry.status === EMAIL_STATUSES.SENDING && Date.parse(entry.leaseExpiresAt) <= now;
+      if (!isDue && !isStale) return null;
+
+      // nextAttemptAt follows the lease so the scheduled processor finds
+      // sends that never finished
+      const leaseExpiresAt = new Date(now + SENDING_LEASE_MS).toISOString();
+      const claimed = {
+        status: EMAIL_STATUSES.SENDING,
+        attempts: (entry.attempts || 0) + 1,
+        leaseExpiresAt,
+        nextAttemptAt: leaseExpiresAt
+      };
+      transaction.update(outboxRef, claimed);
+      return { ...entry, ...claimed };
+    });
+  }
+
+  /**
+   * Make one delivery attempt for an outbox entry if it is due
+   * @param {string} id - Outbox document ID
+   * @param {Object} transport - Email transport from emailTransports
+   * @returns {Promise<Object>} - { success, status, error, skipped }
+   */
+  static async processEntry(id, transport) {
+    const outboxRef = doc(db, EMAIL_OUTBOX_COLLECTION, id);
+
+    let entry;
+    try {
+      entry = await this.claimEntry(outboxRef);
+    } catch (error) {
+      console.error('❌ AdminEmailOutboxService: Could not claim email:', error);
+      return { success: false, error: error.message };
+    }
+
+    if (!entry) {
+      const current = await getDoc(outboxRef);
+      const status = current.exists() ? current.data().status : null;
+      return { success: status === EMAIL_STATUSES.SENT, status, skipped: true };
+    }
+
+    try {
+      const result = await transport.send({
+        to: entry.to,
+        from: entry.from,
+        subject: entry.subject,
+        html: entry.html,
+        text: entry.text
+      });
+      await updateDoc(outboxRef, {
+        status: EMAIL_STATUSES.SENT,
+        sentAt: new Date().toISOString(),
+        transport: transport.id,
+        providerMessageId: result?.id || null,
+        lastError: null
+      });
+      console.log(`✅ AdminEmailOutboxService: Sent ${entry.idempotencyKey}`);
+      return { success: true, status: EMAIL_STATUSES.SENT };
+    } catch (error) {
+      const hasAttemptsLeft = entry.attempts < MAX_EMAIL_ATTEMPTS;
+      const status = hasAttemptsLeft ? EMAIL_STATUSES.PENDING : EMAIL_STATUSES.FAILED;
+      await updateDoc(outboxRef, {
+        status,
+        lastError: error.message || 'Failed to send email',
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(entry.attempts)).toISOString()
+      });
+      console.error(`❌ AdminEmailOutboxService: Attempt ${entry.attempts} for ${entry.idempotencyKey} failed:`, error);
+      return { success: false, status, error: error.message };
+    }
+  }
+
+  /**
+   * Emails queued for an order, newest first
+   * @param {string} orderId - Global order document ID
+   * @returns {Promise<Object>} - { success, emails } or { success: false, error }
+   */
+  static async getOrderEmails(orderId) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, EMAIL_OUTBOX_COLLECTION),
+        where('orderId', '==', orderId)
+      ));
+
+      const emails = snapshot.docs
+        .map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+
+      return { success: true, emails };
+    } catch (error) {
+      console.error('❌ AdminEmailOutboxService: Error fetching order emails:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Queue a fresh copy of an email and try it straight away
+   * @param {string} id - Outbox document ID of the email to resend
+   * @param {Object} transport - Email transport from emailTransports
+   * @param {string} adminUserId - Admin resending the email
+   * @returns {Promise<Object>} - Result of processEntry with the new outbox ID
+   */
+  static async resend(id, transport, adminUserId = 'admin') {
+    try {
+      const snapshot = await getDoc(doc(db, EMAIL_OUTBOX_COLLECTION, id));
+      if (!snapshot.exists()) {
+        throw new Error('Email not found in outbox');
+      }
+
+      const original = snapshot.data();
+      const { id: resendId } = await this.enqueue(
+        {
+          to: original.to,
+          from: original.from,
+          subject: original.subject,
+          html: original.html,
+          text: original.text
+        },
+        {
+          idempotencyKey: `${original.idempotencyKey}:resend:${Date.now()}`,
+          template: original.template,
+          orderId: original.orderId,
+          orderNumber: original.orderNumber,
+          resendOf: id,
+          requestedBy: adminUserId
+        }
+      );
+
+      const result = await this.processEntry(resendId, transport);
+      return { ...result, outboxId: resendId };
+    } catch (error) {
+      console.error('❌ AdminEmailOutboxService: Error resending email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export the service class as default
+export default AdminEmailOutboxService;
@@ -0,0 +1,126 @@
+/**
+ * Admin Email Service
+ *
+ * Sends customer emails for actions taken in the admin panel through the
+ * transport picked by EMAIL_TRANSPORT (see emailTransports).
+ *
+ * Key Features:
+ * - Shared sendEmail helper honouring the EMAIL_ENABLED switch
+ * - Every email queued in the outbox first, with retries for failed sends
+ * - Order status and refund emails from the admin-edited or built-in templates
+ *
+ * Configuration (REACT_APP_ prefix locally, none on Cloudflare):
+ * - EMAIL_ENABLED: set to true to send emails
+ * - EMAIL_FROM: sender address, e.g. orders@example.com
+ * - SUPPORT_EMAIL: address customers are pointed to with questions
+ * - EMAIL_TRANSPORT, EMAIL_API_URL, EMAIL_SMTP_RELAY_URL: see emailTransports
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import AdminEmailTemplateService from './emailTemplateService';
+import AdminEmailOutboxService, { getOrderEmailKey } from './emailOutboxService';
+import { getEmailTransport } from './emailTransports';
+
+/**
+ * Read an environment variable with or without the REACT_APP_ prefix
+ */
+const getEnvVar = (name) => import.meta.env[`REACT_APP_${name}`] ?? import.meta.env[name];
+
+/**
+ * Whether emails should be sent at all
+ * @returns {boolean} - True when EMAIL_ENABLED is "true"
+ */
+export const isEmailEnabled = () => getEnvVar('EMAIL_ENABLED') === 'true';
+
+/**
+ * Queue an email in the outbox and make the first delivery attempt
+ * A failed attempt stays queued and is retried with backoff by the
+ * processEmailOutbox Cloud Function.
+ * @param {Object} emailData - { to, subject, body, text, from, outbox }
+ * @param {Object} emailData.outbox - Optional { idempotencyKey, template, orderId, orderNumber }
+ * @returns {Promise<Object>} - { success, status, outboxId } or { success: false, error }
+ */
+export const sendEmail = async ({ to, subject, body, text, from, outbox }) => {
+  if (!isEmailEnabled()) {
+    console.log('📧 AdminEmailService: Email is disabled, skipping', subject);
+    return { success: false, error: 'Email functionality is disabled' };
+  }
+
+  try {
+    const { id, deduplicated } = await AdminEmailOutboxService.enqueue(
+      { to, from, subject, html: body, text },
+      outbox
+    );
+    const result = await AdminEmailOutboxService.processEntry(id, getEmailTransport());
+    return { ...result, outboxId: id, deduplicated };
+  } catch (error) {
+    console.error('❌ AdminEmailService: Error queueing email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a copy of a queued email again
+ * @param {string} outboxId - Outbox document ID of the email
+ * @param {string} adminUserId - Admin resending the email
+ * @returns {Promise<Object>} - Result of AdminEmailOutboxService.resend
+ */
+export const resendEmail = async (outboxId, adminUserId) => {
+  if (!isEmailEnabled()) {
+    return { success: false, error: 'Email functionality is disabled' };
+  }
+  try {
+    return await AdminEmailOutboxService.resend(outboxId, getEmailTransport(), adminUserId);
+  } catch (error) {
+    console.error('❌ AdminEmailService: Error resending email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Email the customer about their order's status, using the admin-edited
+ * template when there is one and the built-in one otherwise
+ * @param {Object} order - Order data with its global `id`, with the new status applied
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} details - Extra template details, e.g. { reason, refund, trackingUrl }
+ * @returns {Promise<Object>} - Result of sendEmail
+ */
+export const sendOrderStatusEmail = async (order, status, details = {}) => {
+  if (!order?.userEmail) {
+    console.warn(`⚠️ AdminEmailService: Order has no customer email, skipping ${status} email`);
+    return { success: false, error: 'Missing customer email' };
+  }
+
+  const email = await AdminEmailTemplateService.renderOrderEmail(status, {
+    order,
+    customer: { name: order.userName, email: order.userEmail },
+    details
+  });
+  if (!email) {
+    return { success: false, error: `No email template for status ${status}` };
+  }
+
+  return sendEmail({
+    to: order.userEmail,
+    subject: email.subject,
+    body: email.html,
+    text: email.text,
+    outbox: {
+      idempotencyKey: getOrderEmailKey(order, status, details),
+      template: status,
+      orderId: order.id || null,
+      orderNumber: order.orderId || null
+    }
+  });
+};
+
+/**
+ * Tell the customer about a full or partial refund
+ * @param {Object} order - Refunded order
+ * @param {Object} refund - Refund transaction from AdminRefundService
+ * @returns {Promise<Object>} - Result of sendEmail
+ */
+export const sendRefundEmail = (order, refund) =>
+  sendOrderStatusEmail(order, 'Refunded', { refund });
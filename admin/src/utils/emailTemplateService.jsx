@@ -0,0 +1,301 @@
+/**
+ * Admin Email Template Service
+ *
+ * Reads and saves the admin-edited order emails in the `emailTemplates`
+ * collection, one document per ORDER_STATUSES value. A saved, enabled
+ * template replaces the built-in email from emailTemplates in both the
+ * storefront and the admin panel; deleting it brings the built-in one back.
+ *
+ * Key Features:
+ * - Subject, HTML and optional plain-text sources per status
+ * - {{order.orderId}}-style variables and {{#each items}} loops (see templateEngine)
+ * - Starter template that reproduces the built-in email, to edit from
+ * - Validation so a saved template always parses
+ * - Recent orders and their status details for live previews
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { ORDER_EMAIL_TEMPLATES, renderOrderEmail, renderStoredEmail } from './emailTemplates';
+import { validateTemplate } from './templateEngine';
+
+export const EMAIL_TEMPLATES_COLLECTION = 'emailTemplates';
+
+/**
+ * Statuses that have an email, in fulfilment order
+ */
+export const EMAIL_TEMPLATE_KEYS = Object.keys(ORDER_EMAIL_TEMPLATES);
+
+/**
+ * Variables listed next to the editor
+ */
+export const TEMPLATE_VARIABLES = [
+  ['{{order.orderId}}', 'Order number'],
+  ['{{customer.name}}', 'Customer name'],
+  ['{{totals.total | currency}}', 'Order total; also subtotal, shipping, tax, discount'],
+  ['{{#each items}}{{name}} × {{quantity}} {{lineTotal | currency}}{{/each}}', 'Items for this email, e.g. the refunded ones'],
+  ['{{#each rows}}{{label}}: {{value}}{{/each}}', 'Detail rows of the built-in email, e.g. tracking'],
+  ['{{email.subject}}, {{email.heading}}, {{email.message}}', 'Wording of the built-in email'],
+  ['{{email.buttonLabel}}, {{email.buttonUrl}}', 'Call to action, e.g. the tracking link'],
+  ['{{order.tracking.code}}, {{details.reason}}, {{details.refund.amount}}', 'Any order field or status detail'],
+  ['{{#if order.discount}}...{{else}}...{{/if}}', 'Show a part only when a value is set'],
+  ['{{order.createdAt | date}}, {{customer.name | default:"there"}}', 'Filters: currency, date, upper, lower, default'],
+  ['{{store.name}}, {{store.supportEmail}}, {{store.year}}', 'Store details'],
+];
+
+/**
+ * Starting point for a new template: the built-in email's layout, with its
+ * wording pulled in through {{email.*}} so it reads the same for every status
+ */
+export const STARTER_TEMPLATE = {
+  subject: '{{email.subject}}',
+  html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{email.subject}}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #F1F5F9; font-family: Arial, sans-serif;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FFFFFF; border-radius: 8px;">
+      <tr>
+        <td style="padding: 24px 30px; background-color: #1E293B; border-radius: 8px 8px 0 0;">
+          <span style="font-size: 22px; font-weight: bold; color: #38BDF8;">{{store.name}}</span>
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 30px;">
+          <h1 style="margin: 0 0 16px; font-size: 22px; color: #1E293B;">{{email.heading}}</h1>
+          <p style="margin: 0 0 20px; font-size: 15px; line-height: 1.5; color: #334155;">{{email.message}}</p>
+          <p style="margin: 0 0 12px; font-size: 13px; color: #94A3B8;">Order #{{order.orderId}}</p>
+          {{#if items}}
+          <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="margin: 0 0 20px;">
+            {{#each items}}
+            <tr>
+              <td style="padding: 10px 0; border-bottom: 1px solid #E2E8F0; font-size: 14px; color: #1E293B;">
+                {{name}}
+                <div style="font-size: 13px; color: #64748B;">Qty: {{quantity}}</div>
+              </td>
+              <td style="padding: 10px 0; border-bottom: 1px solid #E2E8F0; font-size: 14px; color: #1E293B; text-align: right;">{{lineTotal | currency}}</td>
+            </tr>
+            {{/each}}
+          </table>
+          {{/if}}
+          {{#if rows}}
+          <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="margin: 0 0 20px; background-color: #F8FAFC; border-radius: 8px; padding: 16px;">
+            {{#each rows}}
+            <tr>
+              <td style="padding-bottom: 8px; font-size: 14px; color: #64748B;">{{label}}</td>
+              <td style="padding-bottom: 8px; font-size: 14px; color: #64748B; text-align: right;">{{value}}</td>
+            </tr>
+            {{/each}}
+          </table>
+          {{/if}}
+          {{#if email.buttonUrl}}
+          <p style="margin: 0 0 20px; text-align: center;">
+            <a href="{{email.buttonUrl}}" style="display: inline-block; background-color: #38BDF8; color: white; font-size: 16px; font-weight: 600; text-decoration: none; padding: 12px 30px; border-radius: 6px;">{{email.buttonLabel}}</a>
+          </p>
+          {{/if}}
+          {{#if store.supportEmail}}
+          <p style="margin: 0; font-size: 14px; color: #64748B;">Questions? Write to <a href="mailto:{{store.supportEmail}}" style="color: #38BDF8;">{{store.supportEmail}}</a>.</p>
+          {{/if}}
+        </td>
+      </tr>
+      <tr>
+        <td style="padding: 20px 30px; background-color: #F1F5F9; text-align: center; border-radius: 0 0 8px 8px;">
+          <p style="margin: 0; font-size: 14px; color: #64748B;">Thank you for shopping with {{store.name}}</p>
+          <p style="margin: 6px 0 0; font-size: 13px; color: #94A3B8;">{{store.tagline}} · © {{store.year}} {{store.name}}</p>
+        </td>
+      </tr>
+    </table>
+  </div>
+</body>
+</html>
+`,
+  text: ''
+};
+
+/**
+ * Admin Email Template Service Class
+ */
+class AdminEmailTemplateService {
+  /**
+   * All stored templates by status
+   * @returns {Promise<Object>} - { success, templates } or { success: false, error }
+   */
+  static async getTemplates() {
+    try {
+      const snapshot = await getDocs(collection(db, EMAIL_TEMPLATES_COLLECTION));
+      const templates = {};
+      snapshot.forEach((templateDoc) => {
+        templates[templateDoc.id] = templateDoc.data();
+      });
+      return { success: true, templates };
+    } catch (error) {
+      console.error('❌ AdminEmailTemplateService: Error loading templates:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Problems that would stop a template from being saved
+   * @param {Object} template - { subject, html, text }
+   * @returns {Array<string>} - Error messages, empty when valid
+   */
+  static validateTemplate({ subject = '', html = '', text = '' }) {
+    const errors = [];
+    if (!subject.trim()) errors.push('Subject is required');
+    if (!html.trim()) errors.push('HTML is required');
+
+    [['Subject', subject], ['HTML', html], ['Plain text', text]].forEach(([label, source]) => {
+      const problem = validateTemplate(source);
+      if (problem) errors.push(`${label}: ${problem}`);
+    });
+    return errors;
+  }
+
+  /**
+   * Save the template for a status
+   * @param {string} status - Value from EMAIL_TEMPLATE_KEYS
+   * @param {Object} template - { subject, html, text, enabled }
+   * @param {string} adminUserId - Admin saving the template
+   * @returns {Promise<Object>} - { success, template } or { success: false, error }
+   */
+  static async saveTemplate(status, template, adminUserId) {
+    try {
+      if (!ORDER_EMAIL_TEMPLATES[status]) {
+        throw new Error(`No email is sent for status ${status}`);
+      }
+      const errors = this.validateTemplate(template);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      const stored = {
+        status,
+        subject: template.subject.trim(),
+        html: template.html,
+        text: template.text || '',
+        enabled: template.enabled !== false,
+        updatedAt: serverTimestamp(),
+        updatedBy: adminUserId
+      };
+      await setDoc(doc(db, EMAIL_TEMPLATES_COLLECTION, status), stored);
+
+      console.log(`✅ AdminEmailTemplateService: Saved ${status} template`);
+      return { success: true, template: stored };
+    } catch (error) {
+      console.error('❌ AdminEmailTemplateService: Error saving template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a status's template so the built-in email is sent again
+   * @param {string} status - Value from EMAIL_TEMPLATE_KEYS
+   * @returns {Promise<Object>} - { success } or { success: false, error }
+   */
+  static async deleteTemplate(status) {
+    try {
+      await deleteDoc(doc(db, EMAIL_TEMPLATES_COLLECTION, status));
+      console.log(`✅ AdminEmailTemplateService: Deleted ${status} template`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ AdminEmailTemplateService: Error deleting template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Most recent orders, to preview templates against
+   * @param {number} count - Orders to load
+   * @returns {Promise<Object>} - { success, orders } or { success: false, error }
+   */
+  static async getPreviewOrders(count = 20) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'orders'),
+        orderBy('createdAt', 'desc'),
+        limit(count)
+      ));
+      return {
+        success: true,
+        orders: snapshot.docs.map((orderDoc) => ({ id: orderDoc.id, ...orderDoc.data() }))
+      };
+    } catch (error) {
+      console.error('❌ AdminEmailTemplateService: Error loading preview orders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Template details a status email would be sent with, taken from the order
+   * @param {string} status - Value from EMAIL_TEMPLATE_KEYS
+   * @param {Object} order - Order to preview against
+   * @returns {Object} - Details such as { reason, refund, trackingUrl }
+   */
+  static getPreviewDetails(status, order) {
+    const refunds = order.financials?.refunds || [];
+    return {
+      reason: order.cancellationReason || order.declineReason || order.returnRequest?.rejectionReason || '',
+      returnDeclined: status === 'Delivered' && order.returnRequest?.status === 'rejected',
+      trackingUrl: order.tracking?.url || '',
+      ...(status === 'Refunded' && refunds.length > 0 && { refund: refunds[refunds.length - 1] })
+    };
+  }
+
+  /**
+   * Render a draft or the built-in email against an order
+   * @param {string} status - Value from EMAIL_TEMPLATE_KEYS
+   * @param {Object|null} template - { subject, html, text } draft, or null for the built-in email
+   * @param {Object} order - Order to render with
+   * @returns {Object} - { subject, html, text }; throws when the draft does not parse
+   */
+  static renderPreview(status, template, order) {
+    const context = {
+      order,
+      customer: { name: order.userName, email: order.userEmail },
+      details: this.getPreviewDetails(status, order)
+    };
+    return template
+      ? renderStoredEmail(template, status, context)
+      : renderOrderEmail(status, context);
+  }
+
+  /**
+   * Render the email for a status: the enabled stored template when there
+   * is one, otherwise the built-in email
+   * @param {string} status - Value from ORDER_STATUSES
+   * @param {Object} context - { order, customer: { name }, details }
+   * @returns {Promise<Object|null>} - { subject, html, text }, or null when the status has no email
+   */
+  static async renderOrderEmail(status, context) {
+    try {
+      const snapshot = await getDoc(doc(db, EMAIL_TEMPLATES_COLLECTION, status));
+      if (snapshot.exists() && snapshot.data().enabled !== false) {
+        return renderStoredEmail(snapshot.data(), status, context);
+      }
+    } catch (error) {
+      console.error(`❌ AdminEmailTemplateService: ${status} template could not be used, sending the built-in email:`, error);
+    }
+    return renderOrderEmail(status, context);
+  }
+}
+
+// Export the service class as default
+export default AdminEmailTemplateService;
@@ -0,0 +1,457 @@
+/**
+ * Email Templates
+ *
+ * Registry of the transactional emails sent when an order changes status,
+ * one template per ORDER_STATUSES value. Every template is rendered twice
+ * from the same parts: as HTML inside the shared layout and as plain text
+ * for clients that do not show HTML.
+ *
+ * Key Features:
+ * - Shared layout partials: header, items table, totals, detail rows, button, footer
+ * - Plain-text alternatives built from the same template parts
+ * - Templates for every order status, including returns and refunds
+ * - Rendering of admin-edited templates from Firestore (see renderStoredEmail)
+ *
+ * Copy of the storefront's emailTemplates registry, so admin status changes
+ * send the same emails; keep the two in step.
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import { htmlToText, renderTemplate } from './templateEngine';
+
+/**
+ * Read an environment variable with or without the REACT_APP_ prefix
+ */
+const getEnvVar = (name) => import.meta.env[`REACT_APP_${name}`] ?? import.meta.env[name];
+
+const BRAND_NAME = 'ShopiyStore';
+const BRAND_TAGLINE = 'Perfect Online Stationery Store';
+const ACCENT_COLOR = '#38BDF8';
+
+/**
+ * Format an amount as Indian rupees
+ * @param {number} amount - Amount to format
+ * @returns {string} - Formatted amount
+ */
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2
+}).format(Number(amount) || 0);
+
+/**
+ * Escape text for use inside HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Items table with quantity and line total
+ * @param {Array} items - [{ name, quantity, price }] or refund lines with `amount`
+ * @returns {string} - HTML
+ */
+export const renderItemsTable = (items = []) => {
+  if (items.length === 0) return '';
+
+  const rows = items.map(item => `
+                <tr>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #E2E8F0; font-size: 14px; color: #1E293B;">
+                    ${escapeHtml(item.name)}
+                    <div style="font-size: 13px; color: #64748B;">Qty: ${item.quantity}</div>
+                  </td>
+                  <td style="padding: 10px 0; border-bottom: 1px solid #E2E8F0; font-size: 14px; color: #1E293B; text-align: right;">
+                    ${formatCurrency(item.amount ?? (Number(item.price) || 0) * item.quantity)}
+                  </td>
+                </tr>`).join('');
+
+  return `
+              <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="margin: 0 0 20px;">
+                ${rows}
+              </table>`;
+};
+
+/**
+ * Label and value rows, e.g. the order totals or tracking details
+ * @param {Array} rows - [[label, value]]; empty values are skipped
+ * @param {Object} options - { emphasizeLast } to bold the final row
+ * @returns {string} - HTML
+ */
+export const renderDetailRows = (rows = [], { emphasizeLast = false } = {}) => {
+  const visibleRows = rows.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  if (visibleRows.length === 0) return '';
+
+  const html = visibleRows.map(([label, value], index) => {
+    const isEmphasized = emphasizeLast && index === visibleRows.length - 1;
+    const style = isEmphasized
+      ? 'padding-top: 10px; border-top: 1px solid #E2E8F0; font-size: 16px; font-weight: bold; color: #1A202C;'
+      : 'padding-bottom: 8px; font-size: 14px; color: #64748B;';
+    return `
+                <tr>
+                  <td style="${style}">${escapeHtml(label)}</td>
+                  <td style="${style} text-align: right;">${escapeHtml(value)}</td>
+                </tr>`;
+  }).join('');
+
+  return `
+              <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="margin: 0 0 20px; background-color: #F8FAFC; border-radius: 8px; padding: 16px;">
+                ${html}
+              </table>`;
+};
+
+/**
+ * Call-to-action button
+ * @param {string} label - Button text
+ * @param {string} href - Link
+ * @returns {string} - HTML
+ */
+export const renderButton = (label, href) => (href ? `
+              <p style="margin: 0 0 20px; text-align: center;">
+                <a href="${escapeHtml(href)}" style="display: inline-block; background-color: ${ACCENT_COLOR}; color: white; font-size: 16px; font-weight: 600; text-decoration: none; padding: 12px 30px; border-radius: 6px;">${escapeHtml(label)}</a>
+              </p>` : '');
+
+/**
+ * Shared page layout: brand header, heading, body and footer
+ * @param {Object} parts - { title, preheader, heading, body }
+ * @returns {string} - Complete HTML document
+ */
+export const renderLayout = ({ title, preheader = '', heading, body }) => {
+  const supportEmail = getEnvVar('SUPPORT_EMAIL');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${escapeHtml(title)}</title>
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #F1F5F9; font-family: Arial, sans-serif;">
+      <span style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(preheader)}</span>
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color: #FFFFFF; border-radius: 8px;">
+          <tr>
+            <td style="padding: 24px 30px; background-color: #1E293B; border-radius: 8px 8px 0 0;">
+              <span style="font-size: 22px; font-weight: bold; color: ${ACCENT_COLOR};">${BRAND_NAME}</span>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 30px;">
+              <h1 style="margin: 0 0 16px; font-size: 22px; color: #1E293B;">${escapeHtml(heading)}</h1>
+              ${body}
+              ${supportEmail ? `<p style="margin: 0; font-size: 14px; color: #64748B;">Questions? Write to <a href="mailto:${escapeHtml(supportEmail)}" style="color: ${ACCENT_COLOR};">${escapeHtml(supportEmail)}</a>.</p>` : ''}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 20px 30px; background-color: #F1F5F9; text-align: center; border-radius: 0 0 8px 8px;">
+              <p style="margin: 0; font-size: 14px; color: #64748B;">Thank you for shopping with ${BRAND_NAME}</p>
+              <p style="margin: 6px 0 0; font-size: 13px; color: #94A3B8;">${BRAND_TAGLINE} · © ${new Date().getFullYear()} ${BRAND_NAME}</p>
+            </td>
+          </tr>
+        </table>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+/**
+ * Items as text lines
+ * @param {Array} items - Same items as renderItemsTable
+ * @returns {string} - Text
+ */
+export const renderItemsText = (items = []) => items
+  .map(item => `- ${item.quantity} × ${item.name}: ${formatCurrency(item.amount ?? (Number(item.price) || 0) * item.quantity)}`)
+  .join('\n');
+
+/**
+ * Label and value rows as text lines
+ * @param {Array} rows - Same rows as renderDetailRows
+ * @returns {string} - Text
+ */
+export const renderDetailText = (rows = []) => rows
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([label, value]) => `${label}: ${value}`)
+  .join('\n');
+
+/**
+ * Shared plain-text layout
+ * @param {Object} parts - { heading, sections } where sections are text blocks
+ * @returns {string} - Complete text body
+ */
+export const renderTextLayout = ({ heading, sections }) => {
+  const supportEmail = getEnvVar('SUPPORT_EMAIL');
+  return [
+    BRAND_NAME,
+    '',
+    heading,
+    '',
+    ...sections.filter(Boolean).flatMap(section => [section, '']),
+    supportEmail ? `Questions? Write to ${supportEmail}.` : '',
+    `Thank you for shopping with ${BRAND_NAME}`
+  ].join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Order totals, from the financials snapshot when the order has one
+ * @param {Object} order - Order data
+ * @returns {Object} - { subtotal, shipping, tax, discount, total }
+ */
+export const getOrderTotals = (order) => {
+  const financials = order.financials || {};
+  return {
+    subtotal: Number(financials.subtotal ?? order.subtotal) || 0,
+    shipping: Number(financials.shipping ?? order.shipping?.cost) || 0,
+    tax: Number(financials.tax ?? order.tax) || 0,
+    discount: Number(financials.discount ?? order.discount) || 0,
+    total: Number(financials.total ?? order.totalAmount ?? order.total) || 0
+  };
+};
+
+/**
+ * Totals rows for an order
+ */
+const orderTotalRows = (order) => {
+  const totals = getOrderTotals(order);
+  return [
+    ['Subtotal', formatCurrency(totals.subtotal)],
+    ['Shipping', formatCurrency(totals.shipping)],
+    ['Tax', formatCurrency(totals.tax)],
+    ['Discount', totals.discount > 0 ? `-${formatCurrency(totals.discount)}` : ''],
+    ['Total', formatCurrency(totals.total)]
+  ];
+};
+
+/**
+ * Order emails by status; keys are ORDER_STATUSES values. Each template
+ * gives the subject, heading and message for a context of
+ * { order, customer, details } and says which items and rows to show.
+ */
+export const ORDER_EMAIL_TEMPLATES = {
+  'Placed': {
+    subject: ({ order }) => `Order Confirmation #${order.orderId}`,
+    heading: () => 'Thank you for your order',
+    message: ({ customer }) => `Hi ${customer.name}, we have received your order and will let you know as soon as it is approved.`,
+    items: ({ order }) => order.items,
+    rows: ({ order }) => orderTotalRows(order),
+    emphasizeLastRow: true
+  },
+  'Approved': {
+    subject: ({ order }) => `Your order #${order.orderId} has been approved`,
+    heading: () => 'Your order is approved',
+    message: ({ customer }) => `Hi ${customer.name}, good news: your order has been approved and we are getting your items ready.`,
+    items: ({ order }) => order.items,
+    rows: ({ order }) => orderTotalRows(order),
+    emphasizeLastRow: true
+  },
+  'Packed': {
+    subject: ({ order }) => `Your order #${order.orderId} is packed`,
+    heading: () => 'Your order is packed',
+    message: ({ order, customer }) => `Hi ${customer.name}, your order is packed and will be handed to ${order.tracking?.carrier || order.shipping?.carrier || 'our courier'} shortly.`,
+    items: ({ order }) => order.items
+  },
+  'Shipped': {
+    subject: ({ order }) => `Your Order #${order.orderId} Has Shipped`,
+    heading: () => 'Your order is on its way',
+    message: ({ customer }) => `Hi ${customer.name}, your order has left our warehouse.`,
+    items: ({ order }) => order.items,
+    rows: ({ order, details }) => [
+      ['Carrier', details.carrier || order.tracking?.carrier],
+      ['Tracking number', details.trackingNumber || order.tracking?.code],
+      ['Estimated delivery', order.tracking?.estimatedDelivery
+        ? new Date(order.tracking.estimatedDelivery).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+        : '']
+    ],
+    button: ({ order, details }) => ['Track your package', details.trackingUrl || order.tracking?.url]
+  },
+  'Delivered': {
+    subject: ({ order, details }) => (details.returnDeclined
+      ? `Your return request for order #${order.orderId} was declined`
+      : `Your order #${order.orderId} has been delivered`),
+    heading: ({ details }) => (details.returnDeclined ? 'Return request declined' : 'Your order has been delivered'),
+    message: ({ customer, details }) => (details.returnDeclined
+      ? `Hi ${customer.name}, we are sorry, but we could not accept your return request.`
+      : `Hi ${customer.name}, your order has been delivered. We hope you enjoy it! If something is not right, you can request a return from My Orders.`),
+    rows: ({ details }) => [['Reason', details.returnDeclined ? details.reason : '']]
+  },
+  'Declined': {
+    subject: ({ order }) => `We could not accept order #${order.orderId}`,
+    heading: () => 'Your order was declined',
+    message: ({ customer }) => `Hi ${customer.name}, we are sorry, but we could not accept your order. Any payment taken will be refunded to your original payment method.`,
+    items: ({ order }) => order.items,
+    rows: ({ details }) => [['Reason', details.reason]]
+  },
+  'Cancelled': {
+    subject: ({ order }) => `Your order #${order.orderId} has been cancelled`,
+    heading: () => 'Your order was cancelled',
+    message: ({ customer }) => `Hi ${customer.name}, your order has been cancelled. Any payment taken will be refunded to your original payment method.`,
+    items: ({ order }) => order.items,
+    rows: ({ details }) => [['Reason', details.reason]]
+  },
+  'Return Requested': {
+    subject: ({ order }) => `We have received your return request for order #${order.orderId}`,
+    heading: () => 'Return request received',
+    message: ({ customer }) => `Hi ${customer.name}, we have received your return request and will review it shortly.`,
+    items: ({ order }) => order.returnRequest?.items,
+    rows: ({ order }) => [
+      ['Reason', order.returnRequest?.reason],
+      ['Estimated refund', order.returnRequest?.refundAmount ? formatCurrency(order.returnRequest.refundAmount) : '']
+    ]
+  },
+  'Return Approved': {
+    subject: ({ order }) => `Your return for order #${order.orderId} has been approved`,
+    heading: () => 'Return approved',
+    message: ({ customer }) => `Hi ${customer.name}, your return has been approved. Please pack the items below securely and send them back to us.`,
+    items: ({ order }) => order.returnRequest?.items
+  },
+  'Return Received': {
+    subject: ({ order }) => `We have received your returned items for order #${order.orderId}`,
+    heading: () => 'Returned items received',
+    message: ({ customer }) => `Hi ${customer.name}, your returned items have arrived. We will process your refund shortly.`,
+    items: ({ order }) => order.returnRequest?.items
+  },
+  'Refunded': {
+    subject: ({ order, details }) => `Refund of ${formatCurrency(details.refund?.amount ?? order.financials?.refunded)} for order #${order.orderId}`,
+    heading: () => 'Your refund is on its way',
+    message: ({ order, customer, details }) => `Hi ${customer.name}, we have refunded ${formatCurrency(details.refund?.amount ?? order.financials?.refunded)} for your order. ${
+      (details.refund?.method || order.payment?.method || 'COD') === 'COD'
+        ? 'As the order was paid in cash, our team will contact you to pay the refund.'
+        : 'It will reach your original payment method within 5-7 working days.'}`,
+    items: ({ details }) => details.refund?.items,
+    rows: ({ order, details }) => [
+      ['Shipping', details.refund?.shipping > 0 ? formatCurrency(details.refund.shipping) : ''],
+      ['Reason', details.refund?.reason],
+      ['Credit note', details.refund?.creditNoteNumber],
+      ['Refund total', formatCurrency(details.refund?.amount ?? order.financials?.refunded)]
+    ],
+    emphasizeLastRow: true
+  }
+};
+
+/**
+ * Render the email for an order status
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} context - { order, customer: { name }, details }
+ * @returns {Object|null} - { subject, html, text }, or null when the status has no template
+ */
+export const renderOrderEmail = (status, { order, customer = {}, details = {} }) => {
+  const template = ORDER_EMAIL_TEMPLATES[status];
+  if (!template) return null;
+
+  const context = {
+    order,
+    customer: { ...customer, name: customer.name || order.userName || 'Valued Customer' },
+    details
+  };
+  const subject = template.subject(context);
+  const heading = template.heading(context);
+  const message = template.message(context);
+  const items = template.items?.(context) || [];
+  const rows = template.rows?.(context) || [];
+  const [buttonLabel, buttonHref] = template.button?.(context) || [];
+  const emphasizeLast = Boolean(template.emphasizeLastRow);
+
+  const html = renderLayout({
+    title: subject,
+    preheader: message,
+    heading,
+    body: `
+              <p style="margin: 0 0 20px; font-size: 15px; line-height: 1.5; color: #334155;">${escapeHtml(message)}</p>
+              <p style="margin: 0 0 12px; font-size: 13px; color: #94A3B8;">Order #${escapeHtml(order.orderId)}</p>
+              ${renderItemsTable(items)}
+              ${renderDetailRows(rows, { emphasizeLast })}
+              ${renderButton(buttonLabel, buttonHref)}`
+  });
+
+  const text = renderTextLayout({
+    heading,
+    sections: [
+      message,
+      `Order #${order.orderId}`,
+      renderItemsText(items),
+      renderDetailText(rows),
+      buttonHref ? `${buttonLabel}: ${buttonHref}` : ''
+    ]
+  });
+
+  return { subject, html, text };
+};
+
+/**
+ * Values an admin-edited template can use, e.g. {{order.orderId}}
+ * - order, customer, details: as passed to renderOrderEmail
+ * - totals: { subtotal, shipping, tax, discount, total } as numbers
+ * - items: lines for the status with a lineTotal, e.g. the refunded items
+ * - rows: { label, value, isLast } detail rows of the built-in email
+ * - email: { subject, heading, message, buttonLabel, buttonUrl } of the built-in email
+ * - store: { name, tagline, supportEmail, year }
+ *
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} context - { order, customer: { name }, details }
+ * @returns {Object} - Template context
+ */
+export const buildTemplateContext = (status, { order, customer = {}, details = {} }) => {
+  const template = ORDER_EMAIL_TEMPLATES[status];
+  const base = {
+    order,
+    customer: { ...customer, name: customer.name || order.userName || 'Valued Customer' },
+    details
+  };
+
+  const items = (template?.items?.(base) || []).map(item => ({
+    ...item,
+    lineTotal: item.amount ?? (Number(item.price) || 0) * item.quantity
+  }));
+  const rows = (template?.rows?.(base) || [])
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value], index, visibleRows) => ({ label, value, isLast: index === visibleRows.length - 1 }));
+  const [buttonLabel, buttonUrl] = template?.button?.(base) || [];
+
+  return {
+    ...base,
+    status,
+    totals: getOrderTotals(order),
+    items,
+    rows,
+    email: template
+      ? {
+          subject: template.subject(base),
+          heading: template.heading(base),
+          message: template.message(base),
+          buttonLabel: buttonLabel || '',
+          buttonUrl: buttonUrl || ''
+        }
+      : {},
+    store: {
+      name: BRAND_NAME,
+      tagline: BRAND_TAGLINE,
+      supportEmail: getEnvVar('SUPPORT_EMAIL') || '',
+      year: new Date().getFullYear()
+    }
+  };
+};
+
+/**
+ * Render an admin-edited template stored in Firestore
+ * @param {Object} stored - { subject, html, text } template sources
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} context - { order, customer: { name }, details }
+ * @returns {Object} - { subject, html, text }; throws when a template does not parse
+ */
+export const renderStoredEmail = (stored, status, context) => {
+  const values = buildTemplateContext(status, context);
+  const html = renderTemplate(stored.html, values);
+  return {
+    subject: renderTemplate(stored.subject, values, { escape: false }).replace(/\s+/g, ' ').trim(),
+    html,
+    text: stored.text?.trim()
+      ? renderTemplate(stored.text, values, { escape: false })
+      : htmlToText(html)
+  };
+};
@@ -0,0 +1,132 @@
+/**
+ * Admin Email Transports
+ *
+ * Delivery for the emails the admin panel queues. The outbox hands each email
+ * to the transport named in EMAIL_TRANSPORT and retries when it throws.
+ * This is the admin's cut-down copy of the storefront's emailTransports: the
+ * same Resend and SMTP payloads, and a preview transport that only logs, as
+ * the preview inbox page lives in the storefront.
+ *
+ * Transport interface:
+ * - id: Value of EMAIL_TRANSPORT that selects it
+ * - name: Shown in logs
+ * - send({ from, to, subject, html, text }): Promise<{ id }>;
+ *   throws when the email could not be delivered
+ *
+ * Configuration (REACT_APP_ prefix locally, none on Cloudflare):
+ * - EMAIL_TRANSPORT: resend (default), smtp or preview
+ * - EMAIL_API_URL: send-email endpoint for Resend, defaults to /api/send-email
+ * - EMAIL_SMTP_RELAY_URL: SMTP relay endpoint, required for smtp
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+/**
+ * Read an environment variable with or without the REACT_APP_ prefix
+ */
+const getEnvVar = (name) => import.meta.env[`REACT_APP_${name}`] ?? import.meta.env[name];
+
+/**
+ * Sender in "Name <address>" form, which Resend and most relays require
+ * @param {string} from - Sender address, defaults to EMAIL_FROM
+ * @returns {string} - Formatted sender
+ */
+const formatSender = (from) => {
+  const fromEmail = from || getEnvVar('EMAIL_FROM');
+  if (!fromEmail) {
+    throw new Error('EMAIL_FROM is not configured');
+  }
+  return fromEmail.includes('<') ? fromEmail : `ShopiyStore <${fromEmail}>`;
+};
+
+/**
+ * POST an email as JSON and return the parsed response
+ * @param {string} url - Endpoint to post to
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} - Parsed JSON response; throws on an error response
+ */
+const postEmail = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.error) {
+    throw new Error(result.error?.message || result.error || `Email endpoint returned ${response.status}`);
+  }
+  return result;
+};
+
+/**
+ * Transports by id; EMAIL_TRANSPORT picks the active one
+ */
+const EMAIL_TRANSPORTS = {
+  // Resend, through the send-email function so the API key never reaches the browser
+  resend: {
+    id: 'resend',
+    name: 'Resend',
+
+    async send({ from, to, subject, html, text }) {
+      const result = await postEmail(getEnvVar('EMAIL_API_URL') || '/api/send-email', {
+        from: formatSender(from),
+        to,
+        subject,
+        html,
+        // Plain-text alternative for clients that do not show HTML
+        ...(text && { text }),
+      });
+      return { id: result.data?.id || null };
+    }
+  },
+
+  // Any SMTP server, through a relay endpoint that holds the SMTP credentials
+  smtp: {
+    id: 'smtp',
+    name: 'SMTP relay',
+
+    async send({ from, to, subject, html, text }) {
+      const relayUrl = getEnvVar('EMAIL_SMTP_RELAY_URL');
+      if (!relayUrl) {
+        throw new Error('EMAIL_SMTP_RELAY_URL is not configured; the smtp transport needs the URL of an SMTP relay');
+      }
+      const result = await postEmail(relayUrl, {
+        from: formatSender(from),
+        to,
+        subject,
+        html,
+        text: text || '',
+      });
+      return { id: result.messageId || null };
+    }
+  },
+
+  // Development: nothing leaves the machine, the email is only logged
+  preview: {
+    id: 'preview',
+    name: 'Preview',
+
+    async send({ to, subject, text }) {
+      console.log(`📨 AdminEmailTransports: Preview email to ${to}: ${subject}\n\n${text || ''}`);
+      return { id: `preview_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}` };
+    }
+  }
+};
+
+/**
+ * The transport selected by EMAIL_TRANSPORT
+ *
+ * @returns {Object} - Active transport
+ */
+export const getEmailTransport = () => {
+  const transportId = getEnvVar('EMAIL_TRANSPORT') || 'resend';
+  const transport = EMAIL_TRANSPORTS[transportId];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${transportId}`);
+  }
+  return transport;
+};
@@ -0,0 +1,66 @@
+/**
+ * GST settings shared by the product, category and import screens
+ * The storefront resolves each product's rate at checkout: the product's own
+ * rate wins, then its category's, then DEFAULT_GST_RATE
+ */
+
+/**
+ * GST slabs in percent
+ */
+export const GST_SLABS = [0, 5, 12, 18, 28];
+
+/**
+ * Slab charged when neither the product nor its category sets a rate
+ */
+export const DEFAULT_GST_RATE = 18;
+
+/**
+ * Check whether a value is one of the GST slabs
+ * @param {*} rate - Rate in percent
+ * @returns {boolean} - Whether the rate is a valid slab
+ */
+export const isValidGstRate = (rate) =>
+  rate !== null && rate !== undefined && rate !== "" && GST_SLABS.includes(Number(rate));
+
+/**
+ * Check an HSN/SAC code: 4, 6 or 8 digits
+ * @param {string} code - HSN code
+ * @returns {boolean} - Whether the code is well formed
+ */
+export const isValidHsnCode = (code) => /^(\d{4}|\d{6}|\d{8})$/.test(String(code || "").trim());
+
+/**
+ * Convert a form value to the stored rate; an empty value means the rate is
+ * inherited and is stored as null
+ * @param {*} rate - Value from a rate select
+ * @returns {number|null} - Rate in percent or null
+ */
+export const toStoredGstRate = (rate) => (isValidGstRate(rate) ? Number(rate) : null);
+
+/**
+ * How a supply is taxed; stored on orders as financials.gst.supplyType
+ */
+export const SUPPLY_TYPES = {
+  INTRASTATE: "intrastate",
+  INTERSTATE: "interstate",
+};
+
+/**
+ * Compare state names without caring about case or spacing
+ */
+const normalizeState = (state) => String(state || "").toLowerCase().replace(/[^a-z]/g, "");
+
+/**
+ * Decide whether a supply is intrastate or interstate, matching the storefront
+ * Deliveries outside India, and supplies where either state is unknown, are
+ * interstate
+ * @param {Object} destination - { state, country } of the shipping address
+ * @param {string} sellerState - State the seller is registered in
+ * @returns {string} - Value from SUPPLY_TYPES
+ */
+export const getSupplyType = ({ state, country } = {}, sellerState = "") => {
+  const domestic = !country || normalizeState(country) === "india";
+  const sameState = normalizeState(state) !== "" && normalizeState(state) === normalizeState(sellerState);
+
+  return domestic && sameState ? SUPPLY_TYPES.INTRASTATE : SUPPLY_TYPES.INTERSTATE;
+};
@@ -0,0 +1,477 @@
+/**
+ * Admin Inventory Service
+ *
+ * Stock monitoring and restocking for the catalog. Stock levels live on the
+ * `stock` field of each product; every change made here is also written to
+ * the `inventoryLedger` collection so admins can audit who changed stock,
+ * by how much and why.
+ *
+ * Key Features:
+ * - Per-product low-stock thresholds
+ * - Sell-through rate and sales velocity from recent orders
+ * - Estimated days until each product runs out
+ * - Bulk restocking with one ledger entry per product
+ * - Logged manual stock edits from the product editor
+ * - Per-product stock history and reconciliation against the ledger
+ *
+ * @author Shop Admin System
+ * @version 1.1.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  updateDoc,
+  writeBatch,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+/**
+ * Firestore collection holding one document per stock change
+ */
+export const INVENTORY_LEDGER_COLLECTION = 'inventoryLedger';
+
+/**
+ * Why a stock level changed
+ */
+export const LEDGER_REASONS = {
+  SALE: 'sale',
+  CANCELLATION: 'cancellation',
+  RETURN: 'return',
+  RESTOCK: 'restock',
+  MANUAL_EDIT: 'manual_edit'
+};
+
+/**
+ * Threshold used for products that have no lowStockThreshold of their own
+ */
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Orders in these statuses never shipped, so their items are not counted as sold
+const UNSOLD_ORDER_STATUSES = ['Cancelled', 'Declined'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a stored date (ISO string or Firestore Timestamp) to a Date
+ * @param {*} value - Stored date value
+ * @returns {Date|null} - Parsed date or null when missing or invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get the low-stock threshold that applies to a product
+ * @param {Object} product - Product data
+ * @returns {number} - The product's own threshold or the default
+ */
+export const getLowStockThreshold = (product) =>
+  Number.isFinite(product?.lowStockThreshold)
+    ? product.lowStockThreshold
+    : DEFAULT_LOW_STOCK_THRESHOLD;
+
+/**
+ * Admin service class for inventory management
+ */
+class AdminInventoryService {
+
+  /**
+   * Build the inventory overview: stock, thresholds and sales figures per product
+   *
+   * Sell-through rate is units sold in the window divided by the units that
+   * were available over it (sold + current stock). Days to stock-out assumes
+   * the average daily sales of the window continue.
+   *
+   * @param {Object} options - Overview options
+   * @param {number} options.days - Number of days of orders to analyse
+   * @returns {Promise<Object>} - Products with inventory metrics and summary totals
+   */
+  static async getInventoryOverview({ days = 30 } = {}) {
+    console.log(`📦 AdminInventoryService: Building inventory overview for the last ${days} days`);
+
+    try {
+      const [productSnapshot, orderSnapshot] = await Promise.all([
+        getDocs(collection(db, "products")),
+        getDocs(collection(db, "orders"))
+      ]);
+
+      const windowStart = new Date(Date.now() - days * DAY_MS);
+      const unitsSold = {};
+
+      orderSnapshot.docs.forEach(orderDoc => {
+        const order = orderDoc.data();
+        if (UNSOLD_ORDER_STATUSES.includes(order.status)) return;
+
+        const orderDate = toDate(order.orderDate) || toDate(order.createdAt);
+        if (!orderDate || orderDate < windowStart) return;
+
+        (order.items || []).forEach(item => {
+          if (!item.productId) return;
+          unitsSold[item.productId] = (unitsSold[item.productId] || 0) + (Number(item.quantity) || 0);
+        });
+      });
+
+      const products = productSnapshot.docs
+        .map(productDoc => {
+          const data = productDoc.data();
+          const stock = Math.max(0, Number(data.stock) || 0);
+          const sold = unitsSold[productDoc.id] || 0;
+          const dailyVelocity = sold / days;
+          const threshold = getLowStockThreshold(data);
+
+          return {
+            id: productDoc.id,
+            name: data.name || productDoc.id,
+            category: data.category || '',
+            image: data.imageUrl || data.image || '',
+            stock,
+            lowStockThreshold: threshold,
+            hasCustomThreshold: Number.isFinite(data.lowStockThreshold),
+            isLowStock: stock <= threshold,
+            unitsSold: sold,
+            sellThroughRate: sold + stock > 0 ? sold / (sold + stock) : 0,
+            dailyVelocity,
+            daysToStockOut: dailyVelocity > 0 ? Math.floor(stock / dailyVelocity) : null
+          };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      const summary = {
+        totalProducts: products.length,
+        totalUnits: products.reduce((sum, product) => sum + product.stock, 0),
+        lowStockCount: products.filter(product => product.isLowStock && product.stock > 0).length,
+        outOfStockCount: products.filter(product => product.stock === 0).length,
+        unitsSold: products.reduce((sum, product) => sum + product.unitsSold, 0)
+      };
+
+      console.log(`✅ AdminInventoryService: ${summary.lowStockCount} low-stock and ${summary.outOfStockCount} out-of-stock products`);
+
+      return { success: true, products, summary, days };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error building inventory overview:', error);
+      return { success: false, error: error.message, products: [], summary: null, days };
+    }
+  }
+
+  /**
+   * Set a product's low-stock threshold
+   *
+   * @param {string} productId - Product document ID
+   * @param {number|null} threshold - New threshold, or null to use the default
+   * @returns {Promise<Object>} - Update result
+   */
+  static async updateLowStockThreshold(productId, threshold) {
+    console.log(`🔄 AdminInventoryService: Setting low-stock threshold for ${productId} to ${threshold ?? 'default'}`);
+
+    try {
+      if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+        throw new Error('Threshold must be a whole number of 0 or more');
+      }
+
+      await updateDoc(doc(db, "products", productId), {
+        lowStockThreshold: threshold,
+        updatedAt: serverTimestamp()
+      });
+
+      return { success: true, lowStockThreshold: threshold ?? DEFAULT_LOW_STOCK_THRESHOLD };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error updating threshold:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add stock to several products at once
+   *
+   * Runs in a single transaction so either every product is restocked and
+   * logged or none is.
+   *
+   * @param {Array} entries - [{ productId, quantity }] with positive whole quantities
+   * @param {Object} details - Why the stock is being added
+   * @param {string} details.reason - Value from LEDGER_REASONS
+   * @param {string} details.note - Free-text note, e.g. a supplier invoice number
+   * @param {string} adminUserId - ID of the admin making the change
+   * @returns {Promise<Object>} - Restock result with the new stock per product
+   */
+  static async bulkRestock(entries, { reason = LEDGER_REASONS.RESTOCK, note = '' } = {}, adminUserId = 'admin') {
+    console.log(`📦 AdminInventoryService: Restocking ${entries.length} products`);
+
+    try {
+      const quantities = {};
+      entries.forEach(({ productId, quantity }) => {
+        const amount = Number(quantity);
+        if (!productId || !Number.isInteger(amount) || amount <= 0) {
+          throw new Error('Each restock line needs a product and a whole quantity above 0');
+        }
+        quantities[productId] = (quantities[productId] || 0) + amount;
+      });
+
+      if (Object.keys(quantities).length === 0) {
+        throw new Error('Add at least one product to restock');
+      }
+
+      const updatedStock = await runTransaction(db, async (transaction) => {
+        const productRefs = Object.keys(quantities).map(productId => doc(db, "products", productId));
+        const snapshots = await Promise.all(productRefs.map(ref => transaction.get(ref)));
+        const result = {};
+
+        snapshots.forEach((snapshot, index) => {
+          if (!snapshot.exists()) {
+            throw new Error(`Product ${productRefs[index].id} no longer exists`);
+          }
+
+          const product = snapshot.data();
+          const previousStock = Number(product.stock) || 0;
+          const delta = quantities[snapshot.id];
+          const newStock = previousStock + delta;
+
+          transaction.update(snapshot.ref, {
+            stock: newStock,
+            lastRestocked: serverTimestamp()
+          });
+
+          this.addLedgerEntry(transaction, {
+            productId: snapshot.id,
+            productName: product.name,
+            delta,
+            previousStock,
+            newStock,
+            reason,
+            note,
+            actor: adminUserId
+          });
+
+          result[snapshot.id] = newStock;
+        });
+
+        return result;
+      });
+
+      console.log('✅ AdminInventoryService: Restock completed');
+      return { success: true, updatedStock };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error restocking products:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch recent stock changes from the ledger
+   *
+   * Entries for a single product are sorted here rather than in the query so
+   * no composite index is needed.
+   *
+   * @param {Object} options - Query options
+   * @param {string} options.productId - Only return entries for this product
+   * @param {number} options.max - Maximum number of entries to return
+   * @returns {Promise<Object>} - Ledger entries, newest first
+   */
+  static async getLedgerEntries({ productId = null, max = 50 } = {}) {
+    console.log(`📒 AdminInventoryService: Fetching ledger entries${productId ? ` for ${productId}` : ''}`);
+
+    try {
+      const ledgerRef = collection(db, INVENTORY_LEDGER_COLLECTION);
+      const snapshot = await getDocs(productId
+        ? query(ledgerRef, where("productId", "==", productId))
+        : query(ledgerRef, orderBy("createdAt", "desc"), limit(max)));
+
+      const entries = snapshot.docs
+        .map(entryDoc => {
+          const data = entryDoc.data();
+          return { id: entryDoc.id, ...data, createdAt: toDate(data.createdAt) };
+        })
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+      return { success: true, entries: productId ? entries.slice(0, max) : entries };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error fetching ledger entries:', error);
+      return { success: false, error: error.message, entries: [] };
+    }
+  }
+
+  /**
+   * Save product edits and log any change to the stock level
+   *
+   * The stock delta is worked out against the stock at the moment of saving,
+   * not when the form was opened, so sales made while the admin was editing
+   * are not hidden inside the manual edit.
+   *
+   * @param {string} productId - Product document ID
+   * @param {Object} updates - Product fields to save, including stock
+   * @param {string} adminUserId - ID of the admin making the change
+   * @returns {Promise<Object>} - Update result with the logged stock delta
+   */
+  static async updateProductWithStock(productId, updates, adminUserId = 'admin') {
+    console.log(`🔄 AdminInventoryService: Saving product ${productId}`);
+
+    try {
+      const delta = await runTransaction(db, async (transaction) => {
+        const productRef = doc(db, "products", productId);
+        const snapshot = await transaction.get(productRef);
+        if (!snapshot.exists()) {
+          throw new Error(`Product ${productId} not found`);
+        }
+
+        const previousStock = Number(snapshot.data().stock) || 0;
+        const newStock = Number(updates.stock) || 0;
+        transaction.update(productRef, { ...updates, stock: newStock });
+
+        if (newStock !== previousStock) {
+          this.addLedgerEntry(transaction, {
+            productId,
+            productName: updates.name || snapshot.data().name,
+            delta: newStock - previousStock,
+            previousStock,
+            newStock,
+            reason: LEDGER_REASONS.MANUAL_EDIT,
+            actor: adminUserId
+          });
+        }
+
+        return newStock - previousStock;
+      });
+
+      console.log(`✅ AdminInventoryService: Product ${productId} saved (stock change ${delta})`);
+      return { success: true, delta };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error saving product:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get a product's full stock history and compare it with the current stock
+   *
+   * The ledger total is the sum of every recorded delta. Products created
+   * before the ledger existed, or changed outside the admin panel and the
+   * storefront, will show a difference until it is reconciled.
+   *
+   * @param {string} productId - Product document ID
+   * @returns {Promise<Object>} - { entries, productName, stock, ledgerTotal, difference }
+   */
+  static async getProductStockHistory(productId) {
+    console.log(`📒 AdminInventoryService: Loading stock history for ${productId}`);
+
+    try {
+      const [productSnapshot, ledger] = await Promise.all([
+        getDoc(doc(db, "products", productId)),
+        this.getLedgerEntries({ productId, max: Infinity })
+      ]);
+
+      if (!productSnapshot.exists()) {
+        throw new Error(`Product ${productId} not found`);
+      }
+      if (!ledger.success) {
+        throw new Error(ledger.error);
+      }
+
+      const stock = Number(productSnapshot.data().stock) || 0;
+      const ledgerTotal = ledger.entries.reduce((sum, entry) => sum + (Number(entry.delta) || 0), 0);
+
+      return {
+        success: true,
+        entries: ledger.entries,
+        productName: productSnapshot.data().name || '',
+        stock,
+        ledgerTotal,
+        difference: stock - ledgerTotal
+      };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error loading stock history:', error);
+      return { success: false, error: error.message, entries: [], stock: 0, ledgerTotal: 0, difference: 0 };
+    }
+  }
+
+  /**
+   * Bring the ledger in line with the current stock
+   *
+   * Writes a single manual-edit entry for the difference without touching
+   * the product's stock, so the ledger total matches it again.
+   *
+   * @param {string} productId - Product document ID
+   * @param {string} note - Why the difference is being accepted
+   * @param {string} adminUserId - ID of the admin reconciling
+   * @returns {Promise<Object>} - Reconciliation result with the recorded difference
+   */
+  static async reconcileProductStock(productId, note = '', adminUserId = 'admin') {
+    console.log(`⚖️ AdminInventoryService: Reconciling stock for ${productId}`);
+
+    try {
+      const history = await this.getProductStockHistory(productId);
+      if (!history.success) {
+        throw new Error(history.error);
+      }
+      if (history.difference === 0) {
+        return { success: true, difference: 0 };
+      }
+
+      const batch = writeBatch(db);
+      this.addLedgerEntry(batch, {
+        productId,
+        productName: history.productName,
+        delta: history.difference,
+        previousStock: history.stock,
+        newStock: history.stock,
+        reason: LEDGER_REASONS.MANUAL_EDIT,
+        note: note || 'Reconciliation against current stock',
+        actor: adminUserId
+      });
+      await batch.commit();
+
+      console.log(`✅ AdminInventoryService: Recorded reconciliation of ${history.difference} for ${productId}`);
+      return { success: true, difference: history.difference };
+    } catch (error) {
+      console.error('❌ AdminInventoryService: Error reconciling stock:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Queue a ledger entry on a transaction or write batch
+   *
+   * Callers are expected to write the stock change itself in the same
+   * transaction or batch so the ledger never disagrees with the product.
+   *
+   * @param {Object} writer - Firestore Transaction or WriteBatch
+   * @param {Object} entry - Stock change details
+   * @returns {void}
+   */
+  static addLedgerEntry(writer, {
+    productId,
+    productName = '',
+    delta,
+    previousStock = null,
+    newStock = null,
+    reason,
+    note = '',
+    orderId = null,
+    actor = 'admin'
+  }) {
+    writer.set(doc(collection(db, INVENTORY_LEDGER_COLLECTION)), {
+      productId,
+      productName,
+      delta,
+      previousStock,
+      newStock,
+      reason,
+      note,
+      orderId,
+      actor,
+      createdAt: serverTimestamp()
+    });
+  }
+}
+
+// Export the service class as default
+export default AdminInventoryService;
@@ -0,0 +1,515 @@
+/**
+ * Utilities for drawing GST tax invoices and credit notes as PDFs
+ * Pages are drawn with jsPDF's vector text and lines, matching the documents
+ * customers download from the storefront
+ */
+
+import jsPDF from "jspdf";
+import { SUPPLY_TYPES } from "./gstUtils";
+import AdminInvoiceService from "./invoiceService";
+
+// A4 page geometry in mm
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Space kept free at the bottom of every page for the footer
+const FOOTER_HEIGHT = 18;
+
+const TEXT_COLOR = [29, 29, 31];
+const MUTED_COLOR = [110, 110, 115];
+const BORDER_COLOR = [210, 210, 215];
+const HEADER_FILL = [245, 245, 247];
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+/**
+ * Spell out a number below one thousand
+ */
+const hundredsInWords = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const parts = [];
+
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    parts.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? ` ${ONES[rest % 10]}` : ""));
+  } else if (rest) {
+    parts.push(ONES[rest]);
+  }
+  return parts.join(" ");
+};
+
+/**
+ * Spell out a whole number using crore, lakh and thousand
+ */
+const integerInWords = (number) => {
+  if (number === 0) return "Zero";
+
+  const crore = Math.floor(number / 10000000);
+  const lakh = Math.floor((number % 10000000) / 100000);
+  const thousand = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+  const parts = [];
+
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${hundredsInWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${hundredsInWords(thousand)} Thousand`);
+  if (rest) parts.push(hundredsInWords(rest));
+  return parts.join(" ");
+};
+
+/**
+ * Spell out a rupee amount, e.g. "Rupees Five Hundred and Fifty Paise Only"
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - Amount in words
+ */
+export const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${hundredsInWords(paise)} Paise` : ""} Only`;
+};
+
+/**
+ * Format an amount with Indian digit grouping and two decimals
+ * The built-in PDF fonts have no rupee glyph, so amounts are printed without
+ * a symbol and the table header states the currency
+ *
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - Formatted amount
+ */
+const formatAmount = (amount) =>
+  (Number(amount) || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Format a stored date (ISO string, Date or Firestore Timestamp) for documents
+ *
+ * @param {*} value - Date value
+ * @returns {string} - Date such as 18 Oct 2025
+ */
+const formatDocumentDate = (value) => {
+  if (!value) return "";
+  const date = value.toDate ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+};
+
+/**
+ * Collect the buyer's billing and shipping details from an order
+ * The billing address chosen at checkout is printed when there is one.
+ *
+ * @param {Object} order - Order data
+ * @returns {Object} - { name, lines, phone, email, gstin }
+ */
+const getBuyerDetails = (order) => {
+  const flat = order.billingAddress || order.shippingAddress || {};
+  const raw = order.shipping?.address || {};
+  const street = flat.street || [raw.houseNo, raw.line1, raw.line2].filter(Boolean).join(", ");
+  const city = flat.city || raw.city || "";
+  const state = flat.state || raw.state || "";
+  const pin = flat.zip || raw.pin || "";
+  const country = flat.country || raw.country || "";
+
+  return {
+    name: flat.name || order.userName || "Customer",
+    lines: [
+      street,
+      [city, state].filter(Boolean).join(", ") + (pin ? ` - ${pin}` : ""),
+      country
+    ].filter(Boolean),
+    phone: flat.phone || order.userPhone || order.phone || "",
+    email: order.userEmail || "",
+    gstin: order.buyerGstin || ""
+  };
+};
+
+/**
+ * Items table columns for a supply type
+ * The description column takes whatever width the others leave
+ *
+ * @param {string} supplyType - Value from SUPPLY_TYPES
+ * @returns {Array} - [{ key, label, width, align }]
+ */
+const getTableColumns = (supplyType) => {
+  const taxColumns = supplyType === SUPPLY_TYPES.INTRASTATE
+    ? [
+      { key: "cgst", label: "CGST", width: 18, align: "right" },
+      { key: "sgst", label: "SGST", width: 18, align: "right" }
+    ]
+    : [{ key: "igst", label: "IGST", width: 20, align: "right" }];
+
+  const columns = [
+    { key: "index", label: "#", width: 7, align: "left" },
+    { key: "name", label: "Description", width: 0, align: "left" },
+    { key: "hsnCode", label: "HSN", width: 15, align: "left" },
+    { key: "quantity", label: "Qty", width: 9, align: "right" },
+    { key: "unitPrice", label: "Rate", width: 18, align: "right" },
+    { key: "taxableValue", label: "Taxable", width: 20, align: "right" },
+    { key: "gstRate", label: "GST %", width: 11, align: "right" },
+    ...taxColumns,
+    { key: "total", label: "Total", width: 22, align: "right" }
+  ];
+
+  const fixedWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  return columns.map(column => (column.key === "name" ? { ...column, width: CONTENT_WIDTH - fixedWidth } : column));
+};
+
+/**
+ * Text shown in an items table cell
+ */
+const getCellText = (line, key, index) => {
+  switch (key) {
+    case "index":
+      return String(index + 1);
+    case "name":
+    case "hsnCode":
+      return line[key] || "-";
+    case "quantity":
+      return String(line.quantity);
+    case "gstRate":
+      return `${line.gstRate}%`;
+    case "total":
+      return formatAmount(line.taxableValue + line.tax);
+    default:
+      return formatAmount(line[key]);
+  }
+};
+
+/**
+ * Draw text inside a column, respecting its alignment
+ */
+const drawCell = (pdf, text, x, y, column) => {
+  if (column.align === "right") {
+    pdf.text(text, x + column.width - 1.5, y, { align: "right" });
+  } else {
+    pdf.text(text, x + 1.5, y);
+  }
+};
+
+/**
+ * Draw the items table header at the given height
+ *
+ * @returns {number} - Height below the header
+ */
+const drawTableHeader = (pdf, columns, y) => {
+  pdf.setFillColor(...HEADER_FILL);
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.rect(MARGIN, y, CONTENT_WIDTH, 7, "FD");
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(7.5);
+  pdf.setTextColor(...TEXT_COLOR);
+
+  let x = MARGIN;
+  columns.forEach(column => {
+    drawCell(pdf, column.label, x, y + 4.7, column);
+    x += column.width;
+  });
+
+  return y + 7;
+};
+
+/**
+ * Draw a label and value pair right-aligned in the totals block
+ */
+const drawTotalRow = (pdf, label, value, y, { bold = false } = {}) => {
+  pdf.setFont("helvetica", bold ? "bold" : "normal");
+  pdf.setFontSize(bold ? 10 : 8.5);
+  pdf.setTextColor(...(bold ? TEXT_COLOR : MUTED_COLOR));
+  pdf.text(label, PAGE_WIDTH - MARGIN - 40, y, { align: "right" });
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(value, PAGE_WIDTH - MARGIN, y, { align: "right" });
+};
+
+/**
+ * Draw a tax invoice or credit note
+ *
+ * @param {Object} taxDocument - Normalised document data
+ * @param {string} taxDocument.title - TAX INVOICE or CREDIT NOTE
+ * @param {Array} taxDocument.references - [label, value] pairs printed under the title
+ * @param {Object} taxDocument.seller - { name, address, state, gstin }
+ * @param {Object} taxDocument.buyer - Result of getBuyerDetails
+ * @param {string} taxDocument.supplyType - Value from SUPPLY_TYPES
+ * @param {string} taxDocument.placeOfSupply - Destination state
+ * @param {Array} taxDocument.lines - GST lines
+ * @param {Object} taxDocument.totals - { taxableValue, cgst, sgst, igst, tax }
+ * @param {Array} taxDocument.charges - Untaxed [label, amount] rows such as shipping
+ * @param {number} taxDocument.total - Document total
+ * @param {string} taxDocument.totalLabel - Label of the total row
+ * @param {string} taxDocument.note - Optional note printed under the totals
+ * @returns {jsPDF} - The generated document
+ */
+const renderTaxDocument = (taxDocument) => {
+  const pdf = new jsPDF("p", "mm", "a4");
+  const { seller, buyer } = taxDocument;
+  let y = MARGIN;
+
+  // Header: seller on the left, title and references on the right
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(16);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(taxDocument.title, PAGE_WIDTH - MARGIN, y + 6, { align: "right" });
+
+  pdf.setFontSize(8.5);
+  let referenceY = y + 12;
+  taxDocument.references.forEach(([label, value]) => {
+    pdf.setFont("helvetica", "normal");
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(`${label}:`, PAGE_WIDTH - MARGIN - 38, referenceY, { align: "right" });
+    pdf.setFont("helvetica", "bold");
+    pdf.setTextColor(...TEXT_COLOR);
+    pdf.text(String(value || "-"), PAGE_WIDTH - MARGIN, referenceY, { align: "right" });
+    referenceY += 4.5;
+  });
+
+  let sellerY = y + 4;
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(10);
+  pdf.text(seller.name || "", MARGIN, sellerY);
+  pdf.setFont("helvetica", "normal");
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...MUTED_COLOR);
+  [
+    ...pdf.splitTextToSize(seller.address || "", 90),
+    seller.state ? `State: ${seller.state}` : "",
+    seller.gstin ? `GSTIN: ${seller.gstin}` : ""
+  ].filter(Boolean).forEach(text => {
+    sellerY += 4.2;
+    pdf.text(text, MARGIN, sellerY);
+  });
+
+  y = Math.max(sellerY, referenceY) + 6;
+
+  // Buyer details
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.line(MARGIN, y - 3, PAGE_WIDTH - MARGIN, y - 3);
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text("Bill To / Ship To", MARGIN, y + 2);
+  pdf.text("Supply", PAGE_WIDTH / 2 + 10, y + 2);
+
+  pdf.setFont("helvetica", "normal");
+  let buyerY = y + 2;
+  [
+    buyer.name,
+    ...buyer.lines,
+    buyer.phone ? `Phone: ${buyer.phone}` : "",
+    buyer.email ? `Email: ${buyer.email}` : "",
+    `GSTIN: ${buyer.gstin || "Unregistered"}`
+  ].filter(Boolean).forEach(text => {
+    buyerY += 4.2;
+    pdf.text(pdf.splitTextToSize(text, PAGE_WIDTH / 2 - MARGIN)[0], MARGIN, buyerY);
+  });
+
+  const supplyText = taxDocument.supplyType === SUPPLY_TYPES.INTRASTATE
+    ? "Intrastate (CGST + SGST)"
+    : "Interstate (IGST)";
+  pdf.text(`Place of supply: ${taxDocument.placeOfSupply || "-"}`, PAGE_WIDTH / 2 + 10, y + 6.2);
+  pdf.text(`Type: ${supplyText}`, PAGE_WIDTH / 2 + 10, y + 10.4);
+  pdf.text("Amounts in INR", PAGE_WIDTH / 2 + 10, y + 14.6);
+
+  y = buyerY + 7;
+
+  // Items table with page breaks; the header repeats on each page
+  const columns = getTableColumns(taxDocument.supplyType);
+  const descriptionColumn = columns.find(column => column.key === "name");
+  y = drawTableHeader(pdf, columns, y);
+
+  taxDocument.lines.forEach((line, index) => {
+    const nameLines = pdf.splitTextToSize(line.name || "-", descriptionColumn.width - 3);
+    const rowHeight = nameLines.length * 3.6 + 3.4;
+
+    if (y + rowHeight > PAGE_HEIGHT - FOOTER_HEIGHT) {
+      pdf.addPage();
+      y = drawTableHeader(pdf, columns, MARGIN);
+    }
+
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(8);
+    pdf.setTextColor(...TEXT_COLOR);
+
+    let x = MARGIN;
+    columns.forEach(column => {
+      if (column.key === "name") {
+        pdf.text(nameLines, x + 1.5, y + 4.4);
+      } else {
+        drawCell(pdf, getCellText(line, column.key, index), x, y + 4.4, column);
+      }
+      x += column.width;
+    });
+
+    y += rowHeight;
+    pdf.setDrawColor(...BORDER_COLOR);
+    pdf.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+  });
+
+  // Totals and amount in words need about 60mm; start a new page if needed
+  if (y + 60 > PAGE_HEIGHT - FOOTER_HEIGHT) {
+    pdf.addPage();
+    y = MARGIN;
+  }
+
+  y += 7;
+  const totalsStartY = y;
+  const taxRows = taxDocument.supplyType === SUPPLY_TYPES.INTRASTATE
+    ? [["CGST", taxDocument.totals.cgst], ["SGST", taxDocument.totals.sgst]]
+    : [["IGST", taxDocument.totals.igst]];
+
+  [
+    ["Taxable Value", taxDocument.totals.taxableValue],
+    ...taxRows,
+    ...taxDocument.charges
+  ].forEach(([label, amount]) => {
+    drawTotalRow(pdf, label, formatAmount(amount), y);
+    y += 5;
+  });
+
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.line(PAGE_WIDTH - MARGIN - 80, y - 2, PAGE_WIDTH - MARGIN, y - 2);
+  y += 3;
+  drawTotalRow(pdf, taxDocument.totalLabel, `INR ${formatAmount(taxDocument.total)}`, y, { bold: true });
+
+  // Amount in words and note on the left, beside the totals
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text("Amount in words", MARGIN, totalsStartY);
+  pdf.setFont("helvetica", "normal");
+  const wordLines = pdf.splitTextToSize(amountInWords(taxDocument.total), 90);
+  pdf.text(wordLines, MARGIN, totalsStartY + 4.5);
+
+  if (taxDocument.note) {
+    const noteY = totalsStartY + 6 + wordLines.length * 4;
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(pdf.splitTextToSize(taxDocument.note, 90), MARGIN, noteY);
+  }
+
+  // Signature block
+  y += 14;
+  pdf.setFont("helvetica", "bold");
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(`For ${seller.name || ""}`, PAGE_WIDTH - MARGIN, y, { align: "right" });
+  pdf.setFont("helvetica", "normal");
+  pdf.setTextColor(...MUTED_COLOR);
+  pdf.text("Authorised Signatory", PAGE_WIDTH - MARGIN, y + 12, { align: "right" });
+
+  // Footer with page numbers on every page
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont("helvetica", "normal");
+    pdf.setFontSize(7.5);
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(
+      "This is a computer-generated document and does not require a physical signature.",
+      MARGIN,
+      PAGE_HEIGHT - 8
+    );
+    pdf.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: "right" });
+  }
+
+  return pdf;
+};
+
+/**
+ * Untaxed charges on an order, printed below the tax rows
+ */
+const getOrderCharges = (order) => {
+  const charges = [["Shipping", order.financials?.shipping ?? order.shipping?.cost ?? 0]];
+  if (order.importDuty > 0) {
+    charges.push(["Import Duty", order.importDuty]);
+  }
+  return charges;
+};
+
+/**
+ * Generate the tax invoice for an order that already has an invoice number
+ *
+ * @param {Object} order - Order data including invoice
+ * @returns {jsPDF} - The generated document
+ */
+export const generateTaxInvoicePdf = (order) => {
+  const { supplyType, placeOfSupply, lines, totals } = AdminInvoiceService.getInvoiceLines(order);
+
+  return renderTaxDocument({
+    title: "TAX INVOICE",
+    references: [
+      ["Invoice No", order.invoice.number],
+      ["Invoice Date", formatDocumentDate(order.invoice.issuedAt)],
+      ["Order ID", order.orderId || order.id],
+      ["Order Date", formatDocumentDate(order.orderDate || order.createdAt)]
+    ],
+    seller: order.invoice.seller || AdminInvoiceService.getSellerDetails(),
+    buyer: getBuyerDetails(order),
+    supplyType,
+    placeOfSupply,
+    lines,
+    totals,
+    charges: getOrderCharges(order),
+    total: order.financials?.total ?? order.totalAmount ?? order.total ?? 0,
+    totalLabel: "Invoice Total",
+    note: order.payment?.method ? `Payment method: ${order.payment.method}` : ""
+  });
+};
+
+/**
+ * Generate a credit note issued against an order's invoice
+ *
+ * @param {Object} order - Order data including invoice
+ * @param {Object} creditNote - Entry from order.creditNotes
+ * @returns {jsPDF} - The generated document
+ */
+export const generateCreditNotePdf = (order, creditNote) => {
+  const charges = creditNote.shipping > 0 ? [["Shipping Refund", creditNote.shipping]] : [];
+
+  return renderTaxDocument({
+    title: "CREDIT NOTE",
+    references: [
+      ["Credit Note No", creditNote.number],
+      ["Date", formatDocumentDate(creditNote.issuedAt)],
+      ["Against Invoice", creditNote.invoiceNumber || order.invoice?.number],
+      ["Invoice Date", formatDocumentDate(creditNote.invoiceDate || order.invoice?.issuedAt)],
+      ["Order ID", order.orderId || order.id]
+    ],
+    seller: creditNote.seller || order.invoice?.seller || AdminInvoiceService.getSellerDetails(),
+    buyer: getBuyerDetails(order),
+    supplyType: creditNote.supplyType,
+    placeOfSupply: creditNote.placeOfSupply,
+    lines: creditNote.lines,
+    totals: creditNote.totals,
+    charges,
+    total: creditNote.total,
+    totalLabel: "Total Credit",
+    note: creditNote.reason ? `Reason: ${creditNote.reason}` : ""
+  });
+};
+
+/**
+ * Turn a document number into a file name, e.g. INV-2025-26-00042
+ */
+const toFileName = (number) => String(number).replace(/[^\w-]+/g, "-");
+
+/**
+ * Download the tax invoice of an order that has an invoice number
+ * @param {Object} order - Order data including invoice
+ */
+export const downloadTaxInvoice = (order) => {
+  generateTaxInvoicePdf(order).save(`Invoice-${toFileName(order.invoice.number)}.pdf`);
+};
+
+/**
+ * Download a credit note issued against an order
+ * @param {Object} order - Order data including invoice
+ * @param {Object} creditNote - Entry from order.creditNotes
+ */
+export const downloadCreditNote = (order, creditNote) => {
+  generateCreditNotePdf(order, creditNote).save(`Credit-Note-${toFileName(creditNote.number)}.pdf`);
+};
@@ -0,0 +1,401 @@
+/**
+ * Admin Invoice Service
+ *
+ * GST tax invoices and credit notes for orders. Invoice and credit note
+ * numbers run in separate gap-free series per Indian financial year, kept in
+ * the `invoiceCounters` collection and shared with the storefront, which
+ * issues invoice numbers when customers download their invoice.
+ *
+ * Key Features:
+ * - Invoice numbers issued once per order and reused when regenerating
+ * - Numbers are reserved in the same transaction that stores them, so a
+ *   failed write never leaves a gap
+ * - Credit notes for full or partial refunds, with the GST of each returned
+ *   line reversed in proportion to the quantity, only against an issued invoice
+ * - Invoices and credit notes copied to the customer's users/{uid}/orders
+ *   entry in the same transaction
+ * - Line-level GST for orders placed before GST breakdowns were stored
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { SUPPLY_TYPES, DEFAULT_GST_RATE, getSupplyType } from './gstUtils';
+
+/**
+ * Collection holding one counter document per series and financial year
+ */
+export const INVOICE_COUNTER_COLLECTION = 'invoiceCounters';
+
+/**
+ * Document number series; each has its own gap-free sequence
+ */
+export const DOCUMENT_SERIES = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN'
+};
+
+/**
+ * Orders in these statuses were never supplied, so no invoice is issued
+ */
+export const NON_INVOICEABLE_STATUSES = ['Cancelled', 'Declined'];
+
+/**
+ * Round a currency amount to two decimal places
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Read a seller setting from the same environment variables the storefront uses
+ */
+const getEnvVar = (name) => import.meta.env[`REACT_APP_${name}`] ?? import.meta.env[name];
+
+/**
+ * Get the Indian financial year a date falls in, e.g. 2025-26
+ * @param {Date} date - Date to classify
+ * @returns {string} - Financial year label
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format a document number, e.g. CN/2025-26/00007
+ * @param {string} series - Value from DOCUMENT_SERIES
+ * @param {string} financialYear - Financial year label
+ * @param {number} sequence - Position in the series
+ * @returns {string} - Printable document number
+ */
+export const formatDocumentNumber = (series, financialYear, sequence) =>
+  `${series}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Admin service class for tax invoices and credit notes
+ */
+class AdminInvoiceService {
+
+  /**
+   * Seller details printed on documents, from the SELLER_* environment variables
+   * @returns {Object} - { name, address, state, gstin }
+   */
+  static getSellerDetails() {
+    return {
+      name: getEnvVar('SELLER_NAME') || 'ShopiyStore Stationeries Pvt. Ltd.',
+      address: getEnvVar('SELLER_ADDRESS') || 'North Sentinel Island, Andaman and Nicobar Islands, India',
+      state: getEnvVar('SELLER_STATE') || '',
+      gstin: getEnvVar('SELLER_GSTIN') || ''
+    };
+  }
+
+  /**
+   * Read the next number in a series inside a transaction
+   * Must be called before any writes in the transaction
+   *
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} series - Value from DOCUMENT_SERIES
+   * @param {Date} issuedAt - Issue date, which decides the financial year
+   * @returns {Promise<Object>} - { counterRef, counterData, number, financialYear, sequence }
+   */
+  static async reserveDocumentNumber(transaction, series, issuedAt) {
+    const financialYear = getFinancialYear(issuedAt);
+    const counterRef = doc(db, INVOICE_COUNTER_COLLECTION, `${series}-${financialYear}`);
+    const counterSnapshot = await transaction.get(counterRef);
+    const sequence = (counterSnapshot.exists() ? counterSnapshot.data().lastNumber || 0 : 0) + 1;
+
+    return {
+      counterRef,
+      counterData: { series, financialYear, lastNumber: sequence, updatedAt: serverTimestamp() },
+      number: formatDocumentNumber(series, financialYear, sequence),
+      financialYear,
+      sequence
+    };
+  }
+
+  /**
+   * Find the copies of an order in its customer's users/{uid}/orders
+   * Queries can't run inside a transaction, so the references are looked up first.
+   *
+   * @param {string} orderId - Global order ID
+   * @returns {Promise<Array>} - Document references, empty for guest orders
+   */
+  static async getUserOrderRefs(orderId) {
+    const orderSnapshot = await getDoc(doc(db, 'orders', orderId));
+    const userId = orderSnapshot.exists() ? orderSnapshot.data().userId : null;
+    if (!userId) {
+      return [];
+    }
+
+    const userOrdersSnapshot = await getDocs(query(
+      collection(db, 'users', userId, 'orders'),
+      where('globalOrderId', '==', orderId)
+    ));
+    return userOrdersSnapshot.docs.map(userOrderDoc => userOrderDoc.ref);
+  }
+
+  /**
+   * Issue the tax invoice for an order, or return the one it already has
+   *
+   * @param {string} orderId - Global order ID
+   * @returns {Promise<Object>} - { success, invoice } or { success: false, error }
+   */
+  static async issueInvoice(orderId) {
+    console.log(`🧾 AdminInvoiceService: Issuing invoice for order ${orderId}`);
+
+    try {
+      const userOrderRefs = await this.getUserOrderRefs(orderId);
+      const invoice = await runTransaction(db, async (transaction) => {
+        const orderRef = doc(db, 'orders', orderId);
+        const orderSnapshot = await transaction.get(orderRef);
+        if (!orderSnapshot.exists()) {
+          throw new Error(`Order ${orderId} not found`);
+        }
+
+        const order = orderSnapshot.data();
+        if (order.invoice?.number) {
+          return order.invoice;
+        }
+        if (NON_INVOICEABLE_STATUSES.includes(order.status)) {
+          throw new Error(`No invoice is issued for ${order.status.toLowerCase()} orders`);
+        }
+
+        const issuedAt = new Date();
+        const reserved = await this.reserveDocumentNumber(transaction, DOCUMENT_SERIES.INVOICE, issuedAt);
+        const newInvoice = {
+          number: reserved.number,
+          financialYear: reserved.financialYear,
+          sequence: reserved.sequence,
+          issuedAt: issuedAt.toISOString(),
+          seller: this.getSellerDetails()
+        };
+
+        transaction.set(reserved.counterRef, reserved.counterData, { merge: true });
+        transaction.update(orderRef, { invoice: newInvoice });
+        userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, { invoice: newInvoice }));
+        return newInvoice;
+      });
+
+      console.log(`✅ AdminInvoiceService: Order ${orderId} has invoice ${invoice.number}`);
+      return { success: true, invoice };
+    } catch (error) {
+      console.error('❌ AdminInvoiceService: Error issuing invoice:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the GST lines of an order for printing
+   * Orders placed since GST breakdowns were stored use them as they are. For
+   * older orders the stored tax is shared across lines in proportion to their
+   * value and split by the shipping state.
+   *
+   * @param {Object} order - Order data
+   * @returns {Object} - { supplyType, placeOfSupply, lines, totals }
+   */
+  static getInvoiceLines(order) {
+    const gst = order.financials?.gst;
+    if (gst?.lines) {
+      return {
+        supplyType: gst.supplyType,
+        placeOfSupply: gst.placeOfSupply,
+        lines: gst.lines,
+        totals: gst.totals
+      };
+    }
+
+    const items = order.items || [];
+    const address = order.shipping?.address || order.shippingAddress || {};
+    const sellerState = order.invoice?.seller?.state ?? this.getSellerDetails().state;
+    const supplyType = getSupplyType(address, sellerState);
+    const subtotal = roundCurrency(order.financials?.subtotal ?? order.subtotal);
+    const discount = roundCurrency(order.financials?.discount ?? order.discount);
+    const tax = roundCurrency(order.financials?.tax ?? order.tax);
+    const legacyRate = order.financials?.taxRate !== undefined
+      ? Math.round(order.financials.taxRate * 100)
+      : DEFAULT_GST_RATE;
+
+    let discountLeft = discount;
+    let taxLeft = tax;
+    const lines = items.map((item, index) => {
+      const isLast = index === items.length - 1;
+      const amount = roundCurrency((Number(item.price) || 0) * (item.quantity || 0));
+      const share = subtotal > 0 ? amount / subtotal : 0;
+      const lineDiscount = isLast ? discountLeft : roundCurrency(discount * share);
+      const lineTax = isLast ? taxLeft : roundCurrency(tax * share);
+      discountLeft = roundCurrency(discountLeft - lineDiscount);
+      taxLeft = roundCurrency(taxLeft - lineTax);
+
+      const cgst = supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(lineTax / 2) : 0;
+      return {
+        productId: item.productId || '',
+        name: item.name || '',
+        hsnCode: item.hsnCode || '',
+        gstRate: item.gstRate ?? legacyRate,
+        quantity: item.quantity || 0,
+        unitPrice: Number(item.price) || 0,
+        amount,
+        discount: lineDiscount,
+        taxableValue: roundCurrency(amount - lineDiscount),
+        cgst,
+        sgst: supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(lineTax - cgst) : 0,
+        igst: supplyType === SUPPLY_TYPES.INTERSTATE ? lineTax : 0,
+        tax: lineTax
+      };
+    });
+
+    return {
+      supplyType,
+      placeOfSupply: address.state || address.country || '',
+      lines,
+      totals: this.sumLines(lines)
+    };
+  }
+
+  /**
+   * Add up the money columns of GST lines
+   * @param {Array} lines - GST lines
+   * @returns {Object} - { taxableValue, cgst, sgst, igst, tax }
+   */
+  static sumLines(lines) {
+    const sum = (key) => roundCurrency(lines.reduce((total, line) => total + (line[key] || 0), 0));
+    return {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      tax: sum('tax')
+    };
+  }
+
+  /**
+   * Build the lines of a credit note from the order's invoice lines
+   * A line returned in full reverses its invoiced amounts exactly; a partial
+   * quantity reverses them in proportion.
+   *
+   * @param {Object} order - Order data
+   * @param {Array|null} items - [{ productId, quantity }] being credited, or null for the whole order
+   * @returns {Object} - { supplyType, placeOfSupply, lines, totals }
+   */
+  static buildCreditNoteLines(order, items = null) {
+    const invoiceLines = this.getInvoiceLines(order);
+    const remaining = {};
+    (items || []).forEach(item => {
+      remaining[item.productId] = (remaining[item.productId] || 0) + (Number(item.quantity) || 0);
+    });
+
+    const lines = [];
+    invoiceLines.lines.forEach(line => {
+      const quantity = items
+        ? Math.min(remaining[line.productId] || 0, line.quantity)
+        : line.quantity;
+      if (quantity <= 0) return;
+      if (items) remaining[line.productId] -= quantity;
+
+      const factor = line.quantity > 0 ? quantity / line.quantity : 0;
+      const scale = (value) => (factor === 1 ? value : roundCurrency(value * factor));
+      lines.push({
+        ...line,
+        quantity,
+        amount: scale(line.amount),
+        discount: scale(line.discount),
+        taxableValue: scale(line.taxableValue),
+        cgst: scale(line.cgst),
+        sgst: scale(line.sgst),
+        igst: scale(line.igst),
+        tax: scale(line.tax)
+      });
+    });
+
+    return {
+      supplyType: invoiceLines.supplyType,
+      placeOfSupply: invoiceLines.placeOfSupply,
+      lines,
+      totals: this.sumLines(lines)
+    };
+  }
+
+  /**
+   * Issue a credit note against an order's invoice
+   * Orders without an invoice are refused: a credit note can only reverse an
+   * invoice that was actually issued.
+   *
+   * @param {string} orderId - Global order ID
+   * @param {Object} options - What is being credited
+   * @param {Array|null} options.items - [{ productId, quantity }] credited, or null for every line
+   * @param {number} options.shipping - Shipping amount refunded
+   * @param {string} options.reason - Reason printed on the credit note
+   * @param {string} adminUserId - ID of the admin issuing the note
+   * @returns {Promise<Object>} - { success, creditNote } or { success: false, error }
+   */
+  static async issueCreditNote(orderId, { items = null, shipping = 0, reason = '' } = {}, adminUserId = 'admin') {
+    console.log(`🧾 AdminInvoiceService: Issuing credit note for order ${orderId}`);
+
+    try {
+      const userOrderRefs = await this.getUserOrderRefs(orderId);
+      const creditNote = await runTransaction(db, async (transaction) => {
+        const orderRef = doc(db, 'orders', orderId);
+        const orderSnapshot = await transaction.get(orderRef);
+        if (!orderSnapshot.exists()) {
+          throw new Error(`Order ${orderId} not found`);
+        }
+
+        const order = orderSnapshot.data();
+        const invoice = order.invoice;
+        if (!invoice?.number) {
+          throw new Error(`Order ${orderId} has no invoice to credit`);
+        }
+
+        const credited = this.buildCreditNoteLines(order, items);
+        if (credited.lines.length === 0 && !(shipping > 0)) {
+          throw new Error('Nothing to credit');
+        }
+
+        const issuedAt = new Date();
+        const reservedNote = await this.reserveDocumentNumber(transaction, DOCUMENT_SERIES.CREDIT_NOTE, issuedAt);
+        const newCreditNote = {
+          number: reservedNote.number,
+          financialYear: reservedNote.financialYear,
+          sequence: reservedNote.sequence,
+          issuedAt: issuedAt.toISOString(),
+          invoiceNumber: invoice.number,
+          invoiceDate: invoice.issuedAt,
+          reason,
+          supplyType: credited.supplyType,
+          placeOfSupply: credited.placeOfSupply,
+          lines: credited.lines,
+          totals: credited.totals,
+          shipping: roundCurrency(shipping),
+          total: roundCurrency(credited.totals.taxableValue + credited.totals.tax + (Number(shipping) || 0)),
+          seller: invoice.seller || this.getSellerDetails(),
+          issuedBy: adminUserId
+        };
+
+        const creditNotes = [...(order.creditNotes || []), newCreditNote];
+        transaction.set(reservedNote.counterRef, reservedNote.counterData, { merge: true });
+        transaction.update(orderRef, { creditNotes });
+        userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, { creditNotes }));
+        return newCreditNote;
+      });
+
+      console.log(`✅ AdminInvoiceService: Credit note ${creditNote.number} issued for order ${orderId}`);
+      return { success: true, creditNote };
+    } catch (error) {
+      console.error('❌ AdminInvoiceService: Error issuing credit note:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export the service class as default
+export default AdminInvoiceService;
@@ -0,0 +1,331 @@
+/**
+ * Utilities for exporting orders to spreadsheets
+ * Builds rows for csvUtils in three layouts: one row per order, one row per
+ * line item, and a GST summary grouped by month, place of supply and rate
+ */
+
+// Orders in these statuses were never supplied, or were fully refunded, so
+// they are left out of the GST summary
+const NON_TAXABLE_STATUSES = ["Cancelled", "Declined", "Refunded"];
+
+/**
+ * Round a currency amount to two decimal places
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Convert a stored date (Date, ISO string or Firestore Timestamp) to a Date
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date as YYYY-MM-DD HH:MM in local time for spreadsheets
+ */
+const formatDateTime = (value) => {
+  const date = toDate(value);
+  if (!date) return "";
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Read the money fields of an order, falling back to the legacy top-level fields
+ * Orders placed since GST slabs were introduced carry a breakdown under
+ * financials.gst; older orders only have a tax total and a flat taxRate
+ * @param {Object} order - Order data
+ * @returns {Object} - { subtotal, discount, taxableValue, tax, cgst, sgst, igst, supplyType, placeOfSupply, gst, legacyTaxRate, shipping, total, currency }
+ */
+export const getOrderFinancials = (order) => {
+  const financials = order.financials || {};
+  const gst = financials.gst || null;
+  const subtotal = roundCurrency(financials.subtotal ?? order.subtotal);
+  const discount = roundCurrency(financials.discount ?? order.discount);
+  const tax = roundCurrency(financials.tax ?? order.tax);
+
+  return {
+    subtotal,
+    discount,
+    taxableValue: gst ? roundCurrency(gst.totals.taxableValue) : roundCurrency(subtotal - discount),
+    tax,
+    cgst: gst ? roundCurrency(gst.totals.cgst) : "",
+    sgst: gst ? roundCurrency(gst.totals.sgst) : "",
+    igst: gst ? roundCurrency(gst.totals.igst) : "",
+    supplyType: gst?.supplyType || "",
+    placeOfSupply: gst?.placeOfSupply || "",
+    gst,
+    legacyTaxRate: financials.taxRate ?? "",
+    shipping: roundCurrency(financials.shipping ?? order.shipping?.cost),
+    total: roundCurrency(financials.total ?? order.totalAmount ?? order.total),
+    currency: financials.currency || "INR",
+  };
+};
+
+/**
+ * Read the shipping address of an order
+ * Orders keep a flattened shippingAddress and the raw form under shipping.address
+ * @param {Object} order - Order data
+ * @returns {Object} - { name, street, city, state, zip, country, phone }
+ */
+export const getOrderAddress = (order) => {
+  const flat = order.shippingAddress || {};
+  const raw = order.shipping?.address || {};
+
+  return {
+    name: flat.name || order.userName || "",
+    street: flat.street || [raw.houseNo, raw.line1, raw.line2].filter(Boolean).join(", "),
+    city: flat.city || raw.city || "",
+    state: flat.state || raw.state || "",
+    zip: flat.zip || raw.pin || "",
+    country: flat.country || raw.country || "",
+    phone: order.userPhone || order.phone || "",
+  };
+};
+
+/**
+ * Columns shared by the order and line-item layouts
+ */
+const ORDER_COLUMNS = [
+  "Order ID",
+  "Document ID",
+  "Order Date",
+  "Status",
+  "Customer Name",
+  "Customer Email",
+  "Phone",
+  "Street",
+  "City",
+  "State",
+  "PIN",
+  "Country",
+];
+
+/**
+ * Values for ORDER_COLUMNS
+ */
+const orderCells = (order) => {
+  const address = getOrderAddress(order);
+  return [
+    order.orderId || "",
+    order.id,
+    formatDateTime(order.orderDate || order.createdAt),
+    order.status || "",
+    address.name,
+    order.userEmail || "",
+    address.phone,
+    address.street,
+    address.city,
+    address.state,
+    address.zip,
+    address.country,
+  ];
+};
+
+/**
+ * Build one row per order with financials, address and tracking
+ * @param {Array} orders - Orders as loaded by AdminOrderService
+ * @returns {Array<Array>} - Header row followed by one row per order
+ */
+export const buildOrderRows = (orders) => {
+  const header = [
+    ...ORDER_COLUMNS,
+    "Items",
+    "Units",
+    "Subtotal",
+    "Discount",
+    "Coupon",
+    "Taxable Value",
+    "Supply Type",
+    "Place of Supply",
+    "CGST",
+    "SGST",
+    "IGST",
+    "Tax",
+    "Shipping",
+    "Total",
+    "Currency",
+    "Payment Method",
+    "Carrier",
+    "Service",
+    "Tracking Number",
+    "Tracking URL",
+    "Shipped At",
+    "Delivered At",
+  ];
+
+  const rows = orders.map((order) => {
+    const money = getOrderFinancials(order);
+    const items = order.items || [];
+    return [
+      ...orderCells(order),
+      items.length,
+      items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0),
+      money.subtotal,
+      money.discount,
+      order.coupon?.code || "",
+      money.taxableValue,
+      money.supplyType,
+      money.placeOfSupply,
+      money.cgst,
+      money.sgst,
+      money.igst,
+      money.tax,
+      money.shipping,
+      money.total,
+      money.currency,
+      order.payment?.method || "",
+      order.tracking?.carrier || "",
+      order.tracking?.service || "",
+      order.tracking?.code || "",
+      order.tracking?.url || "",
+      formatDateTime(order.shippedAt),
+      formatDateTime(order.deliveredAt),
+    ];
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * Build one row per line item
+ * Lines use the order's stored GST breakdown when it has one. For older
+ * orders the discount and tax are shared across lines in proportion to each
+ * line's value, so the line columns add up to the order's totals
+ * @param {Array} orders - Orders as loaded by AdminOrderService
+ * @returns {Array<Array>} - Header row followed by one row per line item
+ */
+export const buildLineItemRows = (orders) => {
+  const header = [
+    ...ORDER_COLUMNS,
+    "Line",
+    "Product ID",
+    "Product Name",
+    "HSN Code",
+    "GST Rate",
+    "Quantity",
+    "Unit Price",
+    "Line Amount",
+    "Discount Share",
+    "Taxable Value",
+    "CGST",
+    "SGST",
+    "IGST",
+    "Tax",
+    "Currency",
+    "Carrier",
+    "Tracking Number",
+  ];
+
+  const rows = [];
+  orders.forEach((order) => {
+    const money = getOrderFinancials(order);
+    const cells = orderCells(order);
+    const items = order.items || [];
+
+    items.forEach((item, index) => {
+      const quantity = Number(item.quantity) || 0;
+      const unitPrice = Number(item.price) || 0;
+      const lineAmount = roundCurrency(unitPrice * quantity);
+      const share = money.subtotal > 0 ? lineAmount / money.subtotal : 0;
+      const gstLine = money.gst?.lines?.[index];
+
+      rows.push([
+        ...cells,
+        index + 1,
+        item.productId || "",
+        item.name || "",
+        gstLine?.hsnCode ?? item.hsnCode ?? "",
+        gstLine?.gstRate ?? item.gstRate ?? money.legacyTaxRate,
+        quantity,
+        unitPrice,
+        lineAmount,
+        gstLine ? gstLine.discount : roundCurrency(money.discount * share),
+        gstLine ? gstLine.taxableValue : roundCurrency(money.taxableValue * share),
+        gstLine ? gstLine.cgst : "",
+        gstLine ? gstLine.sgst : "",
+        gstLine ? gstLine.igst : "",
+        gstLine ? gstLine.tax : roundCurrency(money.tax * share),
+        money.currency,
+        order.tracking?.carrier || "",
+        order.tracking?.code || "",
+      ]);
+    });
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * Build a GST summary grouped by month, place of supply and GST rate
+ * Cancelled, declined and refunded orders are left out. Older orders without
+ * a GST breakdown are reported at their flat rate with the tax unsplit.
+ * @param {Array} orders - Orders as loaded by AdminOrderService
+ * @returns {Array<Array>} - Header row followed by one row per month, state and rate
+ */
+export const buildGstSummaryRows = (orders) => {
+  const groups = {};
+
+  const addToGroup = (month, state, rate, amounts, orderId) => {
+    const key = `${month}|${state}|${rate}`;
+    const group = groups[key] || {
+      month,
+      state,
+      rate,
+      orderIds: new Set(),
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      tax: 0,
+    };
+    group.orderIds.add(orderId);
+    group.taxableValue += amounts.taxableValue;
+    group.cgst += amounts.cgst || 0;
+    group.sgst += amounts.sgst || 0;
+    group.igst += amounts.igst || 0;
+    group.tax += amounts.tax;
+    groups[key] = group;
+  };
+
+  orders.forEach((order) => {
+    if (NON_TAXABLE_STATUSES.includes(order.status)) return;
+
+    const date = toDate(order.orderDate || order.createdAt);
+    if (!date) return;
+
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+    const money = getOrderFinancials(order);
+    const state = money.placeOfSupply || getOrderAddress(order).state || "Unknown";
+
+    if (money.gst) {
+      money.gst.rates.forEach((rate) => addToGroup(month, state, rate.gstRate, rate, order.id));
+    } else {
+      addToGroup(month, state, money.legacyTaxRate, money, order.id);
+    }
+  });
+
+  const header = ["Month", "Place of Supply", "GST Rate", "Orders", "Taxable Value", "CGST", "SGST", "IGST", "Tax"];
+  const rows = Object.values(groups)
+    .sort(
+      (a, b) =>
+        a.month.localeCompare(b.month) ||
+        a.state.localeCompare(b.state) ||
+        (Number(a.rate) || 0) - (Number(b.rate) || 0)
+    )
+    .map((group) => [
+      group.month,
+      group.state,
+      group.rate,
+      group.orderIds.size,
+      roundCurrency(group.taxableValue),
+      roundCurrency(group.cgst),
+      roundCurrency(group.sgst),
+      roundCurrency(group.igst),
+      roundCurrency(group.tax),
+    ]);
+
+  return [header, ...rows];
+};
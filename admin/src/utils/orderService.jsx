@@ -33,15 +33,20 @@ import {
   startAfter,
   serverTimestamp,
   runTransaction,
-  writeBatch
+  writeBatch,
+  increment
 } from 'firebase/firestore';
 import { db } from '../firebase';
+import AdminInventoryService, { LEDGER_REASONS } from './inventoryService';
+import AdminPaymentService, { PAYMENT_NOT_CONFIRMED_MESSAGE } from './paymentService';
+import { isEmailEnabled, sendOrderStatusEmail } from './emailService';
 
 /**
  * Order status constants for consistent admin management
  * These align with the main application's order statuses
  */
 export const ORDER_STATUSES = {
+  PENDING_PAYMENT: 'Pending Payment', // UPI/card order waiting for the gateway
   PLACED: 'Placed',           // Initial order placement - requires admin approval
   APPROVED: 'Approved',       // Admin approved for processing
   PACKED: 'Packed',           // Order packed and ready for shipment
@@ -49,6 +54,9 @@ export const ORDER_STATUSES = {
   DELIVERED: 'Delivered',     // Order delivered to customer
   DECLINED: 'Declined',       // Admin declined the order
   CANCELLED: 'Cancelled',     // Order cancelled (by customer or admin)
+  RETURN_REQUESTED: 'Return Requested', // Customer asked to return delivered items
+  RETURN_APPROVED: 'Return Approved',   // Return accepted, waiting for the items
+  RETURN_RECEIVED: 'Return Received',   // Returned items received and restocked
   REFUNDED: 'Refunded'        // Order refunded
 };
 
@@ -65,35 +73,48 @@ export const ORDER_PRIORITIES = {
 
 /**
  * Shipping carrier configuration with tracking capabilities
- * Provides standardized carrier information for shipment processing
+ * Provides standardized carrier information for shipment processing.
+ * trackingDeepLink takes the tracking code in place of {code}.
  */
 export const SHIPPING_CARRIERS = {
   INDIA_POST: {
     name: 'IndiaPost',
     code: 'INDIAPOST',
     trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx',
+    trackingDeepLink: null,
     estimatedDays: { standard: 7, express: 3 }
   },
   DHL: {
     name: 'DHL',
     code: 'DHL',
     trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html',
+    trackingDeepLink: 'https://www.dhl.com/in-en/home/tracking.html?tracking-id={code}&submit=1',
     estimatedDays: { standard: 3, express: 1 }
   },
   FEDEX: {
     name: 'FedEx',
     code: 'FEDEX',
     trackingUrl: 'https://www.fedex.com/en-in/tracking.html',
+    trackingDeepLink: 'https://www.fedex.com/fedextrack/?trknbr={code}',
     estimatedDays: { standard: 3, express: 1 }
   },
   BLUEDART: {
     name: 'BlueDart',
     code: 'BLUEDART',
     trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult',
+    trackingDeepLink: 'https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={code}',
     estimatedDays: { standard: 2, express: 1 }
   }
 };
 
+/**
+ * Total refunded on an order, the running total of the refund transactions
+ * AdminRefundService.processRefund records in financials
+ * @param {Object} order - Order data
+ * @returns {number} - Amount refunded
+ */
+export const getRefundedTotal = (order) => Number(order?.financials?.refunded) || 0;
+
 /**
  * Comprehensive admin service class for order management
  * Provides all necessary functionality for admin order operations
@@ -339,6 +360,11 @@ class AdminOrderService {
         throw new Error(`Invalid order status: ${newStatus}. Must be one of: ${Object.values(ORDER_STATUSES).join(', ')}`);
       }
       
+      // Refunds move money and issue a credit note, so they only go through the refund service
+      if (newStatus === ORDER_STATUSES.REFUNDED) {
+        throw new Error('Orders are refunded from the Refund button, not by changing their status');
+      }
+      
       // Get current order data for validation and history tracking
       const orderRef = doc(db, "orders", orderId);
       const orderSnapshot = await getDoc(orderRef);
@@ -352,13 +378,17 @@ class AdminOrderService {
       
       // Validate status transition according to business rules
       const validTransitions = {
+        [ORDER_STATUSES.PENDING_PAYMENT]: [ORDER_STATUSES.CANCELLED], // Customer never finished paying
         [ORDER_STATUSES.PLACED]: [ORDER_STATUSES.APPROVED, ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED],
         [ORDER_STATUSES.APPROVED]: [ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELLED],
         [ORDER_STATUSES.PACKED]: [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.CANCELLED],
         [ORDER_STATUSES.SHIPPED]: [ORDER_STATUSES.DELIVERED],
-        [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.REFUNDED],
+        [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.RETURN_REQUESTED],
+        [ORDER_STATUSES.RETURN_REQUESTED]: [ORDER_STATUSES.RETURN_APPROVED, ORDER_STATUSES.DELIVERED], // Delivered = request rejected
+        [ORDER_STATUSES.RETURN_APPROVED]: [ORDER_STATUSES.RETURN_RECEIVED],
+        [ORDER_STATUSES.RETURN_RECEIVED]: [], // Refunded by AdminRefundService
         [ORDER_STATUSES.DECLINED]: [], // Terminal state
-        [ORDER_STATUSES.CANCELLED]: [ORDER_STATUSES.REFUNDED],
+        [ORDER_STATUSES.CANCELLED]: [], // Refunded by AdminRefundService
         [ORDER_STATUSES.REFUNDED]: [] // Terminal state
       };
       
@@ -368,6 +398,12 @@ class AdminOrderService {
         // Continue anyway - admin has override capability
       }
       
+      // Payment is the one rule admins can't override
+      if (currentStatus === ORDER_STATUSES.PLACED && newStatus === ORDER_STATUSES.APPROVED &&
+          !(await AdminPaymentService.isPaymentConfirmedForApproval(orderId, currentOrder.payment))) {
+        throw new Error(PAYMENT_NOT_CONFIRMED_MESSAGE);
+      }
+      
       // Create comprehensive status history entry
       const statusHistoryEntry = {
         status: newStatus,
@@ -404,12 +440,14 @@ class AdminOrderService {
           updateData.packedAt = serverTimestamp();
           updateData.packedBy = adminUserId;
           updateData.packingNotes = updateInfo.packingNotes || '';
-          // Auto-assign carrier based on shipping address
+          // Use the carrier from the customer's shipping option, or pick one
+          // from the shipping address for orders placed before options existed
           if (!currentOrder.tracking?.carrier) {
             const isInternational = currentOrder.shipping?.address?.country !== 'India';
             updateData.tracking = {
               ...currentOrder.tracking,
-              carrier: isInternational ? SHIPPING_CARRIERS.DHL.name : SHIPPING_CARRIERS.INDIA_POST.name
+              carrier: currentOrder.shipping?.carrier ||
+                (isInternational ? SHIPPING_CARRIERS.DHL.name : SHIPPING_CARRIERS.INDIA_POST.name)
             };
           }
           break;
@@ -428,32 +466,70 @@ class AdminOrderService {
           break;
           
         case ORDER_STATUSES.DELIVERED:
+          if (currentStatus === ORDER_STATUSES.RETURN_REQUESTED) {
+            // Rejecting a return puts the order back to Delivered without
+            // touching the original delivery date or return window
+            updateData.returnRequest = {
+              ...currentOrder.returnRequest,
+              status: 'rejected',
+              rejectionReason: updateInfo.reason || 'Return request declined',
+              resolvedAt: new Date().toISOString(),
+              resolvedBy: adminUserId
+            };
+            break;
+          }
           updateData.deliveredAt = serverTimestamp();
           updateData.deliveryConfirmation = updateInfo.deliveryConfirmation || 'Admin marked as delivered';
           break;
+
+        case ORDER_STATUSES.RETURN_APPROVED:
+          updateData.returnRequest = {
+            ...currentOrder.returnRequest,
+            status: 'approved',
+            approvedAt: new Date().toISOString(),
+            approvedBy: adminUserId
+          };
+          break;
+
+        case ORDER_STATUSES.RETURN_RECEIVED:
+          updateData.returnRequest = {
+            ...currentOrder.returnRequest,
+            status: 'received',
+            receivedAt: new Date().toISOString(),
+            receivedBy: adminUserId
+          };
+          // Returned items go back into stock once they arrive
+          await this.restoreInventory(currentOrder.returnRequest?.items || [], {
+            reason: LEDGER_REASONS.RETURN,
+            orderId,
+            actor: adminUserId
+          });
+          break;
           
         case ORDER_STATUSES.DECLINED:
           updateData.declinedAt = serverTimestamp();
           updateData.declinedBy = adminUserId;
           updateData.declineReason = updateInfo.reason || 'Order declined by admin';
-          // Restore inventory on decline
-          await this.restoreInventory(currentOrder.items);
+          // Restore inventory and the coupon redemption on decline
+          await this.restoreInventory(currentOrder.items, {
+            reason: LEDGER_REASONS.CANCELLATION,
+            orderId,
+            actor: adminUserId,
+            couponId: currentOrder.coupon?.id
+          });
           break;
           
         case ORDER_STATUSES.CANCELLED:
           updateData.cancelledAt = serverTimestamp();
           updateData.cancelledBy = adminUserId;
           updateData.cancellationReason = updateInfo.reason || 'Order cancelled';
-          // Restore inventory on cancellation
-          await this.restoreInventory(currentOrder.items);
-          break;
-          
-        case ORDER_STATUSES.REFUNDED:
-          updateData.refundedAt = serverTimestamp();
-          updateData.refundedBy = adminUserId;
-          updateData.refundAmount = updateInfo.refundAmount || currentOrder.total;
-          updateData.refundReason = updateInfo.reason || 'Refund processed';
-          updateData.refundMethod = updateInfo.refundMethod || 'original_payment_method';
+          // Restore inventory and the coupon redemption on cancellation
+          await this.restoreInventory(currentOrder.items, {
+            reason: LEDGER_REASONS.CANCELLATION,
+            orderId,
+            actor: adminUserId,
+            couponId: currentOrder.coupon?.id
+          });
           break;
           
         default:
@@ -462,6 +538,12 @@ class AdminOrderService {
           break;
       }
       
+      // COD cash is collected on delivery
+      const isDelivery = newStatus === ORDER_STATUSES.DELIVERED && currentStatus !== ORDER_STATUSES.RETURN_REQUESTED;
+      if (isDelivery) {
+        updateData.payment = AdminPaymentService.getDeliveredPayment(currentOrder.payment, adminUserId);
+      }
+      
       // Use transaction to ensure data consistency across collections
       await runTransaction(db, async (transaction) => {
         // Update main order document
@@ -488,6 +570,13 @@ class AdminOrderService {
       });
       
       console.log(`✅ AdminOrderService: Order ${orderId} status updated from ${currentStatus} to ${newStatus}`);
+
+      if (updateInfo.notifyCustomer !== false) {
+        await this.notifyStatusChange({ ...currentOrder, ...updateData, id: orderId }, newStatus, {
+          reason: updateInfo.reason,
+          returnDeclined: currentStatus === ORDER_STATUSES.RETURN_REQUESTED && newStatus === ORDER_STATUSES.DELIVERED
+        });
+      }
       
       // Return comprehensive update result
       return {
@@ -562,7 +651,7 @@ class AdminOrderService {
       
       // Calculate estimated delivery date
       const estimatedDeliveryDate = new Date();
-      const deliveryDays = carrierConfig?.estimatedDays?.standard || 7;
+      const deliveryDays = carrierConfig?.estimatedDays?.[shippingInfo.service === 'express' ? 'express' : 'standard'] || 7;
       estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + deliveryDays);
       
       // Prepare comprehensive tracking data
@@ -570,7 +659,9 @@ class AdminOrderService {
         code: shippingInfo.trackingNumber,
         carrier: carrierConfig?.name || shippingInfo.carrier,
         carrierCode: carrierConfig?.code || shippingInfo.carrier.toUpperCase(),
-        url: carrierConfig?.trackingUrl || null,
+        url: carrierConfig?.trackingDeepLink
+          ? carrierConfig.trackingDeepLink.replace('{code}', encodeURIComponent(shippingInfo.trackingNumber))
+          : carrierConfig?.trackingUrl || null,
         estimatedDelivery: estimatedDeliveryDate.toISOString(),
         shippedDate: new Date().toISOString(),
         service: shippingInfo.service || 'standard',
@@ -610,6 +701,11 @@ class AdminOrderService {
       
       console.log(`✅ AdminOrderService: Shipping info updated for order ${orderId}`);
       
+      // Only the first shipment is announced; later edits just correct the tracking
+      if (currentOrder.status !== ORDER_STATUSES.SHIPPED) {
+        await this.notifyStatusChange({ ...currentOrder, ...updateData, id: orderId }, ORDER_STATUSES.SHIPPED);
+      }
+      
       return {
         success: true,
         message: 'Shipping information updated successfully',
@@ -651,12 +747,31 @@ class AdminOrderService {
         throw new Error('Bulk operations are limited to 50 orders at a time for performance reasons');
       }
       
+      if (operation === 'update_status' && !Object.values(ORDER_STATUSES).includes(operationData.status)) {
+        throw new Error(`Invalid status: ${operationData.status}`);
+      }
+      
       const results = [];
       const batch = writeBatch(db);
       
       // Process each order in the bulk operation
       for (const orderId of orderIds) {
         try {
+          // Status changes go one by one through updateOrderStatus, so each
+          // gets its payment check, restock, refund rules and email
+          if (operation === 'update_status') {
+            const statusResult = await this.updateOrderStatus(orderId, operationData.status, {
+              note: operationData.note || `Bulk status update to ${operationData.status}`,
+              reason: operationData.note,
+              notifyCustomer: operationData.notifyCustomer,
+              metadata: { bulkOperation: true }
+            }, adminUserId);
+            results.push(statusResult.success
+              ? { orderId: orderId, success: true, operation: operation }
+              : { orderId: orderId, success: false, error: statusResult.error });
+            continue;
+          }
+          
           const orderRef = doc(db, "orders", orderId);
           const orderSnapshot = await getDoc(orderRef);
           
@@ -674,30 +789,6 @@ class AdminOrderService {
           
           // Determine update data based on operation type
           switch (operation) {
-            case 'update_status':
-              if (!Object.values(ORDER_STATUSES).includes(operationData.status)) {
-                results.push({
-                  orderId: orderId,
-                  success: false,
-                  error: `Invalid status: ${operationData.status}`
-                });
-                continue;
-              }
-              
-              updateData = {
-                status: operationData.status,
-                updatedAt: serverTimestamp(),
-                lastUpdatedBy: adminUserId,
-                statusHistory: [...(currentOrder.statusHistory || []), {
-                  status: operationData.status,
-                  timestamp: new Date().toISOString(),
-                  note: operationData.note || `Bulk status update to ${operationData.status}`,
-                  updatedBy: adminUserId,
-                  metadata: { bulkOperation: true }
-                }]
-              };
-              break;
-              
             case 'update_priority':
               if (!Object.values(ORDER_PRIORITIES).includes(operationData.priority)) {
                 results.push({
@@ -827,6 +918,11 @@ class AdminOrderService {
       
       const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
       
+      // Refunds, full and partial, come off gross revenue
+      const totalRefunded = orders.reduce((sum, order) => sum + getRefundedTotal(order), 0);
+      const refundedOrders = orders.filter(order => getRefundedTotal(order) > 0).length;
+      const netRevenue = totalRevenue - totalRefunded;
+      
       // Status distribution analysis
       const statusDistribution = orders.reduce((acc, order) => {
         const status = order.status || 'Unknown';
@@ -942,6 +1038,9 @@ class AdminOrderService {
           totalOrders,
           totalRevenue,
           averageOrderValue,
+          totalRefunded,
+          refundedOrders,
+          netRevenue,
           
           // Status analysis
           statusDistribution,
@@ -1028,14 +1127,54 @@ class AdminOrderService {
   }
   
   /**
-   * Restore inventory for cancelled or declined orders
-   * Helper method for inventory management
+   * Email the customer about their order's new status
+   * Email failures are logged and never fail the status change itself.
+   *
+   * @param {Object} order - Order data with its global `id` and the new status applied
+   * @param {string} newStatus - Status the order moved to
+   * @param {Object} details - Template details such as { reason, returnDeclined }
+   * @returns {Promise<Object>} - Result of the email send
+   */
+  static async notifyStatusChange(order, newStatus, details = {}) {
+    if (!isEmailEnabled()) {
+      return { success: false, error: 'Email functionality is disabled' };
+    }
+
+    try {
+      const carrier = Object.values(SHIPPING_CARRIERS).find(candidate =>
+        candidate.name === order.tracking?.carrier || candidate.code === order.tracking?.carrier
+      );
+      const trackingUrl = order.tracking?.url || (carrier && order.tracking?.code
+        ? carrier.trackingDeepLink?.replace('{code}', encodeURIComponent(order.tracking.code)) || carrier.trackingUrl
+        : null);
+
+      const result = await sendOrderStatusEmail(order, newStatus, { ...details, trackingUrl });
+      if (!result.success) {
+        console.warn(`⚠️ AdminOrderService: ${newStatus} email not sent for order ${order.orderId}:`, result.error);
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ AdminOrderService: Error sending status email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Restore inventory for cancelled, declined or returned items
+   * Helper method for inventory management; every restored line is also
+   * written to the inventory ledger in the same batch, as is the coupon
+   * redemption a cancelled order gives back
    * 
    * @param {Array} orderItems - Array of order items
+   * @param {Object} context - Ledger details for the restock
+   * @param {string} context.reason - Value from LEDGER_REASONS
+   * @param {string} context.orderId - Order the items belong to
+   * @param {string} context.actor - ID of the admin making the change
+   * @param {string} context.couponId - Coupon whose usedCount to decrement, if any
    * @returns {Promise<void>}
    */
-  static async restoreInventory(orderItems) {
-    console.log('📦 AdminOrderService: Restoring inventory for cancelled/declined order');
+  static async restoreInventory(orderItems, { reason = LEDGER_REASONS.CANCELLATION, orderId = null, actor = 'admin', couponId = null } = {}) {
+    console.log('📦 AdminOrderService: Restoring inventory for cancelled, declined or returned items');
     
     try {
       const batch = writeBatch(db);
@@ -1053,10 +1192,30 @@ class AdminOrderService {
             lastRestored: serverTimestamp()
           });
           
+          AdminInventoryService.addLedgerEntry(batch, {
+            productId: item.productId,
+            productName: item.name,
+            delta: item.quantity,
+            previousStock: currentStock,
+            newStock: restoredStock,
+            reason,
+            orderId,
+            actor
+          });
+          
           console.log(`📦 AdminOrderService: Restored ${item.quantity} units of ${item.name} (${currentStock} → ${restoredStock})`);
         }
       }
       
+      if (couponId) {
+        const couponRef = doc(db, "coupons", couponId);
+        const couponSnapshot = await getDoc(couponRef);
+        if (couponSnapshot.exists()) {
+          batch.update(couponRef, { usedCount: increment(-1) });
+          console.log(`🎟️ AdminOrderService: Released usage of coupon ${couponSnapshot.data().code}`);
+        }
+      }
+      
       await batch.commit();
       console.log('✅ AdminOrderService: Inventory restoration completed');
       
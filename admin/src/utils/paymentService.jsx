@@ -0,0 +1,345 @@
+/**
+ * Admin Payment Service
+ *
+ * Admin side of the storefront's payment providers. Checkout creates the
+ * payment record on each order and the authorizePayment Cloud Function
+ * authorizes UPI and card payments; admins confirm the payment before
+ * approval, capture gateway payments and settle refunds here.
+ *
+ * Key Features:
+ * - COD verification, required before a cash on delivery order is approved
+ * - Capturing authorized UPI and card payments through their gateway
+ * - Marking COD payments as collected on delivery
+ * - Full and partial refunds, or releasing the authorization
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  serverTimestamp,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+/**
+ * Payment methods; keep in step with the storefront's paymentService
+ */
+export const PAYMENT_METHODS = {
+  COD: 'COD',
+  UPI: 'UPI',
+  CARD: 'Card'
+};
+
+/**
+ * Payment record states; keep in step with the storefront's paymentService
+ */
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * States a payment can move to from each state
+ */
+const PAYMENT_STATUS_TRANSITIONS = {
+  [PAYMENT_STATUSES.PENDING]: [PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED, PAYMENT_STATUSES.FAILED],
+  [PAYMENT_STATUSES.AUTHORIZED]: [PAYMENT_STATUSES.CAPTURED, PAYMENT_STATUSES.FAILED, PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.CAPTURED]: [PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.FAILED]: [],
+  [PAYMENT_STATUSES.REFUNDED]: []
+};
+
+/**
+ * Message shown when an unconfirmed order is approved
+ */
+export const PAYMENT_NOT_CONFIRMED_MESSAGE =
+  'Payment is not confirmed yet. Verify the COD order or wait for the payment to be authorized.';
+
+/**
+ * Gateway adapters for capturing and refunding, by the id stored on the
+ * payment record as `provider`. The mock gateway only simulates success;
+ * keep it in step with the mockGatewayAdapter in functions/payments.js.
+ */
+const GATEWAY_ADAPTERS = {
+  mock: {
+    name: 'Mock Gateway',
+    async capture({ transactionId }) {
+      return transactionId ? { success: true } : { success: false, error: 'Missing transaction ID' };
+    },
+    async refund({ transactionId }) {
+      return transactionId
+        ? { success: true, refundId: `mock_rfnd_${Date.now().toString(36)}` }
+        : { success: false, error: 'Missing transaction ID' };
+    }
+  }
+};
+
+/**
+ * Read an order's payment; orders placed before payment records existed
+ * were all cash on delivery and count as pending
+ * @param {Object} payment - Order payment field
+ * @returns {Object} - Payment with method and status filled in
+ */
+export const getOrderPayment = (payment = {}) => ({
+  ...payment,
+  method: payment?.method || PAYMENT_METHODS.COD,
+  status: payment?.status || PAYMENT_STATUSES.PENDING
+});
+
+/**
+ * Whether an order's payment allows it to be approved
+ * @param {Object} payment - Order payment field
+ * @returns {boolean} - True when authorized or captured, or a verified COD order
+ */
+export const isPaymentConfirmed = (payment) => {
+  const current = getOrderPayment(payment);
+  if ([PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(current.status)) {
+    return true;
+  }
+  return current.method === PAYMENT_METHODS.COD &&
+    current.status !== PAYMENT_STATUSES.FAILED &&
+    Boolean(current.codVerification);
+};
+
+/**
+ * Written only by the authorizePayment Cloud Function, one per gateway order
+ */
+const PAYMENT_AUTHORIZATIONS_COLLECTION = 'paymentAuthorizations';
+
+/**
+ * Move a payment to a new state, keeping its history
+ * @param {Object} payment - Order payment field
+ * @param {string} status - Value from PAYMENT_STATUSES
+ * @param {Object} changes - Extra fields plus the history note and admin
+ * @returns {Object} - Updated payment
+ */
+const applyPaymentStatus = (payment, status, { note = '', updatedBy = 'admin', ...changes } = {}) => {
+  const current = getOrderPayment(payment);
+  if (status !== current.status && !PAYMENT_STATUS_TRANSITIONS[current.status]?.includes(status)) {
+    throw new Error(`A ${current.status} payment cannot become ${status}`);
+  }
+
+  return {
+    ...current,
+    ...changes,
+    status,
+    history: [
+      ...(current.history || []),
+      { status, timestamp: new Date().toISOString(), note, updatedBy }
+    ]
+  };
+};
+
+/**
+ * Admin service class for order payments
+ */
+class AdminPaymentService {
+
+  /**
+   * Save a payment on the order and the customer's copy of it
+   * @param {string} orderId - Order ID
+   * @param {Object} order - Current order data
+   * @param {Object} payment - Payment to save
+   * @returns {Promise<void>}
+   */
+  static async savePayment(orderId, order, payment) {
+    const batch = writeBatch(db);
+    const paymentUpdate = { payment, updatedAt: serverTimestamp() };
+    batch.update(doc(db, 'orders', orderId), paymentUpdate);
+
+    if (order.userId) {
+      const userOrdersSnapshot = await getDocs(query(
+        collection(db, 'users', order.userId, 'orders'),
+        where('globalOrderId', '==', orderId)
+      ));
+      userOrdersSnapshot.forEach(userOrderDoc => batch.update(userOrderDoc.ref, paymentUpdate));
+    }
+
+    await batch.commit();
+  }
+
+  /**
+   * Whether an order may be approved. UPI and card payments count only when
+   * the authorizePayment function has recorded the authorization, since the
+   * order's own payment field can be written from the storefront.
+   * @param {string} orderId - Order ID
+   * @param {Object} payment - Order payment field
+   * @returns {Promise<boolean>} - True for a verified COD order or a recorded authorization
+   */
+  static async isPaymentConfirmedForApproval(orderId, payment) {
+    const current = getOrderPayment(payment);
+    if (current.method === PAYMENT_METHODS.COD) {
+      return isPaymentConfirmed(current);
+    }
+
+    const authorizationSnapshot = await getDoc(doc(db, PAYMENT_AUTHORIZATIONS_COLLECTION, orderId));
+    return authorizationSnapshot.exists() &&
+      authorizationSnapshot.data().status === PAYMENT_STATUSES.AUTHORIZED;
+  }
+
+  /**
+   * Load an order for a payment action
+   */
+  static async getOrder(orderId) {
+    const orderSnapshot = await getDoc(doc(db, 'orders', orderId));
+    if (!orderSnapshot.exists()) {
+      throw new Error(`Order with ID ${orderId} not found in database`);
+    }
+    return orderSnapshot.data();
+  }
+
+  /**
+   * Record that a cash on delivery order has been verified, e.g. by calling
+   * the customer, so it can be approved
+   * @param {string} orderId - Order ID
+   * @param {string} note - How the order was verified
+   * @param {string} adminUserId - Admin verifying the order
+   * @returns {Promise<Object>} - { success, payment } or { success: false, error }
+   */
+  static async verifyCodOrder(orderId, note, adminUserId = 'admin') {
+    try {
+      const order = await this.getOrder(orderId);
+      const current = getOrderPayment(order.payment);
+      if (current.method !== PAYMENT_METHODS.COD) {
+        throw new Error('Only cash on delivery orders need verifying');
+      }
+      if (current.codVerification) {
+        throw new Error('This order has already been verified');
+      }
+
+      const payment = {
+        ...current,
+        codVerification: {
+          verifiedAt: new Date().toISOString(),
+          verifiedBy: adminUserId,
+          note: note?.trim() || 'COD order verified'
+        }
+      };
+      await this.savePayment(orderId, order, payment);
+
+      console.log(`✅ AdminPaymentService: Verified COD order ${orderId}`);
+      return { success: true, payment };
+    } catch (error) {
+      console.error('❌ AdminPaymentService: Error verifying COD order:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Capture an authorized UPI or card payment through its gateway
+   * @param {string} orderId - Order ID
+   * @param {string} adminUserId - Admin capturing the payment
+   * @returns {Promise<Object>} - { success, payment } or { success: false, error }
+   */
+  static async capturePayment(orderId, adminUserId = 'admin') {
+    try {
+      const order = await this.getOrder(orderId);
+      const current = getOrderPayment(order.payment);
+      if (current.status !== PAYMENT_STATUSES.AUTHORIZED) {
+        throw new Error(`Only authorized payments can be captured; this one is ${current.status}`);
+      }
+
+      const gateway = GATEWAY_ADAPTERS[current.provider];
+      if (!gateway) {
+        throw new Error(`Unknown payment gateway: ${current.provider}`);
+      }
+
+      const result = await gateway.capture({ transactionId: current.transactionId, amount: current.amount });
+      if (!result.success) {
+        throw new Error(result.error || 'The gateway refused the capture');
+      }
+
+      const payment = applyPaymentStatus(current, PAYMENT_STATUSES.CAPTURED, {
+        capturedAt: new Date().toISOString(),
+        note: `Captured through ${gateway.name}`,
+        updatedBy: adminUserId
+      });
+      await this.savePayment(orderId, order, payment);
+
+      console.log(`✅ AdminPaymentService: Captured payment for order ${orderId}`);
+      return { success: true, payment };
+    } catch (error) {
+      console.error('❌ AdminPaymentService: Error capturing payment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Payment to store when an order is delivered: a pending COD payment
+   * has now been collected
+   * @param {Object} payment - Order payment field
+   * @param {string} adminUserId - Admin marking the order delivered
+   * @returns {Object|null} - Captured payment, or null when nothing changes
+   */
+  static getDeliveredPayment(payment, adminUserId = 'admin') {
+    const current = getOrderPayment(payment);
+    if (current.method !== PAYMENT_METHODS.COD || current.status !== PAYMENT_STATUSES.PENDING) {
+      return null;
+    }
+    return applyPaymentStatus(current, PAYMENT_STATUSES.CAPTURED, {
+      capturedAt: new Date().toISOString(),
+      note: 'Cash collected on delivery',
+      updatedBy: adminUserId
+    });
+  }
+
+  /**
+   * Payment to store when all or part of an order is refunded. Gateway
+   * payments are refunded (or their authorization released) through the
+   * gateway; COD refunds are paid out by hand and only recorded here. The
+   * payment stays captured until refunds add up to the amount paid.
+   * @param {Object} payment - Order payment field
+   * @param {number} amount - Amount refunded now
+   * @param {string} adminUserId - Admin issuing the refund
+   * @returns {Promise<Object|null>} - Updated payment, or null when nothing was collected
+   */
+  static async getRefundedPayment(payment, amount, adminUserId = 'admin') {
+    const current = getOrderPayment(payment);
+    if (![PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(current.status)) {
+      return null;
+    }
+
+    const alreadyRefunded = Number(current.refundedAmount) || 0;
+    const refundedAmount = Math.round((alreadyRefunded + (Number(amount) || 0)) * 100) / 100;
+    if (current.amount !== undefined && refundedAmount > current.amount + 0.005) {
+      throw new Error(`Refunds would exceed the ${current.amount} paid`);
+    }
+
+    let refundId = null;
+    if (current.method !== PAYMENT_METHODS.COD) {
+      const gateway = GATEWAY_ADAPTERS[current.provider];
+      if (!gateway) {
+        throw new Error(`Unknown payment gateway: ${current.provider}`);
+      }
+      const result = await gateway.refund({ transactionId: current.transactionId, amount });
+      if (!result.success) {
+        throw new Error(`Gateway refund failed: ${result.error || 'unknown error'}`);
+      }
+      refundId = result.refundId || null;
+    }
+
+    const isFullRefund = current.amount === undefined || refundedAmount >= current.amount - 0.005;
+    const refundedAt = new Date().toISOString();
+    return applyPaymentStatus(current, isFullRefund ? PAYMENT_STATUSES.REFUNDED : current.status, {
+      refundedAt,
+      refundedAmount,
+      refundId,
+      refunds: [...(current.refunds || []), { amount, refundId, refundedAt }],
+      note: `${current.method === PAYMENT_METHODS.COD ? 'Refund paid out by hand' : 'Refunded through the gateway'}: ${amount}`,
+      updatedBy: adminUserId
+    });
+  }
+}
+
+// Export the service class as default
+export default AdminPaymentService;
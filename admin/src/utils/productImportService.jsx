@@ -0,0 +1,442 @@
+/**
+ * Admin Product Import Service
+ *
+ * Bulk catalog maintenance from spreadsheets. Rows are mapped onto the same
+ * product fields AddProduct writes, validated against the live catalog and
+ * shown as a preview before anything is saved.
+ *
+ * Key Features:
+ * - Column mapping with automatic matching of common header names
+ * - Slug and category validation with row-level errors
+ * - Create versus update preview keyed on the product slug
+ * - Batched apply with stock changes logged to the inventory ledger
+ * - Export rows in the same layout so files round-trip
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AdminInventoryService, { LEDGER_REASONS } from './inventoryService';
+import { GST_SLABS, isValidGstRate, isValidHsnCode } from './gstUtils';
+
+/**
+ * Columns understood by the import, in export order
+ * Dotted keys are nested product fields, e.g. warranty.period
+ */
+export const PRODUCT_CSV_FIELDS = [
+  { key: 'slug', label: 'Slug', type: 'text' },
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'description', label: 'Description', type: 'text' },
+  { key: 'price', label: 'Price', type: 'number' },
+  { key: 'mrp', label: 'MRP', type: 'number' },
+  { key: 'sellingPrice', label: 'Selling Price', type: 'number' },
+  { key: 'stock', label: 'Stock', type: 'integer' },
+  { key: 'category', label: 'Category', type: 'text' },
+  { key: 'image', label: 'Image', type: 'text' },
+  { key: 'image2', label: 'Image 2', type: 'text' },
+  { key: 'image3', label: 'Image 3', type: 'text' },
+  { key: 'tags', label: 'Tags', type: 'list' },
+  { key: 'origin', label: 'Origin', type: 'text' },
+  { key: 'gstRate', label: 'GST Rate', type: 'gstRate' },
+  { key: 'hsnCode', label: 'HSN Code', type: 'hsnCode' },
+  { key: 'weight', label: 'Shipping Weight (g)', type: 'number' },
+  { key: 'additionalInfo', label: 'Additional Info', type: 'text' },
+  { key: 'showOnHome', label: 'Show On Home', type: 'boolean' },
+  { key: 'featured', label: 'Featured', type: 'boolean' },
+  { key: 'warranty.available', label: 'Warranty Available', type: 'boolean' },
+  { key: 'warranty.period', label: 'Warranty Period', type: 'text' },
+  { key: 'warranty.details', label: 'Warranty Details', type: 'text' },
+  { key: 'guarantee.available', label: 'Guarantee Available', type: 'boolean' },
+  { key: 'guarantee.period', label: 'Guarantee Period', type: 'text' },
+  { key: 'guarantee.details', label: 'Guarantee Details', type: 'text' },
+  { key: 'importDetails.isImported', label: 'Imported', type: 'boolean' },
+  { key: 'importDetails.country', label: 'Import Country', type: 'text' },
+  { key: 'importDetails.deliveryNote', label: 'Import Delivery Note', type: 'text' }
+];
+
+/**
+ * Separator used between tags inside a single cell
+ */
+export const TAG_SEPARATOR = '|';
+
+/**
+ * What an import row will do when applied
+ */
+export const IMPORT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  ERROR: 'error'
+};
+
+// Firestore allows 500 writes per batch; each row needs up to two
+const ROWS_PER_BATCH = 200;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Reduce a header or field name to lowercase letters and digits for matching
+ */
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Turn a slug or product name into a URL-friendly product ID
+ * Matches the formatting AddProduct applies to slugs
+ * @param {string} value - Raw slug or name
+ * @returns {string} - Lowercase slug of letters, digits, underscores and dashes
+ */
+export const normalizeSlug = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w-]/g, '');
+
+/**
+ * Read a nested value such as warranty.period from a product
+ */
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Write a nested value such as warranty.period into a plain object
+ */
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = { ...(target[key] || {}) };
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Convert a cell to the field's type
+ * @param {Object} field - Entry from PRODUCT_CSV_FIELDS
+ * @param {string} raw - Trimmed, non-empty cell text
+ * @returns {Object} - { value } or { error }
+ */
+const parseCell = (field, raw) => {
+  switch (field.type) {
+    case 'number': {
+      const value = Number(raw.replace(/[,\s₹$]/g, ''));
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${field.label} must be a number of 0 or more` };
+      }
+      return { value };
+    }
+    case 'integer': {
+      const value = Number(raw.replace(/[,\s]/g, ''));
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${field.label} must be a whole number of 0 or more` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const text = raw.toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: `${field.label} must be yes or no` };
+    }
+    case 'gstRate': {
+      const value = raw.replace(/[%\s]/g, '');
+      if (!isValidGstRate(value)) {
+        return { error: `${field.label} must be one of ${GST_SLABS.join(', ')}` };
+      }
+      return { value: Number(value) };
+    }
+    case 'hsnCode':
+      if (!isValidHsnCode(raw)) {
+        return { error: `${field.label} must have 4, 6 or 8 digits` };
+      }
+      return { value: raw };
+    case 'list':
+      return {
+        value: raw.split(TAG_SEPARATOR).map(item => item.trim()).filter(Boolean)
+      };
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Fields a brand new product starts with, matching AddProduct's form
+ */
+const buildNewProduct = () => ({
+  name: '',
+  description: '',
+  price: 0,
+  mrp: 0,
+  sellingPrice: 0,
+  stock: 0,
+  category: '',
+  image: '',
+  image2: '',
+  image3: '',
+  showOnHome: false,
+  featured: false,
+  tags: [],
+  origin: '',
+  gstRate: null,
+  hsnCode: '',
+  weight: null,
+  additionalInfo: '',
+  warranty: { available: false, period: '', details: '' },
+  guarantee: { available: false, period: '', details: '' },
+  importDetails: { isImported: false, country: '', deliveryNote: '' }
+});
+
+/**
+ * Admin service class for product import and export
+ */
+class AdminProductImportService {
+
+  /**
+   * Guess which product field each spreadsheet column holds
+   * Headers are matched on the field key or label, ignoring case, spaces and punctuation
+   *
+   * @param {string[]} headers - Header row of the file
+   * @returns {string[]} - Field key per column, or an empty string for ignored columns
+   */
+  static autoMapColumns(headers) {
+    const used = new Set();
+
+    return headers.map(header => {
+      const normalized = normalizeHeader(header);
+      const field = PRODUCT_CSV_FIELDS.find(candidate =>
+        !used.has(candidate.key) &&
+        (normalizeHeader(candidate.key) === normalized || normalizeHeader(candidate.label) === normalized)
+      );
+      if (!field) return '';
+      used.add(field.key);
+      return field.key;
+    });
+  }
+
+  /**
+   * Load the existing products and categories the preview validates against
+   * @returns {Promise<Object>} - { products: { [id]: data }, categories: [{ id, name }] }
+   */
+  static async loadCatalog() {
+    console.log('📦 AdminProductImportService: Loading catalog for import validation');
+
+    try {
+      const [productSnapshot, categorySnapshot] = await Promise.all([
+        getDocs(collection(db, "products")),
+        getDocs(collection(db, "categories"))
+      ]);
+
+      const products = {};
+      productSnapshot.docs.forEach(productDoc => {
+        products[productDoc.id] = productDoc.data();
+      });
+
+      const categories = categorySnapshot.docs.map(categoryDoc => ({
+        id: categoryDoc.id,
+        name: categoryDoc.data().name || categoryDoc.id
+      }));
+
+      return { success: true, products, categories };
+    } catch (error) {
+      console.error('❌ AdminProductImportService: Error loading catalog:', error);
+      return { success: false, error: error.message, products: {}, categories: [] };
+    }
+  }
+
+  /**
+   * Validate every row and work out whether it creates or updates a product
+   *
+   * Rows are matched to existing products by slug; rows without a slug use
+   * one derived from the name. Empty cells leave existing values unchanged
+   * on updates. Categories may be given by ID or by name.
+   *
+   * @param {string[][]} rows - Data rows of the file
+   * @param {string[]} mapping - Field key per column, from autoMapColumns or the admin
+   * @param {Object} catalog - Result of loadCatalog
+   * @returns {Array} - [{ rowNumber, action, slug, name, fields, previousStock, errors }]
+   */
+  static buildImportPreview(rows, mapping, { products, categories }) {
+    const seenSlugs = {};
+
+    return rows.map((row, index) => {
+      // Row 1 is the header, so the first data row is row 2 in the spreadsheet
+      const rowNumber = index + 2;
+      const errors = [];
+      const fields = {};
+
+      mapping.forEach((key, column) => {
+        if (!key) return;
+        const raw = (row[column] || '').trim();
+        if (raw === '') return;
+
+        const field = PRODUCT_CSV_FIELDS.find(candidate => candidate.key === key);
+        const parsed = parseCell(field, raw);
+        if (parsed.error) {
+          errors.push(parsed.error);
+        } else {
+          fields[key] = parsed.value;
+        }
+      });
+
+      const slug = normalizeSlug(fields.slug || fields.name);
+      delete fields.slug;
+
+      if (!slug) {
+        errors.push('Slug or name is required');
+      } else if (seenSlugs[slug]) {
+        errors.push(`Slug "${slug}" is already used on row ${seenSlugs[slug]}`);
+      } else {
+        seenSlugs[slug] = rowNumber;
+      }
+
+      if (fields.category) {
+        const wanted = fields.category.toLowerCase();
+        const category = categories.find(candidate =>
+          candidate.id === fields.category || candidate.name.toLowerCase() === wanted
+        );
+        if (category) {
+          fields.category = category.id;
+        } else {
+          errors.push(`Category "${fields.category}" does not exist`);
+        }
+      }
+
+      // Keep price and sellingPrice in sync the way AddProduct does
+      if (fields.sellingPrice === undefined && fields.price !== undefined) {
+        fields.sellingPrice = fields.price;
+      }
+      if (fields.sellingPrice !== undefined) {
+        fields.price = fields.sellingPrice;
+      }
+
+      const existing = slug ? products[slug] : null;
+      const action = existing ? IMPORT_ACTIONS.UPDATE : IMPORT_ACTIONS.CREATE;
+
+      if (action === IMPORT_ACTIONS.CREATE) {
+        if (!fields.name) errors.push('Name is required for new products');
+        if (!fields.description) errors.push('Description is required for new products');
+        if (fields.sellingPrice === undefined) errors.push('Selling price is required for new products');
+      }
+
+      const sellingPrice = fields.sellingPrice ?? existing?.sellingPrice ?? existing?.price;
+      const mrp = fields.mrp ?? existing?.mrp;
+      if (mrp !== undefined && sellingPrice !== undefined && mrp < sellingPrice) {
+        errors.push('MRP cannot be lower than the selling price');
+      }
+
+      return {
+        rowNumber,
+        action: errors.length > 0 ? IMPORT_ACTIONS.ERROR : action,
+        slug,
+        name: fields.name || existing?.name || '',
+        fields,
+        previousStock: existing ? Number(existing.stock) || 0 : 0,
+        errors
+      };
+    });
+  }
+
+  /**
+   * Save the valid preview rows to Firestore
+   *
+   * Rows with errors are skipped. Writes go out in batches of ROWS_PER_BATCH
+   * rows; stock set by the import is logged to the inventory ledger in the
+   * same batch as the product write.
+   *
+   * @param {Array} previewRows - Rows from buildImportPreview
+   * @param {string} adminUserId - ID of the admin running the import
+   * @returns {Promise<Object>} - { success, created, updated }
+   */
+  static async applyImport(previewRows, adminUserId = 'admin') {
+    const validRows = previewRows.filter(row => row.action !== IMPORT_ACTIONS.ERROR);
+    console.log(`📥 AdminProductImportService: Applying ${validRows.length} import rows`);
+
+    let created = 0;
+    let updated = 0;
+
+    try {
+      for (let start = 0; start < validRows.length; start += ROWS_PER_BATCH) {
+        const batch = writeBatch(db);
+
+        validRows.slice(start, start + ROWS_PER_BATCH).forEach(row => {
+          const productRef = doc(db, "products", row.slug);
+          let newStock = row.previousStock;
+
+          if (row.action === IMPORT_ACTIONS.CREATE) {
+            const product = buildNewProduct();
+            Object.entries(row.fields).forEach(([key, value]) => setPath(product, key, value));
+            product.mrp = row.fields.mrp ?? product.sellingPrice;
+            product.createdAt = new Date();
+            batch.set(productRef, product);
+            newStock = product.stock;
+            created++;
+          } else {
+            // Dotted keys update nested fields without replacing the whole object
+            batch.update(productRef, { ...row.fields, updatedAt: serverTimestamp() });
+            if (row.fields.stock !== undefined) newStock = row.fields.stock;
+            updated++;
+          }
+
+          if (newStock !== row.previousStock) {
+            AdminInventoryService.addLedgerEntry(batch, {
+              productId: row.slug,
+              productName: row.name,
+              delta: newStock - row.previousStock,
+              previousStock: row.previousStock,
+              newStock,
+              reason: LEDGER_REASONS.MANUAL_EDIT,
+              note: row.action === IMPORT_ACTIONS.CREATE ? 'Opening stock (CSV import)' : 'CSV import',
+              actor: adminUserId
+            });
+          }
+        });
+
+        await batch.commit();
+      }
+
+      console.log(`✅ AdminProductImportService: Created ${created} and updated ${updated} products`);
+      return { success: true, created, updated };
+    } catch (error) {
+      console.error('❌ AdminProductImportService: Error applying import:', error);
+      return { success: false, error: error.message, created, updated };
+    }
+  }
+
+  /**
+   * Build spreadsheet rows for a list of products, in the import layout
+   *
+   * @param {Array} products - Products with their document ID as `id`
+   * @param {Object} categoryNames - Category ID to name map; names are exported when known
+   * @returns {Array<Array>} - Header row followed by one row per product
+   */
+  static buildExportRows(products, categoryNames = {}) {
+    const header = PRODUCT_CSV_FIELDS.map(field => field.key);
+
+    const rows = products.map(product =>
+      PRODUCT_CSV_FIELDS.map(field => {
+        if (field.key === 'slug') return product.id;
+        if (field.key === 'category') return categoryNames[product.category] || product.category || '';
+
+        const value = getPath(product, field.key);
+        if (value === undefined || value === null) return '';
+        if (field.type === 'list') return (value || []).join(TAG_SEPARATOR);
+        if (field.type === 'boolean') return value ? 'true' : 'false';
+        return value;
+      })
+    );
+
+    return [header, ...rows];
+  }
+}
+
+// Export the service class as default
+export default AdminProductImportService;
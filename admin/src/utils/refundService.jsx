@@ -0,0 +1,402 @@
+/**
+ * Admin Refund Service
+ *
+ * Refunds all or part of an order: chosen quantities of each line plus an
+ * optional amount of the shipping charge. Each refund moves the money back
+ * through the payment's gateway, reverses the invoice with a credit note,
+ * is recorded on the order's financials and tells the customer by email.
+ *
+ * Key Features:
+ * - Full and partial refunds per line item, with an optional shipping refund
+ * - Refund transactions kept in `financials.refunds` with a running total
+ * - Restocking of the refunded items the admin chooses, unless the order's
+ *   stock was already given back
+ * - One refund at a time per order, claimed before the gateway is called
+ * - Credit note for every refund of an invoiced order, and a refund email
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+  writeBatch
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import AdminOrderService, { getRefundedTotal, ORDER_STATUSES } from './orderService';
+import AdminInvoiceService from './invoiceService';
+import AdminPaymentService, { getOrderPayment, PAYMENT_METHODS, PAYMENT_STATUSES } from './paymentService';
+import { LEDGER_REASONS } from './inventoryService';
+import { isEmailEnabled, sendRefundEmail } from './emailService';
+
+/**
+ * Order statuses a refund can be issued from. Partially refunded orders
+ * keep their status, so they can be refunded again.
+ */
+export const REFUNDABLE_STATUSES = [
+  ORDER_STATUSES.DELIVERED,
+  ORDER_STATUSES.RETURN_RECEIVED,
+  ORDER_STATUSES.CANCELLED
+];
+
+/**
+ * Order statuses whose stock was already given back, on cancellation or
+ * when the return arrived, so their refunds never restock
+ */
+export const RESTOCKED_STATUSES = [
+  ORDER_STATUSES.CANCELLED,
+  ORDER_STATUSES.DECLINED,
+  ORDER_STATUSES.RETURN_RECEIVED
+];
+
+/**
+ * How long a refund claim holds the order before another admin may retry
+ */
+const REFUND_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Round to paise
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Refund transactions recorded on an order
+ * @param {Object} order - Order data
+ * @returns {Array} - Refund transactions, oldest first
+ */
+export const getOrderRefunds = (order) => order?.financials?.refunds || [];
+
+/**
+ * Whether money was collected for an order, so there is something to refund
+ * @param {Object} order - Order data
+ * @returns {boolean} - True for authorized or captured payments, and for COD
+ * orders delivered before payment records were kept
+ */
+export const hasCollectedPayment = (order) => {
+  const payment = getOrderPayment(order?.payment);
+  if ([PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(payment.status)) {
+    return true;
+  }
+  return payment.method === PAYMENT_METHODS.COD &&
+    payment.status === PAYMENT_STATUSES.PENDING &&
+    Boolean(order.deliveredAt);
+};
+
+/**
+ * Whether a refund can be issued for an order right now
+ * @param {Object} order - Order data
+ * @returns {boolean} - True when the order is refundable and something is left to refund
+ */
+export const canRefundOrder = (order) =>
+  REFUNDABLE_STATUSES.includes(order?.status) &&
+  hasCollectedPayment(order) &&
+  (getRefundableItems(order).some(item => item.quantity > 0) || getRefundableShipping(order) > 0);
+
+/**
+ * Whether a refund of this order may put its items back in stock
+ * @param {Object} order - Order data
+ * @returns {boolean} - False when the stock was already given back
+ */
+export const canRestockOnRefund = (order) => !RESTOCKED_STATUSES.includes(order?.status);
+
+/**
+ * Whether another refund is being processed on the order right now
+ * @param {Object} order - Order data
+ * @returns {boolean} - True while a recent refund claim is held
+ */
+const isRefundClaimed = (order) =>
+  Boolean(order?.refundInProgress) &&
+  Date.now() - new Date(order.refundInProgress.claimedAt).getTime() < REFUND_CLAIM_TIMEOUT_MS;
+
+/**
+ * Invoice lines with the quantity still left to refund on each
+ * @param {Object} order - Order data
+ * @returns {Array} - [{ productId, name, unitPrice, ordered, quantity }]
+ */
+export const getRefundableItems = (order) => {
+  const refunded = {};
+  getOrderRefunds(order).forEach(refund => {
+    refund.items.forEach(item => {
+      refunded[item.productId] = (refunded[item.productId] || 0) + item.quantity;
+    });
+  });
+
+  return AdminInvoiceService.getInvoiceLines(order).lines.map(line => {
+    const alreadyRefunded = Math.min(refunded[line.productId] || 0, line.quantity);
+    refunded[line.productId] = (refunded[line.productId] || 0) - alreadyRefunded;
+    return {
+      productId: line.productId,
+      name: line.name,
+      unitPrice: line.unitPrice,
+      ordered: line.quantity,
+      quantity: line.quantity - alreadyRefunded
+    };
+  });
+};
+
+/**
+ * Shipping charge still left to refund
+ * @param {Object} order - Order data
+ * @returns {number} - Amount
+ */
+export const getRefundableShipping = (order) => {
+  const shipping = Number(order?.financials?.shipping ?? order?.shipping?.cost) || 0;
+  const refunded = getOrderRefunds(order).reduce((sum, refund) => sum + (refund.shipping || 0), 0);
+  return Math.max(0, roundCurrency(shipping - refunded));
+};
+
+/**
+ * Work out what a refund is worth, using the same GST lines as its credit note
+ * @param {Object} order - Order data
+ * @param {Object} request - What is being refunded
+ * @param {Array} request.items - [{ productId, quantity }]
+ * @param {number} request.shipping - Shipping amount refunded
+ * @returns {Object} - { items: [{ productId, name, quantity, amount }], shipping, amount }
+ */
+export const previewRefund = (order, { items = [], shipping = 0 } = {}) => {
+  const chosen = items.filter(item => item.quantity > 0);
+  const lines = chosen.length > 0 ? AdminInvoiceService.buildCreditNoteLines(order, chosen).lines : [];
+  const refundItems = lines.map(line => ({
+    productId: line.productId,
+    name: line.name,
+    quantity: line.quantity,
+    amount: roundCurrency(line.taxableValue + line.tax)
+  }));
+  const shippingAmount = roundCurrency(shipping);
+
+  return {
+    items: refundItems,
+    shipping: shippingAmount,
+    amount: roundCurrency(refundItems.reduce((sum, item) => sum + item.amount, 0) + shippingAmount)
+  };
+};
+
+/**
+ * Admin service class for refunds
+ */
+class AdminRefundService {
+
+  /**
+   * Check a refund request against what is left to refund on the order
+   * @param {Object} order - Order data
+   * @param {Object} request - { items, shipping }
+   * @throws {Error} - When the request is not valid
+   */
+  static validateRefund(order, { items = [], shipping = 0 }) {
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+      throw new Error(`${order.status} orders cannot be refunded`);
+    }
+    if (!hasCollectedPayment(order)) {
+      throw new Error('No payment has been collected for this order');
+    }
+
+    const refundable = getRefundableItems(order);
+    items.forEach(item => {
+      const line = refundable.find(candidate => candidate.productId === item.productId);
+      if (!line) {
+        throw new Error(`Product ${item.productId} is not on this order`);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 0 || item.quantity > line.quantity) {
+        throw new Error(`Only ${line.quantity} of ${line.name} can still be refunded`);
+      }
+    });
+
+    const refundableShipping = getRefundableShipping(order);
+    if (!(shipping >= 0) || shipping > refundableShipping + 0.005) {
+      throw new Error(`Shipping refund cannot be more than ${refundableShipping}`);
+    }
+  }
+
+  /**
+   * Refund all or part of an order
+   *
+   * The order becomes Refunded once nothing is left to refund, or when the
+   * refund settles a received return; a partial refund keeps its status.
+   * Restocking, the credit note and the email happen after the money has
+   * moved, so their failures are returned as warnings rather than errors.
+   *
+   * @param {string} orderId - Global order ID
+   * @param {Object} request - What is being refunded
+   * @param {Array} request.items - [{ productId, quantity, restock }]; restock
+   * is ignored for orders in RESTOCKED_STATUSES
+   * @param {number} request.shipping - Shipping amount refunded
+   * @param {string} request.reason - Reason shown to the customer and on the credit note
+   * @param {string} adminUserId - Admin issuing the refund
+   * @returns {Promise<Object>} - { success, refund, changes, warnings } or { success: false, error }
+   */
+  static async processRefund(orderId, { items = [], shipping = 0, reason = '' } = {}, adminUserId = 'admin') {
+    console.log(`💸 AdminRefundService: Refunding order ${orderId}`);
+
+    const orderRef = doc(db, 'orders', orderId);
+    let claimed = false;
+
+    try {
+      const requested = items
+        .map(item => ({ ...item, quantity: Number(item.quantity) || 0 }))
+        .filter(item => item.quantity > 0);
+      const shippingAmount = roundCurrency(shipping);
+
+      // Claim the order before the gateway is called, so a second refund
+      // started at the same time fails validation instead of paying twice
+      const order = await runTransaction(db, async (transaction) => {
+        const orderSnapshot = await transaction.get(orderRef);
+        if (!orderSnapshot.exists()) {
+          throw new Error(`Order with ID ${orderId} not found in database`);
+        }
+        const current = orderSnapshot.data();
+        if (isRefundClaimed(current)) {
+          throw new Error('Another refund is being processed for this order. Try again in a few minutes.');
+        }
+        this.validateRefund(current, { items: requested, shipping: shippingAmount });
+
+        transaction.update(orderRef, {
+          refundInProgress: { claimedAt: new Date().toISOString(), claimedBy: adminUserId }
+        });
+        return current;
+      });
+      claimed = true;
+
+      const preview = previewRefund(order, { items: requested, shipping: shippingAmount });
+      if (!(preview.amount > 0)) {
+        throw new Error('Choose at least one item or a shipping amount to refund');
+      }
+      const refundReason = reason.trim() || 'Refund';
+      const warnings = [];
+
+      const itemsLeft = getRefundableItems(order).reduce((sum, item) => sum + item.quantity, 0) -
+        preview.items.reduce((sum, item) => sum + item.quantity, 0);
+      const isFullyRefunded = itemsLeft === 0 && getRefundableShipping(order) - preview.shipping < 0.005;
+
+      // Line amounts are rounded separately, so the last refund takes
+      // whatever is left of the payment rather than leaving paise behind
+      const currentPayment = getOrderPayment(order.payment);
+      const paidLeft = currentPayment.amount !== undefined
+        ? roundCurrency(currentPayment.amount - (Number(currentPayment.refundedAmount) || 0))
+        : null;
+      const amount = paidLeft === null
+        ? preview.amount
+        : isFullyRefunded ? paidLeft : Math.min(preview.amount, paidLeft);
+
+      // Money first: nothing else is recorded if the gateway refuses
+      const payment = await AdminPaymentService.getRefundedPayment(order.payment, amount, adminUserId);
+
+      // Orders cancelled before they were invoiced have nothing to credit
+      const creditResult = order.invoice?.number
+        ? await AdminInvoiceService.issueCreditNote(orderId, {
+          items: preview.items.map(({ productId, quantity }) => ({ productId, quantity })),
+          shipping: preview.shipping,
+          reason: refundReason
+        }, adminUserId)
+        : { success: false, skipped: true };
+      if (!creditResult.success && !creditResult.skipped) {
+        warnings.push(`Credit note could not be issued: ${creditResult.error}`);
+      }
+
+      const restockIds = canRestockOnRefund(order)
+        ? requested.filter(item => item.restock).map(item => item.productId)
+        : [];
+      const refund = {
+        id: `RF-${Date.now().toString(36).toUpperCase()}`,
+        items: preview.items.map(item => ({ ...item, restocked: restockIds.includes(item.productId) })),
+        shipping: preview.shipping,
+        amount,
+        reason: refundReason,
+        method: currentPayment.method,
+        paymentRefundId: payment?.refundId || null,
+        creditNoteNumber: creditResult.creditNote?.number || null,
+        refundedAt: new Date().toISOString(),
+        refundedBy: adminUserId
+      };
+
+      const refunds = [...getOrderRefunds(order), refund];
+      const refundedTotal = roundCurrency(getRefundedTotal(order) + amount);
+      const newStatus = isFullyRefunded || order.status === ORDER_STATUSES.RETURN_RECEIVED
+        ? ORDER_STATUSES.REFUNDED
+        : order.status;
+
+      const fields = {
+        status: newStatus,
+        statusHistory: [...(order.statusHistory || []), {
+          status: newStatus,
+          timestamp: refund.refundedAt,
+          note: `${isFullyRefunded ? 'Refunded' : 'Partially refunded'} ₹${amount}: ${refundReason}`,
+          updatedBy: adminUserId,
+          previousStatus: order.status
+        }],
+        refundedBy: adminUserId,
+        ...(payment && { payment }),
+        ...(newStatus === ORDER_STATUSES.REFUNDED && order.returnRequest && {
+          returnRequest: { ...order.returnRequest, status: 'refunded', refundedAt: refund.refundedAt }
+        })
+      };
+
+      // The credit note is already on the order, so only the refund fields are written
+      const refundUpdate = {
+        ...fields,
+        'financials.refunds': refunds,
+        'financials.refunded': refundedTotal,
+        refundedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        lastUpdatedBy: adminUserId,
+        refundInProgress: null
+      };
+
+      const batch = writeBatch(db);
+      batch.update(orderRef, refundUpdate);
+      if (order.userId) {
+        const userOrdersSnapshot = await getDocs(query(
+          collection(db, 'users', order.userId, 'orders'),
+          where('globalOrderId', '==', orderId)
+        ));
+        userOrdersSnapshot.forEach(userOrderDoc => batch.update(userOrderDoc.ref, refundUpdate));
+      }
+      await batch.commit();
+      claimed = false;
+
+      const restockItems = refund.items.filter(item => item.restocked);
+      if (restockItems.length > 0) {
+        try {
+          await AdminOrderService.restoreInventory(restockItems, {
+            reason: LEDGER_REASONS.RETURN,
+            orderId,
+            actor: adminUserId
+          });
+        } catch (error) {
+          warnings.push(`Items could not be restocked: ${error.message}`);
+        }
+      }
+
+      const emailResult = isEmailEnabled() ? await sendRefundEmail({ ...order, id: orderId }, refund) : { success: true };
+      if (!emailResult.success) {
+        warnings.push(`Refund email not sent: ${emailResult.error}`);
+      }
+
+      console.log(`✅ AdminRefundService: Refunded ${refund.amount} on order ${orderId}`);
+      const changes = {
+        ...fields,
+        financials: { ...order.financials, refunds, refunded: refundedTotal },
+        ...(creditResult.success && {
+          creditNotes: [...(order.creditNotes || []), creditResult.creditNote]
+        })
+      };
+      return { success: true, refund, changes, warnings };
+    } catch (error) {
+      console.error('❌ AdminRefundService: Error processing refund:', error);
+      if (claimed) {
+        await updateDoc(orderRef, { refundInProgress: null }).catch(releaseError =>
+          console.error('❌ AdminRefundService: Error releasing refund claim:', releaseError));
+      }
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export the service class as default
+export default AdminRefundService;
@@ -0,0 +1,307 @@
+/**
+ * Admin Review Service
+ *
+ * Moderation operations for customer product reviews. Reviews are written by
+ * the storefront to the `reviews` collection (with a copy in
+ * `products/{id}/reviews`) and wait in a pending state until approved here.
+ *
+ * Key Features:
+ * - Review listing for the moderation queue
+ * - Approve, hide and delete with both review copies kept in sync
+ * - Public store responses
+ * - Customer report handling
+ * - Cached product rating statistics
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase';
+
+/**
+ * Review moderation states
+ * These align with the storefront's review utilities; reviews without a
+ * status predate moderation and are treated as approved
+ */
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden'
+};
+
+/**
+ * Check whether a review is visible on the storefront
+ * @param {Object} review - Review data
+ * @returns {boolean} - Whether the review counts as published
+ */
+export const isReviewPublished = (review) =>
+  !review.status || review.status === REVIEW_STATUSES.APPROVED;
+
+/**
+ * Admin service class for review moderation
+ */
+class AdminReviewService {
+
+  /**
+   * Fetch every review with its product name attached
+   * @returns {Promise<Object>} - Reviews sorted newest first
+   */
+  static async getAllReviews() {
+    console.log('📝 AdminReviewService: Fetching reviews for moderation');
+
+    try {
+      const [reviewSnapshot, productSnapshot] = await Promise.all([
+        getDocs(collection(db, "reviews")),
+        getDocs(collection(db, "products"))
+      ]);
+
+      const productNames = {};
+      productSnapshot.docs.forEach(productDoc => {
+        productNames[productDoc.id] = productDoc.data().name || productDoc.id;
+      });
+
+      const reviews = reviewSnapshot.docs
+        .map(reviewDoc => {
+          const data = reviewDoc.data();
+          return {
+            id: reviewDoc.id,
+            ...data,
+            status: data.status || REVIEW_STATUSES.APPROVED,
+            productName: productNames[data.productId] || 'Deleted product',
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date(data.createdAt || 0),
+            updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : null
+          };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      console.log(`✅ AdminReviewService: Loaded ${reviews.length} reviews`);
+
+      return {
+        success: true,
+        reviews,
+        products: Object.entries(productNames).map(([id, name]) => ({ id, name }))
+      };
+    } catch (error) {
+      console.error('❌ AdminReviewService: Error fetching reviews:', error);
+      return {
+        success: false,
+        error: error.message,
+        reviews: [],
+        products: []
+      };
+    }
+  }
+
+  /**
+   * Approve or hide a review and refresh the product's rating cache
+   *
+   * @param {string} reviewId - Review document ID
+   * @param {string} newStatus - Value from REVIEW_STATUSES
+   * @param {string} adminUserId - ID of the moderating admin
+   * @returns {Promise<Object>} - Update result
+   */
+  static async updateReviewStatus(reviewId, newStatus, adminUserId = 'admin') {
+    console.log(`🔄 AdminReviewService: Setting review ${reviewId} to ${newStatus}`);
+
+    try {
+      if (!Object.values(REVIEW_STATUSES).includes(newStatus)) {
+        throw new Error(`Invalid review status: ${newStatus}`);
+      }
+
+      const review = await this.getReview(reviewId);
+      const updateData = {
+        status: newStatus,
+        moderatedAt: serverTimestamp(),
+        moderatedBy: adminUserId
+      };
+
+      await this.updateReviewCopies(reviewId, review.productId, updateData);
+      const ratingStats = await this.recalculateProductRatingStats(review.productId);
+
+      console.log(`✅ AdminReviewService: Review ${reviewId} is now ${newStatus}`);
+      return { success: true, ratingStats };
+    } catch (error) {
+      console.error('❌ AdminReviewService: Error updating review status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Post or clear the public store response on a review
+   *
+   * @param {string} reviewId - Review document ID
+   * @param {string} text - Response text; empty removes the response
+   * @param {string} adminUserId - ID of the responding admin
+   * @returns {Promise<Object>} - Update result with the saved response
+   */
+  static async respondToReview(reviewId, text, adminUserId = 'admin') {
+    console.log(`💬 AdminReviewService: Saving store response for review ${reviewId}`);
+
+    try {
+      const review = await this.getReview(reviewId);
+      const storeResponse = text.trim()
+        ? {
+            text: text.trim(),
+            respondedAt: new Date().toISOString(),
+            respondedBy: adminUserId
+          }
+        : null;
+
+      await this.updateReviewCopies(reviewId, review.productId, { storeResponse });
+
+      return { success: true, storeResponse };
+    } catch (error) {
+      console.error('❌ AdminReviewService: Error saving store response:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Clear customer reports once a moderator has looked at them
+   *
+   * @param {string} reviewId - Review document ID
+   * @param {string} adminUserId - ID of the moderating admin
+   * @returns {Promise<Object>} - Update result
+   */
+  static async dismissReports(reviewId, adminUserId = 'admin') {
+    console.log(`🚩 AdminReviewService: Dismissing reports on review ${reviewId}`);
+
+    try {
+      await updateDoc(doc(db, "reviews", reviewId), {
+        reports: [],
+        reportCount: 0,
+        reportsDismissedAt: serverTimestamp(),
+        reportsDismissedBy: adminUserId
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ AdminReviewService: Error dismissing reports:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Permanently delete a review and its product copy
+   *
+   * @param {string} reviewId - Review document ID
+   * @returns {Promise<Object>} - Deletion result
+   */
+  static async deleteReview(reviewId) {
+    console.log(`🗑️ AdminReviewService: Deleting review ${reviewId}`);
+
+    try {
+      const review = await this.getReview(reviewId);
+
+      await deleteDoc(doc(db, "reviews", reviewId));
+
+      const copies = await getDocs(query(
+        collection(db, "products", review.productId, "reviews"),
+        where("reviewId", "==", reviewId)
+      ));
+      await Promise.all(copies.docs.map(copy => deleteDoc(copy.ref)));
+
+      const ratingStats = await this.recalculateProductRatingStats(review.productId);
+
+      console.log(`✅ AdminReviewService: Review ${reviewId} deleted`);
+      return { success: true, ratingStats };
+    } catch (error) {
+      console.error('❌ AdminReviewService: Error deleting review:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Recompute the rating statistics cached on a product document from its
+   * published reviews. Only moderation writes this cache; the storefront
+   * works its ratings out from the published reviews.
+   *
+   * @param {string} productId - Product document ID
+   * @returns {Promise<Object|null>} - The new statistics, or null if the product is gone
+   */
+  static async recalculateProductRatingStats(productId) {
+    console.log(`📊 AdminReviewService: Recalculating rating stats for product ${productId}`);
+
+    const productRef = doc(db, "products", productId);
+    const productSnapshot = await getDoc(productRef);
+    if (!productSnapshot.exists()) {
+      console.warn(`⚠️ AdminReviewService: Product ${productId} not found, skipping rating cache`);
+      return null;
+    }
+
+    const reviewSnapshot = await getDocs(query(
+      collection(db, "reviews"),
+      where("productId", "==", productId)
+    ));
+    const published = reviewSnapshot.docs
+      .map(reviewDoc => reviewDoc.data())
+      .filter(isReviewPublished);
+
+    const count = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let sum = 0;
+    published.forEach(review => {
+      count[review.rating] = (count[review.rating] || 0) + 1;
+      sum += review.rating;
+    });
+
+    const ratingStats = {
+      average: published.length ? sum / published.length : 0,
+      count,
+      total: published.length
+    };
+
+    await updateDoc(productRef, {
+      ratingStats: {
+        ...ratingStats,
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+    return ratingStats;
+  }
+
+  /**
+   * Load a single review or throw if it does not exist
+   * @param {string} reviewId - Review document ID
+   * @returns {Promise<Object>} - Review data
+   */
+  static async getReview(reviewId) {
+    const reviewSnapshot = await getDoc(doc(db, "reviews", reviewId));
+    if (!reviewSnapshot.exists()) {
+      throw new Error(`Review ${reviewId} not found`);
+    }
+    return reviewSnapshot.data();
+  }
+
+  /**
+   * Apply the same update to the main review and its product subcollection copy
+   *
+   * @param {string} reviewId - Review document ID
+   * @param {string} productId - Product the review belongs to
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<void>}
+   */
+  static async updateReviewCopies(reviewId, productId, updateData) {
+    await updateDoc(doc(db, "reviews", reviewId), updateData);
+
+    const copies = await getDocs(query(
+      collection(db, "products", productId, "reviews"),
+      where("reviewId", "==", reviewId)
+    ));
+    await Promise.all(copies.docs.map(copy => updateDoc(copy.ref, updateData)));
+  }
+}
+
+// Export the service class as default
+export default AdminReviewService;
@@ -0,0 +1,200 @@
+/**
+ * Admin Role Service
+ *
+ * Role-based access to the admin panel. A user's role is the `userRole`
+ * field of their users/{uid} document; each admin role grants a set of
+ * permissions, and pages and actions check a permission rather than a role.
+ * Storefront customers have the `User` role and no permissions.
+ *
+ * Key Features:
+ * - Owner, Catalog Manager, Fulfilment and Support roles
+ * - Permissions such as products.write, orders.refund, users.ban, banners.write
+ * - The legacy `Admin` role keeps full access, as an Owner
+ * - Role assignment for Owners, who can't change their own role
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import { collection, doc, getDocs, serverTimestamp, updateDoc } from 'firebase/firestore';
+import { db } from '../firebase';
+
+/**
+ * Everything a role can be allowed to do
+ */
+export const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',     // Sales dashboard
+  ORDERS_READ: 'orders.read',
+  ORDERS_UPDATE: 'orders.update',       // Approve, pack, deliver, confirm payments, invoices
+  ORDERS_RETURNS: 'orders.returns',     // Approve, decline and receive returns
+  ORDERS_REFUND: 'orders.refund',       // Refunds and credit notes
+  ORDERS_EXPORT: 'orders.export',
+  PRODUCTS_READ: 'products.read',
+  PRODUCTS_WRITE: 'products.write',     // Add, edit, delete and import products
+  CATEGORIES_WRITE: 'categories.write',
+  COUPONS_WRITE: 'coupons.write',
+  REVIEWS_MODERATE: 'reviews.moderate',
+  INVENTORY_WRITE: 'inventory.write',
+  SHIPPING_WRITE: 'shipping.write',
+  EMAILS_WRITE: 'emails.write',         // Email templates
+  BANNERS_READ: 'banners.read',
+  BANNERS_WRITE: 'banners.write',
+  USERS_READ: 'users.read',
+  USERS_BAN: 'users.ban',
+  USERS_ROLES: 'users.roles'            // Assign roles
+};
+
+/**
+ * Roles with access to the admin panel
+ */
+export const ADMIN_ROLES = {
+  OWNER: 'Owner',
+  CATALOG_MANAGER: 'Catalog Manager',
+  FULFILMENT: 'Fulfilment',
+  SUPPORT: 'Support'
+};
+
+/**
+ * Role of storefront customers
+ */
+export const CUSTOMER_ROLE = 'User';
+
+/**
+ * Role admins had before roles were split; treated as an Owner
+ */
+export const LEGACY_ADMIN_ROLE = 'Admin';
+
+/**
+ * Permissions each admin role grants
+ */
+export const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ADMIN_ROLES.CATALOG_MANAGER]: [
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.CATEGORIES_WRITE,
+    PERMISSIONS.COUPONS_WRITE,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.INVENTORY_WRITE,
+    PERMISSIONS.BANNERS_READ,
+    PERMISSIONS.BANNERS_WRITE
+  ],
+  [ADMIN_ROLES.FULFILMENT]: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.ORDERS_RETURNS,
+    PERMISSIONS.ORDERS_EXPORT,
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.INVENTORY_WRITE,
+    PERMISSIONS.SHIPPING_WRITE
+  ],
+  [ADMIN_ROLES.SUPPORT]: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_RETURNS,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.PRODUCTS_READ,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.BANNERS_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_BAN
+  ]
+};
+
+/**
+ * One-line summary of each role, for the role screen
+ */
+export const ROLE_DESCRIPTIONS = {
+  [ADMIN_ROLES.OWNER]: 'Everything, including sales figures, email templates and roles',
+  [ADMIN_ROLES.CATALOG_MANAGER]: 'Products, categories, stock, coupons, reviews and banners',
+  [ADMIN_ROLES.FULFILMENT]: 'Order processing, returns, stock and shipping rules',
+  [ADMIN_ROLES.SUPPORT]: 'Orders, returns and refunds, reviews and customer accounts',
+  [CUSTOMER_ROLE]: 'Storefront customer without admin access'
+};
+
+/**
+ * Role whose permissions apply, with the legacy role mapped to Owner
+ * @param {string} role - userRole from the user document
+ * @returns {string|null} - Value from ADMIN_ROLES, or null for non-admins
+ */
+export const resolveAdminRole = (role) => {
+  if (role === LEGACY_ADMIN_ROLE) return ADMIN_ROLES.OWNER;
+  return ROLE_PERMISSIONS[role] ? role : null;
+};
+
+/**
+ * Whether a role may sign in to the admin panel
+ * @param {string} role - userRole from the user document
+ * @returns {boolean}
+ */
+export const isAdminRole = (role) => resolveAdminRole(role) !== null;
+
+/**
+ * Permissions a role grants
+ * @param {string} role - userRole from the user document
+ * @returns {Array<string>} - Values from PERMISSIONS, empty for non-admins
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[resolveAdminRole(role)] || [];
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - userRole from the user document
+ * @param {string} permission - Value from PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * Admin Role Service Class
+ */
+class AdminRoleService {
+  /**
+   * All users with their roles
+   * @returns {Promise<Object>} - { success, users } or { success: false, error }
+   */
+  static async getUsers() {
+    try {
+      const snapshot = await getDocs(collection(db, 'users'));
+      return {
+        success: true,
+        users: snapshot.docs.map((userDoc) => ({ id: userDoc.id, ...userDoc.data() }))
+      };
+    } catch (error) {
+      console.error('❌ AdminRoleService: Error loading users:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Give a user a role
+   * @param {string} userId - User to change
+   * @param {string} role - Value from ADMIN_ROLES, or CUSTOMER_ROLE to remove admin access
+   * @param {string} ownerId - Owner making the change
+   * @returns {Promise<Object>} - { success, changes } or { success: false, error }
+   */
+  static async assignRole(userId, role, ownerId) {
+    try {
+      if (role !== CUSTOMER_ROLE && !ROLE_PERMISSIONS[role]) {
+        throw new Error(`Unknown role ${role}`);
+      }
+      if (userId === ownerId) {
+        throw new Error('You cannot change your own role');
+      }
+
+      const changes = {
+        userRole: role,
+        roleUpdatedAt: serverTimestamp(),
+        roleUpdatedBy: ownerId
+      };
+      await updateDoc(doc(db, 'users', userId), changes);
+
+      console.log(`✅ AdminRoleService: ${userId} is now ${role}`);
+      return { success: true, changes: { ...changes, roleUpdatedAt: new Date() } };
+    } catch (error) {
+      console.error('❌ AdminRoleService: Error assigning role:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export the service class as default
+export default AdminRoleService;
@@ -0,0 +1,352 @@
+/**
+ * Admin Shipping Service
+ *
+ * Reads and saves the shipping rules the storefront prices checkout with.
+ * The rules live in a single settings/shippingRules document; the storefront
+ * falls back to DEFAULT_SHIPPING_RULES until one is saved. PIN ranges that
+ * can't be served live next to them in settings/pinServiceability.
+ *
+ * Key Features:
+ * - Zones per country, optionally narrowed to a list of states
+ * - Weight (grams) or order-value tiers with standard and express prices
+ * - Per-zone free standard shipping threshold
+ * - Validation so a saved rule set always prices every tier
+ * - Indian PIN ranges marked non-serviceable or without cash on delivery
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase';
+import { SHIPPING_CARRIERS } from './orderService';
+
+/**
+ * Firestore document holding the rules
+ */
+export const SHIPPING_RULES_DOC = { collection: 'settings', id: 'shippingRules' };
+
+/**
+ * Firestore document holding the restricted PIN ranges
+ */
+export const PIN_RESTRICTIONS_DOC = { collection: 'settings', id: 'pinServiceability' };
+
+/**
+ * What a restricted PIN range cannot get; keep in step with the storefront's
+ * shippingService
+ */
+export const PIN_RESTRICTION_TYPES = {
+  NON_SERVICEABLE: 'non_serviceable',
+  COD_UNAVAILABLE: 'cod_unavailable'
+};
+
+/**
+ * Labels for PIN restriction types
+ */
+export const PIN_RESTRICTION_LABELS = {
+  [PIN_RESTRICTION_TYPES.NON_SERVICEABLE]: 'Not serviceable',
+  [PIN_RESTRICTION_TYPES.COD_UNAVAILABLE]: 'No cash on delivery'
+};
+
+/**
+ * What a zone's tiers are measured against
+ */
+export const SHIPPING_BASES = {
+  WEIGHT: 'weight', // Total weight in grams
+  PRICE: 'price'    // Order value after discount
+};
+
+/**
+ * Rules the storefront uses until an admin saves their own; keep in step
+ * with DEFAULT_SHIPPING_RULES in the storefront's shippingService
+ */
+export const DEFAULT_SHIPPING_RULES = {
+  defaultItemWeight: 250,
+  zones: [
+    {
+      id: 'domestic',
+      name: 'India',
+      country: 'India',
+      states: [],
+      carrier: 'INDIA_POST',
+      basis: SHIPPING_BASES.WEIGHT,
+      freeShippingThreshold: 999,
+      expressEnabled: true,
+      tiers: [
+        { upTo: 500, standard: 49, express: 99 },
+        { upTo: 2000, standard: 79, express: 149 },
+        { upTo: null, standard: 129, express: 249 }
+      ]
+    },
+    {
+      id: 'international',
+      name: 'International',
+      country: '',
+      states: [],
+      carrier: 'DHL',
+      basis: SHIPPING_BASES.WEIGHT,
+      freeShippingThreshold: null,
+      expressEnabled: true,
+      tiers: [
+        { upTo: 500, standard: 1499, express: 2499 },
+        { upTo: 2000, standard: 2499, express: 3999 },
+        { upTo: null, standard: 3999, express: 5999 }
+      ]
+    }
+  ]
+};
+
+/**
+ * Turn an optional number field into a number or null
+ */
+const toOptionalNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check that a form value is a number of 0 or more
+ */
+const isNonNegative = (value) => {
+  const number = toOptionalNumber(value);
+  return number !== null && number >= 0;
+};
+
+/**
+ * Convert a product form's weight to the stored value; an empty or zero
+ * weight is stored as null so checkout uses the default item weight
+ * @param {*} weight - Weight in grams from the form
+ * @returns {number|null} - Weight in grams or null
+ */
+export const toStoredWeight = (weight) => (Number(weight) > 0 ? Number(weight) : null);
+
+/**
+ * Admin service class for shipping rules
+ */
+class AdminShippingService {
+
+  /**
+   * Load the saved rules, or the defaults when none are saved
+   * @returns {Promise<Object>} - { success, rules, isDefault } or { success: false, error }
+   */
+  static async getRules() {
+    try {
+      const rulesSnapshot = await getDoc(doc(db, SHIPPING_RULES_DOC.collection, SHIPPING_RULES_DOC.id));
+      if (!rulesSnapshot.exists()) {
+        return { success: true, rules: DEFAULT_SHIPPING_RULES, isDefault: true };
+      }
+
+      const { defaultItemWeight, zones } = rulesSnapshot.data();
+      return {
+        success: true,
+        rules: { defaultItemWeight, zones: zones || [] },
+        isDefault: false
+      };
+    } catch (error) {
+      console.error('❌ AdminShippingService: Error loading shipping rules:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check a rule set before saving
+   * @param {Object} rules - Rules from the editor
+   * @returns {Array<string>} - Problems found; empty when the rules are valid
+   */
+  static validateRules(rules) {
+    const errors = [];
+
+    if (!(toOptionalNumber(rules.defaultItemWeight) > 0)) {
+      errors.push('Default item weight must be more than 0 grams');
+    }
+    if (!rules.zones?.length) {
+      errors.push('Add at least one shipping zone');
+    }
+
+    (rules.zones || []).forEach((zone, index) => {
+      const label = zone.name?.trim() || `Zone ${index + 1}`;
+
+      if (!zone.name?.trim()) {
+        errors.push(`Zone ${index + 1} needs a name`);
+      }
+      if (!SHIPPING_CARRIERS[zone.carrier]) {
+        errors.push(`${label}: choose a carrier`);
+      }
+      if (zone.states?.length && !zone.country?.trim()) {
+        errors.push(`${label}: states can only be set together with a country`);
+      }
+      if (zone.freeShippingThreshold !== null && !isNonNegative(zone.freeShippingThreshold)) {
+        errors.push(`${label}: free shipping threshold must be 0 or more`);
+      }
+      if (!zone.tiers?.length) {
+        errors.push(`${label}: add at least one tier`);
+        return;
+      }
+
+      const openTiers = zone.tiers.filter(tier => toOptionalNumber(tier.upTo) === null);
+      if (openTiers.length !== 1) {
+        errors.push(`${label}: exactly one tier must have no upper limit`);
+      }
+      zone.tiers.forEach((tier, tierIndex) => {
+        const upTo = toOptionalNumber(tier.upTo);
+        if (upTo !== null && upTo <= 0) {
+          errors.push(`${label}, tier ${tierIndex + 1}: upper limit must be more than 0`);
+        }
+        if (!isNonNegative(tier.standard)) {
+          errors.push(`${label}, tier ${tierIndex + 1}: standard price must be 0 or more`);
+        }
+        if (zone.expressEnabled && !isNonNegative(tier.express)) {
+          errors.push(`${label}, tier ${tierIndex + 1}: express price must be 0 or more`);
+        }
+      });
+    });
+
+    const zoneKeys = (rules.zones || []).flatMap(zone => {
+      const country = (zone.country || '').trim().toLowerCase();
+      return zone.states?.length
+        ? zone.states.map(state => `${country}|${state.trim().toLowerCase()}`)
+        : [`${country}|`];
+    });
+    if (new Set(zoneKeys).size !== zoneKeys.length) {
+      errors.push('Two zones cover the same country or state');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and save the rules; checkout uses them straight away
+   * @param {Object} rules - Rules from the editor
+   * @param {string} adminUserId - Admin saving the rules
+   * @returns {Promise<Object>} - { success, rules } or { success: false, error }
+   */
+  static async saveRules(rules, adminUserId) {
+    const errors = this.validateRules(rules);
+    if (errors.length > 0) {
+      return { success: false, error: errors[0], errors };
+    }
+
+    const cleanRules = {
+      defaultItemWeight: Number(rules.defaultItemWeight),
+      zones: rules.zones.map((zone, index) => ({
+        id: zone.id || `zone-${Date.now()}-${index}`,
+        name: zone.name.trim(),
+        country: (zone.country || '').trim(),
+        states: (zone.states || []).map(state => state.trim()).filter(Boolean),
+        carrier: zone.carrier,
+        basis: zone.basis === SHIPPING_BASES.PRICE ? SHIPPING_BASES.PRICE : SHIPPING_BASES.WEIGHT,
+        freeShippingThreshold: toOptionalNumber(zone.freeShippingThreshold),
+        expressEnabled: zone.expressEnabled !== false,
+        tiers: zone.tiers
+          .map(tier => ({
+            upTo: toOptionalNumber(tier.upTo),
+            standard: Number(tier.standard),
+            express: zone.expressEnabled !== false ? Number(tier.express) : 0
+          }))
+          .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+      }))
+    };
+
+    try {
+      await setDoc(doc(db, SHIPPING_RULES_DOC.collection, SHIPPING_RULES_DOC.id), {
+        ...cleanRules,
+        updatedAt: serverTimestamp(),
+        updatedBy: adminUserId
+      });
+
+      console.log(`✅ AdminShippingService: Saved ${cleanRules.zones.length} shipping zones`);
+      return { success: true, rules: cleanRules };
+    } catch (error) {
+      console.error('❌ AdminShippingService: Error saving shipping rules:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Load the restricted PIN ranges
+   * @returns {Promise<Object>} - { success, ranges } or { success: false, error }
+   */
+  static async getPinRestrictions() {
+    try {
+      const restrictionsSnapshot = await getDoc(doc(db, PIN_RESTRICTIONS_DOC.collection, PIN_RESTRICTIONS_DOC.id));
+      return {
+        success: true,
+        ranges: restrictionsSnapshot.exists() ? restrictionsSnapshot.data().ranges || [] : []
+      };
+    } catch (error) {
+      console.error('❌ AdminShippingService: Error loading PIN restrictions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check restricted PIN ranges before saving
+   * @param {Array} ranges - Ranges from the editor as { from, to, type, note }
+   * @returns {Array<string>} - Problems found; empty when the ranges are valid
+   */
+  static validatePinRestrictions(ranges) {
+    const errors = [];
+    const pinPattern = /^[1-9]\d{5}$/;
+
+    ranges.forEach((range, index) => {
+      const label = `Range ${index + 1}`;
+      const from = String(range.from || '').trim();
+      const to = String(range.to || from).trim();
+
+      if (!pinPattern.test(from)) {
+        errors.push(`${label}: "from" must be a 6-digit PIN code`);
+      }
+      if (!pinPattern.test(to)) {
+        errors.push(`${label}: "to" must be a 6-digit PIN code`);
+      } else if (pinPattern.test(from) && to < from) {
+        errors.push(`${label}: "to" must not be lower than "from"`);
+      }
+      if (!PIN_RESTRICTION_LABELS[range.type]) {
+        errors.push(`${label}: choose a restriction`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate and save the restricted PIN ranges; checkout uses them straight away
+   * @param {Array} ranges - Ranges from the editor
+   * @param {string} adminUserId - Admin saving the ranges
+   * @returns {Promise<Object>} - { success, ranges } or { success: false, error }
+   */
+  static async savePinRestrictions(ranges, adminUserId) {
+    const errors = this.validatePinRestrictions(ranges);
+    if (errors.length > 0) {
+      return { success: false, error: errors[0], errors };
+    }
+
+    const cleanRanges = ranges
+      .map((range, index) => ({
+        id: range.id || `pin-${Date.now()}-${index}`,
+        from: String(range.from).trim(),
+        to: String(range.to || range.from).trim(),
+        type: range.type,
+        note: (range.note || '').trim()
+      }))
+      .sort((a, b) => a.from.localeCompare(b.from));
+
+    try {
+      await setDoc(doc(db, PIN_RESTRICTIONS_DOC.collection, PIN_RESTRICTIONS_DOC.id), {
+        ranges: cleanRanges,
+        updatedAt: serverTimestamp(),
+        updatedBy: adminUserId
+      });
+
+      console.log(`✅ AdminShippingService: Saved ${cleanRanges.length} restricted PIN ranges`);
+      return { success: true, ranges: cleanRanges };
+    } catch (error) {
+      console.error('❌ AdminShippingService: Error saving PIN restrictions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export the service class as default
+export default AdminShippingService;
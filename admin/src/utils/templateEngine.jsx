@@ -0,0 +1,248 @@
+/**
+ * Template Engine
+ *
+ * Small mustache-style renderer for the email templates admins edit in
+ * Firestore. Templates are plain HTML or text with tags:
+ *
+ * - {{order.orderId}}: value at a dotted path, HTML-escaped
+ * - {{{order.notes}}}: value without escaping
+ * - {{order.total | currency}}: value passed through filters, see TEMPLATE_FILTERS
+ * - {{#each items}}...{{/each}}: repeat for every item; inside, the item's
+ *   fields are in scope, plus {{this}}, {{@index}} and {{@number}} (1-based)
+ * - {{#if order.discount}}...{{else}}...{{/if}}: render when the value is
+ *   truthy; empty lists count as false
+ *
+ * Key Features:
+ * - Parse errors name the problem and the line it is on
+ * - Unknown paths render as empty text
+ * - htmlToText for a plain-text part when a template only has HTML
+ *
+ * Copy of the storefront's templateEngine, so the editor previews emails
+ * exactly as they are sent; keep the two in step.
+ *
+ * @author Shop Admin System
+ * @version 1.0.0
+ */
+
+/**
+ * Escape text for use inside HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Filters that can follow a value, e.g. {{order.total | currency}}
+ */
+export const TEMPLATE_FILTERS = {
+  currency: (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 2
+  }).format(Number(value) || 0),
+  date: (value) => {
+    const date = value?.toDate ? value.toDate() : new Date(value);
+    return Number.isNaN(date.getTime())
+      ? ''
+      : date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  },
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value)
+};
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+
+/**
+ * Line number of a position in the source, for error messages
+ */
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * Split "path | filter | filter:arg" into a path and filters
+ */
+const parseExpression = (expression, line) => {
+  const [path, ...filterParts] = expression.split('|').map(part => part.trim());
+  if (!path) {
+    throw new Error(`Empty tag on line ${line}`);
+  }
+
+  const filters = filterParts.map(part => {
+    const separator = part.indexOf(':');
+    const name = separator === -1 ? part : part.slice(0, separator).trim();
+    if (!TEMPLATE_FILTERS[name]) {
+      throw new Error(`Unknown filter "${name}" on line ${line}`);
+    }
+    const arg = separator === -1 ? undefined : part.slice(separator + 1).trim().replace(/^["']|["']$/g, '');
+    return { name, arg };
+  });
+
+  return { path, filters };
+};
+
+/**
+ * Parse a template into a tree of text, value and block nodes
+ * @param {string} source - Template source
+ * @returns {Array} - Nodes
+ */
+export const parseTemplate = (source = '') => {
+  const root = { children: [] };
+  const stack = [root];
+  let target = root.children;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const line = lineAt(source, match.index);
+    if (match.index > lastIndex) {
+      target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      target.push({ type: 'value', raw: true, ...parseExpression(match[1], line) });
+      continue;
+    }
+
+    const tag = match[2];
+    const current = stack[stack.length - 1];
+
+    if (tag.startsWith('#')) {
+      const [blockType, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (blockType !== 'each' && blockType !== 'if') {
+        throw new Error(`Unknown block "#${blockType}" on line ${line}; use #each or #if`);
+      }
+      const path = rest.join(' ');
+      if (!path) {
+        throw new Error(`{{#${blockType}}} needs a value on line ${line}`);
+      }
+      const block = { type: blockType, path, line, children: [], inverse: [] };
+      target.push(block);
+      stack.push(block);
+      target = block.children;
+    } else if (tag.startsWith('/')) {
+      const blockType = tag.slice(1).trim();
+      if (stack.length === 1) {
+        throw new Error(`{{/${blockType}}} on line ${line} has no matching {{#${blockType}}}`);
+      }
+      if (current.type !== blockType) {
+        throw new Error(`{{/${blockType}}} on line ${line} closes {{#${current.type}}} from line ${current.line}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      target = parent === root || !parent.inInverse ? parent.children : parent.inverse;
+    } else if (tag === 'else') {
+      if (stack.length === 1 || current.inInverse) {
+        throw new Error(`Unexpected {{else}} on line ${line}`);
+      }
+      current.inInverse = true;
+      target = current.inverse;
+    } else {
+      target.push({ type: 'value', raw: false, ...parseExpression(tag, line) });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`{{#${open.type} ${open.path}}} on line ${open.line} is never closed`);
+  }
+  if (lastIndex < source.length) {
+    target.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+/**
+ * Look a dotted path up in the innermost scope that has its first part
+ */
+const lookup = (scopes, path) => {
+  const [scope] = scopes;
+  if (path === 'this' || path === '.') return scope.value;
+  if (path.startsWith('@')) return scope[path.slice(1)];
+
+  const [first, ...rest] = path.replace(/^this\./, '').split('.');
+  const owner = scopes.find(candidate =>
+    candidate.value !== null && typeof candidate.value === 'object' && first in candidate.value
+  );
+  return rest.reduce((value, key) => (value == null ? undefined : value[key]), owner?.value[first]);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scopes, escape) => nodes.map(node => {
+  if (node.type === 'text') return node.value;
+
+  if (node.type === 'value') {
+    const value = node.filters.reduce(
+      (current, filter) => TEMPLATE_FILTERS[filter.name](current, filter.arg),
+      lookup(scopes, node.path)
+    );
+    const text = value === undefined || value === null
+      ? ''
+      : Array.isArray(value) ? value.join(', ') : String(value);
+    return escape && !node.raw ? escapeHtml(text) : text;
+  }
+
+  const value = lookup(scopes, node.path);
+  if (node.type === 'if') {
+    return renderNodes(isTruthy(value) ? node.children : node.inverse, scopes, escape);
+  }
+
+  // each
+  const list = Array.isArray(value) ? value : [];
+  if (list.length === 0) return renderNodes(node.inverse, scopes, escape);
+  return list.map((item, index) =>
+    renderNodes(node.children, [{ value: item, index, number: index + 1 }, ...scopes], escape)
+  ).join('');
+}).join('');
+
+/**
+ * Render a template against a context
+ * @param {string} source - Template source
+ * @param {Object} context - Values the template can use
+ * @param {Object} options - { escape } HTML-escapes values, on by default
+ * @returns {string} - Rendered output; throws when the template does not parse
+ */
+export const renderTemplate = (source, context = {}, { escape = true } = {}) =>
+  renderNodes(parseTemplate(source), [{ value: context }], escape);
+
+/**
+ * Problem with a template, for showing in an editor
+ * @param {string} source - Template source
+ * @returns {string} - Error message, or empty when it parses
+ */
+export const validateTemplate = (source) => {
+  try {
+    parseTemplate(source);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Plain text from an HTML email, for templates without a text part
+ * @param {string} html - Rendered HTML
+ * @returns {string} - Text
+ */
+export const htmlToText = (html = '') => html
+  .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|tr|li|table)>/gi, '\n')
+  .replace(/<\/td>/gi, ' ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
@@ -10,6 +10,8 @@ import PrivacyPolicy from "./pages/PrivacyPolicy";
 import TermsOfService from "./pages/TermsOfService";
 import ProductView from "./pages/ProductView";
 import Cart from "./pages/Cart";
+import OrderSummary from "./pages/OrderSummary";
+import TrackOrder from "./pages/TrackOrder";
 import SignIn from "./pages/SignIn";
 import SignUp from "./pages/SignUp";
 import MyAccount from "./pages/Profile";
@@ -23,8 +25,11 @@ import { onAuthStateChanged } from "firebase/auth";
 import { useDispatch } from "react-redux";
 import { setUser, clearUser } from "./redux/userSlice";
 import { useContentLoader } from "./hooks/useContentLoader";
+import { useCartSync } from "./hooks/useCartSync";
 import "react-toastify/dist/ReactToastify.css";
 import PasswordReset from "./pages/PasswordReset";
+import EmailPreview from "./pages/EmailPreview";
+import featureConfig from "./utils/featureConfig";
 import { LazyMotion, domAnimation } from "framer-motion";
 
 /**
@@ -47,6 +52,9 @@ function App() {
     forceComplete,
   } = useContentLoader();
 
+  // Persist the cart and keep it in sync across sign-in, tabs and devices
+  useCartSync();
+
   /**
    * Detects if the current visitor is a social media crawler/bot
    * Used to bypass loading screens for better SEO and link previews
@@ -164,6 +172,8 @@ function App() {
               <Route path="/products" element={<Products />} />
               <Route path="/product/:id" element={<ProductView />} />
               <Route path="/cart" element={<Cart />} />
+              <Route path="/order-summary" element={<OrderSummary />} />
+              <Route path="/track" element={<TrackOrder />} />
               <Route path="/signin" element={<SignIn />} />
               <Route path="/signup" element={<SignUp />} />
               <Route path="/password-reset" element={<PasswordReset />} />
@@ -199,6 +209,11 @@ function App() {
               <Route path="/contact" element={<ContactUs />} />
               <Route path="/privacy-policy" element={<PrivacyPolicy />} />
               <Route path="/terms-of-service" element={<TermsOfService />} />
+
+              {/* Inbox for the preview email transport, never routed in production setups */}
+              {featureConfig.email.transport === "preview" && (
+                <Route path="/dev/emails" element={<EmailPreview />} />
+              )}
             </Routes>
           </main>
           <Footer />
@@ -0,0 +1,231 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { toast } from "react-toastify";
+import { MapPin, Pencil, Plus, Trash2 } from "lucide-react";
+import AddressForm from "./AddressForm";
+import {
+  ADDRESS_PURPOSES,
+  EMPTY_ADDRESS,
+  formatAddressSummary,
+  saveAddress,
+  removeAddress,
+  setDefaultAddress,
+} from "../utils/addressBook";
+
+/**
+ * List of a customer's saved addresses with inline add and edit forms.
+ * Used to manage the address book on the profile page and, with onSelect,
+ * to pick the delivery address at checkout.
+ *
+ * @param {Object} props
+ * @param {string} props.userId - ID of the signed-in customer
+ * @param {Array} props.addresses - Saved addresses from getAddressBook
+ * @param {Function} props.onAddressesChange - Called with the new list after every change
+ * @param {string} props.selectedId - ID of the selected address when picking
+ * @param {Function} props.onSelect - Called with an address when it is picked; enables picking
+ * @returns {JSX.Element} AddressBook component
+ */
+const AddressBook = ({
+  userId,
+  addresses,
+  onAddressesChange,
+  selectedId = "",
+  onSelect = null,
+}) => {
+  // null when no form is open, EMPTY_ADDRESS for a new address, or the address being edited
+  const [editingAddress, setEditingAddress] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (address) => {
+    setSaving(true);
+    const result = await saveAddress(userId, addresses, address);
+    setSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    onAddressesChange(result.addresses);
+    setEditingAddress(null);
+    toast.success("Address saved");
+    if (onSelect) onSelect(result.address);
+  };
+
+  const handleRemove = async (address) => {
+    if (!window.confirm(`Remove the ${address.label} address?`)) return;
+
+    const result = await removeAddress(userId, addresses, address.id);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    onAddressesChange(result.addresses);
+  };
+
+  const handleSetDefault = async (address, purpose) => {
+    const result = await setDefaultAddress(userId, addresses, address.id, purpose);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    onAddressesChange(result.addresses);
+  };
+
+  return (
+    <div className="space-y-3">
+      {addresses.length === 0 && !editingAddress && (
+        <p className="text-gray-500 text-sm">No saved addresses yet.</p>
+      )}
+
+      {addresses.map((address) =>
+        editingAddress?.id === address.id ? (
+          <AddressForm
+            key={address.id}
+            initialAddress={editingAddress}
+            onSave={handleSave}
+            onCancel={() => setEditingAddress(null)}
+            saving={saving}
+          />
+        ) : (
+          <div
+            key={address.id}
+            className={`flex items-start justify-between border rounded-lg p-4 ${
+              onSelect && selectedId === address.id
+                ? "border-blue-500 bg-blue-50"
+                : "border-gray-200"
+            }`}
+          >
+            <label
+              className={`flex items-start flex-grow ${
+                onSelect ? "cursor-pointer" : ""
+              }`}
+            >
+              {onSelect ? (
+                <input
+                  type="radio"
+                  name="selectedAddress"
+                  checked={selectedId === address.id}
+                  onChange={() => onSelect(address)}
+                  className="mt-1 mr-3"
+                />
+              ) : (
+                <MapPin size={18} className="mt-0.5 mr-3 text-gray-400 flex-shrink-0" />
+              )}
+              <span>
+                <span className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-gray-800">
+                    {address.label}
+                  </span>
+                  {address.isDefaultShipping && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-700">
+                      Default shipping
+                    </span>
+                  )}
+                  {address.isDefaultBilling && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+                      Default billing
+                    </span>
+                  )}
+                </span>
+                {address.name && (
+                  <span className="block text-sm text-gray-700">
+                    {address.name}
+                  </span>
+                )}
+                <span className="block text-sm text-gray-600">
+                  {formatAddressSummary(address)}
+                </span>
+                {!onSelect && (
+                  <span className="flex flex-wrap gap-3 mt-2 text-sm">
+                    {!address.isDefaultShipping && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          handleSetDefault(address, ADDRESS_PURPOSES.SHIPPING)
+                        }
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Use for shipping
+                      </button>
+                    )}
+                    {!address.isDefaultBilling && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          handleSetDefault(address, ADDRESS_PURPOSES.BILLING)
+                        }
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Use for billing
+                      </button>
+                    )}
+                  </span>
+                )}
+              </span>
+            </label>
+            <div className="flex items-center gap-1 ml-2">
+              <button
+                type="button"
+                onClick={() => setEditingAddress(address)}
+                className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                aria-label={`Edit ${address.label} address`}
+              >
+                <Pencil size={16} />
+              </button>
+              {!onSelect && (
+                <button
+                  type="button"
+                  onClick={() => handleRemove(address)}
+                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                  aria-label={`Remove ${address.label} address`}
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+          </div>
+        )
+      )}
+
+      {editingAddress && !editingAddress.id ? (
+        <AddressForm
+          initialAddress={editingAddress}
+          onSave={handleSave}
+          onCancel={() => setEditingAddress(null)}
+          saving={saving}
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() =>
+            setEditingAddress({
+              ...EMPTY_ADDRESS,
+              isDefaultShipping: addresses.length === 0,
+              isDefaultBilling: addresses.length === 0,
+            })
+          }
+          className="flex items-center text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          <Plus size={16} className="mr-1" />
+          Add a new address
+        </button>
+      )}
+    </div>
+  );
+};
+
+AddressBook.propTypes = {
+  userId: PropTypes.string.isRequired,
+  addresses: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string,
+    })
+  ).isRequired,
+  onAddressesChange: PropTypes.func.isRequired,
+  selectedId: PropTypes.string,
+  onSelect: PropTypes.func,
+};
+
+export default AddressBook;
@@ -0,0 +1,332 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import {
+  ADDRESS_LABELS,
+  COUNTRIES,
+  getStatesForCountry,
+  getPostalCodeLabel,
+  validateAddress,
+} from "../utils/addressBook";
+import { checkAddressPin, lookupPinCode } from "../utils/pinCodeLookup";
+
+const inputClass =
+  "w-full p-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Form for adding or editing a saved address. Countries and states come
+ * from countriesStates.json and the postal code is checked against the
+ * chosen country's format before onSave is called. For India, a complete
+ * PIN code fills in the state, plus the city and district when they are
+ * still empty, and a state that doesn't match the PIN is flagged.
+ *
+ * @param {Object} props
+ * @param {Object} props.initialAddress - Address to edit, or EMPTY_ADDRESS for a new one
+ * @param {Function} props.onSave - Called with the address once it passes validation
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ * @param {boolean} props.saving - Whether a save is in progress
+ * @param {string} props.submitLabel - Text of the save button
+ * @returns {JSX.Element} AddressForm component
+ */
+const AddressForm = ({
+  initialAddress,
+  onSave,
+  onCancel,
+  saving = false,
+  submitLabel = "Save Address",
+}) => {
+  const [address, setAddress] = useState(initialAddress);
+  const [errors, setErrors] = useState({});
+
+  const pinWarning = checkAddressPin(address).warning;
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAddress((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+      // A new country needs a new state
+      ...(name === "country" ? { state: "" } : {}),
+    }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handlePinChange = (e) => {
+    const pin = e.target.value;
+    const location = address.country === "India" ? lookupPinCode(pin) : null;
+
+    setAddress((prev) => ({
+      ...prev,
+      pin,
+      ...(location
+        ? {
+            state: location.state,
+            city: prev.city || location.city,
+            district: prev.district || location.district,
+          }
+        : {}),
+    }));
+    setErrors((prev) => ({
+      ...prev,
+      pin: undefined,
+      ...(location ? { state: undefined, city: undefined } : {}),
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const validationErrors = validateAddress(address);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length === 0) {
+      onSave(address);
+    }
+  };
+
+  const fieldClass = (field) =>
+    `${inputClass} ${errors[field] ? "border-red-400" : "border-gray-300"}`;
+
+  const renderError = (field) =>
+    errors[field] && <p className="text-sm text-red-600 mt-1">{errors[field]}</p>;
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="grid grid-cols-1 md:grid-cols-2 gap-4 border border-gray-200 rounded-lg p-4"
+    >
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Label
+        </label>
+        <select
+          name="label"
+          value={
+            ADDRESS_LABELS.includes(address.label) ? address.label : "Other"
+          }
+          onChange={handleChange}
+          className={fieldClass("label")}
+        >
+          {ADDRESS_LABELS.map((label) => (
+            <option key={label} value={label}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Recipient Name
+        </label>
+        <input
+          type="text"
+          name="name"
+          value={address.name}
+          onChange={handleChange}
+          placeholder="Defaults to your profile name"
+          className={fieldClass("name")}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          House/Apartment Number
+        </label>
+        <input
+          type="text"
+          name="houseNo"
+          value={address.houseNo}
+          onChange={handleChange}
+          className={fieldClass("houseNo")}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Phone Number
+        </label>
+        <input
+          type="text"
+          name="phone"
+          value={address.phone}
+          onChange={handleChange}
+          placeholder="Optional"
+          className={fieldClass("phone")}
+        />
+      </div>
+
+      <div className="md:col-span-2">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Address Line 1
+        </label>
+        <input
+          type="text"
+          name="line1"
+          value={address.line1}
+          onChange={handleChange}
+          className={fieldClass("line1")}
+        />
+        {renderError("line1")}
+      </div>
+
+      <div className="md:col-span-2">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Address Line 2
+        </label>
+        <input
+          type="text"
+          name="line2"
+          value={address.line2}
+          onChange={handleChange}
+          className={fieldClass("line2")}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          City
+        </label>
+        <input
+          type="text"
+          name="city"
+          value={address.city}
+          onChange={handleChange}
+          className={fieldClass("city")}
+        />
+        {renderError("city")}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          District
+        </label>
+        <input
+          type="text"
+          name="district"
+          value={address.district || ""}
+          onChange={handleChange}
+          placeholder="Optional"
+          className={fieldClass("district")}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {getPostalCodeLabel(address.country)}
+        </label>
+        <input
+          type="text"
+          name="pin"
+          value={address.pin}
+          onChange={handlePinChange}
+          className={fieldClass("pin")}
+        />
+        {renderError("pin")}
+        {!errors.pin && pinWarning && (
+          <p className="text-sm text-amber-600 mt-1">{pinWarning}</p>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Country
+        </label>
+        <select
+          name="country"
+          value={address.country}
+          onChange={handleChange}
+          className={fieldClass("country")}
+        >
+          {COUNTRIES.map((country) => (
+            <option key={country} value={country}>
+              {country}
+            </option>
+          ))}
+        </select>
+        {renderError("country")}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          State
+        </label>
+        <select
+          name="state"
+          value={address.state}
+          onChange={handleChange}
+          className={fieldClass("state")}
+        >
+          <option value="">Select State</option>
+          {getStatesForCountry(address.country).map((state) => (
+            <option key={state} value={state}>
+              {state}
+            </option>
+          ))}
+        </select>
+        {renderError("state")}
+      </div>
+
+      <div className="md:col-span-2 flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            name="isDefaultShipping"
+            checked={address.isDefaultShipping}
+            onChange={handleChange}
+          />
+          Default shipping address
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            name="isDefaultBilling"
+            checked={address.isDefaultBilling}
+            onChange={handleChange}
+          />
+          Default billing address
+        </label>
+      </div>
+
+      <div className="md:col-span-2 flex gap-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-5 py-2 bg-blue-600 text-white font-medium rounded-lg shadow hover:bg-blue-700 transition-colors disabled:opacity-70"
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+AddressForm.propTypes = {
+  initialAddress: PropTypes.shape({
+    label: PropTypes.string,
+    name: PropTypes.string,
+    phone: PropTypes.string,
+    houseNo: PropTypes.string,
+    line1: PropTypes.string,
+    line2: PropTypes.string,
+    city: PropTypes.string,
+    district: PropTypes.string,
+    state: PropTypes.string,
+    country: PropTypes.string,
+    pin: PropTypes.string,
+    isDefaultShipping: PropTypes.bool,
+    isDefaultBilling: PropTypes.bool,
+  }).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  saving: PropTypes.bool,
+  submitLabel: PropTypes.string,
+};
+
+export default AddressForm;
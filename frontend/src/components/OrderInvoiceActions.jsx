@@ -0,0 +1,102 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { toast } from "react-toastify";
+import { FileText, ReceiptText } from "lucide-react";
+import { downloadOrderReceipt, downloadCreditNote } from "../utils/pdfUtils";
+import { issueInvoice, NON_INVOICEABLE_STATUSES } from "../utils/invoiceService";
+
+/**
+ * Download links for an order's GST tax invoice and any credit notes issued
+ * against it. The invoice number is issued the first time the invoice is
+ * downloaded; later downloads regenerate the same invoice.
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data including its Firestore ID
+ * @param {Function} props.onOrderUpdated - Called with (orderId, changes) after an invoice number is issued
+ * @returns {JSX.Element|null} OrderInvoiceActions component
+ */
+const OrderInvoiceActions = ({ order, onOrderUpdated }) => {
+  const [downloading, setDownloading] = useState(null);
+  const creditNotes = order.creditNotes || [];
+  const canInvoice =
+    Boolean(order.invoice?.number) || !NON_INVOICEABLE_STATUSES.includes(order.status);
+
+  if (!canInvoice && creditNotes.length === 0) {
+    return null;
+  }
+
+  const handleDownloadInvoice = async () => {
+    setDownloading("invoice");
+
+    let invoice = order.invoice;
+    if (!invoice?.number) {
+      const result = await issueInvoice(order.id);
+      if (!result.success) {
+        toast.error(result.error);
+        setDownloading(null);
+        return;
+      }
+      invoice = result.invoice;
+      onOrderUpdated(order.id, { invoice });
+    }
+
+    const success = await downloadOrderReceipt({ ...order, invoice });
+    setDownloading(null);
+    if (!success) {
+      toast.error("Failed to download invoice");
+    }
+  };
+
+  const handleDownloadCreditNote = async (creditNote) => {
+    setDownloading(creditNote.number);
+    const success = await downloadCreditNote(order, creditNote);
+    setDownloading(null);
+    if (!success) {
+      toast.error("Failed to download credit note");
+    }
+  };
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100 flex flex-wrap items-center gap-3">
+      {canInvoice && (
+        <button
+          onClick={handleDownloadInvoice}
+          disabled={downloading !== null}
+          className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          <FileText size={16} />
+          {downloading === "invoice"
+            ? "Preparing invoice..."
+            : order.invoice?.number
+            ? `Invoice ${order.invoice.number}`
+            : "Download Invoice"}
+        </button>
+      )}
+      {creditNotes.map((creditNote) => (
+        <button
+          key={creditNote.number}
+          onClick={() => handleDownloadCreditNote(creditNote)}
+          disabled={downloading !== null}
+          className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          <ReceiptText size={16} />
+          {downloading === creditNote.number
+            ? "Preparing credit note..."
+            : `Credit Note ${creditNote.number}`}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+OrderInvoiceActions.propTypes = {
+  order: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string,
+    invoice: PropTypes.object,
+    creditNotes: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+  onOrderUpdated: PropTypes.func.isRequired,
+};
+
+export default OrderInvoiceActions;
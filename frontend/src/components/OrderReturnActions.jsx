@@ -0,0 +1,311 @@
+import React, { useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { toast } from "react-toastify";
+import { XCircle, RotateCcw } from "lucide-react";
+import {
+  ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  cancelOrderByCustomer,
+  requestOrderReturn,
+  getReturnWindowInfo,
+} from "../utils/orderService";
+
+const RETURN_REASONS = [
+  "Damaged or defective",
+  "Wrong item received",
+  "Not as described",
+  "Size or fit issue",
+  "No longer needed",
+  "Other",
+];
+
+const RETURN_STATUS_LABELS = {
+  requested: "Return requested — waiting for the store to review it",
+  approved: "Return approved — please send the items back",
+  received: "Items received — your refund is being processed",
+  refunded: "Refund issued",
+  rejected: "Return request declined",
+};
+
+/**
+ * Customer self-service actions for a single order: cancelling before it is
+ * packed and requesting a return after delivery
+ *
+ * @param {Object} props
+ * @param {Object} props.order - Order data including its Firestore ID
+ * @param {string} props.userId - ID of the signed-in customer
+ * @param {Function} props.onOrderUpdated - Called with (orderId, changes) after a successful action
+ * @returns {JSX.Element|null} OrderReturnActions component
+ */
+const OrderReturnActions = ({ order, userId, onOrderUpdated }) => {
+  const [mode, setMode] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [cancelReason, setCancelReason] = useState("");
+  const [returnReason, setReturnReason] = useState("");
+  const [comments, setComments] = useState("");
+  const [quantities, setQuantities] = useState({});
+
+  const canCancel = CUSTOMER_CANCELLABLE_STATUSES.includes(order.status);
+  const returnWindow = useMemo(() => getReturnWindowInfo(order), [order]);
+  const selectedCount = Object.values(quantities).reduce(
+    (sum, quantity) => sum + (Number(quantity) || 0),
+    0
+  );
+
+  const resetForms = () => {
+    setMode(null);
+    setCancelReason("");
+    setReturnReason("");
+    setComments("");
+    setQuantities({});
+  };
+
+  const handleCancel = async () => {
+    setSubmitting(true);
+    const result = await cancelOrderByCustomer(order.id, userId, cancelReason);
+    setSubmitting(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success("Your order has been cancelled");
+    if (result.refundWarning) {
+      toast.warning(result.refundWarning);
+    }
+    onOrderUpdated(order.id, {
+      status: result.status,
+      statusHistory: result.statusHistory,
+      cancellationReason: result.cancellationReason,
+    });
+    resetForms();
+  };
+
+  const handleReturn = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await requestOrderReturn(order.id, userId, {
+      reason: returnReason,
+      quantities,
+      comments,
+    });
+    setSubmitting(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    toast.success("Return request submitted");
+    onOrderUpdated(order.id, {
+      status: result.status,
+      statusHistory: result.statusHistory,
+      returnRequest: result.returnRequest,
+    });
+    resetForms();
+  };
+
+  if (order.returnRequest) {
+    const { returnRequest } = order;
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-100">
+        <h4 className="font-medium text-gray-900 mb-2 flex items-center gap-2">
+          <RotateCcw size={16} /> Return
+        </h4>
+        <p className="text-sm text-gray-700">
+          {RETURN_STATUS_LABELS[returnRequest.status] || returnRequest.status}
+        </p>
+        <p className="text-sm text-gray-500 mt-1">
+          Reason: {returnRequest.reason}
+        </p>
+        <ul className="text-sm text-gray-600 mt-2 space-y-1">
+          {returnRequest.items?.map((item) => (
+            <li key={item.productId}>
+              {item.quantity} × {item.name}
+            </li>
+          ))}
+        </ul>
+        {returnRequest.rejectionReason && (
+          <p className="text-sm text-red-600 mt-2">
+            {returnRequest.rejectionReason}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  if (!canCancel && !returnWindow.eligible) {
+    if (order.status === ORDER_STATUSES.DELIVERED && returnWindow.deadline) {
+      return (
+        <p className="mt-4 pt-4 border-t border-gray-100 text-sm text-gray-500">
+          The return window closed on{" "}
+          {returnWindow.deadline.toLocaleDateString()}.
+        </p>
+      );
+    }
+    return null;
+  }
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-100">
+      {mode === null && (
+        <div className="flex flex-wrap items-center gap-3">
+          {canCancel && (
+            <button
+              onClick={() => setMode("cancel")}
+              className="flex items-center gap-2 px-4 py-2 text-sm border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition"
+            >
+              <XCircle size={16} /> Cancel Order
+            </button>
+          )}
+          {returnWindow.eligible && (
+            <>
+              <button
+                onClick={() => setMode("return")}
+                className="flex items-center gap-2 px-4 py-2 text-sm border border-blue-300 text-blue-600 rounded-lg hover:bg-blue-50 transition"
+              >
+                <RotateCcw size={16} /> Request Return
+              </button>
+              <span className="text-xs text-gray-500">
+                {returnWindow.daysLeft} day
+                {returnWindow.daysLeft === 1 ? "" : "s"} left to return
+              </span>
+            </>
+          )}
+        </div>
+      )}
+
+      {mode === "cancel" && (
+        <div className="bg-red-50 border border-red-100 rounded-lg p-4 space-y-3">
+          <p className="text-sm text-gray-800">
+            Cancel this order? Any items reserved for you will be released.
+          </p>
+          <textarea
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            placeholder="Reason for cancelling (optional)"
+            rows={2}
+            className="w-full border border-gray-300 rounded-lg p-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-300"
+          />
+          <div className="flex gap-3">
+            <button
+              onClick={handleCancel}
+              disabled={submitting}
+              className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+            >
+              {submitting ? "Cancelling..." : "Confirm Cancellation"}
+            </button>
+            <button
+              onClick={resetForms}
+              disabled={submitting}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Keep Order
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mode === "return" && (
+        <form
+          onSubmit={handleReturn}
+          className="bg-blue-50 border border-blue-100 rounded-lg p-4 space-y-4"
+        >
+          <div>
+            <p className="text-sm font-medium text-gray-800 mb-2">
+              Items to return
+            </p>
+            <div className="space-y-2">
+              {order.items?.map((item) => (
+                <div
+                  key={item.productId}
+                  className="flex items-center justify-between gap-4 text-sm"
+                >
+                  <span className="text-gray-700">{item.name}</span>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max={item.quantity}
+                      value={quantities[item.productId] ?? 0}
+                      onChange={(e) =>
+                        setQuantities((prev) => ({
+                          ...prev,
+                          [item.productId]: Math.min(
+                            Math.max(0, Number(e.target.value) || 0),
+                            item.quantity
+                          ),
+                        }))
+                      }
+                      className="w-16 border border-gray-300 rounded p-1 text-center"
+                    />
+                    <span className="text-gray-500">of {item.quantity}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-800 mb-1">
+              Reason
+            </label>
+            <select
+              value={returnReason}
+              onChange={(e) => setReturnReason(e.target.value)}
+              required
+              className="w-full border border-gray-300 rounded-lg p-2 text-sm bg-white"
+            >
+              <option value="">Select a reason</option>
+              {RETURN_REASONS.map((reason) => (
+                <option key={reason} value={reason}>
+                  {reason}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <textarea
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            placeholder="Anything else we should know? (optional)"
+            rows={2}
+            className="w-full border border-gray-300 rounded-lg p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-300"
+          />
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting || selectedCount === 0 || !returnReason}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {submitting ? "Submitting..." : "Submit Return Request"}
+            </button>
+            <button
+              type="button"
+              onClick={resetForms}
+              disabled={submitting}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Close
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+OrderReturnActions.propTypes = {
+  order: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    status: PropTypes.string,
+    items: PropTypes.arrayOf(PropTypes.object),
+    returnRequest: PropTypes.object,
+  }).isRequired,
+  userId: PropTypes.string.isRequired,
+  onOrderUpdated: PropTypes.func.isRequired,
+};
+
+export default OrderReturnActions;
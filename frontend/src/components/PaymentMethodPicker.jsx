@@ -0,0 +1,148 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Banknote, CreditCard, Smartphone } from "lucide-react";
+import featureConfig from "../utils/featureConfig";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+} from "../utils/paymentService";
+
+const inputClass =
+  "w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const METHOD_ICONS = {
+  [PAYMENT_METHODS.COD]: Banknote,
+  [PAYMENT_METHODS.UPI]: Smartphone,
+  [PAYMENT_METHODS.CARD]: CreditCard,
+};
+
+/**
+ * Payment method choice at checkout, with the UPI ID or card fields for
+ * gateway payments. Card details stay in memory; only the brand and last
+ * four digits are saved with the order.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.methods - Enabled values from PAYMENT_METHODS
+ * @param {string} props.selectedMethod - Chosen method
+ * @param {Function} props.onMethodChange - Called with the newly chosen method
+ * @param {Object} props.details - Details typed for the chosen method
+ * @param {Function} props.onDetailsChange - Called with the updated details
+ * @param {boolean} props.codAvailable - Whether the delivery PIN allows cash on delivery
+ * @returns {JSX.Element} PaymentMethodPicker component
+ */
+const PaymentMethodPicker = ({
+  methods,
+  selectedMethod,
+  onMethodChange,
+  details,
+  onDetailsChange,
+  codAvailable = true,
+}) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onDetailsChange({ ...details, [name]: value });
+  };
+
+  return (
+    <div className="space-y-2">
+      {methods.map((method) => {
+        const Icon = METHOD_ICONS[method];
+        const unavailable = method === PAYMENT_METHODS.COD && !codAvailable;
+
+        return (
+          <label
+            key={method}
+            className={`flex items-center border rounded-lg px-4 py-3 transition-colors ${
+              unavailable
+                ? "border-gray-200 text-gray-400 cursor-not-allowed"
+                : selectedMethod === method
+                ? "border-blue-500 bg-blue-50 cursor-pointer"
+                : "border-gray-200 hover:bg-gray-50 cursor-pointer"
+            }`}
+          >
+            <input
+              type="radio"
+              name="paymentMethod"
+              value={method}
+              checked={selectedMethod === method}
+              onChange={() => onMethodChange(method)}
+              disabled={unavailable}
+              className="mr-3"
+            />
+            <Icon size={18} className="mr-2" />
+            <span className="font-medium">{PAYMENT_METHOD_LABELS[method]}</span>
+            {unavailable && (
+              <span className="ml-auto text-xs">Not available for this PIN</span>
+            )}
+          </label>
+        );
+      })}
+
+      {selectedMethod === PAYMENT_METHODS.UPI && (
+        <input
+          type="text"
+          name="upiId"
+          value={details.upiId || ""}
+          onChange={handleChange}
+          placeholder="UPI ID, e.g. name@okbank"
+          autoComplete="off"
+          className={inputClass}
+        />
+      )}
+
+      {selectedMethod === PAYMENT_METHODS.CARD && (
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            name="cardNumber"
+            value={details.cardNumber || ""}
+            onChange={handleChange}
+            placeholder="Card number"
+            inputMode="numeric"
+            autoComplete="cc-number"
+            className={`${inputClass} col-span-2`}
+          />
+          <input
+            type="text"
+            name="expiry"
+            value={details.expiry || ""}
+            onChange={handleChange}
+            placeholder="MM/YY"
+            autoComplete="cc-exp"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            name="cvv"
+            value={details.cvv || ""}
+            onChange={handleChange}
+            placeholder="CVV"
+            inputMode="numeric"
+            maxLength={4}
+            autoComplete="cc-csc"
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      {selectedMethod !== PAYMENT_METHODS.COD &&
+        featureConfig.payments.gateway === "mock" && (
+          <p className="text-xs text-gray-500">
+            Test mode: no money is taken. UPI IDs starting with "fail" and card
+            numbers ending in 0002 are declined.
+          </p>
+        )}
+    </div>
+  );
+};
+
+PaymentMethodPicker.propTypes = {
+  methods: PropTypes.arrayOf(PropTypes.string).isRequired,
+  selectedMethod: PropTypes.string.isRequired,
+  onMethodChange: PropTypes.func.isRequired,
+  details: PropTypes.object.isRequired,
+  onDetailsChange: PropTypes.func.isRequired,
+  codAvailable: PropTypes.bool,
+};
+
+export default PaymentMethodPicker;
@@ -9,6 +9,8 @@ import { auth } from "../firebase/config";
 import WishlistButton from "./WishlistButton";
 import reviewUtils from "../utils/reviewUtils";
 import { toast } from "react-toastify";
+import { useSelector } from "react-redux";
+import { getAvailableStock, LOW_STOCK_THRESHOLD } from "../utils/stockUtils";
 
 /**
  * ProductCard Component
@@ -48,6 +50,11 @@ const ProductCard = memo(function ProductCard({
   const navigate = useNavigate();
   const [isAddingToCart, setIsAddingToCart] = useState(false);
   const [productRating, setProductRating] = useState({ average: 0, total: 0 });
+  const cartQuantity = useSelector(
+    (state) =>
+      state.cart.items.find((item) => item.productId === product?.id)
+        ?.quantity || 0
+  );
 
   // Intersection observer for revealing animation when card scrolls into view
   const [ref, inView] = useInView({
@@ -59,6 +66,7 @@ const ProductCard = memo(function ProductCard({
    * Fetch the product's rating information
    */
   useEffect(() => {
+    // Worked out from the approved reviews, so edits and deletions show at once
     if (product?.id) {
       const fetchRating = async () => {
         try {
@@ -73,7 +81,7 @@ const ProductCard = memo(function ProductCard({
 
       fetchRating();
     }
-  }, [product]);
+  }, [product?.id]);
 
   /**
    * Handles adding product to cart with authentication and stock validation
@@ -97,6 +105,13 @@ const ProductCard = memo(function ProductCard({
       return;
     }
 
+    if (cartQuantity >= getAvailableStock(product)) {
+      toast.info(
+        `You already have all ${getAvailableStock(product)} available in your cart`
+      );
+      return;
+    }
+
     setIsAddingToCart(true);
     // Add to cart with error handling
     try {
@@ -371,7 +386,12 @@ const ProductCard = memo(function ProductCard({
 
           {/* Stock Status */}
           <div className="mb-3">
-            {product?.stock && product.stock > 0 ? (
+            {product?.stock > 0 && product.stock <= LOW_STOCK_THRESHOLD ? (
+              <span className="inline-flex items-center text-xs font-medium text-orange-600">
+                <span className="w-1.5 h-1.5 rounded-full bg-orange-500 mr-1.5"></span>
+                Only {product.stock} left
+              </span>
+            ) : product?.stock && product.stock > 0 ? (
               <span className="inline-flex items-center text-xs font-medium text-green-600">
                 <span className="w-1.5 h-1.5 rounded-full bg-green-500 mr-1.5"></span>
                 In Stock
@@ -0,0 +1,520 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import PropTypes from "prop-types";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import {
+  Star,
+  MessageSquare,
+  BadgeCheck,
+  ThumbsUp,
+  Pencil,
+  Trash2,
+  Flag,
+  Store,
+} from "lucide-react";
+import reviewUtils from "../utils/reviewUtils";
+
+const REVIEW_SORT_OPTIONS = {
+  newest: "Newest",
+  helpful: "Most helpful",
+};
+
+/**
+ * Row of star icons, optionally clickable for picking a rating
+ *
+ * @param {Object} props
+ * @param {number} props.rating - Rating to display (1-5)
+ * @param {number} props.size - Icon size in pixels
+ * @param {Function} props.onSelect - Called with the picked rating when interactive
+ * @returns {JSX.Element} StarRating component
+ */
+const StarRating = ({ rating, size = 16, onSelect }) => (
+  <div className="flex items-center">
+    {[1, 2, 3, 4, 5].map((value) => {
+      const icon = (
+        <Star
+          size={size}
+          className={
+            value <= Math.round(rating)
+              ? "text-yellow-400 fill-yellow-400"
+              : "text-gray-300"
+          }
+        />
+      );
+      return onSelect ? (
+        <button
+          key={value}
+          type="button"
+          onClick={() => onSelect(value)}
+          className="p-0.5"
+          aria-label={`${value} star${value > 1 ? "s" : ""}`}
+        >
+          {icon}
+        </button>
+      ) : (
+        <span key={value}>{icon}</span>
+      );
+    })}
+  </div>
+);
+
+StarRating.propTypes = {
+  rating: PropTypes.number.isRequired,
+  size: PropTypes.number,
+  onSelect: PropTypes.func,
+};
+
+/**
+ * ProductReviews Component
+ *
+ * Reviews panel shown on the product page
+ * Features:
+ * - Average rating and 1-5 star histogram
+ * - Sorting by newest or most helpful
+ * - Write, edit and delete form for customers with a delivered order
+ * - Verified purchase badges and helpful votes
+ *
+ * @param {Object} props
+ * @param {string} props.productId - ID of the product being viewed
+ * @returns {JSX.Element} ProductReviews component
+ */
+const ProductReviews = ({ productId }) => {
+  const user = useSelector((state) => state.user?.currentUser);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sortBy, setSortBy] = useState("newest");
+  const [canReview, setCanReview] = useState(false);
+  const [userReview, setUserReview] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formData, setFormData] = useState({ rating: 0, text: "" });
+
+  /**
+   * Load reviews and the current user's review eligibility
+   */
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const productReviews = await reviewUtils.getProductReviews(productId);
+      setReviews(productReviews);
+
+      if (user?.uid) {
+        const [hasPurchased, existingReview] = await Promise.all([
+          reviewUtils.hasUserPurchasedAndReceived(user.uid, productId),
+          reviewUtils.hasUserReviewedProduct(user.uid, productId),
+        ]);
+        setCanReview(hasPurchased);
+        setUserReview(existingReview);
+      } else {
+        setCanReview(false);
+        setUserReview(null);
+      }
+    } catch (error) {
+      console.error("Error loading reviews:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, user?.uid]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const stats = useMemo(
+    () => reviewUtils.calculateRatingStats(reviews),
+    [reviews]
+  );
+
+  const sortedReviews = useMemo(() => {
+    const sorted = [...reviews];
+    if (sortBy === "helpful") {
+      sorted.sort(
+        (a, b) =>
+          (b.helpfulCount || 0) - (a.helpfulCount || 0) ||
+          b.createdAt - a.createdAt
+      );
+    } else {
+      sorted.sort((a, b) => b.createdAt - a.createdAt);
+    }
+    return sorted;
+  }, [reviews, sortBy]);
+
+  /**
+   * Open the form to edit the user's existing review
+   */
+  const startEditing = () => {
+    setFormData({ rating: userReview.rating, text: userReview.text });
+    setIsEditing(true);
+  };
+
+  /**
+   * Submit a new review or save changes to the existing one
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.rating < 1) {
+      toast.error("Please select a rating.");
+      return;
+    }
+    if (!formData.text.trim()) {
+      toast.error("Please write a few words about the product.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      if (userReview) {
+        await reviewUtils.updateReview(userReview.id, {
+          rating: formData.rating,
+          text: formData.text.trim(),
+        });
+        toast.success("Your review has been updated.");
+      } else {
+        await reviewUtils.submitReview({
+          productId,
+          rating: formData.rating,
+          text: formData.text.trim(),
+        });
+        toast.success("Thank you for your review!");
+      }
+
+      setIsEditing(false);
+      setFormData({ rating: 0, text: "" });
+      await fetchReviews();
+    } catch (error) {
+      toast.error(error.message || "Failed to save your review.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Delete the user's review after confirmation
+   */
+  const handleDelete = async () => {
+    if (!window.confirm("Are you sure you want to delete your review?")) {
+      return;
+    }
+
+    try {
+      await reviewUtils.deleteReview(userReview.id);
+      toast.success("Your review has been deleted.");
+      setIsEditing(false);
+      setFormData({ rating: 0, text: "" });
+      await fetchReviews();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete your review.");
+    }
+  };
+
+  /**
+   * Toggle the current user's helpful vote on a review
+   * @param {Object} review - Review being voted on
+   */
+  const handleHelpful = async (review) => {
+    if (!user) {
+      toast.error("Please sign in to vote on reviews.");
+      return;
+    }
+
+    try {
+      const isHelpful = await reviewUtils.toggleReviewHelpful(review.id);
+      setReviews((prev) =>
+        prev.map((r) =>
+          r.id === review.id
+            ? {
+                ...r,
+                helpfulCount: (r.helpfulCount || 0) + (isHelpful ? 1 : -1),
+                helpfulBy: isHelpful
+                  ? [...(r.helpfulBy || []), user.uid]
+                  : (r.helpfulBy || []).filter((uid) => uid !== user.uid),
+              }
+            : r
+        )
+      );
+    } catch (error) {
+      toast.error(error.message || "Failed to record your vote.");
+    }
+  };
+
+  /**
+   * Report a review to the moderators with a short reason
+   * @param {Object} review - Review being reported
+   */
+  const handleReport = async (review) => {
+    if (!user) {
+      toast.error("Please sign in to report reviews.");
+      return;
+    }
+
+    const reason = window.prompt("Why are you reporting this review?");
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await reviewUtils.reportReview(review.id, reason);
+      toast.success("Thanks, our team will take a look.");
+    } catch (error) {
+      toast.error(error.message || "Failed to report the review.");
+    }
+  };
+
+  const showForm = canReview && (!userReview || isEditing);
+
+  return (
+    <div className="bg-white shadow-xl rounded-lg overflow-hidden mb-12 p-6">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+        <MessageSquare className="mr-2 text-blue-600" size={24} />
+        Customer Reviews
+      </h2>
+
+      {loading ? (
+        <div className="flex justify-center py-10">
+          <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Rating summary and histogram */}
+          <div>
+            <div className="flex items-center mb-2">
+              <span className="text-4xl font-bold text-gray-900 mr-3">
+                {stats.average.toFixed(1)}
+              </span>
+              <StarRating rating={stats.average} size={20} />
+            </div>
+            <p className="text-gray-600 mb-4">
+              Based on {stats.total} review{stats.total === 1 ? "" : "s"}
+            </p>
+
+            <div className="space-y-2">
+              {[5, 4, 3, 2, 1].map((value) => {
+                const count = stats.count[value] || 0;
+                const percentage = stats.total
+                  ? Math.round((count / stats.total) * 100)
+                  : 0;
+                return (
+                  <div key={value} className="flex items-center text-sm">
+                    <span className="w-12 text-gray-700">{value} star</span>
+                    <div className="flex-1 h-3 mx-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-yellow-400"
+                        style={{ width: `${percentage}%` }}
+                      ></div>
+                    </div>
+                    <span className="w-8 text-right text-gray-600">
+                      {count}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Review form or eligibility message */}
+            <div className="mt-6 border-t pt-6">
+              {showForm ? (
+                <form onSubmit={handleSubmit}>
+                  <h3 className="font-medium text-gray-900 mb-2">
+                    {userReview ? "Edit your review" : "Write a review"}
+                  </h3>
+                  <StarRating
+                    rating={formData.rating}
+                    size={24}
+                    onSelect={(rating) =>
+                      setFormData((prev) => ({ ...prev, rating }))
+                    }
+                  />
+                  <textarea
+                    value={formData.text}
+                    onChange={(e) =>
+                      setFormData((prev) => ({ ...prev, text: e.target.value }))
+                    }
+                    rows={4}
+                    maxLength={2000}
+                    placeholder="What did you like or dislike?"
+                    className="w-full mt-3 border border-gray-300 rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <div className="flex gap-2 mt-3">
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition duration-200 disabled:bg-blue-400"
+                    >
+                      {isSubmitting
+                        ? "Saving..."
+                        : userReview
+                        ? "Save Changes"
+                        : "Submit Review"}
+                    </button>
+                    {isEditing && (
+                      <button
+                        type="button"
+                        onClick={() => setIsEditing(false)}
+                        className="border border-gray-300 py-2 px-4 rounded-lg hover:bg-gray-50 transition duration-200"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </form>
+              ) : userReview ? (
+                <div className="text-sm text-gray-600">
+                  <p>
+                    You have reviewed this product.
+                    {!reviewUtils.isReviewPublished(userReview) &&
+                      " It will appear here once our team has approved it."}
+                  </p>
+                  <div className="flex gap-4 mt-2">
+                    <button
+                      onClick={startEditing}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-700"
+                    >
+                      <Pencil size={14} className="mr-1" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={handleDelete}
+                      className="inline-flex items-center text-red-600 hover:text-red-700"
+                    >
+                      <Trash2 size={14} className="mr-1" />
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ) : user ? (
+                <p className="text-sm text-gray-600">
+                  Only customers who have received this product can review it.
+                </p>
+              ) : (
+                <p className="text-sm text-gray-600">
+                  <Link to="/signin" className="text-blue-600 hover:underline">
+                    Sign in
+                  </Link>{" "}
+                  to review products you have purchased.
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Review list */}
+          <div className="lg:col-span-2">
+            <div className="flex justify-between items-center mb-4">
+              <span className="text-gray-700">
+                {stats.total} review{stats.total === 1 ? "" : "s"}
+              </span>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="Sort reviews"
+              >
+                {Object.entries(REVIEW_SORT_OPTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {sortedReviews.length === 0 ? (
+              <p className="text-gray-500 py-8 text-center">
+                No reviews yet. Be the first to share your thoughts!
+              </p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {sortedReviews.map((review) => {
+                  const isOwnReview = user?.uid === review.userId;
+                  const hasVoted = (review.helpfulBy || []).includes(user?.uid);
+                  return (
+                    <div key={review.id} className="py-4">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <StarRating rating={review.rating} />
+                          <span className="ml-3 font-medium text-gray-900">
+                            {review.userName || "Customer"}
+                          </span>
+                          {review.verifiedPurchase && (
+                            <span className="ml-2 inline-flex items-center text-xs text-green-700 bg-green-50 px-2 py-0.5 rounded-full">
+                              <BadgeCheck size={12} className="mr-1" />
+                              Verified purchase
+                            </span>
+                          )}
+                        </div>
+                        <span className="text-sm text-gray-500">
+                          {review.createdAt.toLocaleDateString()}
+                        </span>
+                      </div>
+
+                      <p className="text-gray-700 mt-2 whitespace-pre-line">
+                        {review.text}
+                      </p>
+                      {review.updatedAt &&
+                        review.updatedAt - review.createdAt > 1000 && (
+                          <p className="text-xs text-gray-400 mt-1">Edited</p>
+                        )}
+
+                      <div className="flex items-center gap-4 mt-3 text-sm">
+                        {isOwnReview ? (
+                          <span className="text-blue-600 font-medium">
+                            Your review
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => handleHelpful(review)}
+                            className={`inline-flex items-center ${
+                              hasVoted
+                                ? "text-blue-600"
+                                : "text-gray-500 hover:text-gray-700"
+                            }`}
+                          >
+                            <ThumbsUp size={14} className="mr-1" />
+                            Helpful
+                          </button>
+                        )}
+                        {review.helpfulCount > 0 && (
+                          <span className="text-gray-500">
+                            {review.helpfulCount}{" "}
+                            {review.helpfulCount === 1 ? "person" : "people"}{" "}
+                            found this helpful
+                          </span>
+                        )}
+                        {!isOwnReview && (
+                          <button
+                            onClick={() => handleReport(review)}
+                            className="inline-flex items-center text-gray-400 hover:text-red-600 ml-auto"
+                          >
+                            <Flag size={14} className="mr-1" />
+                            Report
+                          </button>
+                        )}
+                      </div>
+
+                      {review.storeResponse?.text && (
+                        <div className="mt-3 ml-4 pl-4 border-l-2 border-blue-200 bg-blue-50 rounded-r-lg p-3">
+                          <p className="text-sm font-medium text-blue-800 flex items-center">
+                            <Store size={14} className="mr-1" />
+                            Response from the store
+                          </p>
+                          <p className="text-sm text-gray-700 mt-1 whitespace-pre-line">
+                            {review.storeResponse.text}
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+ProductReviews.propTypes = {
+  productId: PropTypes.string.isRequired,
+};
+
+export default ProductReviews;
@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { onAuthStateChanged } from 'firebase/auth';
+import { toast } from 'react-toastify';
+import { auth } from '../firebase/config';
+import { setCart, clearCart } from '../redux/cartSlice';
+import {
+  CART_STORAGE_KEY,
+  readLocalCart,
+  writeLocalCart,
+  markLocalCartSynced,
+  clearLocalCart,
+  getUserCart,
+  saveUserCart,
+  mergeCartItems,
+  validateCartItems
+} from '../utils/cartPersistence';
+import logger from '../utils/logger';
+
+// Delay before a cart change is written to Firestore, so quick quantity
+// clicks end up as a single write
+const REMOTE_SAVE_DELAY_MS = 800;
+
+/**
+ * Tell the customer which items were taken out of their cart and why
+ *
+ * @param {Array} removed - Items dropped by validateCartItems
+ */
+const notifyRemovedItems = (removed) => {
+  if (removed.length === 0) return;
+
+  const message = removed.length === 1
+    ? `${removed[0].name} was removed from your cart because it ${removed[0].reason}.`
+    : `${removed.length} items were removed from your cart: ${removed
+        .map(item => `${item.name} ${item.reason}`)
+        .join('; ')}.`;
+
+  toast.warn(message, { autoClose: 6000 });
+};
+
+/**
+ * Custom hook that keeps the Redux cart persistent and in sync.
+ *
+ * - Restores the cart from localStorage on page load
+ * - Merges the guest cart into `users/{uid}/cart` when someone signs in,
+ *   loads `users/{uid}/cart` as is on a refresh while signed in, and clears
+ *   the local cart when they sign out
+ * - Saves every change locally and, for signed-in users, to Firestore;
+ *   a save still waiting when the page is left is sent at once, and a local
+ *   change that never reached Firestore wins on the next load
+ * - Applies changes made in other tabs through the storage event
+ * - Drops deleted and out-of-stock items with a notice
+ *
+ * Mount once near the top of the app.
+ */
+const useCartSync = () => {
+  const dispatch = useDispatch();
+  const store = useStore();
+  const cart = useSelector((state) => state.cart);
+  const [sync, setSync] = useState({ ready: false, ownerId: null });
+  const ownerIdRef = useRef(null);
+  const skipRemoteSaveRef = useRef(false);
+  const pendingSaveRef = useRef(null);
+
+  // Restore the saved cart straight away so it is visible before auth resolves
+  useEffect(() => {
+    const saved = readLocalCart();
+    if (saved?.items.length) {
+      dispatch(setCart({ items: saved.items, coupon: saved.coupon }));
+    }
+  }, [dispatch]);
+
+  // Load, merge and validate whenever the signed-in user changes
+  useEffect(() => {
+    let active = true;
+
+    const unsubscribe = onAuthStateChanged(auth, async (firebaseUser) => {
+      const uid = firebaseUser?.uid || null;
+      const saved = readLocalCart();
+
+      try {
+        let items = store.getState().cart.items;
+
+        if (saved?.ownerId && saved.ownerId !== uid) {
+          // The saved cart belongs to someone who has signed out; it is
+          // still stored on their account, so just forget it here
+          clearLocalCart();
+          dispatch(clearCart());
+          items = [];
+        }
+
+        if (uid) {
+          const storedItems = await getUserCart(uid);
+          if (saved?.ownerId === uid) {
+            // A refresh while signed in: Firestore is the source of truth, so
+            // items removed on another device stay removed, unless the last
+            // change here never reached it; then the local cart is newer
+            items = saved.unsynced ? saved.items : storedItems;
+          } else {
+            // A guest cart from before sign-in joins the account's cart
+            const localCount = items.length;
+            items = mergeCartItems(storedItems, items);
+            logger.info('Cart merged after sign-in', {
+              stored: storedItems.length,
+              local: localCount,
+              merged: items.length
+            }, 'Cart');
+          }
+        }
+
+        const { items: validItems, removed } = await validateCartItems(items);
+        if (!active) return;
+
+        dispatch(setCart({ items: validItems }));
+        notifyRemovedItems(removed);
+      } catch (error) {
+        logger.error('Failed to sync cart', error, 'Cart');
+      }
+
+      if (!active) return;
+      ownerIdRef.current = uid;
+      setSync({ ready: true, ownerId: uid });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [dispatch, store]);
+
+  // Pick up cart changes made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== CART_STORAGE_KEY) return;
+
+      const saved = readLocalCart();
+      if (!saved || saved.ownerId !== ownerIdRef.current) return;
+
+      const current = store.getState().cart;
+      if (
+        JSON.stringify(saved.items) !== JSON.stringify(current.items) ||
+        JSON.stringify(saved.coupon) !== JSON.stringify(current.coupon)
+      ) {
+        // The tab that made the change already saved it remotely
+        skipRemoteSaveRef.current = true;
+        dispatch(setCart({ items: saved.items, coupon: saved.coupon }));
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [dispatch, store]);
+
+  // Save every change once the initial load has finished
+  useEffect(() => {
+    if (!sync.ready) return undefined;
+
+    if (!sync.ownerId) {
+      writeLocalCart({ ownerId: null, items: cart.items, coupon: cart.coupon });
+      return undefined;
+    }
+    if (skipRemoteSaveRef.current) {
+      // Another tab made this change; it is already in localStorage and
+      // that tab saves it remotely
+      skipRemoteSaveRef.current = false;
+      return undefined;
+    }
+
+    // Marked unsynced until Firestore has it, so a refresh before the
+    // delayed save keeps this change instead of the older stored cart
+    writeLocalCart({ ownerId: sync.ownerId, items: cart.items, coupon: cart.coupon, unsynced: true });
+
+    const ownerId = sync.ownerId;
+    const items = cart.items;
+    const save = () => {
+      pendingSaveRef.current = null;
+      saveUserCart(ownerId, items)
+        .then(() => markLocalCartSynced(ownerId, items))
+        .catch((error) => {
+          logger.error('Failed to save cart', error, 'Cart');
+        });
+    };
+    pendingSaveRef.current = save;
+
+    const timer = setTimeout(save, REMOTE_SAVE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      if (pendingSaveRef.current === save) {
+        pendingSaveRef.current = null;
+      }
+    };
+  }, [sync, cart.items, cart.coupon]);
+
+  // Send a delayed save straight away when the page is being left
+  useEffect(() => {
+    const flushPendingSave = () => pendingSaveRef.current?.();
+
+    window.addEventListener('pagehide', flushPendingSave);
+    return () => window.removeEventListener('pagehide', flushPendingSave);
+  }, []);
+};
+
+export { useCartSync };
+export default useCartSync;
@@ -1,15 +1,64 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import { db } from "../firebase/config";
-import { collection, addDoc, getDocs, doc, getDoc } from "firebase/firestore";
-import { removeFromCart, updateQuantity } from "../redux/cartSlice";
-import { Link } from "react-router-dom";
+import { collection, getDocs, doc, getDoc } from "firebase/firestore";
+import {
+  removeFromCart,
+  updateQuantity,
+  syncStockLimits,
+  removePurchasedFromCart,
+  applyCoupon,
+  removeCoupon,
+} from "../redux/cartSlice";
+import { Link, useNavigate } from "react-router-dom";
 import { m } from "framer-motion";
-import { ShoppingBag, Trash2, Plus, Minus, ChevronRight } from "lucide-react";
+import {
+  ShoppingBag,
+  Trash2,
+  Plus,
+  Minus,
+  ChevronRight,
+  Tag,
+  X,
+  AlertTriangle,
+  Truck,
+  MapPin,
+  Wallet,
+} from "lucide-react";
 import ProductCard from "../components/ProductCard";
+import AddressBook from "../components/AddressBook";
+import PaymentMethodPicker from "../components/PaymentMethodPicker";
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth } from "../firebase/config";
 import { toast } from "react-toastify";
+import { processNewOrder, calculateOrderTotals } from "../utils/orderService";
+import { resolveProductTax, getGstSummaryLines } from "../utils/gstUtils";
+import CouponService from "../utils/couponService";
+import { getAvailableStock, getStockMessage } from "../utils/stockUtils";
+import {
+  getShippingRules,
+  getShippingOptions,
+  getPinRestrictions,
+  checkPinServiceability,
+  selectShippingOption,
+  DEFAULT_SHIPPING_RULES,
+  SHIPPING_SERVICES,
+} from "../utils/shippingService";
+import { checkAddressPin } from "../utils/pinCodeLookup";
+import {
+  PAYMENT_METHODS,
+  getAvailablePaymentMethods,
+  validatePaymentDetails,
+} from "../utils/paymentService";
+import {
+  ADDRESS_PURPOSES,
+  EMPTY_ADDRESS,
+  getAddressBook,
+  getDefaultAddress,
+  toOrderAddress,
+  validateAddress,
+  formatAddressSummary,
+} from "../utils/addressBook";
 
 // Country codes mapping for phone number parsing
 const COUNTRY_CODES = {
@@ -31,31 +80,60 @@ const COUNTRY_CODES = {
   Bhutan: "+975",
 };
 
+/**
+ * Builds the serializable coupon state kept in the cart slice
+ * @param {Object} result - Successful validation result
+ * @returns {Object} Coupon summary for the store
+ */
+const toCouponState = (result) => ({
+  id: result.coupon.id,
+  code: result.coupon.code,
+  discountType: result.coupon.discountType,
+  discountValue: result.coupon.discountValue,
+  discountAmount: result.discountAmount,
+  isProductSpecific: !!result.isProductSpecific,
+  appliedToProductIds: result.appliedToCartItems || [],
+});
+
 /**
  * Cart component that displays cart items and popular products recommendation
  */
 function Cart() {
   const cartItems = useSelector((state) => state.cart.items);
+  const appliedCoupon = useSelector((state) => state.cart.coupon);
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const [products, setProducts] = useState([]);
   const [popularProducts, setPopularProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [user] = useAuthState(auth);
   const [isCompletingOrder, setIsCompletingOrder] = useState(false);
+  const [couponInput, setCouponInput] = useState("");
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+  const [shippingRules, setShippingRules] = useState(DEFAULT_SHIPPING_RULES);
+  const [shippingService, setShippingService] = useState(
+    SHIPPING_SERVICES.STANDARD
+  );
+  const [pinRestrictions, setPinRestrictions] = useState([]);
+  const paymentMethods = getAvailablePaymentMethods();
+  const [paymentMethod, setPaymentMethod] = useState(paymentMethods[0]);
+  // UPI ID or card fields; never saved as typed
+  const [paymentDetails, setPaymentDetails] = useState({});
+  const stockCheckedRef = useRef(false);
 
   // Additional states for comprehensive order data
   const [customerName, setCustomerName] = useState("");
   const [phoneNumber, setPhoneNumber] = useState("");
   const [selectedCountryCode, setSelectedCountryCode] = useState("+91");
-  const [address, setAddress] = useState({
-    houseNo: "",
-    line1: "",
-    line2: "",
-    city: "",
-    state: "",
-    country: "India",
-    pin: "",
-  });
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState("");
+  // Empty when the billing address is the same as the delivery address
+  const [billingAddressId, setBillingAddressId] = useState("");
+
+  const address =
+    addresses.find((saved) => saved.id === selectedAddressId) || EMPTY_ADDRESS;
+  const billingAddress =
+    addresses.find((saved) => saved.id === billingAddressId) || address;
 
   useEffect(() => {
     /**
@@ -65,7 +143,19 @@ function Cart() {
     const fetchProducts = async () => {
       try {
         const productsCol = collection(db, "products");
-        const productSnapshot = await getDocs(productsCol);
+        const [productSnapshot, categorySnapshot, rules, restrictions] =
+          await Promise.all([
+            getDocs(productsCol),
+            getDocs(collection(db, "categories")),
+            getShippingRules(),
+            getPinRestrictions(),
+          ]);
+        setShippingRules(rules);
+        setPinRestrictions(restrictions);
+        const categoriesById = {};
+        categorySnapshot.docs.forEach((categoryDoc) => {
+          categoriesById[categoryDoc.id] = categoryDoc.data();
+        });
         const productList = productSnapshot.docs.map((doc) => {
           const data = doc.data();
           return {
@@ -74,6 +164,8 @@ function Cart() {
             price: data.price !== undefined ? parseFloat(data.price) : 0,
             mrp: data.mrp !== undefined ? parseFloat(data.mrp) : null,
             stock: data.stock !== undefined ? parseInt(data.stock, 10) : 0,
+            // GST rate and HSN code, falling back to the category's
+            tax: resolveProductTax(data, categoriesById[data.category]),
           };
         });
 
@@ -92,6 +184,32 @@ function Cart() {
     fetchProducts();
   }, []);
 
+  // Re-check stock once fresh product data arrives so customers hear about
+  // shortages here rather than when the order is placed
+  useEffect(() => {
+    if (loading || stockCheckedRef.current) return;
+    stockCheckedRef.current = true;
+
+    const stockById = {};
+    cartItems.forEach((item) => {
+      const product = products.find((p) => p.id === item.productId);
+      if (!product) return;
+
+      const stock = getAvailableStock(product);
+      stockById[item.productId] = stock;
+
+      if (stock === 0) {
+        toast.warn(`${product.name} is now out of stock.`);
+      } else if (item.quantity > stock) {
+        toast.info(
+          `Only ${stock} of ${product.name} left — your quantity was reduced.`
+        );
+      }
+    });
+
+    dispatch(syncStockLimits(stockById));
+  }, [loading, products, cartItems, dispatch]);
+
   // Fetch user data including name, phone, and address
   useEffect(() => {
     const fetchUserData = async () => {
@@ -124,9 +242,22 @@ function Cart() {
               setPhoneNumber(phone);
             }
 
-            if (userData.address) {
-              setAddress(userData.address);
-            }
+            const savedAddresses = getAddressBook(userData);
+            const defaultShipping = getDefaultAddress(
+              savedAddresses,
+              ADDRESS_PURPOSES.SHIPPING
+            );
+            const defaultBilling = getDefaultAddress(
+              savedAddresses,
+              ADDRESS_PURPOSES.BILLING
+            );
+            setAddresses(savedAddresses);
+            setSelectedAddressId(defaultShipping?.id || "");
+            setBillingAddressId(
+              defaultBilling && defaultBilling.id !== defaultShipping?.id
+                ? defaultBilling.id
+                : ""
+            );
           }
         } catch (error) {
           console.error("Error fetching user data:", error);
@@ -154,7 +285,14 @@ function Cart() {
    */
   const handleQuantityChange = (productId, quantity) => {
     if (quantity < 1) return;
-    dispatch(updateQuantity({ productId, quantity }));
+
+    const product = products.find((p) => p.id === productId);
+    const stock = product ? getAvailableStock(product) : undefined;
+    if (stock !== undefined && quantity > stock) {
+      toast.info(`Only ${stock} available.`);
+    }
+
+    dispatch(updateQuantity({ productId, quantity, maxQuantity: stock }));
   };
 
   // Get full phone number with country code
@@ -164,7 +302,9 @@ function Cart() {
   };
 
   /**
-   * Completes the order by saving it to Firestore with comprehensive data
+   * Completes the order through the checkout pipeline in orderService.
+   * Stock is reserved, prices, coupon and tax are resolved, and both order
+   * copies are written in a single transaction before navigating to the summary.
    */
   const completeOrder = async () => {
     if (!user) {
@@ -172,6 +312,32 @@ function Cart() {
       return;
     }
 
+    if (!selectedAddressId || Object.keys(validateAddress(address)).length > 0) {
+      toast.error("Please choose or add a valid delivery address.");
+      return;
+    }
+
+    if (!serviceability.serviceable) {
+      toast.error(`We can't deliver to PIN ${address.pin} yet.`);
+      return;
+    }
+
+    if (paymentMethod === PAYMENT_METHODS.COD && !serviceability.codAvailable) {
+      toast.error(`Cash on delivery isn't available for PIN ${address.pin}.`);
+      return;
+    }
+
+    const paymentError = validatePaymentDetails(paymentMethod, paymentDetails);
+    if (paymentError) {
+      toast.error(paymentError);
+      return;
+    }
+
+    if (!selectedShipping) {
+      toast.error("Please choose a delivery option.");
+      return;
+    }
+
     setIsCompletingOrder(true);
     try {
       const cartDetails = cartItems
@@ -181,21 +347,12 @@ function Cart() {
         })
         .filter(Boolean);
 
-      const subtotal = cartDetails.reduce(
-        (acc, item) => acc + item.product.price * item.quantity,
-        0
-      );
-      const tax = subtotal * 0.18; // 18% GST
-      const discountAmount = 0; // No coupons in this flow
-      const total = subtotal + tax;
-
       const orderData = {
         userId: user.uid,
         userEmail: user.email,
         userName: customerName || user.displayName || "",
         userPhone: getFullPhoneNumber() || "",
         orderDate: new Date().toISOString(),
-        createdAt: new Date().toISOString(),
         items: cartDetails.map((item) => ({
           productId: item.productId,
           name: item.product.name,
@@ -204,36 +361,54 @@ function Cart() {
           image: item.product.image,
         })),
         payment: {
-          method: "COD",
-          details: {},
+          method: paymentMethod,
+          details: paymentDetails,
         },
-        subtotal,
-        tax,
-        discount: discountAmount,
-        totalAmount: total,
-        status: "Placed",
-        statusHistory: [
-          {
-            status: "Placed",
-            timestamp: new Date().toISOString(),
-            note: "Order placed successfully",
+        couponCode: appliedCoupon?.code || null,
+        shipping: {
+          service: selectedShipping.service,
+          method: selectedShipping.label,
+          cost: selectedShipping.cost,
+          address: {
+            label: address.label,
+            houseNo: address.houseNo,
+            line1: address.line1,
+            line2: address.line2,
+            city: address.city,
+            district: address.district,
+            state: address.state,
+            country: address.country,
+            pin: address.pin,
           },
-        ],
-        shippingAddress: {
-          name: customerName,
-          street: `${address.houseNo || ""}, ${address.line1 || ""}${
-            address.line2 ? ", " + address.line2 : ""
-          }`,
-          city: address.city || "",
-          state: address.state || "",
-          zip: address.pin || "",
-          country: address.country || "",
         },
+        shippingAddress: toOrderAddress(address, customerName),
+        billingAddress: toOrderAddress(billingAddress, customerName),
       };
 
-      await addDoc(collection(db, "orders"), orderData);
+      const result = await processNewOrder(orderData, {
+        uid: user.uid,
+        email: user.email,
+        displayName: customerName || user.displayName || "",
+        phone: getFullPhoneNumber() || "",
+      });
+
+      if (!result.success) {
+        toast.error(result.error || "Failed to complete order. Please try again.");
+        return;
+      }
+
+      dispatch(
+        removePurchasedFromCart(orderData.items.map((item) => item.productId))
+      );
+      dispatch(removeCoupon());
       toast.success("Order completed successfully!");
-      cartDetails.forEach((item) => dispatch(removeFromCart(item.productId)));
+
+      const summaryParams = new URLSearchParams({
+        orderId: result.orderId,
+        paymentId: result.paymentId,
+        emailSent: String(result.emailSent),
+      });
+      navigate(`/order-summary?${summaryParams.toString()}`);
     } catch (error) {
       console.error("Error completing order:", error);
       toast.error("Failed to complete order. Please try again.");
@@ -243,12 +418,165 @@ function Cart() {
   };
 
   // Match cart items with product details
-  const cartDetails = cartItems
-    .map((item) => {
-      const product = products.find((p) => p.id === item.productId);
-      return product ? { ...item, product } : null;
-    })
-    .filter(Boolean);
+  const cartDetails = useMemo(
+    () =>
+      cartItems
+        .map((item) => {
+          const product = products.find((p) => p.id === item.productId);
+          return product ? { ...item, product } : null;
+        })
+        .filter(Boolean),
+    [cartItems, products]
+  );
+
+  /**
+   * Validates a coupon code against the current cart contents
+   * @param {string} code - Coupon code to validate
+   * @param {Array} details - Cart items joined with their product data
+   * @returns {Promise<Object>} Validation result from CouponService
+   */
+  const validateCartCoupon = useCallback(
+    async (code, details) => {
+      const { subtotal } = calculateOrderTotals(
+        details.map((item) => ({
+          price: item.product.price,
+          quantity: item.quantity,
+        }))
+      );
+      return CouponService.validateCoupon(
+        code,
+        details.map((item) => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          product: { price: item.product.price },
+        })),
+        subtotal,
+        user?.uid
+      );
+    },
+    [user]
+  );
+
+  /**
+   * Applies the coupon code entered by the customer
+   * @param {Event} e - Form submit event
+   */
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    if (!couponInput.trim()) return;
+
+    setIsApplyingCoupon(true);
+    try {
+      const result = await validateCartCoupon(couponInput, cartDetails);
+      if (result.valid) {
+        dispatch(applyCoupon(toCouponState(result)));
+        setCouponInput("");
+        toast.success(result.message);
+      } else {
+        toast.error(result.message);
+      }
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  /**
+   * Removes the applied coupon from the cart
+   */
+  const handleRemoveCoupon = () => {
+    dispatch(removeCoupon());
+  };
+
+  // Re-validate the applied coupon whenever the cart lines change
+  useEffect(() => {
+    if (!appliedCoupon?.code || cartDetails.length === 0) return;
+
+    let cancelled = false;
+    validateCartCoupon(appliedCoupon.code, cartDetails).then((result) => {
+      if (cancelled) return;
+      if (result.valid) {
+        dispatch(applyCoupon(toCouponState(result)));
+      } else {
+        dispatch(removeCoupon());
+        toast.info(`Coupon ${appliedCoupon.code} removed: ${result.message}`);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [appliedCoupon?.code, cartDetails, validateCartCoupon, dispatch]);
+
+  // Lines that would be rejected by processNewOrder's stock check
+  const unavailableItems = cartDetails.filter(
+    (item) => item.quantity > getAvailableStock(item.product)
+  );
+
+  // Price preview using the same calculation as the checkout pipeline
+  const pricedLines = cartDetails.map((item) => ({
+    productId: item.productId,
+    name: item.product.name,
+    price: item.product.price,
+    quantity: item.quantity,
+    ...item.product.tax,
+  }));
+  const itemTotals = calculateOrderTotals(pricedLines, {
+    discount: appliedCoupon?.discountAmount || 0,
+    destination: address,
+  });
+
+  // Shipping options for the customer's address; free shipping thresholds
+  // are measured against the order value after discount
+  const shippingQuote = getShippingOptions(shippingRules, {
+    items: cartDetails.map((item) => ({
+      quantity: item.quantity,
+      weight: item.product.weight,
+    })),
+    orderValue: itemTotals.subtotal - itemTotals.discount,
+    destination: address,
+  });
+  const selectedShipping = selectShippingOption(
+    shippingQuote.options,
+    shippingService
+  );
+
+  const totals = calculateOrderTotals(pricedLines, {
+    discount: appliedCoupon?.discountAmount || 0,
+    shippingCost: selectedShipping?.cost || 0,
+    destination: address,
+  });
+  const gstLines = getGstSummaryLines(totals.gst);
+
+  // PIN ranges admins have restricted; a PIN without COD can still be
+  // paid for online when UPI or cards are enabled
+  const serviceability = checkPinServiceability(pinRestrictions, address);
+  const codBlocked =
+    serviceability.serviceable &&
+    !serviceability.codAvailable &&
+    paymentMethod === PAYMENT_METHODS.COD;
+  const pinWarning = selectedAddressId ? checkAddressPin(address).warning : "";
+
+  /**
+   * Format an estimated delivery date, e.g. "Mon, 12 May"
+   * @param {Date} date - Estimated delivery date
+   * @returns {string} Formatted date
+   */
+  const formatDeliveryDate = (date) =>
+    date.toLocaleDateString("en-IN", {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    });
+
+  /**
+   * Checks whether a cart line receives the applied coupon discount
+   * @param {string} productId - Product ID of the cart line
+   * @returns {boolean} Whether the line is eligible
+   */
+  const isCouponEligible = (productId) =>
+    !!appliedCoupon &&
+    (!appliedCoupon.isProductSpecific ||
+      appliedCoupon.appliedToProductIds.includes(productId));
 
   /**
    * Format price with Indian currency format
@@ -341,6 +669,26 @@ function Cart() {
                         <p className="text-blue-600 font-semibold mt-2">
                           {formatPrice(item.product.price)}
                         </p>
+                        {getStockMessage(getAvailableStock(item.product)) && (
+                          <p
+                            className={`text-sm font-medium mt-1 ${
+                              getAvailableStock(item.product) === 0
+                                ? "text-red-600"
+                                : "text-orange-600"
+                            }`}
+                          >
+                            {getAvailableStock(item.product) === 0
+                              ? "Out of stock — remove it to continue"
+                              : getStockMessage(getAvailableStock(item.product))}
+                          </p>
+                        )}
+                        {appliedCoupon?.isProductSpecific &&
+                          isCouponEligible(item.productId) && (
+                            <span className="inline-flex items-center mt-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">
+                              <Tag size={12} className="mr-1" />
+                              {appliedCoupon.code} applied
+                            </span>
+                          )}
                       </div>
 
                       <div className="flex items-center mt-4 md:mt-0">
@@ -368,6 +716,7 @@ function Cart() {
                             }
                             className="w-12 p-1 text-center border-x border-gray-300 focus:outline-none"
                             min="1"
+                            max={getAvailableStock(item.product)}
                           />
                           <button
                             onClick={() =>
@@ -376,7 +725,10 @@ function Cart() {
                                 item.quantity + 1
                               )
                             }
-                            className="p-2 bg-gray-50 hover:bg-gray-100 transition-colors"
+                            disabled={
+                              item.quantity >= getAvailableStock(item.product)
+                            }
+                            className="p-2 bg-gray-50 hover:bg-gray-100 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
                             aria-label="Increase quantity"
                           >
                             <Plus size={16} />
@@ -396,10 +748,282 @@ function Cart() {
                 </div>
               </div>
 
+              <div className="bg-white rounded-2xl shadow-lg p-6 mb-6">
+                <h2 className="flex items-center text-xl font-semibold text-gray-800 mb-4">
+                  <MapPin size={20} className="mr-2" />
+                  Delivery Address
+                </h2>
+                {user ? (
+                  <>
+                    <AddressBook
+                      userId={user.uid}
+                      addresses={addresses}
+                      onAddressesChange={setAddresses}
+                      selectedId={selectedAddressId}
+                      onSelect={(saved) => {
+                        setSelectedAddressId(saved.id);
+                        if (saved.id === billingAddressId) {
+                          setBillingAddressId("");
+                        }
+                      }}
+                    />
+                    {addresses.length > 1 && (
+                      <div className="mt-4">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Billing address
+                        </label>
+                        <select
+                          value={billingAddressId}
+                          onChange={(e) => setBillingAddressId(e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Same as delivery address</option>
+                          {addresses
+                            .filter((saved) => saved.id !== selectedAddressId)
+                            .map((saved) => (
+                              <option key={saved.id} value={saved.id}>
+                                {saved.label}: {formatAddressSummary(saved)}
+                              </option>
+                            ))}
+                        </select>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-gray-600">
+                    <Link to="/signin" className="text-blue-600 hover:underline">
+                      Sign in
+                    </Link>{" "}
+                    to choose a delivery address.
+                  </p>
+                )}
+              </div>
+
+              <div className="bg-white rounded-2xl shadow-lg p-6 mb-6">
+                <h2 className="text-xl font-semibold text-gray-800 mb-4">
+                  Order Summary
+                </h2>
+
+                {appliedCoupon ? (
+                  <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-4 py-3 mb-4">
+                    <div className="flex items-center text-green-700">
+                      <Tag size={18} className="mr-2" />
+                      <span className="font-medium mr-2">
+                        {appliedCoupon.code}
+                      </span>
+                      <span className="text-sm">
+                        {CouponService.formatDiscount(
+                          appliedCoupon,
+                          appliedCoupon.discountAmount,
+                          appliedCoupon.isProductSpecific
+                        )}
+                      </span>
+                    </div>
+                    <button
+                      onClick={handleRemoveCoupon}
+                      className="p-1 text-green-700 hover:text-green-900 hover:bg-green-100 rounded-full transition-colors"
+                      aria-label="Remove coupon"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                ) : (
+                  <form
+                    onSubmit={handleApplyCoupon}
+                    className="flex gap-2 mb-4"
+                  >
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value)}
+                      placeholder="Coupon code"
+                      className="flex-grow border border-gray-300 rounded-lg px-4 py-2 uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      type="submit"
+                      disabled={isApplyingCoupon || !couponInput.trim()}
+                      className="bg-gray-800 text-white px-5 py-2 rounded-lg hover:bg-gray-900 transition duration-200 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      {isApplyingCoupon ? "Checking..." : "Apply"}
+                    </button>
+                  </form>
+                )}
+
+                <div className="mb-4">
+                  <h3 className="flex items-center text-sm font-semibold text-gray-800 mb-2">
+                    <Truck size={16} className="mr-2" />
+                    Delivery
+                  </h3>
+                  {!serviceability.serviceable ? (
+                    <div className="flex items-start bg-red-50 border border-red-200 text-red-700 rounded-lg px-4 py-3 text-sm">
+                      <AlertTriangle size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+                      <span>
+                        We can't deliver to PIN {address.pin} yet.
+                        {serviceability.note && ` ${serviceability.note}.`}{" "}
+                        Choose another delivery address to continue.
+                      </span>
+                    </div>
+                  ) : shippingQuote.options.length === 0 ? (
+                    <div className="flex items-start bg-red-50 border border-red-200 text-red-700 rounded-lg px-4 py-3 text-sm">
+                      <AlertTriangle size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+                      <span>
+                        We don't ship to{" "}
+                        {address.state || address.country || "your address"}{" "}
+                        yet. Choose another delivery address to continue.
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="space-y-2">
+                      {shippingQuote.options.map((option) => (
+                        <label
+                          key={option.service}
+                          className={`flex items-center justify-between border rounded-lg px-4 py-3 cursor-pointer transition-colors ${
+                            selectedShipping?.service === option.service
+                              ? "border-blue-500 bg-blue-50"
+                              : "border-gray-200 hover:bg-gray-50"
+                          }`}
+                        >
+                          <span className="flex items-center">
+                            <input
+                              type="radio"
+                              name="shippingService"
+                              value={option.service}
+                              checked={
+                                selectedShipping?.service === option.service
+                              }
+                              onChange={() => setShippingService(option.service)}
+                              className="mr-3"
+                            />
+                            <span>
+                              <span className="block font-medium text-gray-800">
+                                {option.label}
+                              </span>
+                              <span className="block text-sm text-gray-500">
+                                {option.carrier} · Arrives by{" "}
+                                {formatDeliveryDate(option.estimatedDelivery)}
+                              </span>
+                            </span>
+                          </span>
+                          <span className="font-medium text-gray-800">
+                            {option.free ? (
+                              <span className="text-green-600">Free</span>
+                            ) : (
+                              formatPrice(option.cost)
+                            )}
+                          </span>
+                        </label>
+                      ))}
+                      {shippingQuote.freeShippingRemaining > 0 && (
+                        <p className="text-sm text-gray-500">
+                          Add {formatPrice(shippingQuote.freeShippingRemaining)}{" "}
+                          more for free standard shipping.
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  {pinWarning && (
+                    <div className="flex items-start bg-amber-50 border border-amber-200 text-amber-700 rounded-lg px-4 py-3 mt-2 text-sm">
+                      <AlertTriangle size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+                      <span>
+                        {pinWarning} Check the delivery address before
+                        placing your order.
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="mb-4">
+                  <h3 className="flex items-center text-sm font-semibold text-gray-800 mb-2">
+                    <Wallet size={16} className="mr-2" />
+                    Payment
+                  </h3>
+                  <PaymentMethodPicker
+                    methods={paymentMethods}
+                    selectedMethod={paymentMethod}
+                    onMethodChange={(method) => {
+                      setPaymentMethod(method);
+                      setPaymentDetails({});
+                    }}
+                    details={paymentDetails}
+                    onDetailsChange={setPaymentDetails}
+                    codAvailable={serviceability.codAvailable}
+                  />
+                  {codBlocked && (
+                    <div className="flex items-start bg-red-50 border border-red-200 text-red-700 rounded-lg px-4 py-3 mt-2 text-sm">
+                      <AlertTriangle size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+                      <span>
+                        Cash on delivery isn't available for PIN {address.pin}.
+                        {serviceability.note && ` ${serviceability.note}.`}{" "}
+                        {paymentMethods.length > 1
+                          ? "Choose another payment method or delivery address to continue."
+                          : "Choose another delivery address to continue."}
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="space-y-2 text-gray-700">
+                  <div className="flex justify-between">
+                    <span>Subtotal</span>
+                    <span>{formatPrice(totals.subtotal)}</span>
+                  </div>
+                  {totals.discount > 0 && (
+                    <div className="flex justify-between text-green-600">
+                      <span>Discount ({appliedCoupon?.code})</span>
+                      <span>-{formatPrice(totals.discount)}</span>
+                    </div>
+                  )}
+                  {gstLines.length > 0 ? (
+                    gstLines.map((line) => (
+                      <div key={line.label} className="flex justify-between">
+                        <span>{line.label}</span>
+                        <span>{formatPrice(line.amount)}</span>
+                      </div>
+                    ))
+                  ) : (
+                    <div className="flex justify-between">
+                      <span>GST</span>
+                      <span>{formatPrice(totals.tax)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span>Shipping</span>
+                    <span>
+                      {selectedShipping?.free
+                        ? "Free"
+                        : formatPrice(totals.shipping)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between pt-2 border-t border-gray-100 text-lg font-semibold text-gray-900">
+                    <span>Total</span>
+                    <span>{formatPrice(totals.total)}</span>
+                  </div>
+                </div>
+              </div>
+
+              {unavailableItems.length > 0 && (
+                <div className="flex items-start bg-red-50 border border-red-200 text-red-700 rounded-lg px-4 py-3">
+                  <AlertTriangle size={18} className="mr-2 mt-0.5 flex-shrink-0" />
+                  <span className="text-sm">
+                    Some items are no longer available in the quantity you
+                    chose:{" "}
+                    {unavailableItems.map((item) => item.product.name).join(", ")}
+                    . Remove them or lower the quantity to complete your order.
+                  </span>
+                </div>
+              )}
+
               <div className="flex flex-col sm:flex-row justify-center gap-4 mt-6">
                 <button
                   onClick={completeOrder}
-                  disabled={isCompletingOrder}
+                  disabled={
+                    isCompletingOrder ||
+                    unavailableItems.length > 0 ||
+                    !selectedAddressId ||
+                    !selectedShipping ||
+                    !serviceability.serviceable ||
+                    codBlocked
+                  }
                   className="bg-blue-600 text-white text-center py-3 px-6 rounded-lg shadow hover:bg-blue-700 transition duration-200 font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
                 >
                   <div className="flex items-center justify-center">
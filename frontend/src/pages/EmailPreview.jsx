@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { Mail, Trash2 } from "lucide-react";
+import {
+  PREVIEW_INBOX_EVENT,
+  PREVIEW_INBOX_KEY,
+  clearPreviewInbox,
+  getPreviewInbox,
+} from "../utils/emailTransports";
+
+/**
+ * Development inbox for the "preview" email transport
+ *
+ * Lists the emails this browser would have sent and renders the selected one
+ * in a sandboxed frame, with its plain-text part underneath. Only routed when
+ * featureConfig.email.transport is "preview".
+ *
+ * @returns {JSX.Element} Preview inbox page
+ */
+function EmailPreview() {
+  const [inbox, setInbox] = useState(getPreviewInbox);
+  const [selectedId, setSelectedId] = useState(null);
+
+  // Refresh when an email is sent from this tab or another one
+  useEffect(() => {
+    const refresh = () => setInbox(getPreviewInbox());
+    const handleStorage = (event) => {
+      if (event.key === PREVIEW_INBOX_KEY) refresh();
+    };
+
+    window.addEventListener(PREVIEW_INBOX_EVENT, refresh);
+    window.addEventListener("storage", handleStorage);
+    return () => {
+      window.removeEventListener(PREVIEW_INBOX_EVENT, refresh);
+      window.removeEventListener("storage", handleStorage);
+    };
+  }, []);
+
+  const selected =
+    inbox.find((message) => message.id === selectedId) || inbox[0] || null;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Email Preview</h1>
+          <p className="text-gray-600">
+            Emails sent with the preview transport. Nothing here was delivered.
+          </p>
+        </div>
+        <button
+          onClick={clearPreviewInbox}
+          disabled={inbox.length === 0}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Trash2 size={16} />
+          Clear inbox
+        </button>
+      </div>
+
+      {inbox.length === 0 ? (
+        <div className="text-center py-16 bg-white rounded-lg shadow-sm">
+          <Mail className="mx-auto mb-4 text-gray-400" size={48} />
+          <p className="text-gray-600">
+            No emails yet. Place an order or change an order status to see one
+            here.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <ul className="bg-white rounded-lg shadow-sm divide-y divide-gray-200 max-h-[75vh] overflow-y-auto">
+            {inbox.map((message) => (
+              <li key={message.id}>
+                <button
+                  onClick={() => setSelectedId(message.id)}
+                  className={`w-full text-left p-4 hover:bg-gray-50 ${
+                    selected?.id === message.id ? "bg-indigo-50" : ""
+                  }`}
+                >
+                  <div className="font-medium text-gray-900 truncate">
+                    {message.subject}
+                  </div>
+                  <div className="text-sm text-gray-600 truncate">
+                    To: {message.to}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(message.sentAt).toLocaleString("en-IN")}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {selected && (
+            <div className="lg:col-span-2 bg-white rounded-lg shadow-sm p-4 space-y-4">
+              <dl className="text-sm text-gray-700 space-y-1">
+                <div>
+                  <dt className="inline font-semibold">From: </dt>
+                  <dd className="inline">{selected.from}</dd>
+                </div>
+                <div>
+                  <dt className="inline font-semibold">To: </dt>
+                  <dd className="inline">{selected.to}</dd>
+                </div>
+                <div>
+                  <dt className="inline font-semibold">Subject: </dt>
+                  <dd className="inline">{selected.subject}</dd>
+                </div>
+              </dl>
+              <iframe
+                title="Email HTML preview"
+                srcDoc={selected.html}
+                sandbox=""
+                className="w-full h-[60vh] border border-gray-200 rounded"
+              />
+              {selected.text && (
+                <details>
+                  <summary className="cursor-pointer text-sm font-semibold text-gray-700">
+                    Plain-text version
+                  </summary>
+                  <pre className="mt-2 p-3 bg-gray-50 rounded text-sm text-gray-800 whitespace-pre-wrap">
+                    {selected.text}
+                  </pre>
+                </details>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EmailPreview;
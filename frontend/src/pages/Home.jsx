@@ -6,6 +6,7 @@ import { Link } from "react-router-dom";
 import { m } from "framer-motion"; 
 import { useDispatch } from "react-redux";
 import { addToCart } from "../redux/cartSlice";
+import { getAvailableStock } from "../utils/stockUtils";
 import DynamicBanner from "../components/DynamicBanner";
 import { useContentLoader } from "../hooks/useContentLoader";
 
@@ -100,7 +101,8 @@ function Home() {
     try {
       dispatch(addToCart({
         productId: product.id,
-        quantity: 1
+        quantity: 1,
+        maxQuantity: getAvailableStock(product)
       }));
     } catch (error) {
       console.error('❌ Error adding product to cart:', error);
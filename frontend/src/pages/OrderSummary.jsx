@@ -19,6 +19,8 @@ import 'react-toastify/dist/ReactToastify.css';
 import Confetti from 'react-confetti';
 import useWindowSize from '../hooks/useWindowSize';
 import { downloadOrderReceipt } from '../utils/pdfUtils';
+import { getGstSummaryLines, SUPPLY_TYPES } from '../utils/gstUtils';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, PAYMENT_STATUSES } from '../utils/paymentService';
 
 /**
  * Order Summary Page Component
@@ -209,6 +211,10 @@ function OrderSummary() {
     }).format(price);
   };
   
+  // GST components of the order, with a zero row for fully exempt orders
+  const gstSummaryLines = getGstSummaryLines(order?.financials?.gst);
+  const gstLines = gstSummaryLines.length > 0 ? gstSummaryLines : [{ label: 'GST', amount: 0 }];
+  
   // Format date in readable format
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
@@ -476,6 +482,13 @@ function OrderSummary() {
                     <Download className="w-4 h-4 mr-1" />
                     {downloadingInvoice ? 'Downloading...' : 'Download Invoice'}
                   </button>
+                  <button 
+                    onClick={() => navigate(`/track?orderId=${order?.id}`)}
+                    className="flex items-center text-sm border border-blue-600 text-blue-600 px-3 py-1 rounded hover:bg-blue-50 transition-colors"
+                  >
+                    <Truck className="w-4 h-4 mr-1" />
+                    Track Order
+                  </button>
                 </div>
               </motion.div>
               
@@ -554,6 +567,11 @@ function OrderSummary() {
                         <div className="ml-4 flex-1">
                           <h4 className="font-medium text-gray-800">{item.name || 'Unknown Product'}</h4>
                           <p className="text-sm text-gray-500">Qty: {item.quantity || 1}</p>
+                          {item.gstRate !== undefined && (
+                            <p className="text-xs text-gray-400">
+                              {item.hsnCode ? `HSN ${item.hsnCode} · ` : ''}GST {item.gstRate}%
+                            </p>
+                          )}
                           {item.variant && (
                             <p className="text-xs text-gray-400">{item.variant}</p>
                           )}
@@ -589,12 +607,27 @@ function OrderSummary() {
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-600">Shipping</span>
-                      <span>{formatPrice(order?.shipping?.cost || 0)}</span>
-                    </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-600">Tax</span>
-                      <span>{formatPrice(order?.tax || 0)}</span>
+                      <span>{order?.shipping?.freeShipping ? 'Free' : formatPrice(order?.shipping?.cost || 0)}</span>
                     </div>
+                    {order?.financials?.gst ? (
+                      <>
+                        {gstLines.map((line) => (
+                          <div key={line.label} className="flex justify-between">
+                            <span className="text-gray-600">{line.label}</span>
+                            <span>{formatPrice(line.amount)}</span>
+                          </div>
+                        ))}
+                        <p className="text-xs text-gray-400">
+                          {order.financials.gst.supplyType === SUPPLY_TYPES.INTRASTATE ? 'Intrastate' : 'Interstate'} supply
+                          {order.financials.gst.placeOfSupply && ` · Place of supply: ${order.financials.gst.placeOfSupply}`}
+                        </p>
+                      </>
+                    ) : (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Tax</span>
+                        <span>{formatPrice(order?.tax || 0)}</span>
+                      </div>
+                    )}
                     
                     {order?.importDuty > 0 && (
                       <div className="flex justify-between text-amber-600">
@@ -621,11 +654,21 @@ function OrderSummary() {
                         <span className="text-gray-600 text-sm">Payment Method:</span>
                       </div>
                       <p className="font-medium mt-1">
-                        {order?.payment?.method === 'Card' 
+                        {order?.payment?.method === PAYMENT_METHODS.CARD
                           ? `${order?.payment?.details?.cardType} **** ${order?.payment?.details?.lastFour}`
-                          : `UPI (${order?.payment?.details?.upiId})`
+                          : order?.payment?.method === PAYMENT_METHODS.UPI
+                            ? `UPI (${order?.payment?.details?.upiId})`
+                            : PAYMENT_METHOD_LABELS[PAYMENT_METHODS.COD]
                         }
                       </p>
+                      <p className="text-gray-600 text-sm">
+                        {order?.payment?.status === PAYMENT_STATUSES.PENDING &&
+                        order?.payment?.method === PAYMENT_METHODS.COD
+                          ? `Pay ${formatPrice(order?.totalAmount || 0)} on delivery`
+                          : order?.payment?.status
+                            ? `Payment ${order.payment.status}`
+                            : ''}
+                      </p>
                       <p className="text-green-600 text-sm font-medium">
                         Payment ID: {paymentId}
                       </p>
@@ -657,8 +700,13 @@ function OrderSummary() {
                           <Truck className="w-4 h-4 mr-2 text-gray-500" />
                           <span className="text-gray-600 text-sm">Shipping Method:</span>
                         </div>
-                        <p className="font-medium mt-1">{order?.shipping?.method}</p>
-                        <p className="text-sm text-gray-600">Estimated Delivery: {order?.shipping?.estimatedDelivery}</p>
+                        <p className="font-medium mt-1">
+                          {order?.shipping?.method}
+                          {order?.shipping?.carrier && ` via ${order.shipping.carrier}`}
+                        </p>
+                        {order?.shipping?.estimatedDelivery && (
+                          <p className="text-sm text-gray-600">Estimated Delivery: {formatDate(order.shipping.estimatedDelivery)}</p>
+                        )}
                       </div>
                     </div>
                   </div>
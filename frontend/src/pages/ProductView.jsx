@@ -31,6 +31,13 @@ import {
 } from "lucide-react";
 import "react-toastify/dist/ReactToastify.css";
 import WishlistButton from "../components/WishlistButton";
+import ProductReviews from "../components/ProductReviews";
+import featureConfig from "../utils/featureConfig";
+import {
+  getAvailableStock,
+  getStockMessage,
+  LOW_STOCK_THRESHOLD,
+} from "../utils/stockUtils";
 
 /**
  * Product details page component
@@ -50,6 +57,11 @@ function ProductView() {
   const [showWarrantyInfo, setShowWarrantyInfo] = useState(false);
   const dispatch = useDispatch();
   const user = useSelector((state) => state.user?.currentUser);
+  const cartQuantity = useSelector(
+    (state) =>
+      state.cart.items.find((item) => item.productId === id)?.quantity || 0
+  );
+  const [quantity, setQuantity] = useState(1);
 
   useEffect(() => {
     /**
@@ -110,8 +122,23 @@ function ProductView() {
       toast.error("You must be logged in to add items to your cart.");
       return;
     }
-    dispatch(addToCart({ productId: product.id, quantity: 1 }));
-    toast.success("Product added to cart!");
+
+    const stock = getAvailableStock(product);
+    const addable = Math.min(quantity, stock - cartQuantity);
+    if (addable <= 0) {
+      toast.info(`You already have all ${stock} available in your cart.`);
+      return;
+    }
+
+    dispatch(
+      addToCart({ productId: product.id, quantity: addable, maxQuantity: stock })
+    );
+    if (addable < quantity) {
+      toast.info(`Only ${addable} more could be added — that's all we have.`);
+    } else {
+      toast.success("Product added to cart!");
+    }
+    setQuantity(1);
   };
 
   /**
@@ -361,7 +388,14 @@ function ProductView() {
 
                   {/* Stock Information */}
                   <div className="mb-4">
-                    {product.stock > 0 ? (
+                    {product.stock > 0 &&
+                    product.stock <= LOW_STOCK_THRESHOLD ? (
+                      <span className="inline-flex items-center px-3 py-1 bg-orange-100 text-orange-800 text-sm font-medium rounded-full">
+                        <span className="w-2 h-2 bg-orange-500 rounded-full mr-2"></span>
+                        {getStockMessage(getAvailableStock(product))} — order
+                        soon
+                      </span>
+                    ) : product.stock > 0 ? (
                       <span className="inline-flex items-center px-3 py-1 bg-green-100 text-green-800 text-sm font-medium rounded-full">
                         <span className="w-2 h-2 bg-green-500 rounded-full mr-2"></span>
                         In Stock ({product.stock} available)
@@ -375,22 +409,56 @@ function ProductView() {
                   </div>
 
                   {/* Add to Cart Button - Positioned high for mobile */}
-                  <div className="flex items-center space-x-4 mb-6">
-                    <button
-                      onClick={handleAddToCart}
-                      disabled={!product.stock}
-                      className={`flex-1 py-3 px-6 rounded-lg text-white font-medium flex items-center justify-center space-x-2 ${
-                        product.stock
-                          ? "bg-blue-600 hover:bg-blue-700"
-                          : "bg-gray-400 cursor-not-allowed"
-                      }`}
-                    >
-                      <ShoppingCart size={20} />
-                      <span>
-                        {product.stock ? "Add to Cart" : "Out of Stock"}
-                      </span>
-                    </button>
-                    <WishlistButton product={product} size="lg" />
+                  <div className="mb-6">
+                    <div className="flex items-center space-x-4">
+                      {product.stock > 0 && (
+                        <select
+                          value={quantity}
+                          onChange={(e) => setQuantity(Number(e.target.value))}
+                          disabled={cartQuantity >= product.stock}
+                          aria-label="Quantity"
+                          className="border border-gray-300 rounded-lg py-3 px-3 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {Array.from(
+                            {
+                              length: Math.max(
+                                1,
+                                Math.min(10, product.stock - cartQuantity)
+                              ),
+                            },
+                            (_, index) => index + 1
+                          ).map((option) => (
+                            <option key={option} value={option}>
+                              {option}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      <button
+                        onClick={handleAddToCart}
+                        disabled={!product.stock || cartQuantity >= product.stock}
+                        className={`flex-1 py-3 px-6 rounded-lg text-white font-medium flex items-center justify-center space-x-2 ${
+                          product.stock && cartQuantity < product.stock
+                            ? "bg-blue-600 hover:bg-blue-700"
+                            : "bg-gray-400 cursor-not-allowed"
+                        }`}
+                      >
+                        <ShoppingCart size={20} />
+                        <span>
+                          {!product.stock
+                            ? "Out of Stock"
+                            : cartQuantity >= product.stock
+                            ? "All Available in Cart"
+                            : "Add to Cart"}
+                        </span>
+                      </button>
+                      <WishlistButton product={product} size="lg" />
+                    </div>
+                    {cartQuantity > 0 && (
+                      <p className="text-sm text-gray-500 mt-2">
+                        {cartQuantity} already in your cart
+                      </p>
+                    )}
                   </div>
 
                   {/* Origin & Import Information */}
@@ -614,6 +682,11 @@ function ProductView() {
               </div>
             </div>
           </div>
+
+          {/* Customer Reviews Section */}
+          {featureConfig.userRatings.enabled && (
+            <ProductReviews productId={product.id} />
+          )}
         </div>
       </div>
     </>
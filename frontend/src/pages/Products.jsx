@@ -8,6 +8,7 @@ import { Search, Filter, X, ChevronDown } from "lucide-react";
 import { m } from "framer-motion";
 import { useDispatch } from "react-redux";
 import { addToCart } from "../redux/cartSlice";
+import { getAvailableStock } from "../utils/stockUtils";
 import { useAuthState } from "react-firebase-hooks/auth";
 import { auth } from "../firebase/config";
 
@@ -442,6 +443,7 @@ function Products() {
         addToCart({
           productId: product.id,
           quantity: 1,
+          maxQuantity: getAvailableStock(product),
         })
       );
     },
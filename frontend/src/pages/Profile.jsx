@@ -15,18 +15,25 @@ import {
 import { useAuthState } from "react-firebase-hooks/auth";
 import { toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
-import countriesStatesData from "../../src/countriesStates.json";
 import { m } from "framer-motion";
 import { User, MapPin, Heart, ShoppingBag, Camera, Trash2 } from "lucide-react";
 import { useNavigate, Link, useParams } from "react-router-dom";
 import { useDispatch } from "react-redux";
 import logger from "../utils/logger";
 import useWishlist from "../utils/useWishlist";
+import OrderReturnActions from "../components/OrderReturnActions";
+import OrderInvoiceActions from "../components/OrderInvoiceActions";
+import AddressBook from "../components/AddressBook";
+import { getAddressBook } from "../utils/addressBook";
 
 /**
  * Order status constants with associated colors for UI display
  */
 const ORDER_STATUS = {
+  "PENDING PAYMENT": {
+    label: "Awaiting Payment",
+    color: "bg-yellow-100 text-yellow-800",
+  },
   PLACED: { label: "Placed", color: "bg-yellow-100 text-yellow-800" },
   APPROVED: { label: "Approved", color: "bg-blue-100 text-blue-800" },
   PACKED: { label: "Packed", color: "bg-indigo-100 text-indigo-800" },
@@ -34,6 +41,19 @@ const ORDER_STATUS = {
   DELIVERED: { label: "Delivered", color: "bg-green-100 text-green-800" },
   DECLINED: { label: "Declined", color: "bg-red-100 text-red-800" },
   CANCELLED: { label: "Cancelled", color: "bg-gray-100 text-gray-800" },
+  "RETURN REQUESTED": {
+    label: "Return Requested",
+    color: "bg-orange-100 text-orange-800",
+  },
+  "RETURN APPROVED": {
+    label: "Return Approved",
+    color: "bg-amber-100 text-amber-800",
+  },
+  "RETURN RECEIVED": {
+    label: "Return Received",
+    color: "bg-teal-100 text-teal-800",
+  },
+  REFUNDED: { label: "Refunded", color: "bg-gray-100 text-gray-800" },
 };
 
 function MyAccount() {
@@ -47,17 +67,9 @@ function MyAccount() {
     email: "",
     name: "",
     phone: "",
-    address: {
-      houseNo: "",
-      line1: "",
-      line2: "",
-      city: "",
-      state: "",
-      country: "India",
-      pin: "",
-    },
     profilePic: "",
   });
+  const [addresses, setAddresses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saveLoading, setSaveLoading] = useState(false);
   const [orders, setOrders] = useState([]);
@@ -85,17 +97,9 @@ function MyAccount() {
               email: userData.email || "",
               name: userData.name || "",
               phone: userData.phone || "",
-              address: {
-                houseNo: userData.address?.houseNo || "",
-                line1: userData.address?.line1 || "",
-                line2: userData.address?.line2 || "",
-                city: userData.address?.city || "",
-                state: userData.address?.state || "",
-                country: userData.address?.country || "India",
-                pin: userData.address?.pin || "",
-              },
               profilePic: userData.profilePic || "",
             });
+            setAddresses(getAddressBook(userData));
 
             logger.firebase.read(`users/${user.uid}`, {
               name: userData.name,
@@ -183,6 +187,17 @@ function MyAccount() {
     }
   }, [user, orders.length, ordersLoading]);
 
+  /**
+   * Merge the result of a cancel or return action into the local order list
+   */
+  const handleOrderUpdated = useCallback((orderId, changes) => {
+    setOrders((prev) =>
+      prev.map((order) =>
+        order.id === orderId ? { ...order, ...changes } : order
+      )
+    );
+  }, []);
+
   /**
    * Fetch user wishlist items from Firebase
    * This is now handled by the useWishlist hook
@@ -209,15 +224,7 @@ function MyAccount() {
    */
   const handleChange = (e) => {
     const { name, value } = e.target;
-    if (name.startsWith("address.")) {
-      const addrField = name.split(".")[1];
-      setProfile((prev) => ({
-        ...prev,
-        address: { ...prev.address, [addrField]: value },
-      }));
-    } else {
-      setProfile((prev) => ({ ...prev, [name]: value }));
-    }
+    setProfile((prev) => ({ ...prev, [name]: value }));
   };
 
   /**
@@ -232,7 +239,6 @@ function MyAccount() {
         await updateDoc(userRef, {
           name: profile.name,
           phone: profile.phone,
-          address: profile.address,
           profilePic: profile.profilePic,
         });
         toast.success("Profile updated successfully!");
@@ -462,123 +468,6 @@ function MyAccount() {
                     </div>
                   </div>
 
-                  {/* Address Information */}
-                  <div>
-                    <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
-                      <MapPin size={18} className="mr-2" />
-                      Address Information
-                    </h3>
-
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          House/Apartment Number
-                        </label>
-                        <input
-                          type="text"
-                          name="address.houseNo"
-                          value={profile.address.houseNo}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-
-                      <div className="md:col-span-2">
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Address Line 1
-                        </label>
-                        <input
-                          type="text"
-                          name="address.line1"
-                          value={profile.address.line1}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-
-                      <div className="md:col-span-2">
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Address Line 2
-                        </label>
-                        <input
-                          type="text"
-                          name="address.line2"
-                          value={profile.address.line2}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          City
-                        </label>
-                        <input
-                          type="text"
-                          name="address.city"
-                          value={profile.address.city}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          PIN Code
-                        </label>
-                        <input
-                          type="text"
-                          name="address.pin"
-                          value={profile.address.pin}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          Country
-                        </label>
-                        <select
-                          name="address.country"
-                          value={profile.address.country}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        >
-                          {Object.keys(countriesStatesData.countries).map(
-                            (country) => (
-                              <option key={country} value={country}>
-                                {country}
-                              </option>
-                            )
-                          )}
-                        </select>
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-1">
-                          State
-                        </label>
-                        <select
-                          name="address.state"
-                          value={profile.address.state}
-                          onChange={handleChange}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                        >
-                          <option value="">Select State</option>
-                          {profile.address.country &&
-                            countriesStatesData.countries[
-                              profile.address.country
-                            ]?.map((state) => (
-                              <option key={state} value={state}>
-                                {state}
-                              </option>
-                            ))}
-                        </select>
-                      </div>
-                    </div>
-                  </div>
-
                   <div className="pt-4">
                     <button
                       type="submit"
@@ -596,6 +485,21 @@ function MyAccount() {
                     </button>
                   </div>
                 </form>
+
+                {/* Address Book */}
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                    <MapPin size={18} className="mr-2" />
+                    Address Book
+                  </h3>
+                  {user && (
+                    <AddressBook
+                      userId={user.uid}
+                      addresses={addresses}
+                      onAddressesChange={setAddresses}
+                    />
+                  )}
+                </div>
               </m.div>
             )}
 
@@ -669,6 +573,12 @@ function MyAccount() {
                                     Payment: {order.payment?.method || "N/A"}
                                   </span>
                                   <span>Items: {order.items?.length || 0}</span>
+                                  <Link
+                                    to={`/track?orderId=${order.id}`}
+                                    className="text-blue-600 hover:text-blue-800 font-medium"
+                                  >
+                                    Track order
+                                  </Link>
                                 </div>
                               </div>
 
@@ -856,6 +766,17 @@ function MyAccount() {
                                     </div>
                                   </div>
                                 )}
+
+                              <OrderInvoiceActions
+                                order={order}
+                                onOrderUpdated={handleOrderUpdated}
+                              />
+
+                              <OrderReturnActions
+                                order={order}
+                                userId={user.uid}
+                                onOrderUpdated={handleOrderUpdated}
+                              />
                             </div>
                           </div>
                         </div>
@@ -0,0 +1,430 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+import { useSearchParams } from "react-router-dom";
+import { m } from "framer-motion";
+import {
+  Search,
+  Package,
+  CheckCircle,
+  Truck,
+  Home,
+  ClipboardCheck,
+  XCircle,
+  RotateCcw,
+  ExternalLink,
+  CalendarClock,
+} from "lucide-react";
+import {
+  ORDER_STATUSES,
+  getOrderForTracking,
+  buildTrackingUrl,
+  getEstimatedDelivery,
+} from "../utils/orderService";
+import logger from "../utils/logger";
+
+/**
+ * Happy-path fulfilment steps shown as the progress bar
+ */
+const PROGRESS_STEPS = [
+  { status: ORDER_STATUSES.PLACED, label: "Placed", icon: ClipboardCheck },
+  { status: ORDER_STATUSES.APPROVED, label: "Approved", icon: CheckCircle },
+  { status: ORDER_STATUSES.PACKED, label: "Packed", icon: Package },
+  { status: ORDER_STATUSES.SHIPPED, label: "Shipped", icon: Truck },
+  { status: ORDER_STATUSES.DELIVERED, label: "Delivered", icon: Home },
+];
+
+const CLOSED_STATUSES = [ORDER_STATUSES.CANCELLED, ORDER_STATUSES.DECLINED];
+
+const RETURN_STATUSES = [
+  ORDER_STATUSES.RETURN_REQUESTED,
+  ORDER_STATUSES.RETURN_APPROVED,
+  ORDER_STATUSES.RETURN_RECEIVED,
+  ORDER_STATUSES.REFUNDED,
+];
+
+/**
+ * Pick the icon for a status history entry
+ *
+ * @param {string} status - Order status
+ * @returns {React.ComponentType} Lucide icon component
+ */
+const getStatusIcon = (status) => {
+  if (CLOSED_STATUSES.includes(status)) return XCircle;
+  if (RETURN_STATUSES.includes(status)) return RotateCcw;
+  return (
+    PROGRESS_STEPS.find((step) => step.status === status)?.icon ||
+    ClipboardCheck
+  );
+};
+
+/**
+ * Format a date for the tracking timeline
+ *
+ * @param {string|Date} value - ISO string or Date
+ * @param {boolean} withTime - Whether to include the time of day
+ * @returns {string} Formatted date
+ */
+const formatTrackingDate = (value, withTime = true) => {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return date.toLocaleString("en-IN", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    ...(withTime && { hour: "2-digit", minute: "2-digit" }),
+  });
+};
+
+/**
+ * Public order tracking page
+ *
+ * Lets signed-in customers and guests look up an order by its ID (guests
+ * also confirm the email used at checkout) and shows:
+ * - Fulfilment progress and the full status history timeline
+ * - The carrier with a link straight to the shipment
+ * - An estimated delivery date from the carrier's delivery days
+ *
+ * @returns {JSX.Element} TrackOrder component
+ */
+function TrackOrder() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const user = useSelector((state) => state.user?.currentUser);
+  const [orderReference, setOrderReference] = useState(
+    searchParams.get("orderId") || ""
+  );
+  const [email, setEmail] = useState("");
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const autoLookupDone = useRef(false);
+
+  const lookupOrder = useCallback(
+    async (reference, lookupEmail) => {
+      setLoading(true);
+      setError(null);
+
+      const result = await getOrderForTracking(reference, {
+        email: lookupEmail,
+      });
+
+      setLoading(false);
+      if (!result.success) {
+        setOrder(null);
+        setError(result.error);
+        return;
+      }
+
+      setOrder(result.order);
+      setSearchParams({ orderId: result.order.id }, { replace: true });
+      logger.user.action("Track order", { orderId: result.order.id });
+    },
+    [setSearchParams]
+  );
+
+  useEffect(() => {
+    if (user?.email) {
+      setEmail((current) => current || user.email);
+    }
+  }, [user?.email]);
+
+  // Signed-in customers following a link from their account skip the form
+  useEffect(() => {
+    const linkedOrderId = searchParams.get("orderId");
+    if (linkedOrderId && user?.uid && !autoLookupDone.current) {
+      autoLookupDone.current = true;
+      lookupOrder(linkedOrderId, "");
+    }
+  }, [searchParams, user?.uid, lookupOrder]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    lookupOrder(orderReference, email);
+  };
+
+  const estimate = order ? getEstimatedDelivery(order) : null;
+  const trackingUrl = order?.tracking?.carrier
+    ? order.tracking.url ||
+      buildTrackingUrl(order.tracking.carrier, order.tracking.code)
+    : null;
+  const reachedStatuses = new Set(
+    order?.statusHistory.map((entry) => entry.status) || []
+  );
+  const currentStepIndex = PROGRESS_STEPS.findIndex(
+    (step) => step.status === order?.status
+  );
+  const deliveredEntry = order?.statusHistory.find(
+    (entry) => entry.status === ORDER_STATUSES.DELIVERED
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-3xl mx-auto space-y-6">
+        <m.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.3 }}
+          className="bg-white rounded-lg shadow-md p-6"
+        >
+          <h1 className="text-2xl font-bold text-gray-800 mb-1">
+            Track Your Order
+          </h1>
+          <p className="text-gray-500 mb-6">
+            Enter your order ID
+            {user ? "" : " and the email address you used at checkout"}.
+          </p>
+
+          <form
+            onSubmit={handleSubmit}
+            className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-3"
+          >
+            <input
+              type="text"
+              value={orderReference}
+              onChange={(e) => setOrderReference(e.target.value)}
+              placeholder="Order ID, e.g. ORDER-123456-ABC123"
+              required
+              className="border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Email address"
+              required={!user}
+              className="border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex items-center justify-center gap-2 px-5 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              <Search size={18} />
+              {loading ? "Searching..." : "Track"}
+            </button>
+          </form>
+
+          {error && (
+            <p className="mt-4 text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg p-3">
+              {error}
+            </p>
+          )}
+        </m.div>
+
+        {order && (
+          <m.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.3 }}
+            className="space-y-6"
+          >
+            {/* Summary and progress */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-6">
+                <div>
+                  <p className="text-sm text-gray-500">Order</p>
+                  <p className="text-lg font-semibold text-gray-900">
+                    #{order.orderId}
+                  </p>
+                </div>
+                <span className="self-start sm:self-auto px-3 py-1 rounded-full text-sm font-medium bg-blue-100 text-blue-800">
+                  {order.status}
+                </span>
+              </div>
+
+              {CLOSED_STATUSES.includes(order.status) ? (
+                <p className="text-gray-600">
+                  This order was {order.status.toLowerCase()} and will not be
+                  shipped.
+                </p>
+              ) : (
+                <div className="flex items-center">
+                  {PROGRESS_STEPS.map((step, index) => {
+                    const Icon = step.icon;
+                    const reached =
+                      reachedStatuses.has(step.status) ||
+                      index <= currentStepIndex ||
+                      RETURN_STATUSES.includes(order.status);
+                    return (
+                      <React.Fragment key={step.status}>
+                        <div className="flex flex-col items-center text-center w-16">
+                          <div
+                            className={`w-10 h-10 rounded-full flex items-center justify-center ${
+                              reached
+                                ? "bg-blue-600 text-white"
+                                : "bg-gray-200 text-gray-400"
+                            }`}
+                          >
+                            <Icon size={18} />
+                          </div>
+                          <span
+                            className={`text-xs mt-2 ${
+                              reached ? "text-gray-900" : "text-gray-400"
+                            }`}
+                          >
+                            {step.label}
+                          </span>
+                        </div>
+                        {index < PROGRESS_STEPS.length - 1 && (
+                          <div
+                            className={`flex-1 h-1 -mt-6 ${
+                              reachedStatuses.has(
+                                PROGRESS_STEPS[index + 1].status
+                              ) ||
+                              index + 1 <= currentStepIndex ||
+                              RETURN_STATUSES.includes(order.status)
+                                ? "bg-blue-600"
+                                : "bg-gray-200"
+                            }`}
+                          />
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+
+            {/* Delivery estimate and carrier */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="flex items-center gap-2 font-semibold text-gray-800 mb-3">
+                  <CalendarClock size={18} /> Delivery
+                </h2>
+                {estimate ? (
+                  <>
+                    <p className="text-2xl font-bold text-gray-900">
+                      {formatTrackingDate(estimate.date, false)}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Estimated {estimate.service} delivery — {estimate.days}{" "}
+                      day{estimate.days === 1 ? "" : "s"} with {estimate.carrier}
+                      {estimate.fromShipment
+                        ? " from dispatch"
+                        : " once your order ships"}
+                    </p>
+                  </>
+                ) : deliveredEntry ? (
+                  <p className="text-gray-700">
+                    Delivered on {formatTrackingDate(deliveredEntry.timestamp)}
+                  </p>
+                ) : (
+                  <p className="text-gray-500">No delivery estimate available.</p>
+                )}
+                {(order.shippingAddress.city ||
+                  order.shippingAddress.state) && (
+                  <p className="text-sm text-gray-500 mt-3">
+                    Shipping to{" "}
+                    {[
+                      order.shippingAddress.city,
+                      order.shippingAddress.state,
+                      order.shippingAddress.country,
+                    ]
+                      .filter(Boolean)
+                      .join(", ")}
+                  </p>
+                )}
+              </div>
+
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="flex items-center gap-2 font-semibold text-gray-800 mb-3">
+                  <Truck size={18} /> Carrier
+                </h2>
+                {order.tracking?.code ? (
+                  <>
+                    <p className="text-gray-900 font-medium">
+                      {order.tracking.carrier}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Tracking number:{" "}
+                      <span className="font-mono text-gray-800">
+                        {order.tracking.code}
+                      </span>
+                    </p>
+                    {trackingUrl && (
+                      <a
+                        href={trackingUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center gap-2 mt-4 text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Track on {order.tracking.carrier} website
+                        <ExternalLink size={16} />
+                      </a>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-gray-500">
+                    Tracking details will appear here once your order ships.
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Status history timeline */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="font-semibold text-gray-800 mb-4">
+                Order History
+              </h2>
+              <ol className="relative border-l-2 border-gray-200 ml-4">
+                {[...order.statusHistory].reverse().map((entry, idx) => {
+                  const Icon = getStatusIcon(entry.status);
+                  return (
+                    <li
+                      key={`${entry.status}-${entry.timestamp}`}
+                      className="mb-6 ml-6 last:mb-0"
+                    >
+                      <span
+                        className={`absolute -left-4 flex items-center justify-center w-8 h-8 rounded-full ring-4 ring-white ${
+                          idx === 0
+                            ? "bg-blue-600 text-white"
+                            : "bg-gray-100 text-gray-500"
+                        }`}
+                      >
+                        <Icon size={16} />
+                      </span>
+                      <p className="font-medium text-gray-900">
+                        {entry.status}
+                      </p>
+                      <time className="block text-sm text-gray-500">
+                        {formatTrackingDate(entry.timestamp)}
+                      </time>
+                      {entry.note && (
+                        <p className="text-sm text-gray-600 mt-1">
+                          {entry.note}
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+            </div>
+
+            {/* Items */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="font-semibold text-gray-800 mb-4">Items</h2>
+              <div className="space-y-3">
+                {order.items.map((item, idx) => (
+                  <div key={idx} className="flex items-center gap-4">
+                    <img
+                      src={item.image || "/placeholder.svg"}
+                      alt={item.name}
+                      className="w-12 h-12 object-contain border border-gray-200 rounded-md"
+                    />
+                    <span className="flex-grow text-gray-800">{item.name}</span>
+                    <span className="text-sm text-gray-500">
+                      Qty: {item.quantity}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </m.div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TrackOrder;
@@ -19,15 +19,26 @@ const cartSlice = createSlice({
   reducers: {
     /**
      * Add an item to the cart or increase its quantity if already present
+     * When maxQuantity (the product's stock) is given, the line is capped at it
      * @param {Object} state - Current cart state
-     * @param {Object} action - Action with productId and quantity
+     * @param {Object} action - Action with productId, quantity and optional maxQuantity
      */
     addToCart(state, action) {
-      const item = state.items.find(i => i.productId === action.payload.productId);
+      const { productId, quantity, maxQuantity } = action.payload;
+      const item = state.items.find(i => i.productId === productId);
+      const limit = maxQuantity ?? item?.maxQuantity;
+      const desired = (item?.quantity || 0) + quantity;
+      const capped = limit !== undefined ? Math.min(desired, limit) : desired;
+
       if (item) {
-        item.quantity += action.payload.quantity;
-      } else {
-        state.items.push(action.payload);
+        item.quantity = capped;
+        if (maxQuantity !== undefined) item.maxQuantity = maxQuantity;
+      } else if (capped > 0) {
+        state.items.push({
+          productId,
+          quantity: capped,
+          ...(maxQuantity !== undefined && { maxQuantity }),
+        });
       }
     },
     
@@ -41,16 +52,38 @@ const cartSlice = createSlice({
     },
     
     /**
-     * Update the quantity of an item in the cart
+     * Update the quantity of an item in the cart, capped at the known stock
      * @param {Object} state - Current cart state
-     * @param {Object} action - Action with productId and new quantity
+     * @param {Object} action - Action with productId, new quantity and optional maxQuantity
      */
     updateQuantity(state, action) {
       const item = state.items.find(i => i.productId === action.payload.productId);
       if (item) {
-        item.quantity = action.payload.quantity;
+        if (action.payload.maxQuantity !== undefined) {
+          item.maxQuantity = action.payload.maxQuantity;
+        }
+        item.quantity = item.maxQuantity !== undefined
+          ? Math.min(action.payload.quantity, item.maxQuantity)
+          : action.payload.quantity;
       }
     },
+
+    /**
+     * Record fresh stock levels and cap quantities that now exceed them.
+     * Out-of-stock lines are kept so the cart can tell the customer about them.
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Map of productId to current stock
+     */
+    syncStockLimits(state, action) {
+      state.items.forEach(item => {
+        const stock = action.payload[item.productId];
+        if (stock === undefined) return;
+        item.maxQuantity = stock;
+        if (stock > 0 && item.quantity > stock) {
+          item.quantity = stock;
+        }
+      });
+    },
     
     /**
      * Apply a coupon discount to the cart
@@ -78,6 +111,19 @@ const cartSlice = createSlice({
       state.coupon = null;
     },
 
+    /**
+     * Replace the whole cart, used when restoring a saved cart or syncing
+     * changes made in another tab or on another device
+     * @param {Object} state - Current cart state
+     * @param {Object} action - Action with items and optional coupon
+     */
+    setCart(state, action) {
+      state.items = action.payload.items || [];
+      if (action.payload.coupon !== undefined) {
+        state.coupon = action.payload.coupon;
+      }
+    },
+
     /**
      * Remove purchased items from the cart after successful order
      * @param {Object} state - Current cart state
@@ -97,7 +143,9 @@ export const {
   addToCart, 
   removeFromCart, 
   updateQuantity, 
+  syncStockLimits,
   clearCart,
+  setCart,
   applyCoupon,
   removeCoupon,
   removePurchasedFromCart
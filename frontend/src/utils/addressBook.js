@@ -0,0 +1,352 @@
+/**
+ * Address Book
+ *
+ * Saved customer addresses, kept as an `addresses` array on the user document.
+ *
+ * Key Features:
+ * - Any number of labelled addresses (Home, Office, ...)
+ * - One default shipping and one default billing address
+ * - Validation against the countries and states in countriesStates.json,
+ *   with a postal code format per country
+ * - Profiles saved before the address book existed are read as a single
+ *   default address
+ *
+ * The default shipping address is also written to the user's legacy
+ * `address` field, which older screens still read.
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { doc, updateDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import countriesStatesData from '../countriesStates.json';
+
+/**
+ * Labels offered when saving an address
+ */
+export const ADDRESS_LABELS = ['Home', 'Office', 'Other'];
+
+/**
+ * Which default an address can be
+ */
+export const ADDRESS_PURPOSES = {
+  SHIPPING: 'shipping',
+  BILLING: 'billing'
+};
+
+/**
+ * Blank address for new-address forms
+ */
+export const EMPTY_ADDRESS = {
+  id: '',
+  label: 'Home',
+  name: '',
+  phone: '',
+  houseNo: '',
+  line1: '',
+  line2: '',
+  city: '',
+  district: '',
+  state: '',
+  country: 'India',
+  pin: '',
+  isDefaultShipping: false,
+  isDefaultBilling: false
+};
+
+/**
+ * Postal code format for every country in countriesStates.json
+ */
+export const POSTAL_CODE_FORMATS = {
+  India: { label: 'PIN Code', pattern: /^[1-9]\d{5}$/, example: '110001' },
+  'United States': { label: 'ZIP Code', pattern: /^\d{5}(-\d{4})?$/, example: '94105' },
+  Canada: { label: 'Postal Code', pattern: /^[A-Za-z]\d[A-Za-z][ -]?\d[A-Za-z]\d$/, example: 'K1A 0B1' },
+  'United Kingdom': { label: 'Postcode', pattern: /^[A-Za-z]{1,2}\d[A-Za-z\d]?\s?\d[A-Za-z]{2}$/, example: 'SW1A 1AA' },
+  France: { label: 'Postal Code', pattern: /^\d{5}$/, example: '75001' },
+  Germany: { label: 'Postal Code', pattern: /^\d{5}$/, example: '10115' },
+  Italy: { label: 'Postal Code', pattern: /^\d{5}$/, example: '00118' },
+  Spain: { label: 'Postal Code', pattern: /^\d{5}$/, example: '28001' },
+  Japan: { label: 'Postal Code', pattern: /^\d{3}-?\d{4}$/, example: '100-0001' },
+  Thailand: { label: 'Postal Code', pattern: /^\d{5}$/, example: '10200' },
+  Vietnam: { label: 'Postal Code', pattern: /^\d{6}$/, example: '100000' },
+  Indonesia: { label: 'Postal Code', pattern: /^\d{5}$/, example: '10110' },
+  Philippines: { label: 'ZIP Code', pattern: /^\d{4}$/, example: '1000' },
+  'Sri Lanka': { label: 'Postal Code', pattern: /^\d{5}$/, example: '00100' },
+  Nepal: { label: 'Postal Code', pattern: /^\d{5}$/, example: '44600' },
+  Bhutan: { label: 'Postal Code', pattern: /^\d{5}$/, example: '11001' }
+};
+
+/**
+ * Countries customers can pick, from countriesStates.json
+ */
+export const COUNTRIES = Object.keys(countriesStatesData.countries);
+
+/**
+ * States of a country, from countriesStates.json
+ *
+ * @param {string} country - Country name
+ * @returns {Array<string>} - State names, or an empty list for unknown countries
+ */
+export const getStatesForCountry = (country) => countriesStatesData.countries[country] || [];
+
+/**
+ * Label for a country's postal code field, e.g. "PIN Code" for India
+ *
+ * @param {string} country - Country name
+ * @returns {string} - Field label
+ */
+export const getPostalCodeLabel = (country) => POSTAL_CODE_FORMATS[country]?.label || 'Postal Code';
+
+/**
+ * Check an address before saving or ordering
+ *
+ * @param {Object} address - Address to check
+ * @returns {Object} - Field name to error message; empty when the address is valid
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+  const format = POSTAL_CODE_FORMATS[address.country];
+
+  if (!address.line1?.trim()) errors.line1 = 'Address line 1 is required';
+  if (!address.city?.trim()) errors.city = 'City is required';
+
+  if (!COUNTRIES.includes(address.country)) {
+    errors.country = 'Choose a country from the list';
+  } else if (!getStatesForCountry(address.country).includes(address.state)) {
+    errors.state = `Choose a state in ${address.country}`;
+  }
+
+  const pin = (address.pin || '').trim();
+  if (!pin) {
+    errors.pin = `${getPostalCodeLabel(address.country)} is required`;
+  } else if (format && !format.pattern.test(pin)) {
+    errors.pin = `Enter a valid ${format.label}, e.g. ${format.example}`;
+  }
+
+  return errors;
+};
+
+/**
+ * Create an ID for a new address
+ */
+const generateAddressId = () => `addr-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`;
+
+/**
+ * Make sure exactly one address is the default for each purpose, falling
+ * back to the first address
+ */
+const ensureDefaults = (addresses) => {
+  if (addresses.length === 0) return addresses;
+
+  const hasShipping = addresses.some(address => address.isDefaultShipping);
+  const hasBilling = addresses.some(address => address.isDefaultBilling);
+
+  return addresses.map((address, index) => ({
+    ...address,
+    isDefaultShipping: hasShipping ? Boolean(address.isDefaultShipping) : index === 0,
+    isDefaultBilling: hasBilling ? Boolean(address.isDefaultBilling) : index === 0
+  }));
+};
+
+/**
+ * Read the address book from a user document
+ * A profile with only the legacy single `address` is returned as one Home
+ * address that is the default for both shipping and billing.
+ *
+ * @param {Object} userData - User document data
+ * @returns {Array<Object>} - Saved addresses
+ */
+export const getAddressBook = (userData = {}) => {
+  if (Array.isArray(userData.addresses)) {
+    return ensureDefaults(userData.addresses.map(address => ({ ...EMPTY_ADDRESS, ...address })));
+  }
+
+  if (userData.address?.line1) {
+    return [{
+      ...EMPTY_ADDRESS,
+      ...userData.address,
+      id: 'legacy-address',
+      label: 'Home',
+      isDefaultShipping: true,
+      isDefaultBilling: true
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Find the default address for shipping or billing
+ *
+ * @param {Array<Object>} addresses - Saved addresses
+ * @param {string} purpose - Value from ADDRESS_PURPOSES
+ * @returns {Object|null} - Default address
+ */
+export const getDefaultAddress = (addresses, purpose = ADDRESS_PURPOSES.SHIPPING) => {
+  const flag = purpose === ADDRESS_PURPOSES.BILLING ? 'isDefaultBilling' : 'isDefaultShipping';
+  return addresses.find(address => address[flag]) || addresses[0] || null;
+};
+
+/**
+ * Convert an address to the flat shape stored on orders as shippingAddress
+ * and billingAddress
+ *
+ * @param {Object} address - Saved address
+ * @param {string} fallbackName - Name used when the address has none
+ * @returns {Object} - { name, phone, street, city, state, zip, country }
+ */
+export const toOrderAddress = (address, fallbackName = '') => ({
+  name: address.name || fallbackName,
+  phone: address.phone || '',
+  street: [address.houseNo, address.line1, address.line2].filter(Boolean).join(', '),
+  city: address.city || '',
+  state: address.state || '',
+  zip: address.pin || '',
+  country: address.country || ''
+});
+
+/**
+ * One-line summary of an address for pickers
+ *
+ * @param {Object} address - Saved address
+ * @returns {string} - Summary
+ */
+export const formatAddressSummary = (address) => [
+  [address.houseNo, address.line1].filter(Boolean).join(', '),
+  address.line2,
+  address.city,
+  [address.state, address.pin].filter(Boolean).join(' - '),
+  address.country
+].filter(Boolean).join(', ');
+
+/**
+ * Write the address book and the legacy default address to the user document
+ */
+const writeAddressBook = async (userId, addresses) => {
+  const defaultShipping = getDefaultAddress(addresses, ADDRESS_PURPOSES.SHIPPING);
+  const legacyAddress = defaultShipping
+    ? {
+        houseNo: defaultShipping.houseNo,
+        line1: defaultShipping.line1,
+        line2: defaultShipping.line2,
+        city: defaultShipping.city,
+        district: defaultShipping.district,
+        state: defaultShipping.state,
+        country: defaultShipping.country,
+        pin: defaultShipping.pin
+      }
+    : null;
+
+  await updateDoc(doc(db, 'users', userId), { addresses, address: legacyAddress });
+};
+
+/**
+ * Add or update an address
+ * Marking the address as a default clears that flag on the others.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} addresses - Current address book
+ * @param {Object} address - Address to save; without an id it is added
+ * @returns {Promise<Object>} - { success, addresses, address } or { success: false, error, errors }
+ */
+export const saveAddress = async (userId, addresses, address) => {
+  const errors = validateAddress(address);
+  if (Object.keys(errors).length > 0) {
+    return { success: false, error: Object.values(errors)[0], errors };
+  }
+
+  const savedAddress = {
+    ...EMPTY_ADDRESS,
+    ...address,
+    id: address.id || generateAddressId(),
+    label: address.label?.trim() || 'Home',
+    pin: address.pin.trim()
+  };
+
+  let nextAddresses = addresses.some(existing => existing.id === savedAddress.id)
+    ? addresses.map(existing => (existing.id === savedAddress.id ? savedAddress : existing))
+    : [...addresses, savedAddress];
+
+  nextAddresses = ensureDefaults(nextAddresses.map(existing => ({
+    ...existing,
+    isDefaultShipping: savedAddress.isDefaultShipping ? existing.id === savedAddress.id : existing.isDefaultShipping,
+    isDefaultBilling: savedAddress.isDefaultBilling ? existing.id === savedAddress.id : existing.isDefaultBilling
+  })));
+
+  try {
+    await writeAddressBook(userId, nextAddresses);
+    console.log(`✅ addressBook: Saved address ${savedAddress.id}`);
+    return {
+      success: true,
+      addresses: nextAddresses,
+      address: nextAddresses.find(existing => existing.id === savedAddress.id)
+    };
+  } catch (error) {
+    console.error('❌ addressBook: Error saving address:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an address; its default flags move to the first remaining address
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} addresses - Current address book
+ * @param {string} addressId - Address to remove
+ * @returns {Promise<Object>} - { success, addresses } or { success: false, error }
+ */
+export const removeAddress = async (userId, addresses, addressId) => {
+  const nextAddresses = ensureDefaults(addresses.filter(address => address.id !== addressId));
+
+  try {
+    await writeAddressBook(userId, nextAddresses);
+    console.log(`✅ addressBook: Removed address ${addressId}`);
+    return { success: true, addresses: nextAddresses };
+  } catch (error) {
+    console.error('❌ addressBook: Error removing address:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Make an address the default for shipping or billing
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} addresses - Current address book
+ * @param {string} addressId - Address to make the default
+ * @param {string} purpose - Value from ADDRESS_PURPOSES
+ * @returns {Promise<Object>} - { success, addresses } or { success: false, error }
+ */
+export const setDefaultAddress = async (userId, addresses, addressId, purpose) => {
+  const flag = purpose === ADDRESS_PURPOSES.BILLING ? 'isDefaultBilling' : 'isDefaultShipping';
+  const nextAddresses = addresses.map(address => ({ ...address, [flag]: address.id === addressId }));
+
+  try {
+    await writeAddressBook(userId, nextAddresses);
+    return { success: true, addresses: nextAddresses };
+  } catch (error) {
+    console.error('❌ addressBook: Error updating default address:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+const addressBook = {
+  ADDRESS_LABELS,
+  ADDRESS_PURPOSES,
+  EMPTY_ADDRESS,
+  POSTAL_CODE_FORMATS,
+  COUNTRIES,
+  getStatesForCountry,
+  getPostalCodeLabel,
+  validateAddress,
+  getAddressBook,
+  getDefaultAddress,
+  toOrderAddress,
+  formatAddressSummary,
+  saveAddress,
+  removeAddress,
+  setDefaultAddress
+};
+
+export default addressBook;
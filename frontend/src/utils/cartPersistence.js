@@ -0,0 +1,240 @@
+import { db } from '../firebase/config';
+import {
+  doc,
+  collection,
+  getDocs,
+  getDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import logger from './logger';
+import { getAvailableStock } from './stockUtils';
+
+/**
+ * Utility functions for persisting the shopping cart
+ *
+ * Guests keep their cart in localStorage. Signed-in users additionally keep
+ * one document per product in `users/{uid}/cart` so the cart follows them
+ * across devices. The localStorage copy records which user it belongs to,
+ * which lets other tabs pick up changes and keeps one user's cart from
+ * leaking to the next person on a shared browser.
+ */
+
+export const CART_STORAGE_KEY = 'shop-cart';
+
+/**
+ * Reasons an item can be dropped when the cart is checked against the catalogue
+ */
+export const CART_REMOVAL_REASONS = {
+  DELETED: 'is no longer available',
+  OUT_OF_STOCK: 'is out of stock'
+};
+
+/**
+ * Keep only well-formed cart items
+ *
+ * @param {Array} items - Items read from storage
+ * @returns {Array} - Items with a product ID, a positive whole quantity and the last known stock limit
+ */
+const sanitizeItems = (items) =>
+  (Array.isArray(items) ? items : [])
+    .filter(item => item && item.productId && Number(item.quantity) > 0)
+    .map(item => ({
+      productId: item.productId,
+      quantity: Math.floor(Number(item.quantity)),
+      ...(Number.isFinite(item.maxQuantity) && { maxQuantity: item.maxQuantity })
+    }));
+
+/**
+ * Read the cart saved in this browser
+ *
+ * @returns {Object|null} - { ownerId, items, coupon, unsynced } or null when nothing is saved
+ */
+export const readLocalCart = () => {
+  try {
+    const raw = window.localStorage.getItem(CART_STORAGE_KEY);
+    if (!raw) return null;
+
+    const saved = JSON.parse(raw);
+    return {
+      ownerId: saved.ownerId || null,
+      items: sanitizeItems(saved.items),
+      coupon: saved.coupon || null,
+      unsynced: Boolean(saved.unsynced)
+    };
+  } catch (error) {
+    logger.warn('Ignoring unreadable saved cart', error, 'Cart');
+    return null;
+  }
+};
+
+/**
+ * Save the cart in this browser. Writes are skipped when nothing changed so
+ * other tabs are not woken up by no-op storage events.
+ *
+ * @param {Object} cart - Cart to save
+ * @param {string|null} cart.ownerId - User the cart belongs to, null for guests
+ * @param {Array} cart.items - Cart items
+ * @param {Object|null} cart.coupon - Applied coupon
+ * @param {boolean} cart.unsynced - Whether the items still have to be saved to Firestore
+ */
+export const writeLocalCart = ({ ownerId = null, items = [], coupon = null, unsynced = false }) => {
+  try {
+    const serialized = JSON.stringify({ ownerId, items: sanitizeItems(items), coupon, unsynced });
+    if (window.localStorage.getItem(CART_STORAGE_KEY) !== serialized) {
+      window.localStorage.setItem(CART_STORAGE_KEY, serialized);
+    }
+  } catch (error) {
+    logger.warn('Could not save cart locally', error, 'Cart');
+  }
+};
+
+/**
+ * Record that the cart saved in this browser has reached Firestore, unless
+ * it has changed again since those items were sent
+ *
+ * @param {string} ownerId - User the cart belongs to
+ * @param {Array} items - Items that were saved to Firestore
+ */
+export const markLocalCartSynced = (ownerId, items) => {
+  const saved = readLocalCart();
+  if (saved?.unsynced && saved.ownerId === ownerId &&
+      JSON.stringify(saved.items) === JSON.stringify(sanitizeItems(items))) {
+    writeLocalCart({ ...saved, unsynced: false });
+  }
+};
+
+/**
+ * Remove the cart saved in this browser
+ */
+export const clearLocalCart = () => {
+  try {
+    window.localStorage.removeItem(CART_STORAGE_KEY);
+  } catch (error) {
+    logger.warn('Could not clear saved cart', error, 'Cart');
+  }
+};
+
+/**
+ * Load a signed-in user's stored cart
+ *
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<Array>} - Cart items
+ */
+export const getUserCart = async (userId) => {
+  const snapshot = await getDocs(collection(db, 'users', userId, 'cart'));
+  const items = sanitizeItems(snapshot.docs.map(cartDoc => cartDoc.data()));
+
+  logger.firebase.read(`users/${userId}/cart`, { count: items.length });
+  return items;
+};
+
+/**
+ * Replace a signed-in user's stored cart with the given items
+ * Uses a single batch so other devices never see a half-written cart
+ *
+ * @param {string} userId - The ID of the user
+ * @param {Array} items - Cart items to store
+ * @returns {Promise<void>}
+ */
+export const saveUserCart = async (userId, items) => {
+  const cartCollection = collection(db, 'users', userId, 'cart');
+  const existing = await getDocs(cartCollection);
+  const cleanItems = sanitizeItems(items);
+  const keep = new Set(cleanItems.map(item => item.productId));
+  const batch = writeBatch(db);
+
+  existing.docs.forEach(cartDoc => {
+    if (!keep.has(cartDoc.id)) {
+      batch.delete(cartDoc.ref);
+    }
+  });
+
+  cleanItems.forEach(item => {
+    batch.set(doc(cartCollection, item.productId), {
+      ...item,
+      updatedAt: serverTimestamp()
+    });
+  });
+
+  await batch.commit();
+  logger.firebase.write(`users/${userId}/cart`, 'batch', { count: cleanItems.length });
+};
+
+/**
+ * Merge a guest cart into a user's stored cart
+ *
+ * Conflict rule: when both carts hold the same product the larger quantity
+ * wins rather than the sum, so signing in twice with the same cart does not
+ * keep doubling it. Stored items keep their order and new guest items are
+ * appended after them.
+ *
+ * @param {Array} storedItems - Items from `users/{uid}/cart`
+ * @param {Array} guestItems - Items built while signed out
+ * @returns {Array} - Merged cart items
+ */
+export const mergeCartItems = (storedItems = [], guestItems = []) => {
+  const merged = new Map();
+
+  [...sanitizeItems(storedItems), ...sanitizeItems(guestItems)].forEach(item => {
+    const existing = merged.get(item.productId);
+    merged.set(item.productId, {
+      ...existing,
+      ...item,
+      quantity: Math.max(existing?.quantity || 0, item.quantity)
+    });
+  });
+
+  return Array.from(merged.values());
+};
+
+/**
+ * Check cart items against the product catalogue and drop the ones that
+ * can no longer be bought. Remaining items are capped at the current stock.
+ * Items whose product could not be read are kept so a network hiccup never
+ * empties the cart.
+ *
+ * @param {Array} items - Cart items
+ * @returns {Promise<Object>} - { items, removed: [{ productId, name, reason }] }
+ */
+export const validateCartItems = async (items) => {
+  const cleanItems = sanitizeItems(items);
+  const checks = await Promise.all(cleanItems.map(async (item) => {
+    try {
+      const productSnapshot = await getDoc(doc(db, 'products', item.productId));
+      if (!productSnapshot.exists()) {
+        return { item, reason: CART_REMOVAL_REASONS.DELETED, name: 'An item' };
+      }
+
+      const product = productSnapshot.data();
+      const stock = getAvailableStock(product);
+      if (stock <= 0) {
+        return { item, reason: CART_REMOVAL_REASONS.OUT_OF_STOCK, name: product.name };
+      }
+
+      return { item: { ...item, quantity: Math.min(item.quantity, stock), maxQuantity: stock } };
+    } catch (error) {
+      logger.warn('Could not check cart item', { productId: item.productId, error: error.message }, 'Cart');
+      return { item };
+    }
+  }));
+
+  return {
+    items: checks.filter(check => !check.reason).map(check => check.item),
+    removed: checks
+      .filter(check => check.reason)
+      .map(check => ({ productId: check.item.productId, name: check.name, reason: check.reason }))
+  };
+};
+
+const cartPersistence = {
+  readLocalCart,
+  writeLocalCart,
+  clearLocalCart,
+  getUserCart,
+  saveUserCart,
+  mergeCartItems,
+  validateCartItems
+};
+
+export default cartPersistence;
@@ -1,30 +1,18 @@
 /**
  * Email Service
  * 
- * This utility provides functions for sending various types of emails to users using Resend API via Cloudflare Functions.
+ * This utility provides functions for sending various types of emails to users through the
+ * transport selected in featureConfig (Resend via Cloudflare Functions, SMTP relay or preview inbox).
  * It checks the featureConfig to determine if emails should be sent.
+ * Every email is queued in the emailOutbox first, so failed sends are retried.
  */
 
 import featureConfig from './featureConfig';
-// No need for Resend import as we're using server-side functions
-
-/**
- * Get the base URL for the API functions based on the current environment
- * @returns {string} - Base URL for API functions
- */
-const getApiFunctionBaseUrl = () => {
-  // Check if we're in a development environment
-  const isDevelopment = import.meta.env.NODE_ENV === 'development';
-
-  if (isDevelopment) {
-    // In development, use a local URL that can be proxied to the real endpoint
-    // This should be configured in your package.json proxy field
-    return '/api';
-  } else {
-    // In production, use the same domain as the application
-    return '';
-  }
-};
+import { getGstSummaryLines } from './gstUtils';
+import { renderOrderEmail } from './emailTemplates';
+import { enqueueEmail, getOrderEmailKey, processOutboxEmail } from './emailOutbox';
+import { getEmailTransport } from './emailTransports';
+import { renderCustomOrderEmail } from './emailTemplateStore';
 
 /**
  * Checks if the email functionality is properly configured and enabled
@@ -41,7 +29,7 @@ const isEmailEnabled = () => {
   // Log email configuration for debugging
   console.log('📧 Email Configuration Debug:');
   console.log('- Email enabled:', featureConfig.email.enabled);
-  console.log('- Use email server:', featureConfig.email.useEmailServer);
+  console.log('- Transport:', featureConfig.email.transport);
   console.log('- From address:', featureConfig.email.fromAddress || 'Not set');
   console.log('- Support email:', featureConfig.email.supportEmail || 'Not set');
 
@@ -51,16 +39,17 @@ const isEmailEnabled = () => {
   console.log('- EMAIL_ENABLED:', import.meta.env.EMAIL_ENABLED);
   console.log('- REACT_APP_EMAIL_FROM:', import.meta.env.REACT_APP_EMAIL_FROM);
   console.log('- EMAIL_FROM:', import.meta.env.EMAIL_FROM);
-  console.log('- REACT_APP_RESEND_API_KEY exists:', !!import.meta.env.REACT_APP_RESEND_API_KEY);
-  console.log('- RESEND_API_KEY exists:', !!import.meta.env.RESEND_API_KEY);
 
   return true;
 };
 
 /**
- * Sends an email using the server API endpoint
+ * Queues an email in the outbox and makes the first delivery attempt
+ * A failed attempt stays queued and is retried with backoff from the admin panel.
+ *
  * @param {Object} emailData - Email data including recipient, subject, body, etc.
- * @returns {Promise<Object>} - Result of the email sending operation
+ * @param {Object} emailData.outbox - Optional { idempotencyKey, template, orderId, orderNumber }
+ * @returns {Promise<Object>} - Result of the email sending operation, with the outbox entry ID
  */
 const sendEmail = async (emailData) => {
   console.log('sendEmail function called with:', {
@@ -75,82 +64,24 @@ const sendEmail = async (emailData) => {
   }
 
   try {
-    console.log('Using API endpoint method');
-    return await sendViaApiEndpoint(emailData);
-  } catch (error) {
-    console.error('Error in sendEmail function:', error);
-    return { success: false, error: error.message || 'Failed to send email' };
-  }
-};
-
-/**
- * Sends an email using our server API endpoint instead of calling Resend directly
- * This avoids CORS issues when calling from the client side
- * 
- * @param {Object} emailData - Email data
- * @returns {Promise<Object>} - Result of the email sending operation
- */
-const sendViaApiEndpoint = async (emailData) => {
-  try {
-    console.log('Attempting to send email via API endpoint with data:', {
-      to: emailData.to,
-      subject: emailData.subject,
-      fromAddress: emailData.from || featureConfig.email.fromAddress
-    });
-
-    // Prepare the sender with proper format
-    const fromEmail = emailData.from || featureConfig.email.fromAddress;
-    // Ensure proper "From" format with name - Resend requires this format
-    const formattedFrom = fromEmail.includes('<') ? fromEmail : `ShopiyStore <${fromEmail}>`;
-
-    // Prepare the email payload for our API
-    const emailPayload = {
-      from: formattedFrom,
+    const { id, deduplicated } = await enqueueEmail({
       to: emailData.to,
+      from: emailData.from,
       subject: emailData.subject,
       html: emailData.body,
-    };
+      text: emailData.text
+    }, emailData.outbox);
 
-    console.log('Sending email with payload:', emailPayload);
-
-    // Use the Cloudflare Function endpoint
-    const apiEndpoint = `${getApiFunctionBaseUrl()}/send-email`;
-    console.log('Using API endpoint:', apiEndpoint);
-
-    // Send the request to our server-side function
-    const response = await fetch(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(emailPayload),
-    });
-
-    // Parse the response
-    const result = await response.json();
-    console.log('API endpoint response:', result);
-
-    if (!response.ok || result.error) {
-      console.error('API endpoint returned an error:', result.error);
-      throw new Error(result.error?.message || 'Failed to send email via API endpoint');
-    }
-
-    return { success: true, data: result.data };
+    const transport = getEmailTransport();
+    console.log(`Sending through the ${transport.name} transport`);
+    const result = await processOutboxEmail(id, (email) => transport.send(email));
+    return { ...result, outboxId: id, deduplicated };
   } catch (error) {
-    console.error('Detailed error sending email via API endpoint:', error);
-    throw error;
+    console.error('Error in sendEmail function:', error);
+    return { success: false, error: error.message || 'Failed to send email' };
   }
 };
 
-/**
- * Email server method is not implemented
- * All emails are sent through Resend API for better reliability and deliverability
- */
-// const sendViaEmailServer = async (emailData) => {
-//   console.error('Email server method not implemented');
-//   return { success: false, error: 'Email server method not implemented' };
-// };
-
 /**
  * Sends an order confirmation email to the customer
  * @param {Object} order - Order details
@@ -179,14 +110,25 @@ const sendOrderConfirmationEmail = async (order, user) => {
   }
 
   try {
+    const customer = { name: user.displayName || user.name, email: user.email };
+    // An admin-edited template replaces the built-in confirmation
+    const custom = await renderCustomOrderEmail('Placed', { order, customer });
+
     console.log('Generating email HTML template');
-    const emailBody = generateOrderConfirmationHTML(order, user);
+    const emailBody = custom?.html || generateOrderConfirmationHTML(order, user);
     console.log('Email template generated, length:', emailBody.length);
 
     const emailData = {
       to: user.email,
-      subject: `ShopiyStore - Order Confirmation #${order.orderId}`,
+      subject: custom?.subject || `ShopiyStore - Order Confirmation #${order.orderId}`,
       body: emailBody,
+      text: custom?.text || renderOrderEmail('Placed', { order, customer }).text,
+      outbox: {
+        idempotencyKey: getOrderEmailKey(order, 'Placed'),
+        template: 'Placed',
+        orderId: order.id || null,
+        orderNumber: order.orderId
+      },
     };
 
     console.log('Calling sendEmail function with email data');
@@ -226,12 +168,26 @@ const sendOrderShippedEmail = async (order, user, shipmentInfo) => {
   }
 
   try {
-    const emailBody = generateOrderShippedHTML(order, user, shipmentInfo);
+    const context = {
+      order,
+      customer: { name: user.displayName || user.name, email: user.email },
+      details: shipmentInfo
+    };
+    // An admin-edited template replaces the built-in shipping email
+    const custom = await renderCustomOrderEmail('Shipped', context);
+    const emailBody = custom?.html || generateOrderShippedHTML(order, user, shipmentInfo);
 
     const emailData = {
       to: user.email,
-      subject: `Your Order #${order.orderId} Has Shipped`,
+      subject: custom?.subject || `Your Order #${order.orderId} Has Shipped`,
       body: emailBody,
+      text: custom?.text || renderOrderEmail('Shipped', context).text,
+      outbox: {
+        idempotencyKey: getOrderEmailKey(order, 'Shipped'),
+        template: 'Shipped',
+        orderId: order.id || null,
+        orderNumber: order.orderId
+      },
     };
 
     return await sendEmail(emailData);
@@ -241,6 +197,53 @@ const sendOrderShippedEmail = async (order, user, shipmentInfo) => {
   }
 };
 
+/**
+ * Sends the email for an order's new status: the admin-edited template when
+ * there is one, otherwise the built-in one from the template registry
+ * The confirmation and shipped emails have their own richer senders above.
+ *
+ * @param {Object} order - Order details
+ * @param {Object} user - User details with email and name
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} details - Extra template details, e.g. { reason, refund, trackingUrl }
+ * @returns {Promise<Object>} - Result of the email sending operation
+ */
+const sendOrderStatusEmail = async (order, user, status, details = {}) => {
+  if (!user || !user.email) {
+    console.error(`Cannot send ${status} email: Missing user email`);
+    return { success: false, error: 'Missing user email' };
+  }
+
+  const context = {
+    order,
+    customer: { name: user.displayName || user.name, email: user.email },
+    details
+  };
+  const email = (await renderCustomOrderEmail(status, context)) || renderOrderEmail(status, context);
+  if (!email) {
+    console.log(`📧 No email template for status ${status}`);
+    return { success: false, error: `No email template for status ${status}` };
+  }
+
+  try {
+    return await sendEmail({
+      to: user.email,
+      subject: email.subject,
+      body: email.html,
+      text: email.text,
+      outbox: {
+        idempotencyKey: getOrderEmailKey(order, status, details),
+        template: status,
+        orderId: order.id || null,
+        orderNumber: order.orderId
+      },
+    });
+  } catch (error) {
+    console.error(`Error sending ${status} email:`, error);
+    return { success: false, error: error.message || `Failed to send ${status} email` };
+  }
+};
+
 /**
  * Generates HTML content for order confirmation emails
  * 
@@ -256,6 +259,8 @@ const generateOrderConfirmationHTML = (order, user) => {
   const discount = order.discount || 0;
   const total = order.totalAmount || 0;
   const importDuty = order.importDuty || 0;
+  const gstLines = getGstSummaryLines(order.financials?.gst);
+  const taxLines = gstLines.length > 0 ? gstLines : [{ label: 'GST', amount: tax }];
 
   // Format currency
   const formatCurrency = (amount) => {
@@ -498,16 +503,18 @@ const generateOrderConfirmationHTML = (order, user) => {
                               </table>
                             </td>
                           </tr>
+                          ${taxLines.map(line => `
                           <tr>
                             <td style="padding-bottom: 10px;">
                               <table width="100%" border="0" cellpadding="0" cellspacing="0" role="presentation">
                                 <tr>
-                                  <td style="font-size: 15px; color: #64748B;">Tax (18% GST)</td>
-                                  <td style="font-size: 15px; color: #1A202C; text-align: right;">${formatCurrency(tax)}</td>
+                                  <td style="font-size: 15px; color: #64748B;">${line.label}</td>
+                                  <td style="font-size: 15px; color: #1A202C; text-align: right;">${formatCurrency(line.amount)}</td>
                                 </tr>
                               </table>
                             </td>
                           </tr>
+                          `).join('')}
                           <tr>
                             <td style="padding-bottom: ${importDuty > 0 || discount > 0 ? '10px' : '0'};">
                               <table width="100%" border="0" cellpadding="0" cellspacing="0" role="presentation">
@@ -566,7 +573,9 @@ const generateOrderConfirmationHTML = (order, user) => {
                       <td width="50%" valign="top">
                         <h3 style="margin: 0 0 8px; font-size: 16px; font-weight: bold; color: #121212;">Paid with ${order.payment?.method || 'Credit card'}</h3>
                         <p style="margin: 0 0 2px; font-size: 14px; font-weight: 600; color: rgba(18, 18, 18, 0.8);">Subtotal: ${formatCurrency(subtotal)}</p>
-                        <p style="margin: 0 0 2px; font-size: 14px; font-weight: 600; color: rgba(18, 18, 18, 0.8);">Tax (18% GST): ${formatCurrency(tax)}</p>
+                        ${taxLines.map(line => `
+                        <p style="margin: 0 0 2px; font-size: 14px; font-weight: 600; color: rgba(18, 18, 18, 0.8);">${line.label}: ${formatCurrency(line.amount)}</p>
+                        `).join('')}
                         <p style="margin: 0 0 2px; font-size: 14px; font-weight: 600; color: rgba(18, 18, 18, 0.8);">Shipping: ${shipping === 0 ? 'Free' : formatCurrency(shipping)}</p>
                         ${importDuty > 0 ? `
                         <p style="margin: 0 0 2px; font-size: 14px; font-weight: 600; color: #EA580C;">Import Duty (69%): ${formatCurrency(importDuty)}</p>
@@ -998,6 +1007,7 @@ const generateOrderShippedHTML = (order, user, shipmentInfo) => {
 export {
   sendOrderConfirmationEmail,
   sendOrderShippedEmail,
+  sendOrderStatusEmail,
   isEmailEnabled,
   sendEmail
 }; 
\ No newline at end of file
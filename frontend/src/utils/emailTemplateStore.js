@@ -0,0 +1,57 @@
+/**
+ * Email Template Store
+ *
+ * Admin-edited email templates live in the `emailTemplates` collection, one
+ * document per ORDER_STATUSES value with { subject, html, text, enabled }.
+ * When a status has an enabled template it replaces the built-in email from
+ * emailTemplates; otherwise, or when the stored template is broken, the
+ * built-in email is sent.
+ *
+ * Key Features:
+ * - Lookup of the stored template for a status
+ * - Rendering against the order with the templateEngine
+ * - Silent fall back to the built-in email on any problem
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { renderStoredEmail } from './emailTemplates';
+
+export const EMAIL_TEMPLATES_COLLECTION = 'emailTemplates';
+
+/**
+ * Enabled stored template for a status
+ * @param {string} status - Value from ORDER_STATUSES
+ * @returns {Promise<Object|null>} - { subject, html, text }, or null when there is none
+ */
+export const getStoredEmailTemplate = async (status) => {
+  try {
+    const snapshot = await getDoc(doc(db, EMAIL_TEMPLATES_COLLECTION, status));
+    if (!snapshot.exists() || snapshot.data().enabled === false) return null;
+    return snapshot.data();
+  } catch (error) {
+    console.error(`❌ emailTemplateStore: Error loading ${status} template:`, error);
+    return null;
+  }
+};
+
+/**
+ * Render the admin-edited email for a status
+ * @param {string} status - Value from ORDER_STATUSES
+ * @param {Object} context - { order, customer: { name }, details }
+ * @returns {Promise<Object|null>} - { subject, html, text }, or null to use the built-in email
+ */
+export const renderCustomOrderEmail = async (status, context) => {
+  const stored = await getStoredEmailTemplate(status);
+  if (!stored) return null;
+
+  try {
+    return renderStoredEmail(stored, status, context);
+  } catch (error) {
+    console.error(`❌ emailTemplateStore: ${status} template could not be rendered, sending the built-in email:`, error);
+    return null;
+  }
+};
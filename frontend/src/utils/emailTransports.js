@@ -0,0 +1,211 @@
+/**
+ * Email Transports
+ *
+ * Pluggable delivery for queued emails. The outbox hands each email to the
+ * transport named in featureConfig.email.transport and retries when it throws.
+ *
+ * Key Features:
+ * - Resend transport through the send-email Cloudflare Function
+ * - SMTP transport through an SMTP relay endpoint, for any mail server
+ * - Preview transport for development and tests: nothing leaves the machine,
+ *   emails land in an in-browser preview inbox (/dev/emails)
+ *
+ * Transport interface (see previewTransport):
+ * - id: Value of EMAIL_TRANSPORT that selects it
+ * - name: Shown in logs
+ * - send({ from, to, subject, html, text }): Promise<{ id }>;
+ *   throws when the email could not be delivered
+ *
+ * The admin panel sends with its own cut-down emailTransports; keep the
+ * Resend and SMTP payloads of the two in step.
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import featureConfig from './featureConfig';
+
+/**
+ * localStorage key of the preview inbox
+ */
+export const PREVIEW_INBOX_KEY = 'emailPreviewInbox';
+
+/**
+ * Event fired on window when the preview inbox changes
+ */
+export const PREVIEW_INBOX_EVENT = 'email-preview-inbox';
+
+/**
+ * Newest emails kept in the preview inbox
+ */
+const PREVIEW_INBOX_LIMIT = 50;
+
+/**
+ * Get the base URL for the API functions based on the current environment
+ * @returns {string} - Base URL for API functions
+ */
+const getApiFunctionBaseUrl = () => {
+  // In development, use a local URL that can be proxied to the real endpoint
+  return import.meta.env.NODE_ENV === 'development' ? '/api' : '';
+};
+
+/**
+ * Sender in "Name <address>" form, which Resend and most relays require
+ * @param {string} from - Sender address, defaults to featureConfig.email.fromAddress
+ * @returns {string} - Formatted sender
+ */
+const formatSender = (from) => {
+  const fromEmail = from || featureConfig.email.fromAddress;
+  if (!fromEmail) {
+    throw new Error('EMAIL_FROM is not configured');
+  }
+  return fromEmail.includes('<') ? fromEmail : `ShopiyStore <${fromEmail}>`;
+};
+
+/**
+ * POST an email as JSON and return the parsed response
+ * @param {string} url - Endpoint to post to
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} - Parsed JSON response; throws on an error response
+ */
+const postEmail = async (url, payload) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.error) {
+    throw new Error(result.error?.message || result.error || `Email endpoint returned ${response.status}`);
+  }
+  return result;
+};
+
+/**
+ * Resend, through our server-side send-email function so the API key never
+ * reaches the browser and there are no CORS issues
+ */
+export const resendTransport = {
+  id: 'resend',
+  name: 'Resend',
+
+  async send({ from, to, subject, html, text }) {
+    const result = await postEmail(`${getApiFunctionBaseUrl()}/send-email`, {
+      from: formatSender(from),
+      to,
+      subject,
+      html,
+      // Plain-text alternative for clients that do not show HTML
+      ...(text && { text }),
+    });
+    return { id: result.data?.id || null };
+  }
+};
+
+/**
+ * Any SMTP server, through a relay endpoint that holds the SMTP host and
+ * credentials. This project does not ship a relay, so EMAIL_SMTP_RELAY_URL
+ * must point at one. The relay takes { from, to, subject, html, text } and
+ * answers { messageId } or { error }.
+ */
+export const smtpTransport = {
+  id: 'smtp',
+  name: 'SMTP relay',
+
+  async send({ from, to, subject, html, text }) {
+    const relayUrl = featureConfig.email.smtpRelayUrl;
+    if (!relayUrl) {
+      throw new Error('EMAIL_SMTP_RELAY_URL is not configured; the smtp transport needs the URL of an SMTP relay');
+    }
+    const result = await postEmail(relayUrl, {
+      from: formatSender(from),
+      to,
+      subject,
+      html,
+      text: text || '',
+    });
+    return { id: result.messageId || null };
+  }
+};
+
+/**
+ * Read the preview inbox, newest first
+ * @returns {Array<Object>} - Preview emails with id, from, to, subject, html, text and sentAt
+ */
+export const getPreviewInbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PREVIEW_INBOX_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Empty the preview inbox
+ */
+export const clearPreviewInbox = () => {
+  localStorage.removeItem(PREVIEW_INBOX_KEY);
+  window.dispatchEvent(new Event(PREVIEW_INBOX_EVENT));
+};
+
+/**
+ * Development and test transport: keeps emails on this machine
+ */
+export const previewTransport = {
+  id: 'preview',
+  name: 'Preview inbox',
+
+  async send({ from, to, subject, html, text }) {
+    const message = {
+      id: `preview_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      from: from || featureConfig.email.fromAddress || 'ShopiyStore <preview@localhost>',
+      to,
+      subject,
+      html,
+      text: text || '',
+      sentAt: new Date().toISOString()
+    };
+
+    console.log(`📨 emailTransports: Preview email to ${to}: ${subject}\n\n${message.text}`);
+
+    const inbox = [message, ...getPreviewInbox()].slice(0, PREVIEW_INBOX_LIMIT);
+    localStorage.setItem(PREVIEW_INBOX_KEY, JSON.stringify(inbox));
+    window.dispatchEvent(new Event(PREVIEW_INBOX_EVENT));
+
+    return { id: message.id };
+  }
+};
+
+/**
+ * Transports by id; featureConfig.email.transport picks the active one
+ */
+const EMAIL_TRANSPORTS = {
+  [resendTransport.id]: resendTransport,
+  [smtpTransport.id]: smtpTransport,
+  [previewTransport.id]: previewTransport
+};
+
+/**
+ * Make another transport available, e.g. one for a different email API
+ *
+ * @param {Object} transport - Transport following the interface above
+ */
+export const registerEmailTransport = (transport) => {
+  EMAIL_TRANSPORTS[transport.id] = transport;
+};
+
+/**
+ * The transport selected in featureConfig
+ *
+ * @returns {Object} - Active transport
+ */
+export const getEmailTransport = () => {
+  const transport = EMAIL_TRANSPORTS[featureConfig.email.transport];
+  if (!transport) {
+    throw new Error(`Unknown email transport: ${featureConfig.email.transport}`);
+  }
+  return transport;
+};
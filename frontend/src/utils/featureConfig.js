@@ -26,16 +26,20 @@ const featureConfig = {
    * Email Configuration
    * 
    * emailEnabled: Set to true to enable all email functionality, false to disable
-   * useEmailServer: DEPRECATED - Always uses Resend API now
+   * transport: How emails are delivered (see emailTransports):
+   *   - "resend" (default): the send-email Cloudflare Function, which needs a RESEND_API_KEY
+   *   - "smtp": the SMTP relay endpoint at smtpRelayUrl (EMAIL_SMTP_RELAY_URL, required),
+   *     which holds the SMTP credentials
+   *   - "preview": nothing is sent; emails go to the preview inbox at /dev/emails
    * 
-   * Note: To enable email functionality, you MUST add a RESEND_API_KEY in your environment variables
-   * Format for development: REACT_APP_RESEND_API_KEY=your_api_key_here
-   * Format for Cloudflare: RESEND_API_KEY=your_api_key_here
+   * Note: The Resend API key is only read by the Cloudflare Function
+   * Format for development: REACT_APP_EMAIL_TRANSPORT=preview
+   * Format for Cloudflare: EMAIL_TRANSPORT=resend, RESEND_API_KEY=your_api_key_here
    */
   email: {
     enabled: getEnvVar('EMAIL_ENABLED') === 'true',
-    // Always false - we always use Resend API now
-    useEmailServer: false,
+    transport: getEnvVar('EMAIL_TRANSPORT') || 'resend',
+    smtpRelayUrl: getEnvVar('EMAIL_SMTP_RELAY_URL'),
     fromAddress: getEnvVar('EMAIL_FROM'),
     supportEmail: getEnvVar('SUPPORT_EMAIL'),
   },
@@ -52,6 +56,53 @@ const featureConfig = {
   },
   analytics: {
     enabled: true,
+  },
+
+  /**
+   * Returns Configuration
+   *
+   * windowDays: How many days after delivery a customer can request a return
+   * Format for development: REACT_APP_RETURN_WINDOW_DAYS=7
+   * Format for Cloudflare: RETURN_WINDOW_DAYS=7
+   */
+  returns: {
+    windowDays: Number.parseInt(getEnvVar('RETURN_WINDOW_DAYS'), 10) || 7,
+  },
+
+  /**
+   * Tax Configuration
+   *
+   * sellerState: State the store is GST-registered in, e.g. Karnataka. Orders
+   * shipped within this state get CGST + SGST, all others IGST
+   * sellerGstin: The store's GSTIN, printed on invoices
+   * sellerName / sellerAddress: Legal name and registered address printed on invoices
+   * Format for development: REACT_APP_SELLER_STATE=Karnataka
+   * Format for Cloudflare: SELLER_STATE=Karnataka
+   */
+  tax: {
+    sellerState: getEnvVar('SELLER_STATE') || '',
+    sellerGstin: getEnvVar('SELLER_GSTIN') || '',
+    sellerName: getEnvVar('SELLER_NAME') || 'ShopiyStore Stationeries Pvt. Ltd.',
+    sellerAddress: getEnvVar('SELLER_ADDRESS') || 'North Sentinel Island, Andaman and Nicobar Islands, India',
+  },
+
+  /**
+   * Payments Configuration
+   *
+   * methods: Comma-separated payment methods offered at checkout: COD, UPI, Card.
+   * UPI and card payments go through the gateway named in `gateway`
+   * gateway: Gateway adapter in functions/payments.js for UPI and card payments.
+   * "mock" is a local test gateway that never charges anyone, so only enable
+   * UPI/Card with it for testing
+   * Format for development: REACT_APP_PAYMENT_METHODS=COD,UPI,Card
+   * Format for Cloudflare: PAYMENT_METHODS=COD,UPI,Card
+   */
+  payments: {
+    methods: (getEnvVar('PAYMENT_METHODS') || 'COD')
+      .split(',')
+      .map(method => method.trim())
+      .filter(Boolean),
+    gateway: getEnvVar('PAYMENT_GATEWAY') || 'mock',
   }
 };
 
@@ -0,0 +1,207 @@
+import featureConfig from './featureConfig';
+
+/**
+ * GST calculation utilities
+ *
+ * Each product is taxed at its own GST slab, taken from the product itself
+ * or, failing that, from its category. Supplies within the seller's state
+ * are split into CGST and SGST; supplies to another state or abroad are
+ * charged IGST. Prices are tax-exclusive, the coupon discount is spread over
+ * the lines before tax, and shipping is not taxed.
+ */
+
+/**
+ * GST slabs in percent
+ */
+export const GST_SLABS = [0, 5, 12, 18, 28];
+
+/**
+ * Slab used when neither the product nor its category sets a rate
+ */
+export const DEFAULT_GST_RATE = 18;
+
+/**
+ * How a supply is taxed
+ */
+export const SUPPLY_TYPES = {
+  INTRASTATE: 'intrastate',
+  INTERSTATE: 'interstate'
+};
+
+/**
+ * Round a currency amount to two decimal places
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Compare state names without caring about case or spacing
+ */
+const normalizeState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Check whether a value is one of the GST slabs
+ *
+ * @param {*} rate - Rate in percent
+ * @returns {boolean} - Whether the rate is a valid slab
+ */
+export const isValidGstRate = (rate) =>
+  rate !== null && rate !== '' && GST_SLABS.includes(Number(rate));
+
+/**
+ * Work out the GST rate and HSN code for a product
+ * The product's own values win over its category's
+ *
+ * @param {Object} product - Product data with optional gstRate and hsnCode
+ * @param {Object} category - Category data with optional gstRate and hsnCode
+ * @returns {Object} - { gstRate, hsnCode }
+ */
+export const resolveProductTax = (product = {}, category = {}) => {
+  let gstRate = DEFAULT_GST_RATE;
+  if (isValidGstRate(product?.gstRate)) {
+    gstRate = Number(product.gstRate);
+  } else if (isValidGstRate(category?.gstRate)) {
+    gstRate = Number(category.gstRate);
+  }
+
+  return {
+    gstRate,
+    hsnCode: product?.hsnCode || category?.hsnCode || ''
+  };
+};
+
+/**
+ * Decide whether a supply is intrastate or interstate
+ * Deliveries outside India, and orders where either state is unknown, are
+ * treated as interstate so IGST is charged
+ *
+ * @param {Object} destination - { state, country } of the shipping address
+ * @param {string} sellerState - State the seller is registered in
+ * @returns {string} - Value from SUPPLY_TYPES
+ */
+export const getSupplyType = ({ state, country } = {}, sellerState = featureConfig.tax.sellerState) => {
+  const domestic = !country || normalizeState(country) === 'india';
+  const sameState = normalizeState(state) !== '' && normalizeState(state) === normalizeState(sellerState);
+
+  return domestic && sameState ? SUPPLY_TYPES.INTRASTATE : SUPPLY_TYPES.INTERSTATE;
+};
+
+/**
+ * Calculate the line-level GST breakdown for an order
+ *
+ * The discount is shared across lines in proportion to their value; the
+ * last line takes any rounding remainder so the shares add up exactly.
+ * CGST is half the line tax and SGST the rest, again so the parts add up.
+ *
+ * @param {Array} items - Lines with productId, name, price, quantity, gstRate and hsnCode
+ * @param {Object} options - Discount and destination
+ * @param {number} options.discount - Order-level discount before tax
+ * @param {Object} options.destination - { state, country } of the shipping address
+ * @param {string} options.sellerState - Overrides the configured seller state
+ * @returns {Object} - { supplyType, sellerState, placeOfSupply, lines, rates, totals }
+ */
+export const calculateGstBreakdown = (items = [], {
+  discount = 0,
+  destination = {},
+  sellerState = featureConfig.tax.sellerState
+} = {}) => {
+  const supplyType = getSupplyType(destination, sellerState);
+  const amounts = items.map(item => roundCurrency((Number(item.price) || 0) * (item.quantity || 0)));
+  const subtotal = roundCurrency(amounts.reduce((sum, amount) => sum + amount, 0));
+  const appliedDiscount = roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+
+  let discountLeft = appliedDiscount;
+  const lines = items.map((item, index) => {
+    const amount = amounts[index];
+    const isLast = index === items.length - 1;
+    const discountShare = isLast
+      ? discountLeft
+      : roundCurrency(subtotal > 0 ? appliedDiscount * (amount / subtotal) : 0);
+    discountLeft = roundCurrency(discountLeft - discountShare);
+
+    const { gstRate, hsnCode } = resolveProductTax(item);
+    const taxableValue = roundCurrency(amount - discountShare);
+    const tax = roundCurrency(taxableValue * gstRate / 100);
+    const cgst = supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(tax / 2) : 0;
+    const sgst = supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(tax - cgst) : 0;
+    const igst = supplyType === SUPPLY_TYPES.INTERSTATE ? tax : 0;
+
+    return {
+      productId: item.productId || '',
+      name: item.name || '',
+      hsnCode,
+      gstRate,
+      quantity: item.quantity || 0,
+      unitPrice: Number(item.price) || 0,
+      amount,
+      discount: discountShare,
+      taxableValue,
+      cgst,
+      sgst,
+      igst,
+      tax
+    };
+  });
+
+  // Summary per slab, as printed on tax invoices
+  const rateGroups = {};
+  lines.forEach(line => {
+    const group = rateGroups[line.gstRate] || { gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+    group.taxableValue = roundCurrency(group.taxableValue + line.taxableValue);
+    group.cgst = roundCurrency(group.cgst + line.cgst);
+    group.sgst = roundCurrency(group.sgst + line.sgst);
+    group.igst = roundCurrency(group.igst + line.igst);
+    group.tax = roundCurrency(group.tax + line.tax);
+    rateGroups[line.gstRate] = group;
+  });
+
+  const sum = (key) => roundCurrency(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    supplyType,
+    sellerState: sellerState || '',
+    placeOfSupply: destination.state || destination.country || '',
+    lines,
+    rates: Object.values(rateGroups).sort((a, b) => a.gstRate - b.gstRate),
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      tax: sum('tax')
+    }
+  };
+};
+
+/**
+ * Describe the tax components of a breakdown for display, skipping zero parts
+ *
+ * @param {Object} gst - Result of calculateGstBreakdown
+ * @returns {Array} - [{ label, amount }]
+ */
+export const getGstSummaryLines = (gst) => {
+  if (!gst?.totals) return [];
+
+  if (gst.supplyType === SUPPLY_TYPES.INTRASTATE) {
+    return gst.rates.flatMap(rate => [
+      { label: `CGST @ ${rate.gstRate / 2}%`, amount: rate.cgst },
+      { label: `SGST @ ${rate.gstRate / 2}%`, amount: rate.sgst }
+    ]).filter(line => line.amount > 0);
+  }
+
+  return gst.rates
+    .map(rate => ({ label: `IGST @ ${rate.gstRate}%`, amount: rate.igst }))
+    .filter(line => line.amount > 0);
+};
+
+const gstUtils = {
+  GST_SLABS,
+  DEFAULT_GST_RATE,
+  SUPPLY_TYPES,
+  isValidGstRate,
+  resolveProductTax,
+  getSupplyType,
+  calculateGstBreakdown,
+  getGstSummaryLines
+};
+
+export default gstUtils;
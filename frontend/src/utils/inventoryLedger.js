@@ -0,0 +1,73 @@
+import { db } from '../firebase/config';
+import { doc, collection, serverTimestamp } from 'firebase/firestore';
+
+/**
+ * Inventory ledger helpers
+ *
+ * Every stock change is recorded as one document in the `inventoryLedger`
+ * collection so the admin panel can show a product's stock history and
+ * check it against the current stock. The admin panel writes the same
+ * document shape from its inventory service.
+ */
+
+export const INVENTORY_LEDGER_COLLECTION = 'inventoryLedger';
+
+/**
+ * Why a stock level changed
+ */
+export const LEDGER_REASONS = {
+  SALE: 'sale',
+  CANCELLATION: 'cancellation',
+  RETURN: 'return',
+  RESTOCK: 'restock',
+  MANUAL_EDIT: 'manual_edit'
+};
+
+/**
+ * Queue a ledger entry on a transaction or write batch
+ *
+ * Write the stock change itself in the same transaction or batch so the
+ * ledger and the product can never disagree.
+ *
+ * @param {Object} writer - Firestore Transaction or WriteBatch
+ * @param {Object} entry - Stock change details
+ * @param {string} entry.productId - Product whose stock changed
+ * @param {string} entry.productName - Product name at the time of the change
+ * @param {number} entry.delta - Units added (positive) or removed (negative)
+ * @param {number} entry.previousStock - Stock before the change
+ * @param {number} entry.newStock - Stock after the change
+ * @param {string} entry.reason - Value from LEDGER_REASONS
+ * @param {string} entry.note - Optional free-text explanation
+ * @param {string|null} entry.orderId - Order that caused the change, if any
+ * @param {string} entry.actor - ID of the user who made the change
+ */
+export const addLedgerEntry = (writer, {
+  productId,
+  productName = '',
+  delta,
+  previousStock = null,
+  newStock = null,
+  reason,
+  note = '',
+  orderId = null,
+  actor
+}) => {
+  writer.set(doc(collection(db, INVENTORY_LEDGER_COLLECTION)), {
+    productId,
+    productName,
+    delta,
+    previousStock,
+    newStock,
+    reason,
+    note,
+    orderId,
+    actor,
+    createdAt: serverTimestamp()
+  });
+};
+
+const inventoryLedger = {
+  addLedgerEntry
+};
+
+export default inventoryLedger;
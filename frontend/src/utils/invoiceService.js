@@ -0,0 +1,330 @@
+/**
+ * Invoice Service
+ *
+ * Issues GST tax invoice numbers and prepares the data printed on tax
+ * invoices and credit notes.
+ *
+ * Key Features:
+ * - Gap-free invoice numbering per Indian financial year (April to March)
+ * - Numbers are reserved in the same transaction that stores them on the
+ *   order, so a failed write never burns a number
+ * - An order keeps its invoice number forever; regenerating the PDF reuses it
+ * - The invoice is copied to the customer's users/{uid}/orders entry too
+ * - Line-level GST split for both new orders and orders placed before GST
+ *   breakdowns were stored
+ * - Amount in words using the Indian numbering system
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import featureConfig from './featureConfig';
+import { SUPPLY_TYPES, getSupplyType, DEFAULT_GST_RATE } from './gstUtils';
+
+/**
+ * Collection holding one counter document per series and financial year
+ */
+export const INVOICE_COUNTER_COLLECTION = 'invoiceCounters';
+
+/**
+ * Document number series; each has its own gap-free sequence
+ */
+export const DOCUMENT_SERIES = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN'
+};
+
+/**
+ * Orders in these statuses were never supplied, so no invoice is issued
+ */
+export const NON_INVOICEABLE_STATUSES = ['Cancelled', 'Declined'];
+
+/**
+ * Round a currency amount to two decimal places
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Get the Indian financial year a date falls in, e.g. 2025-26
+ *
+ * @param {Date} date - Date to classify
+ * @returns {string} - Financial year label
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format a document number, e.g. INV/2025-26/00042
+ *
+ * @param {string} series - Value from DOCUMENT_SERIES
+ * @param {string} financialYear - Financial year label
+ * @param {number} sequence - Position in the series
+ * @returns {string} - Printable document number
+ */
+export const formatDocumentNumber = (series, financialYear, sequence) =>
+  `${series}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+
+/**
+ * Seller details printed on every document, as configured in featureConfig
+ *
+ * @returns {Object} - { name, address, state, gstin }
+ */
+export const getSellerDetails = () => ({
+  name: featureConfig.tax.sellerName,
+  address: featureConfig.tax.sellerAddress,
+  state: featureConfig.tax.sellerState,
+  gstin: featureConfig.tax.sellerGstin
+});
+
+/**
+ * Read the next number in a series inside a transaction
+ * Must be called before any writes in the transaction; the caller writes the
+ * returned counter update together with the document that uses the number.
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} series - Value from DOCUMENT_SERIES
+ * @param {Date} issuedAt - Issue date, which decides the financial year
+ * @returns {Promise<Object>} - { counterRef, counterData, number, financialYear, sequence }
+ */
+const reserveDocumentNumber = async (transaction, series, issuedAt) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const counterRef = doc(db, INVOICE_COUNTER_COLLECTION, `${series}-${financialYear}`);
+  const counterSnapshot = await transaction.get(counterRef);
+  const sequence = (counterSnapshot.exists() ? counterSnapshot.data().lastNumber || 0 : 0) + 1;
+
+  return {
+    counterRef,
+    counterData: { series, financialYear, lastNumber: sequence, updatedAt: serverTimestamp() },
+    number: formatDocumentNumber(series, financialYear, sequence),
+    financialYear,
+    sequence
+  };
+};
+
+/**
+ * Find the copies of an order in its customer's users/{uid}/orders. Queries
+ * can't run inside a transaction, so the references are looked up first.
+ *
+ * @param {string} orderId - Global order ID
+ * @returns {Promise<Array>} - Document references, empty for guest orders
+ */
+const getUserOrderRefs = async (orderId) => {
+  const orderSnapshot = await getDoc(doc(db, 'orders', orderId));
+  const userId = orderSnapshot.exists() ? orderSnapshot.data().userId : null;
+  if (!userId) return [];
+
+  const userOrdersSnapshot = await getDocs(query(
+    collection(db, 'users', userId, 'orders'),
+    where('globalOrderId', '==', orderId)
+  ));
+  return userOrdersSnapshot.docs.map(userOrderDoc => userOrderDoc.ref);
+};
+
+/**
+ * Issue the tax invoice for an order, or return the one it already has
+ *
+ * @param {string} orderId - Global order ID
+ * @returns {Promise<Object>} - { success, invoice } or { success: false, error }
+ */
+export const issueInvoice = async (orderId) => {
+  console.log(`🧾 invoiceService: Issuing invoice for order ${orderId}`);
+
+  try {
+    const userOrderRefs = await getUserOrderRefs(orderId);
+    const invoice = await runTransaction(db, async (transaction) => {
+      const orderRef = doc(db, 'orders', orderId);
+      const orderSnapshot = await transaction.get(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      const order = orderSnapshot.data();
+      if (order.invoice?.number) {
+        return order.invoice;
+      }
+      if (NON_INVOICEABLE_STATUSES.includes(order.status)) {
+        throw new Error(`No invoice is issued for ${order.status.toLowerCase()} orders`);
+      }
+
+      const issuedAt = new Date();
+      const reserved = await reserveDocumentNumber(transaction, DOCUMENT_SERIES.INVOICE, issuedAt);
+      const newInvoice = {
+        number: reserved.number,
+        financialYear: reserved.financialYear,
+        sequence: reserved.sequence,
+        issuedAt: issuedAt.toISOString(),
+        seller: getSellerDetails()
+      };
+
+      transaction.set(reserved.counterRef, reserved.counterData, { merge: true });
+      transaction.update(orderRef, { invoice: newInvoice });
+      userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, { invoice: newInvoice }));
+      return newInvoice;
+    });
+
+    console.log(`✅ invoiceService: Order ${orderId} has invoice ${invoice.number}`);
+    return { success: true, invoice };
+  } catch (error) {
+    console.error('❌ invoiceService: Error issuing invoice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get the GST lines of an order for printing
+ * Orders placed since GST breakdowns were stored use them as they are. For
+ * older orders the stored tax is shared across lines in proportion to their
+ * value and split by the shipping state.
+ *
+ * @param {Object} order - Order data
+ * @returns {Object} - { supplyType, placeOfSupply, lines, totals }
+ */
+export const getInvoiceLines = (order) => {
+  const gst = order.financials?.gst;
+  if (gst?.lines) {
+    return {
+      supplyType: gst.supplyType,
+      placeOfSupply: gst.placeOfSupply,
+      lines: gst.lines,
+      totals: gst.totals
+    };
+  }
+
+  const items = order.items || [];
+  const address = order.shipping?.address || order.shippingAddress || {};
+  const sellerState = order.invoice?.seller?.state ?? featureConfig.tax.sellerState;
+  const supplyType = getSupplyType(address, sellerState);
+  const subtotal = roundCurrency(order.financials?.subtotal ?? order.subtotal);
+  const discount = roundCurrency(order.financials?.discount ?? order.discount);
+  const tax = roundCurrency(order.financials?.tax ?? order.tax);
+  const legacyRate = order.financials?.taxRate !== undefined
+    ? Math.round(order.financials.taxRate * 100)
+    : DEFAULT_GST_RATE;
+
+  let discountLeft = discount;
+  let taxLeft = tax;
+  const lines = items.map((item, index) => {
+    const isLast = index === items.length - 1;
+    const amount = roundCurrency((Number(item.price) || 0) * (item.quantity || 0));
+    const share = subtotal > 0 ? amount / subtotal : 0;
+    const lineDiscount = isLast ? discountLeft : roundCurrency(discount * share);
+    const lineTax = isLast ? taxLeft : roundCurrency(tax * share);
+    discountLeft = roundCurrency(discountLeft - lineDiscount);
+    taxLeft = roundCurrency(taxLeft - lineTax);
+
+    const cgst = supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(lineTax / 2) : 0;
+    return {
+      productId: item.productId || '',
+      name: item.name || '',
+      hsnCode: item.hsnCode || '',
+      gstRate: item.gstRate ?? legacyRate,
+      quantity: item.quantity || 0,
+      unitPrice: Number(item.price) || 0,
+      amount,
+      discount: lineDiscount,
+      taxableValue: roundCurrency(amount - lineDiscount),
+      cgst,
+      sgst: supplyType === SUPPLY_TYPES.INTRASTATE ? roundCurrency(lineTax - cgst) : 0,
+      igst: supplyType === SUPPLY_TYPES.INTERSTATE ? lineTax : 0,
+      tax: lineTax
+    };
+  });
+
+  const sum = (key) => roundCurrency(lines.reduce((total, line) => total + line[key], 0));
+  return {
+    supplyType,
+    placeOfSupply: address.state || address.country || '',
+    lines,
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      tax: sum('tax')
+    }
+  };
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Spell out a number below one thousand
+ */
+const hundredsInWords = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const parts = [];
+
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    parts.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? ` ${ONES[rest % 10]}` : ''));
+  } else if (rest) {
+    parts.push(ONES[rest]);
+  }
+  return parts.join(' ');
+};
+
+/**
+ * Spell out a whole number using crore, lakh and thousand
+ */
+const integerInWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const crore = Math.floor(number / 10000000);
+  const lakh = Math.floor((number % 10000000) / 100000);
+  const thousand = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+  const parts = [];
+
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${hundredsInWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${hundredsInWords(thousand)} Thousand`);
+  if (rest) parts.push(hundredsInWords(rest));
+  return parts.join(' ');
+};
+
+/**
+ * Spell out a rupee amount for invoices, e.g.
+ * "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+ *
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - Amount in words
+ */
+export const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${hundredsInWords(paise)} Paise` : ''} Only`;
+};
+
+const invoiceService = {
+  INVOICE_COUNTER_COLLECTION,
+  DOCUMENT_SERIES,
+  NON_INVOICEABLE_STATUSES,
+  getFinancialYear,
+  formatDocumentNumber,
+  getSellerDetails,
+  issueInvoice,
+  getInvoiceLines,
+  amountInWords
+};
+
+export default invoiceService;
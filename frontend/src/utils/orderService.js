@@ -17,8 +17,27 @@
  * @version 2.0.0
  */
 
-import { sendOrderShippedEmail, sendOrderConfirmationEmail } from './emailService';
+import { sendOrderShippedEmail, sendOrderConfirmationEmail, sendOrderStatusEmail } from './emailService';
 import featureConfig from './featureConfig';
+import CouponService from './couponService';
+import { addLedgerEntry, LEDGER_REASONS } from './inventoryLedger';
+import { calculateGstBreakdown, resolveProductTax } from './gstUtils';
+import {
+  SHIPPING_CARRIERS,
+  SHIPPING_RULES_DOC,
+  PIN_RESTRICTIONS_DOC,
+  normalizeShippingRules,
+  getShippingOptions,
+  checkPinServiceability
+} from './shippingService';
+import { validateAddress } from './addressBook';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  getPaymentProvider,
+  createPaymentRecord,
+  isPaymentConfirmed
+} from './paymentService';
 import { 
   doc, 
   getDoc, 
@@ -29,8 +48,10 @@ import {
   orderBy, 
   getDocs,
   writeBatch,
-  runTransaction
+  runTransaction,
+  increment
 } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
 import { db } from '../firebase/config';
 
 /**
@@ -38,6 +59,7 @@ import { db } from '../firebase/config';
  * These statuses align with the admin panel and customer tracking
  */
 export const ORDER_STATUSES = {
+  PENDING_PAYMENT: 'Pending Payment', // UPI/card order waiting for the gateway
   PLACED: 'Placed',           // Initial order placement
   APPROVED: 'Approved',       // Admin approval for processing
   PACKED: 'Packed',           // Order packed and ready to ship
@@ -45,29 +67,53 @@ export const ORDER_STATUSES = {
   DELIVERED: 'Delivered',     // Order delivered to customer
   DECLINED: 'Declined',       // Admin declined the order
   CANCELLED: 'Cancelled',     // Customer cancelled the order
+  RETURN_REQUESTED: 'Return Requested', // Customer asked to return delivered items
+  RETURN_APPROVED: 'Return Approved',   // Admin accepted the return request
+  RETURN_RECEIVED: 'Return Received',   // Returned items arrived back at the store
   REFUNDED: 'Refunded'        // Order refunded
 };
 
 /**
- * Carrier configuration for shipping
- * Defines available carriers and their tracking URL patterns
+ * Statuses in which the customer may still cancel the order themselves
  */
-export const SHIPPING_CARRIERS = {
-  INDIA_POST: {
-    name: 'IndiaPost',
-    code: 'INDIAPOST',
-    trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx'
-  },
-  DHL: {
-    name: 'DHL',
-    code: 'DHL',
-    trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html'
-  },
-  FEDEX: {
-    name: 'FedEx',
-    code: 'FEDEX',
-    trackingUrl: 'https://www.fedex.com/en-in/tracking.html'
-  }
+export const CUSTOMER_CANCELLABLE_STATUSES = [ORDER_STATUSES.PLACED, ORDER_STATUSES.APPROVED];
+
+/**
+ * Round a currency amount to two decimal places
+ * 
+ * @param {number} amount - Amount to round
+ * @returns {number} - Rounded amount
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Calculate order totals from priced line items
+ * GST is worked out per line from each item's gstRate on the subtotal after
+ * discount, split by the destination state; shipping is added on top.
+ * Used by the checkout pipeline and by the cart for its price preview so
+ * both always agree on the final amount.
+ * 
+ * @param {Array} items - Line items with price, quantity, gstRate and hsnCode
+ * @param {Object} options - Discount, shipping cost and shipping destination
+ * @returns {Object} - { subtotal, discount, tax, shipping, total, gst }
+ */
+const calculateOrderTotals = (items = [], { discount = 0, shippingCost = 0, destination = {} } = {}) => {
+  const subtotal = roundCurrency(
+    items.reduce((acc, item) => acc + (Number(item.price) || 0) * (item.quantity || 0), 0)
+  );
+  const appliedDiscount = roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+  const gst = calculateGstBreakdown(items, { discount: appliedDiscount, destination });
+  const tax = gst.totals.tax;
+  const shipping = roundCurrency(shippingCost);
+  
+  return {
+    subtotal,
+    discount: appliedDiscount,
+    tax,
+    shipping,
+    total: roundCurrency(subtotal - appliedDiscount + tax + shipping),
+    gst
+  };
 };
 
 /**
@@ -104,6 +150,21 @@ const processNewOrder = async (orderData, userData) => {
       throw new Error('Order must contain at least one item.');
     }
     
+    const addressErrors = Object.values(validateAddress(orderData.shipping?.address || {}));
+    if (addressErrors.length > 0) {
+      throw new Error(`Invalid delivery address: ${addressErrors[0]}`);
+    }
+    
+    const paymentMethod = orderData.payment?.method || PAYMENT_METHODS.COD;
+    const paymentProvider = getPaymentProvider(paymentMethod);
+    if (!paymentProvider) {
+      throw new Error(`${paymentMethod} payments are not available. Please choose another payment method.`);
+    }
+    const paymentDetailsError = paymentProvider.validateDetails(paymentMethod, orderData.payment?.details || {});
+    if (paymentDetailsError) {
+      throw new Error(paymentDetailsError);
+    }
+    
     // Generate unique identifiers with timestamp-based prefixes for easy sorting
     const timestamp = new Date().getTime().toString().slice(-6);
     const randomId = Math.random().toString(36).substring(2, 8).toUpperCase();
@@ -112,12 +173,19 @@ const processNewOrder = async (orderData, userData) => {
     
     console.log('📋 orderService: Generated Order ID:', orderId, 'Payment ID:', paymentId);
     
+    const initialStatus = paymentMethod === PAYMENT_METHODS.COD
+      ? ORDER_STATUSES.PLACED
+      : ORDER_STATUSES.PENDING_PAYMENT;
+
     // Enrich order data with additional metadata and standardized fields
     const completeOrderData = {
       ...orderData,
       // Core identification and timestamps
       orderId: orderId,
       paymentId: paymentId,
+      // Card numbers and CVVs typed at checkout never reach Firestore; the
+      // amount is filled in once prices are known
+      payment: createPaymentRecord({ id: paymentId, method: paymentMethod, provider: paymentProvider.id, amount: 0 }),
       createdAt: serverTimestamp(),
       updatedAt: serverTimestamp(),
       
@@ -127,13 +195,14 @@ const processNewOrder = async (orderData, userData) => {
       userEmail: userData?.email || orderData.userEmail,
       userPhone: userData?.phone || orderData.userPhone,
       
-      // Order status and workflow management
-      status: ORDER_STATUSES.PLACED,
+      // Order status and workflow management; UPI and card orders become
+      // Placed once the authorizePayment function has authorized them
+      status: initialStatus,
       statusHistory: [
         {
-          status: ORDER_STATUSES.PLACED,
+          status: initialStatus,
           timestamp: new Date().toISOString(),
-          note: 'Order placed successfully',
+          note: initialStatus === ORDER_STATUSES.PLACED ? 'Order placed successfully' : 'Waiting for payment',
           updatedBy: 'system'
         }
       ],
@@ -146,22 +215,14 @@ const processNewOrder = async (orderData, userData) => {
       // Tracking and fulfillment preparation
       tracking: {
         code: null,
-        carrier: orderData.shipping?.address?.country === 'India' ? SHIPPING_CARRIERS.INDIA_POST.name : SHIPPING_CARRIERS.DHL.name,
+        carrier: null, // Set from the chosen shipping option inside the transaction
         url: null,
         estimatedDelivery: null,
         actualDelivery: null
-      },
-      
-      // Financial tracking
-      financials: {
-        subtotal: orderData.subtotal || 0,
-        tax: orderData.tax || 0,
-        shipping: orderData.shipping?.cost || 0,
-        discount: orderData.discount || 0,
-        total: orderData.totalAmount || orderData.total || 0,
-        currency: 'INR',
-        exchangeRate: 1.0 // For future multi-currency support
       }
+      
+      // Pricing and financial tracking are added inside the transaction
+      // once prices have been read from the product documents
     };
     
     console.log('💾 orderService: Creating order document in Firestore collections');
@@ -193,17 +254,159 @@ const processNewOrder = async (orderData, userData) => {
         }
       }
       
+      // Read the categories of the ordered products for their GST rates
+      const categoryIds = [...new Set(
+        productReads.map(({ doc: productDoc }) => productDoc.data().category).filter(Boolean)
+      )];
+      const categoryDocs = await Promise.all(
+        categoryIds.map(categoryId => transaction.get(doc(db, "categories", categoryId)))
+      );
+      const categoriesById = {};
+      categoryDocs.forEach(categoryDoc => {
+        if (categoryDoc.exists()) categoriesById[categoryDoc.id] = categoryDoc.data();
+      });
+      
+      // Price and tax every line from the product document rather than trusting the client
+      const pricedItems = productReads.map(({ doc: productDoc, item }) => {
+        const product = productDoc.data();
+        const storedPrice = Number.parseFloat(product.price);
+        return {
+          ...item,
+          price: Number.isNaN(storedPrice) ? Number(item.price) || 0 : storedPrice,
+          ...resolveProductTax(product, categoriesById[product.category])
+        };
+      });
+      const itemsSubtotal = calculateOrderTotals(pricedItems).subtotal;
+      
+      // Apply the coupon against the freshly priced items
+      let appliedCoupon = null;
+      let couponRef = null;
+      if (orderData.couponCode) {
+        const couponResult = await CouponService.validateCoupon(
+          orderData.couponCode,
+          pricedItems.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            product: { price: item.price }
+          })),
+          itemsSubtotal,
+          userData.uid
+        );
+        
+        if (!couponResult.valid) {
+          throw new Error(couponResult.message);
+        }
+        
+        // Re-read the coupon inside the transaction so concurrent checkouts
+        // cannot push it past its usage limit
+        couponRef = doc(db, "coupons", couponResult.coupon.id);
+        const couponDoc = await transaction.get(couponRef);
+        const { maxUses = 0, usedCount = 0 } = couponDoc.exists() ? couponDoc.data() : {};
+        if (!couponDoc.exists() || (maxUses > 0 && usedCount >= maxUses)) {
+          throw new Error('This coupon has reached its maximum usage limit.');
+        }
+        
+        appliedCoupon = {
+          id: couponResult.coupon.id,
+          code: couponResult.coupon.code,
+          discountType: couponResult.coupon.discountType,
+          discountValue: couponResult.coupon.discountValue,
+          discountAmount: roundCurrency(couponResult.discountAmount),
+          isProductSpecific: !!couponResult.isProductSpecific,
+          appliedToProductIds: couponResult.appliedToCartItems || []
+        };
+      }
+      
+      // Price shipping from the current rules rather than the cost the cart showed
+      const destination = orderData.shipping?.address || orderData.shippingAddress;
+      const rulesDoc = await transaction.get(doc(db, SHIPPING_RULES_DOC.collection, SHIPPING_RULES_DOC.id));
+      const shippingRules = normalizeShippingRules(rulesDoc.exists() ? rulesDoc.data() : null);
+      const { zone, weight, options } = getShippingOptions(shippingRules, {
+        items: productReads.map(({ doc: productDoc, item }) => ({
+          quantity: item.quantity,
+          weight: productDoc.data().weight
+        })),
+        orderValue: Math.max(0, roundCurrency(itemsSubtotal - (appliedCoupon?.discountAmount || 0))),
+        destination
+      });
+      if (!zone) {
+        throw new Error(`Sorry, we do not ship to ${destination?.state || destination?.country || 'this address'} yet.`);
+      }
+
+      // PIN ranges admins have closed to deliveries or to cash on delivery
+      const restrictionsDoc = await transaction.get(doc(db, PIN_RESTRICTIONS_DOC.collection, PIN_RESTRICTIONS_DOC.id));
+      const destinationPin = destination?.pin || destination?.zip;
+      const serviceability = checkPinServiceability(
+        restrictionsDoc.exists() ? restrictionsDoc.data().ranges || [] : [],
+        { country: destination?.country, pin: destinationPin }
+      );
+      if (!serviceability.serviceable) {
+        throw new Error(`Sorry, we can't deliver to PIN ${destinationPin} yet.`);
+      }
+      if (!serviceability.codAvailable && paymentMethod === PAYMENT_METHODS.COD) {
+        throw new Error(`Cash on delivery isn't available for PIN ${destinationPin}.`);
+      }
+
+      const shippingOption = options.find(option => option.service === (orderData.shipping?.service || 'standard'));
+      if (!shippingOption) {
+        throw new Error('The selected shipping option is not available for this address. Please choose another.');
+      }
+      
+      const totals = calculateOrderTotals(pricedItems, {
+        discount: appliedCoupon?.discountAmount || 0,
+        shippingCost: shippingOption.cost,
+        destination
+      });
+      
+      const pricedOrderData = {
+        ...completeOrderData,
+        items: pricedItems,
+        shipping: {
+          ...orderData.shipping,
+          service: shippingOption.service,
+          method: shippingOption.label,
+          carrier: shippingOption.carrier,
+          zone: zone.name,
+          weight,
+          cost: shippingOption.cost,
+          freeShipping: shippingOption.free,
+          estimatedDays: shippingOption.estimatedDays,
+          estimatedDelivery: shippingOption.estimatedDelivery.toISOString()
+        },
+        tracking: {
+          ...completeOrderData.tracking,
+          carrier: shippingOption.carrier,
+          service: shippingOption.service
+        },
+        payment: { ...completeOrderData.payment, amount: totals.total },
+        coupon: appliedCoupon,
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        discount: totals.discount,
+        totalAmount: totals.total,
+        financials: {
+          subtotal: totals.subtotal,
+          tax: totals.tax,
+          gst: totals.gst,
+          shipping: totals.shipping,
+          discount: totals.discount,
+          total: totals.total,
+          currency: 'INR',
+          exchangeRate: 1.0 // For future multi-currency support
+        }
+      };
+      
       // Now perform ALL WRITES after all reads are complete
       
       // Create main order document in global orders collection (for admin access)
       const globalOrderRef = doc(collection(db, "orders"));
-      transaction.set(globalOrderRef, completeOrderData);
+      transaction.set(globalOrderRef, pricedOrderData);
       
       // Create user-specific order document (for customer access)
       // This follows Firebase security rules pattern
       const userOrderRef = doc(collection(db, "users", userData.uid, "orders"));
       const userOrderData = {
-        ...completeOrderData,
+        ...pricedOrderData,
         // Store reference to global order for data consistency
         globalOrderId: globalOrderRef.id
       };
@@ -220,21 +423,87 @@ const processNewOrder = async (orderData, userData) => {
             lastSold: serverTimestamp()
           });
           
+          addLedgerEntry(transaction, {
+            productId: productRead.item.productId,
+            productName: productRead.item.name,
+            delta: newStock - currentStock,
+            previousStock: currentStock,
+            newStock,
+            reason: LEDGER_REASONS.SALE,
+            orderId: globalOrderRef.id,
+            actor: userData.uid
+          });
+          
           console.log(`📦 orderService: Updated stock for ${productRead.item.name}: ${currentStock} → ${newStock}`);
         }
       }
       
+      // Count the coupon redemption in the same transaction as the order
+      if (couponRef) {
+        transaction.update(couponRef, {
+          usedCount: increment(1),
+          lastUsedAt: serverTimestamp()
+        });
+        
+        console.log(`🎟️ orderService: Recorded usage of coupon ${appliedCoupon.code}`);
+      }
+      
       return {
         globalOrderId: globalOrderRef.id,
-        userOrderId: userOrderRef.id
+        userOrderId: userOrderRef.id,
+        orderData: pricedOrderData
       };
     });
     
     console.log('✅ orderService: Order created successfully with Global ID:', orderResult.globalOrderId);
     
+    // Take the payment now that the order total is final. Gateway orders wait
+    // in Pending Payment; a decline, or a gateway that can't be reached,
+    // releases them without a confirmation or cancellation email
+    if (initialStatus === ORDER_STATUSES.PENDING_PAYMENT) {
+      let paymentResult;
+      try {
+        paymentResult = await paymentProvider.startPayment({
+          orderId: orderResult.globalOrderId,
+          details: orderData.payment?.details || {}
+        });
+      } catch (error) {
+        console.error('❌ orderService: Payment authorization error:', error);
+        paymentResult = { status: PAYMENT_STATUSES.FAILED, error: 'The payment gateway could not be reached' };
+      }
+
+      const release = paymentResult.status === PAYMENT_STATUSES.AUTHORIZED
+        ? null
+        : await releaseUnpaidOrder(orderResult.globalOrderId, userData.uid, `Payment failed: ${paymentResult.error}`);
+
+      if (release && !release.released && release.order.status === ORDER_STATUSES.PLACED) {
+        // The gateway authorized the order even though the reply never arrived
+        paymentResult = {
+          status: PAYMENT_STATUSES.AUTHORIZED,
+          payment: release.order.payment,
+          statusHistory: release.order.statusHistory
+        };
+      } else if (release) {
+        return {
+          success: false,
+          error: `Payment failed: ${paymentResult.error}. Your order was not placed and you have not been charged.`,
+          emailSent: false,
+          emailError: 'Payment failed',
+          errorCode: 'PAYMENT_FAILED'
+        };
+      }
+
+      orderResult.orderData = {
+        ...orderResult.orderData,
+        status: ORDER_STATUSES.PLACED,
+        statusHistory: paymentResult.statusHistory,
+        payment: paymentResult.payment
+      };
+    }
+    
     // Prepare enriched order data for email with final IDs
     const orderForEmail = {
-      ...completeOrderData,
+      ...orderResult.orderData,
       id: orderResult.globalOrderId,
       orderId: orderResult.globalOrderId
     };
@@ -280,14 +549,15 @@ const processNewOrder = async (orderData, userData) => {
       paymentId: paymentId,
       emailSent: emailResult.success,
       emailError: emailResult.success ? null : emailResult.error,
-      orderData: completeOrderData
+      orderData: orderResult.orderData
     };
   } catch (error) {
     console.error("❌ orderService: Critical error processing order:", error);
     
     // Provide more detailed error information for debugging
+    // Validation errors thrown above (stock, coupon, auth) are already user-facing
     let errorMessage = error.message;
-    let userFriendlyMessage = 'Failed to process order. Please try again.';
+    let userFriendlyMessage = error.message || 'Failed to process order. Please try again.';
     
     if (error.code) {
       errorMessage = `${error.code}: ${error.message}`;
@@ -375,11 +645,15 @@ const updateOrderStatus = async (orderId, newStatus, updateInfo = {}, adminUserI
     
     // Validate status progression (business rules)
     const validTransitions = {
+      [ORDER_STATUSES.PENDING_PAYMENT]: [ORDER_STATUSES.CANCELLED],
       [ORDER_STATUSES.PLACED]: [ORDER_STATUSES.APPROVED, ORDER_STATUSES.DECLINED, ORDER_STATUSES.CANCELLED],
       [ORDER_STATUSES.APPROVED]: [ORDER_STATUSES.PACKED, ORDER_STATUSES.CANCELLED],
       [ORDER_STATUSES.PACKED]: [ORDER_STATUSES.SHIPPED, ORDER_STATUSES.CANCELLED],
       [ORDER_STATUSES.SHIPPED]: [ORDER_STATUSES.DELIVERED],
-      [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.REFUNDED], // Only if return requested
+      [ORDER_STATUSES.DELIVERED]: [ORDER_STATUSES.RETURN_REQUESTED],
+      [ORDER_STATUSES.RETURN_REQUESTED]: [ORDER_STATUSES.RETURN_APPROVED, ORDER_STATUSES.DELIVERED],
+      [ORDER_STATUSES.RETURN_APPROVED]: [ORDER_STATUSES.RETURN_RECEIVED],
+      [ORDER_STATUSES.RETURN_RECEIVED]: [ORDER_STATUSES.REFUNDED],
     };
     
     if (validTransitions[currentStatus] && !validTransitions[currentStatus].includes(newStatus)) {
@@ -387,6 +661,19 @@ const updateOrderStatus = async (orderId, newStatus, updateInfo = {}, adminUserI
       // Allow the transition but log the warning - admin override capability
     }
     
+    // Payment is the one rule admins can't override. UPI and card payments
+    // count only once the authorizePayment function has recorded them, as
+    // the order's own payment field is written from the browser
+    if (currentStatus === ORDER_STATUSES.PLACED && newStatus === ORDER_STATUSES.APPROVED) {
+      const paymentMethod = currentOrder.payment?.method || PAYMENT_METHODS.COD;
+      const paymentConfirmed = paymentMethod === PAYMENT_METHODS.COD
+        ? isPaymentConfirmed(currentOrder.payment)
+        : (await getDoc(doc(db, "paymentAuthorizations", orderId))).data()?.status === PAYMENT_STATUSES.AUTHORIZED;
+      if (!paymentConfirmed) {
+        throw new Error('Payment is not confirmed yet. Verify the COD order or wait for the payment to be authorized.');
+      }
+    }
+    
     // Create status history entry with detailed information
     const statusUpdate = {
       status: newStatus,
@@ -480,6 +767,17 @@ const updateOrderStatus = async (orderId, newStatus, updateInfo = {}, adminUserI
               lastRestored: serverTimestamp()
             });
             
+            addLedgerEntry(transaction, {
+              productId: item.productId,
+              productName: item.name,
+              delta: item.quantity,
+              previousStock: currentStock,
+              newStock: restoredStock,
+              reason: LEDGER_REASONS.CANCELLATION,
+              orderId,
+              actor: adminUserId
+            });
+            
             console.log(`📦 orderService: Restored stock for ${item.name}: ${currentStock} → ${restoredStock}`);
           }
         }
@@ -491,7 +789,11 @@ const updateOrderStatus = async (orderId, newStatus, updateInfo = {}, adminUserI
     // Send status change notification email if configured
     if (featureConfig.email.enabled && updateInfo.notifyCustomer !== false) {
       try {
-        await sendStatusChangeNotification(currentOrder, newStatus, updateInfo);
+        await sendStatusChangeNotification(
+          { ...currentOrder, id: orderId, statusHistory: updateData.statusHistory },
+          newStatus,
+          updateInfo
+        );
       } catch (emailError) {
         console.error('❌ orderService: Failed to send status change notification:', emailError);
       }
@@ -563,19 +865,16 @@ const updateOrderToShipped = async (orderId, shipmentInfo, userId, adminUserId =
     const userData = userSnapshot.data();
     
     // Generate tracking URL based on carrier
-    let trackingUrl = null;
-    const carrier = Object.values(SHIPPING_CARRIERS).find(c => 
-      c.name.toLowerCase() === shipmentInfo.carrier.toLowerCase()
-    );
-    
-    if (carrier) {
-      trackingUrl = carrier.trackingUrl;
-    }
-    
-    // Calculate estimated delivery date
+    const trackingUrl = buildTrackingUrl(shipmentInfo.carrier, shipmentInfo.trackingNumber);
+    
+    // Calculate estimated delivery date from the carrier's delivery days
+    const carrier = findCarrier(shipmentInfo.carrier);
+    const service = shipmentInfo.service === 'express' || order.shipping?.method === 'Express Shipping'
+      ? 'express'
+      : 'standard';
+    const estimatedDays = carrier?.estimatedDays[service] || 7;
     const estimatedDeliveryDate = new Date();
-    estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + 
-      (order.shipping?.method === 'Express Shipping' ? 2 : 7));
+    estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + estimatedDays);
     
     // Prepare comprehensive tracking information
     const trackingData = {
@@ -600,7 +899,7 @@ const updateOrderToShipped = async (orderId, shipmentInfo, userId, adminUserId =
         metadata: {
           shippingService: shipmentInfo.service,
           weight: shipmentInfo.weight,
-          estimatedDeliveryDays: order.shipping?.method === 'Express Shipping' ? 2 : 7
+          estimatedDeliveryDays: estimatedDays
         }
       },
       adminUserId
@@ -615,6 +914,7 @@ const updateOrderToShipped = async (orderId, shipmentInfo, userId, adminUserId =
       try {
         const enrichedOrder = {
           ...order,
+          id: orderId,
           status: ORDER_STATUSES.SHIPPED,
           tracking: trackingData
         };
@@ -649,6 +949,508 @@ const updateOrderToShipped = async (orderId, shipmentInfo, userId, adminUserId =
   }
 };
 
+/**
+ * Convert a Firestore timestamp, ISO string or Date into a Date
+ *
+ * @param {*} value - Timestamp-like value
+ * @returns {Date|null} - Parsed date or null when missing/invalid
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Work out whether a delivered order can still be returned
+ * The window starts at deliveredAt, falling back to the Delivered entry in
+ * the status history for orders delivered before that field existed
+ *
+ * @param {Object} order - Order data
+ * @returns {Object} - { eligible, deliveredAt, deadline, daysLeft, windowDays }
+ */
+const getReturnWindowInfo = (order) => {
+  const windowDays = featureConfig.returns.windowDays;
+  const deliveredEntry = [...(order?.statusHistory || [])]
+    .reverse()
+    .find(entry => entry.status === ORDER_STATUSES.DELIVERED);
+  const deliveredAt = toDate(order?.deliveredAt) || toDate(deliveredEntry?.timestamp);
+
+  if (order?.status !== ORDER_STATUSES.DELIVERED || !deliveredAt) {
+    return { eligible: false, deliveredAt, deadline: null, daysLeft: 0, windowDays };
+  }
+
+  const deadline = new Date(deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+  const msLeft = deadline.getTime() - Date.now();
+
+  return {
+    eligible: msLeft > 0,
+    deliveredAt,
+    deadline,
+    daysLeft: Math.max(0, Math.ceil(msLeft / (24 * 60 * 60 * 1000))),
+    windowDays
+  };
+};
+
+/**
+ * Look up a carrier by its display name or code
+ *
+ * @param {string} carrierName - Carrier name or code stored on the order
+ * @returns {Object|null} - Carrier configuration from SHIPPING_CARRIERS
+ */
+const findCarrier = (carrierName) => {
+  if (!carrierName) return null;
+  const needle = carrierName.toLowerCase();
+  return Object.values(SHIPPING_CARRIERS).find(carrier =>
+    carrier.name.toLowerCase() === needle || carrier.code.toLowerCase() === needle
+  ) || null;
+};
+
+/**
+ * Build the carrier link for a tracking code, going straight to the
+ * shipment when the carrier supports it
+ *
+ * @param {string} carrierName - Carrier name or code
+ * @param {string} trackingCode - Tracking number from the carrier
+ * @returns {string|null} - Tracking URL, or null for unknown carriers
+ */
+const buildTrackingUrl = (carrierName, trackingCode) => {
+  const carrier = findCarrier(carrierName);
+  if (!carrier) return null;
+  if (trackingCode && carrier.trackingDeepLink) {
+    return carrier.trackingDeepLink.replace('{code}', encodeURIComponent(trackingCode));
+  }
+  return carrier.trackingUrl;
+};
+
+/**
+ * Estimate when an order will arrive from its carrier's standard or express
+ * delivery days. The estimate counts from the shipping date once the order
+ * has shipped and from the order date before that.
+ *
+ * @param {Object} order - Order data
+ * @returns {Object|null} - { date, days, service, fromShipment } or null once delivered or closed
+ */
+const getEstimatedDelivery = (order) => {
+  const openStatuses = [
+    ORDER_STATUSES.PLACED,
+    ORDER_STATUSES.APPROVED,
+    ORDER_STATUSES.PACKED,
+    ORDER_STATUSES.SHIPPED
+  ];
+  if (!order || !openStatuses.includes(order.status)) return null;
+
+  const tracking = order.tracking || {};
+  const carrier = findCarrier(tracking.carrier) || findCarrier(order.shipping?.carrier) ||
+    (order.shippingAddress?.country && order.shippingAddress.country !== 'India'
+      ? SHIPPING_CARRIERS.DHL
+      : SHIPPING_CARRIERS.INDIA_POST);
+
+  const requestedService = tracking.service || tracking.carrier_service ||
+    order.shipping?.service || order.shipping?.method || '';
+  const service = requestedService.toLowerCase().includes('express') ? 'express' : 'standard';
+  const days = carrier.estimatedDays[service];
+
+  const shippedEntry = (order.statusHistory || []).find(entry => entry.status === ORDER_STATUSES.SHIPPED);
+  const shippedAt = toDate(tracking.shippedDate) || toDate(order.shippedAt) || toDate(shippedEntry?.timestamp);
+  const startDate = shippedAt || toDate(order.orderDate) || toDate(order.createdAt) || new Date();
+
+  const date = new Date(startDate);
+  date.setDate(date.getDate() + days);
+
+  return { date, days, service, carrier: carrier.name, fromShipment: Boolean(shippedAt) };
+};
+
+/**
+ * Load an order for the public tracking page
+ * Orders are only readable by their owner, so the lookup runs in the
+ * trackOrder Cloud Function, which checks the order reference and the email
+ * the order was placed with together. Signed-in owners can look up their own
+ * orders without the email. Accepts either the Firestore document ID or the
+ * ORDER-xxxx reference shown to customers.
+ *
+ * @param {string} orderReference - Order document ID or order reference
+ * @param {Object} credentials - Lookup credentials
+ * @param {string} credentials.email - Email used at checkout (guests)
+ * @returns {Promise<Object>} - Result with a trimmed-down order for display
+ */
+const getOrderForTracking = async (orderReference, { email = '' } = {}) => {
+  console.log(`🔎 orderService: Looking up order ${orderReference} for tracking`);
+
+  try {
+    const reference = orderReference?.trim().replace(/^#/, '');
+    if (!reference) {
+      throw new Error('Please enter your order ID');
+    }
+
+    const trackOrder = httpsCallable(getFunctions(), 'trackOrder');
+    const { data } = await trackOrder({ orderReference: reference, email: email.trim() });
+    return { success: true, order: data.order };
+  } catch (error) {
+    console.error('❌ orderService: Error looking up order for tracking:', error);
+    return { success: false, error: error.message || 'Failed to look up order' };
+  }
+};
+
+/**
+ * Find the refs of the user's copies of a global order
+ * Queries cannot run inside a transaction, so callers look these up first
+ *
+ * @param {string} userId - Order owner
+ * @param {string} orderId - Global order ID
+ * @returns {Promise<Array>} - Document references in users/{uid}/orders
+ */
+const getUserOrderRefs = async (userId, orderId) => {
+  const userOrdersSnapshot = await getDocs(query(
+    collection(db, "users", userId, "orders"),
+    where("globalOrderId", "==", orderId)
+  ));
+  return userOrdersSnapshot.docs.map(userOrderDoc => userOrderDoc.ref);
+};
+
+/**
+ * Read the products and coupon an order holds, for releaseOrderStock
+ * Firestore transactions need every read before the first write
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} order - Order data
+ * @returns {Promise<Object>} - { productSnapshots, couponSnapshot }
+ */
+const readOrderStock = async (transaction, order) => {
+  const productSnapshots = await Promise.all(
+    (order.items || []).map(item => transaction.get(doc(db, "products", item.productId)))
+  );
+  const couponSnapshot = order.coupon?.id
+    ? await transaction.get(doc(db, "coupons", order.coupon.id))
+    : null;
+  return { productSnapshots, couponSnapshot };
+};
+
+/**
+ * Give back the stock and coupon redemption held by an order that will not
+ * be fulfilled, with a cancellation entry in the inventory ledger
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} orderId - Global order ID
+ * @param {Object} order - Order data
+ * @param {Object} snapshots - Result of readOrderStock
+ * @param {string} actor - Who released the order
+ */
+const releaseOrderStock = (transaction, orderId, order, { productSnapshots, couponSnapshot }, actor) => {
+  productSnapshots.forEach((productSnapshot, index) => {
+    const item = order.items[index];
+    if (!productSnapshot.exists()) {
+      console.warn(`⚠️ orderService: Product ${item.productId} no longer exists, skipping restock`);
+      return;
+    }
+
+    const currentStock = productSnapshot.data().stock || 0;
+    const restoredStock = currentStock + item.quantity;
+    transaction.update(productSnapshot.ref, {
+      stock: restoredStock,
+      lastRestored: serverTimestamp()
+    });
+    addLedgerEntry(transaction, {
+      productId: item.productId,
+      productName: item.name,
+      delta: item.quantity,
+      previousStock: currentStock,
+      newStock: restoredStock,
+      reason: LEDGER_REASONS.CANCELLATION,
+      orderId,
+      actor
+    });
+    console.log(`📦 orderService: Restored stock for ${item.name}: ${currentStock} → ${restoredStock}`);
+  });
+
+  // The cancelled order no longer counts towards the coupon's usage limit
+  if (couponSnapshot?.exists()) {
+    transaction.update(couponSnapshot.ref, { usedCount: increment(-1) });
+    console.log(`🎟️ orderService: Released usage of coupon ${order.coupon.code}`);
+  }
+};
+
+/**
+ * Release a UPI or card order whose payment did not go through
+ * The order never reached Placed, so no email is sent. Nothing changes if
+ * the order has left Pending Payment, e.g. because the gateway authorized it
+ * after all.
+ *
+ * @param {string} orderId - Global order ID
+ * @param {string} userId - ID of the signed-in customer
+ * @param {string} reason - Why the payment failed
+ * @returns {Promise<Object>} - { released, order } with the order as it now stands
+ */
+const releaseUnpaidOrder = async (orderId, userId, reason) => {
+  const orderRef = doc(db, "orders", orderId);
+  const userOrderRefs = await getUserOrderRefs(userId, orderId);
+
+  return runTransaction(db, async (transaction) => {
+    const orderSnapshot = await transaction.get(orderRef);
+    const order = orderSnapshot.data();
+    if (order.status !== ORDER_STATUSES.PENDING_PAYMENT) {
+      return { released: false, order };
+    }
+
+    const stockSnapshots = await readOrderStock(transaction, order);
+    const data = {
+      status: ORDER_STATUSES.CANCELLED,
+      updatedAt: serverTimestamp(),
+      cancelledAt: serverTimestamp(),
+      cancelledBy: 'system',
+      cancellationReason: reason,
+      statusHistory: [
+        ...(order.statusHistory || []),
+        {
+          status: ORDER_STATUSES.CANCELLED,
+          timestamp: new Date().toISOString(),
+          note: reason,
+          updatedBy: 'system',
+          previousStatus: order.status
+        }
+      ]
+    };
+
+    releaseOrderStock(transaction, orderId, order, stockSnapshots, 'system');
+    transaction.update(orderRef, data);
+    userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, data));
+
+    console.log(`🔓 orderService: Released unpaid order ${orderId}`);
+    return { released: true, order: { ...order, ...data } };
+  });
+};
+
+/**
+ * Cancel an order on behalf of the customer who placed it
+ * Only orders that have not been packed yet can be cancelled. Stock for every
+ * item and the coupon redemption are given back in the same transaction, and
+ * an authorized or captured UPI or card payment is then refunded by the
+ * releaseCancelledPayment function.
+ *
+ * @param {string} orderId - Global order ID
+ * @param {string} userId - ID of the signed-in customer
+ * @param {string} reason - Cancellation reason given by the customer
+ * @returns {Promise<Object>} - Result with success status
+ */
+const cancelOrderByCustomer = async (orderId, userId, reason = '') => {
+  console.log(`🛑 orderService: Customer cancelling order ${orderId}`);
+
+  try {
+    const orderRef = doc(db, "orders", orderId);
+    const userOrderRefs = await getUserOrderRefs(userId, orderId);
+
+    const { data: updateData, order } = await runTransaction(db, async (transaction) => {
+      const orderSnapshot = await transaction.get(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error('Order not found');
+      }
+
+      const order = orderSnapshot.data();
+      if (order.userId !== userId) {
+        throw new Error('You can only cancel your own orders');
+      }
+      if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+        throw new Error(`Orders that are ${order.status.toLowerCase()} can no longer be cancelled`);
+      }
+
+      // Read every product before writing anything
+      const stockSnapshots = await readOrderStock(transaction, order);
+
+      const cancellationReason = reason.trim() || 'Cancelled by customer';
+      const data = {
+        status: ORDER_STATUSES.CANCELLED,
+        updatedAt: serverTimestamp(),
+        cancelledAt: serverTimestamp(),
+        cancelledBy: userId,
+        cancellationReason,
+        statusHistory: [
+          ...(order.statusHistory || []),
+          {
+            status: ORDER_STATUSES.CANCELLED,
+            timestamp: new Date().toISOString(),
+            note: `Cancelled by customer: ${cancellationReason}`,
+            updatedBy: userId,
+            previousStatus: order.status
+          }
+        ]
+      };
+
+      releaseOrderStock(transaction, orderId, order, stockSnapshots, userId);
+
+      transaction.update(orderRef, data);
+      userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, data));
+
+      return { data, order };
+    });
+
+    console.log(`✅ orderService: Order ${orderId} cancelled by customer`);
+
+    // Give back a UPI or card payment through the gateway; if that fails the
+    // order stays Cancelled and the store refunds it from the admin panel
+    let refundWarning = null;
+    if (order.payment?.method && order.payment.method !== PAYMENT_METHODS.COD &&
+        [PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(order.payment.status)) {
+      try {
+        const releaseCancelledPayment = httpsCallable(getFunctions(), 'releaseCancelledPayment');
+        await releaseCancelledPayment({ orderId });
+        console.log(`💸 orderService: Refunded payment for cancelled order ${orderId}`);
+      } catch (refundError) {
+        console.error('❌ orderService: Failed to refund cancelled order:', refundError);
+        refundWarning = 'Your refund could not be started automatically. Our team will refund your payment shortly.';
+      }
+    }
+
+    if (featureConfig.email.enabled) {
+      try {
+        await sendStatusChangeNotification(
+          { ...order, id: orderId, statusHistory: updateData.statusHistory },
+          ORDER_STATUSES.CANCELLED,
+          { reason: updateData.cancellationReason }
+        );
+      } catch (emailError) {
+        console.error('❌ orderService: Failed to send cancellation email:', emailError);
+      }
+    }
+    return {
+      success: true,
+      status: ORDER_STATUSES.CANCELLED,
+      statusHistory: updateData.statusHistory,
+      cancellationReason: updateData.cancellationReason,
+      refundWarning
+    };
+  } catch (error) {
+    console.error('❌ orderService: Error cancelling order:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to cancel order'
+    };
+  }
+};
+
+/**
+ * Request a return for some or all items of a delivered order
+ * The refund estimate is the returned items' share of what the customer
+ * paid for goods, so coupon discounts and tax are spread proportionally.
+ *
+ * @param {string} orderId - Global order ID
+ * @param {string} userId - ID of the signed-in customer
+ * @param {Object} request - Return request details
+ * @param {string} request.reason - Why the items are being returned
+ * @param {Object} request.quantities - Map of productId to quantity being returned
+ * @param {string} request.comments - Optional extra details
+ * @returns {Promise<Object>} - Result with the saved return request
+ */
+const requestOrderReturn = async (orderId, userId, { reason, quantities = {}, comments = '' } = {}) => {
+  console.log(`↩️ orderService: Customer requesting return for order ${orderId}`);
+
+  try {
+    if (!reason) {
+      throw new Error('Please choose a reason for the return');
+    }
+
+    const orderRef = doc(db, "orders", orderId);
+    const userOrderRefs = await getUserOrderRefs(userId, orderId);
+
+    const returnRequest = await runTransaction(db, async (transaction) => {
+      const orderSnapshot = await transaction.get(orderRef);
+      if (!orderSnapshot.exists()) {
+        throw new Error('Order not found');
+      }
+
+      const order = orderSnapshot.data();
+      if (order.userId !== userId) {
+        throw new Error('You can only return items from your own orders');
+      }
+
+      const windowInfo = getReturnWindowInfo(order);
+      if (!windowInfo.eligible) {
+        throw new Error(order.status === ORDER_STATUSES.DELIVERED
+          ? `The ${windowInfo.windowDays}-day return window for this order has closed`
+          : 'Only delivered orders can be returned');
+      }
+
+      const items = (order.items || [])
+        .map(item => ({
+          productId: item.productId,
+          name: item.name,
+          price: item.price,
+          quantity: Math.min(Number(quantities[item.productId]) || 0, item.quantity)
+        }))
+        .filter(item => item.quantity > 0);
+
+      if (items.length === 0) {
+        throw new Error('Select at least one item to return');
+      }
+
+      const subtotal = order.financials?.subtotal || order.subtotal || 0;
+      const paidForGoods = (order.financials?.total ?? order.totalAmount ?? subtotal)
+        - (order.financials?.shipping || 0);
+      const returnedValue = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      const refundAmount = subtotal > 0
+        ? roundCurrency(paidForGoods * (returnedValue / subtotal))
+        : roundCurrency(returnedValue);
+
+      const request = {
+        reason,
+        comments: comments.trim(),
+        items,
+        refundAmount,
+        status: 'requested',
+        requestedAt: new Date().toISOString(),
+        requestedBy: userId
+      };
+
+      const data = {
+        status: ORDER_STATUSES.RETURN_REQUESTED,
+        updatedAt: serverTimestamp(),
+        returnRequest: request,
+        statusHistory: [
+          ...(order.statusHistory || []),
+          {
+            status: ORDER_STATUSES.RETURN_REQUESTED,
+            timestamp: request.requestedAt,
+            note: `Return requested: ${reason}`,
+            updatedBy: userId,
+            previousStatus: order.status
+          }
+        ]
+      };
+
+      transaction.update(orderRef, data);
+      userOrderRefs.forEach(userOrderRef => transaction.update(userOrderRef, data));
+
+      return { ...request, statusHistory: data.statusHistory, order };
+    });
+
+    const { statusHistory, order, ...savedRequest } = returnRequest;
+
+    console.log(`✅ orderService: Return requested for order ${orderId}`);
+
+    if (featureConfig.email.enabled) {
+      try {
+        await sendStatusChangeNotification(
+          { ...order, id: orderId, statusHistory, returnRequest: savedRequest },
+          ORDER_STATUSES.RETURN_REQUESTED
+        );
+      } catch (emailError) {
+        console.error('❌ orderService: Failed to send return request email:', emailError);
+      }
+    }
+    return {
+      success: true,
+      status: ORDER_STATUSES.RETURN_REQUESTED,
+      statusHistory,
+      returnRequest: savedRequest
+    };
+  } catch (error) {
+    console.error('❌ orderService: Error requesting return:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to request return'
+    };
+  }
+};
+
 /**
  * Retrieve a single order by its ID with comprehensive data
  * This function fetches complete order information including enriched metadata
@@ -800,6 +1602,9 @@ const getOrderAnalytics = async (filters = {}) => {
     const totalRevenue = orders.reduce((sum, order) => sum + (order.financials?.total || order.total || 0), 0);
     const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
     
+    // Refunds come off gross revenue; the admin refund service keeps their running total
+    const totalRefunded = orders.reduce((sum, order) => sum + (Number(order.financials?.refunded) || 0), 0);
+    
     // Status distribution
     const statusDistribution = orders.reduce((acc, order) => {
       acc[order.status] = (acc[order.status] || 0) + 1;
@@ -819,6 +1624,8 @@ const getOrderAnalytics = async (filters = {}) => {
       analytics: {
         totalOrders,
         totalRevenue,
+        totalRefunded,
+        netRevenue: totalRevenue - totalRefunded,
         averageOrderValue,
         statusDistribution,
         topProducts: Object.entries(productCounts)
@@ -838,33 +1645,31 @@ const getOrderAnalytics = async (filters = {}) => {
 
 /**
  * Send status change notification email to customer
- * Internal helper function for customer notifications
+ * Internal helper function for customer notifications; the email comes
+ * from the template registry in emailTemplates
  * 
  * @param {Object} order - Order data
  * @param {string} newStatus - New order status
  * @param {Object} updateInfo - Additional update information
  */
-const sendStatusChangeNotification = async (order, newStatus, updateInfo) => {
-  // This is a placeholder for status change email functionality
-  // In a real implementation, you would send different emails based on status
+const sendStatusChangeNotification = async (order, newStatus, updateInfo = {}) => {
+  // Shipped emails are sent by updateOrderToShipped with the shipment details
+  if (newStatus === ORDER_STATUSES.SHIPPED) {
+    return;
+  }
+
   console.log(`📧 orderService: Sending ${newStatus} notification for order ${order.orderId}`);
-  
-  // Different email templates based on status
-  switch (newStatus) {
-    case ORDER_STATUSES.APPROVED:
-      // Send order approved email
-      break;
-    case ORDER_STATUSES.SHIPPED:
-      // Handled by updateOrderToShipped function
-      break;
-    case ORDER_STATUSES.DELIVERED:
-      // Send delivery confirmation email
-      break;
-    case ORDER_STATUSES.DECLINED:
-      // Send order declined email with reason
-      break;
-    default:
-      console.log(`📧 orderService: No specific email template for status ${newStatus}`);
+  const result = await sendOrderStatusEmail(
+    { ...order, status: newStatus },
+    { email: order.userEmail, name: order.userName },
+    newStatus,
+    {
+      reason: updateInfo.reason,
+      returnDeclined: order.status === ORDER_STATUSES.RETURN_REQUESTED && newStatus === ORDER_STATUSES.DELIVERED
+    }
+  );
+  if (!result.success) {
+    console.warn(`⚠️ orderService: ${newStatus} notification not sent:`, result.error);
   }
 };
 
@@ -926,19 +1731,29 @@ const bulkUpdateOrders = async (orderUpdates, adminUserId = 'system') => {
 };
 
 // Export all functions for use in other modules
-// Note: ORDER_STATUSES and SHIPPING_CARRIERS are already exported as named exports above
+// Note: ORDER_STATUSES is already exported as a named export above; SHIPPING_CARRIERS
+// now lives in shippingService and is re-exported here for existing imports
 export {
+  SHIPPING_CARRIERS,
+  
   // Core order processing functions
   processNewOrder,
   updateOrderStatus,
   updateOrderToShipped,
+  cancelOrderByCustomer,
+  requestOrderReturn,
   getOrderById,
+  getOrderForTracking,
   getAllOrders,
   
   // Analytics and reporting
   getOrderAnalytics,
   
   // Utility functions
+  calculateOrderTotals,
+  getReturnWindowInfo,
+  buildTrackingUrl,
+  getEstimatedDelivery,
   generateOrderId,
   bulkUpdateOrders
 }; 
\ No newline at end of file
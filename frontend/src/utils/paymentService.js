@@ -0,0 +1,255 @@
+/**
+ * Payment Service
+ *
+ * Payment providers for checkout. Every order carries a payment record that
+ * moves through PAYMENT_STATUSES, and admins can only approve an order once
+ * its payment is confirmed (see isPaymentConfirmed).
+ *
+ * Key Features:
+ * - Cash on delivery provider: stays pending until an admin verifies the
+ *   order and is captured when the cash is collected on delivery
+ * - Gateway provider for UPI and cards; the gateway itself is called by the
+ *   authorizePayment Cloud Function (functions/payments.js), which also
+ *   holds the gateway adapters
+ * - Only safe details are stored: UPI ID, card brand and last four digits
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import featureConfig from './featureConfig';
+
+/**
+ * Payment methods a customer can choose
+ */
+export const PAYMENT_METHODS = {
+  COD: 'COD',
+  UPI: 'UPI',
+  CARD: 'Card'
+};
+
+/**
+ * Checkout labels for payment methods
+ */
+export const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.COD]: 'Cash on Delivery',
+  [PAYMENT_METHODS.UPI]: 'UPI',
+  [PAYMENT_METHODS.CARD]: 'Credit / Debit Card'
+};
+
+/**
+ * Payment record states
+ */
+export const PAYMENT_STATUSES = {
+  PENDING: 'pending',       // Nothing collected yet (COD, or waiting for the gateway)
+  AUTHORIZED: 'authorized', // Gateway has reserved the amount
+  CAPTURED: 'captured',     // Money received
+  FAILED: 'failed',         // Gateway declined the payment
+  REFUNDED: 'refunded'      // Money returned to the customer
+};
+
+/**
+ * States a payment can move to from each state
+ */
+export const PAYMENT_STATUS_TRANSITIONS = {
+  [PAYMENT_STATUSES.PENDING]: [PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED, PAYMENT_STATUSES.FAILED],
+  // Refunding an authorized payment releases the hold on the customer's money
+  [PAYMENT_STATUSES.AUTHORIZED]: [PAYMENT_STATUSES.CAPTURED, PAYMENT_STATUSES.FAILED, PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.CAPTURED]: [PAYMENT_STATUSES.REFUNDED],
+  [PAYMENT_STATUSES.FAILED]: [],
+  [PAYMENT_STATUSES.REFUNDED]: []
+};
+
+/**
+ * Detect a card brand from its number
+ */
+const getCardType = (cardNumber) => {
+  if (/^4/.test(cardNumber)) return 'Visa';
+  if (/^(5[1-5]|2[2-7])/.test(cardNumber)) return 'Mastercard';
+  if (/^3[47]/.test(cardNumber)) return 'American Express';
+  if (/^(60|65|81|82|508)/.test(cardNumber)) return 'RuPay';
+  return 'Card';
+};
+
+/**
+ * Luhn checksum used by every card number
+ */
+const passesLuhn = (cardNumber) => {
+  let sum = 0;
+  [...cardNumber].reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+};
+
+/**
+ * Check the details a customer typed for a gateway payment
+ *
+ * @param {string} method - Value from PAYMENT_METHODS
+ * @param {Object} details - { upiId } or { cardNumber, expiry, cvv }
+ * @returns {string} - Problem to show the customer, or empty when valid
+ */
+export const validatePaymentDetails = (method, details = {}) => {
+  if (method === PAYMENT_METHODS.UPI) {
+    return /^[\w.-]{2,}@[a-zA-Z]{2,}$/.test((details.upiId || '').trim())
+      ? ''
+      : 'Enter a valid UPI ID, e.g. name@okbank';
+  }
+
+  if (method === PAYMENT_METHODS.CARD) {
+    const cardNumber = (details.cardNumber || '').replace(/[\s-]/g, '');
+    if (!/^\d{12,19}$/.test(cardNumber) || !passesLuhn(cardNumber)) {
+      return 'Enter a valid card number';
+    }
+
+    const expiry = (details.expiry || '').match(/^(0[1-9]|1[0-2])\/?(\d{2})$/);
+    if (!expiry) {
+      return 'Enter the card expiry as MM/YY';
+    }
+    // Cards are valid until the end of their expiry month
+    const expiresAt = new Date(2000 + Number(expiry[2]), Number(expiry[1]), 1);
+    if (expiresAt <= new Date()) {
+      return 'This card has expired';
+    }
+
+    if (!/^\d{3,4}$/.test(details.cvv || '')) {
+      return 'Enter the 3 or 4 digit CVV';
+    }
+  }
+
+  return '';
+};
+
+/**
+ * Keep only the details that are safe to store on an order
+ *
+ * @param {string} method - Value from PAYMENT_METHODS
+ * @param {Object} details - Details the customer typed
+ * @returns {Object} - { upiId } for UPI, { cardType, lastFour } for cards, otherwise {}
+ */
+export const toStoredPaymentDetails = (method, details = {}) => {
+  if (method === PAYMENT_METHODS.UPI) {
+    return { upiId: (details.upiId || '').trim() };
+  }
+  if (method === PAYMENT_METHODS.CARD) {
+    const cardNumber = (details.cardNumber || '').replace(/[\s-]/g, '');
+    return { cardType: getCardType(cardNumber), lastFour: cardNumber.slice(-4) };
+  }
+  return {};
+};
+
+/**
+ * Cash on delivery: nothing to collect at checkout
+ */
+export const codProvider = {
+  id: 'cod',
+  methods: [PAYMENT_METHODS.COD],
+  validateDetails: () => '',
+  async startPayment() {
+    return { status: PAYMENT_STATUSES.PENDING, details: {} };
+  }
+};
+
+/**
+ * UPI and cards, authorized by the authorizePayment Cloud Function through
+ * the gateway adapter named in featureConfig.payments.gateway. The function
+ * records the result on the order, so the browser never sets a payment's
+ * status itself.
+ */
+export const gatewayProvider = {
+  id: featureConfig.payments.gateway,
+  methods: [PAYMENT_METHODS.UPI, PAYMENT_METHODS.CARD],
+  validateDetails: validatePaymentDetails,
+  async startPayment({ orderId, details }) {
+    const authorizePayment = httpsCallable(getFunctions(), 'authorizePayment');
+    const { data } = await authorizePayment({ orderId, details });
+    return data.status === PAYMENT_STATUSES.AUTHORIZED
+      ? { status: PAYMENT_STATUSES.AUTHORIZED, payment: data.payment, statusHistory: data.statusHistory }
+      : { status: PAYMENT_STATUSES.FAILED, error: data.error || 'Payment was declined' };
+  }
+};
+
+/**
+ * Payment methods enabled in featureConfig, in checkout order
+ *
+ * @returns {Array<string>} - Values from PAYMENT_METHODS
+ */
+export const getAvailablePaymentMethods = () => {
+  const enabled = featureConfig.payments.methods;
+  const hasGateway = Boolean(featureConfig.payments.gateway);
+  return Object.values(PAYMENT_METHODS).filter(method =>
+    enabled.includes(method) && (method === PAYMENT_METHODS.COD || hasGateway)
+  );
+};
+
+/**
+ * Find the provider that handles a payment method
+ *
+ * @param {string} method - Value from PAYMENT_METHODS
+ * @returns {Object|null} - Provider, or null when the method is not enabled
+ */
+export const getPaymentProvider = (method) => {
+  if (!getAvailablePaymentMethods().includes(method)) return null;
+  if (method === PAYMENT_METHODS.COD) return codProvider;
+  return gatewayProvider;
+};
+
+/**
+ * Create the payment record stored on a new order
+ *
+ * @param {Object} payment - { id, method, provider, amount, currency }
+ * @returns {Object} - Pending payment record
+ */
+export const createPaymentRecord = ({ id, method, provider, amount, currency = 'INR' }) => ({
+  id,
+  method,
+  provider,
+  status: PAYMENT_STATUSES.PENDING,
+  amount,
+  currency,
+  transactionId: null,
+  details: {},
+  codVerification: null,
+  history: [
+    { status: PAYMENT_STATUSES.PENDING, timestamp: new Date().toISOString(), note: 'Payment started' }
+  ]
+});
+
+/**
+ * Whether an order's payment allows it to be approved: the gateway has
+ * authorized or captured the amount, or an admin has verified a COD order
+ *
+ * @param {Object} payment - Order payment record
+ * @returns {boolean} - Whether the payment is confirmed
+ */
+export const isPaymentConfirmed = (payment = {}) => {
+  if ([PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(payment.status)) {
+    return true;
+  }
+  return (payment.method || PAYMENT_METHODS.COD) === PAYMENT_METHODS.COD &&
+    payment.status !== PAYMENT_STATUSES.FAILED &&
+    Boolean(payment.codVerification);
+};
+
+const paymentService = {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUSES,
+  PAYMENT_STATUS_TRANSITIONS,
+  validatePaymentDetails,
+  toStoredPaymentDetails,
+  codProvider,
+  gatewayProvider,
+  getAvailablePaymentMethods,
+  getPaymentProvider,
+  createPaymentRecord,
+  isPaymentConfirmed
+};
+
+export default paymentService;
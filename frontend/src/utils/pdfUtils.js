@@ -1,582 +1,522 @@
 /**
  * PDF Generation Utilities
- * 
- * This file contains utility functions for generating PDF documents
- * Used for creating order receipts and invoices with a modern, elegant design
- * Optimized for A4 paper size with proper pagination support
- * Apple-inspired aesthetic with clean, minimal design
- * 
- * @dependencies jspdf, html2canvas
+ *
+ * This file contains utility functions for generating GST tax invoices and
+ * credit notes as PDF documents. Pages are drawn with jsPDF's vector text and
+ * lines, so the text stays sharp and can be selected, searched and copied.
+ * Optimized for A4 paper size with automatic page breaks in the items table
+ *
+ * @dependencies jspdf
  */
 
 import jsPDF from 'jspdf';
-import html2canvas from 'html2canvas';
-import '../assets/receipt.css'; // Import enhanced receipt styling
+import { SUPPLY_TYPES } from './gstUtils';
+import { issueInvoice, getInvoiceLines, getSellerDetails, amountInWords } from './invoiceService';
 
 // Import shop logo
 import logoImage from '../assets/ShopiyStore-logo-transparent-darkish-logo-for-better-visibility.png';
 
+// A4 page geometry in mm
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Space kept free at the bottom of every page for the footer
+const FOOTER_HEIGHT = 18;
+
+const TEXT_COLOR = [29, 29, 31];
+const MUTED_COLOR = [110, 110, 115];
+const BORDER_COLOR = [210, 210, 215];
+const HEADER_FILL = [245, 245, 247];
+
 /**
- * Generates a PDF receipt from an HTML element
- * 
- * @param {string} elementId - The ID of the HTML element to convert to PDF
- * @param {string} fileName - The name of the PDF file to download
- * @returns {Promise<void>} - A promise that resolves when the PDF is generated and downloaded
+ * Format an amount with Indian digit grouping and two decimals
+ * The built-in PDF fonts have no rupee glyph, so amounts are printed without
+ * a symbol and the table header states the currency
+ *
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - Formatted amount
  */
-export const generatePdfFromElement = async (elementId, fileName) => {
-  try {
-    // Get the HTML element
-    const element = document.getElementById(elementId);
-    if (!element) {
-      throw new Error(`Element with ID ${elementId} not found`);
-    }
+const formatAmount = (amount) =>
+  (Number(amount) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
-    // Set background color to white to ensure proper printing
-    const originalBackground = element.style.background;
-    element.style.background = 'white';
-
-    // Render the element to canvas with high quality settings
-    const canvas = await html2canvas(element, {
-      scale: 2, // Higher scale for better quality
-      useCORS: true, // Allow loading of cross-origin images
-      logging: false,
-      letterRendering: true,
-      allowTaint: false,
-    });
+/**
+ * Format a stored date (ISO string, Date or Firestore Timestamp) for documents
+ *
+ * @param {*} value - Date value
+ * @returns {string} - Date such as 18 Oct 2025
+ */
+const formatDocumentDate = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
 
-    // Restore original background
-    element.style.background = originalBackground;
-
-    // Calculate dimensions - A4 size in mm
-    const imgWidth = 210; // A4 width in mm
-    const pageHeight = 297; // A4 height in mm
-    const imgHeight = (canvas.height * imgWidth) / canvas.width;
-    let heightLeft = imgHeight;
-    let position = 0;
-
-    // Create PDF document with A4 format
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    let currentPage = 0;
-
-    // Add image to PDF
-    pdf.addImage(
-      canvas.toDataURL('image/png', 1.0),
-      'PNG',
-      0,
-      position,
-      imgWidth,
-      imgHeight,
-      '',
-      'FAST',
-    );
+/**
+ * Load the shop logo so it can be placed on the page
+ * Resolves to null when the image cannot be loaded; the document is still
+ * generated without it
+ *
+ * @returns {Promise<HTMLImageElement|null>} - Loaded image
+ */
+const loadLogo = () => new Promise((resolve) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => resolve(null);
+  image.src = logoImage;
+});
 
-    // Add multiple pages if content is too long
-    // This approach ensures the content flows correctly across pages
-    heightLeft -= pageHeight;
-    while (heightLeft > 0) {
-      currentPage++;
-      position = -pageHeight * currentPage;
+/**
+ * Collect the buyer's billing and shipping details from an order
+ * The billing address chosen at checkout is printed when there is one.
+ *
+ * @param {Object} order - Order data
+ * @returns {Object} - { name, lines, phone, email, gstin }
+ */
+const getBuyerDetails = (order) => {
+  const flat = order.billingAddress || order.shippingAddress || {};
+  const raw = order.shipping?.address || {};
+  const street = flat.street || [raw.houseNo, raw.line1, raw.line2].filter(Boolean).join(', ');
+  const city = flat.city || raw.city || '';
+  const state = flat.state || raw.state || '';
+  const pin = flat.zip || raw.pin || '';
+  const country = flat.country || raw.country || '';
+
+  return {
+    name: flat.name || order.userName || 'Customer',
+    lines: [
+      street,
+      [city, state].filter(Boolean).join(', ') + (pin ? ` - ${pin}` : ''),
+      country
+    ].filter(Boolean),
+    phone: flat.phone || order.userPhone || order.phone || '',
+    email: order.userEmail || '',
+    gstin: order.buyerGstin || ''
+  };
+};
 
-      pdf.addPage();
-      pdf.addImage(
-        canvas.toDataURL('image/png', 1.0),
-        'PNG',
-        0,
-        position,
-        imgWidth,
-        imgHeight,
-        '',
-        'FAST',
-      );
-
-      heightLeft -= pageHeight;
-    }
+/**
+ * Items table columns for a supply type
+ * The description column takes whatever width the others leave
+ *
+ * @param {string} supplyType - Value from SUPPLY_TYPES
+ * @returns {Array} - [{ key, label, width, align }]
+ */
+const getTableColumns = (supplyType) => {
+  const taxColumns = supplyType === SUPPLY_TYPES.INTRASTATE
+    ? [
+      { key: 'cgst', label: 'CGST', width: 18, align: 'right' },
+      { key: 'sgst', label: 'SGST', width: 18, align: 'right' }
+    ]
+    : [{ key: 'igst', label: 'IGST', width: 20, align: 'right' }];
+
+  const columns = [
+    { key: 'index', label: '#', width: 7, align: 'left' },
+    { key: 'name', label: 'Description', width: 0, align: 'left' },
+    { key: 'hsnCode', label: 'HSN', width: 15, align: 'left' },
+    { key: 'quantity', label: 'Qty', width: 9, align: 'right' },
+    { key: 'unitPrice', label: 'Rate', width: 18, align: 'right' },
+    { key: 'taxableValue', label: 'Taxable', width: 20, align: 'right' },
+    { key: 'gstRate', label: 'GST %', width: 11, align: 'right' },
+    ...taxColumns,
+    { key: 'total', label: 'Total', width: 22, align: 'right' }
+  ];
+
+  const fixedWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  return columns.map(column => (column.key === 'name' ? { ...column, width: CONTENT_WIDTH - fixedWidth } : column));
+};
 
-    // Save the PDF file
-    pdf.save(`${fileName}.pdf`);
+/**
+ * Text shown in an items table cell
+ */
+const getCellText = (line, key, index) => {
+  switch (key) {
+    case 'index':
+      return String(index + 1);
+    case 'name':
+    case 'hsnCode':
+      return line[key] || '-';
+    case 'quantity':
+      return String(line.quantity);
+    case 'gstRate':
+      return `${line.gstRate}%`;
+    case 'total':
+      return formatAmount(line.taxableValue + line.tax);
+    default:
+      return formatAmount(line[key]);
+  }
+};
 
-    return true;
-  } catch (error) {
-    console.error('Error generating PDF:', error);
-    return false;
+/**
+ * Draw text inside a column, respecting its alignment
+ */
+const drawCell = (pdf, text, x, y, column) => {
+  if (column.align === 'right') {
+    pdf.text(text, x + column.width - 1.5, y, { align: 'right' });
+  } else {
+    pdf.text(text, x + 1.5, y);
   }
 };
 
 /**
- * Creates a receipt HTML template for an order with Apple-inspired aesthetic design
- * Optimized to fit up to 5 products on a single A4 page
- * 
- * @param {Object} order - The order data
- * @param {string} containerId - The ID of the container element where the receipt will be rendered
- * @returns {void}
+ * Draw the items table header at the given height
+ *
+ * @returns {number} - Height below the header
  */
-export const createReceiptTemplate = (order, containerId) => {
-  const container = document.getElementById(containerId);
-  if (!container) return;
-
-  // Format date in a readable format
-  const formatDate = (dateString) => {
-    const options = {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    };
-    return new Date(dateString).toLocaleDateString('en-IN', options);
-  };
+const drawTableHeader = (pdf, columns, y) => {
+  pdf.setFillColor(...HEADER_FILL);
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.rect(MARGIN, y, CONTENT_WIDTH, 7, 'FD');
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(7.5);
+  pdf.setTextColor(...TEXT_COLOR);
+
+  let x = MARGIN;
+  columns.forEach(column => {
+    drawCell(pdf, column.label, x, y + 4.7, column);
+    x += column.width;
+  });
+
+  return y + 7;
+};
 
-  /**
-   * Format price as currency with Indian Rupee (INR) 
-   * 
-   * @param {number|string} price - The price to format
-   * @returns {string} The formatted price
-   * 
-   * IMPORTANT: This handles potential null/undefined values and NaN that
-   * can occur when there are inconsistencies between database fields
-   * (order.totalAmount vs order.total). The database schema uses 'totalAmount'
-   * but some older entries might use 'total' field instead.
-   */
-  const formatPrice = (price) => {
-    if (price === undefined || price === null) return '$0.00';
-
-    const num = typeof price === 'string' ? parseFloat(price) : price;
-
-    // Handle NaN, just in case
-    if (isNaN(num)) return '$0.00';
-
-    return new Intl.NumberFormat('en-IN', {
-      style: 'currency',
-      currency: 'INR',
-      minimumFractionDigits: 2
-    }).format(num);
-  };
+/**
+ * Draw a label and value pair right-aligned in the totals block
+ */
+const drawTotalRow = (pdf, label, value, y, { bold = false } = {}) => {
+  pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+  pdf.setFontSize(bold ? 10 : 8.5);
+  pdf.setTextColor(...(bold ? TEXT_COLOR : MUTED_COLOR));
+  pdf.text(label, PAGE_WIDTH - MARGIN - 40, y, { align: 'right' });
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(value, PAGE_WIDTH - MARGIN, y, { align: 'right' });
+};
+
+/**
+ * Draw a tax invoice or credit note
+ *
+ * @param {Object} taxDocument - Normalised document data
+ * @param {string} taxDocument.title - TAX INVOICE or CREDIT NOTE
+ * @param {Array} taxDocument.references - [label, value] pairs printed under the title
+ * @param {Object} taxDocument.seller - { name, address, state, gstin }
+ * @param {Object} taxDocument.buyer - Result of getBuyerDetails
+ * @param {string} taxDocument.supplyType - Value from SUPPLY_TYPES
+ * @param {string} taxDocument.placeOfSupply - Destination state
+ * @param {Array} taxDocument.lines - GST lines
+ * @param {Object} taxDocument.totals - { taxableValue, cgst, sgst, igst, tax }
+ * @param {Array} taxDocument.charges - Untaxed [label, amount] rows such as shipping
+ * @param {number} taxDocument.total - Document total
+ * @param {string} taxDocument.totalLabel - Label of the total row
+ * @param {string} taxDocument.note - Optional note printed under the totals
+ * @param {HTMLImageElement|null} logo - Shop logo
+ * @returns {jsPDF} - The generated document
+ */
+const renderTaxDocument = (taxDocument, logo) => {
+  const pdf = new jsPDF('p', 'mm', 'a4');
+  const { seller, buyer } = taxDocument;
+  let y = MARGIN;
+
+  // Header: logo and seller on the left, title and references on the right
+  if (logo) {
+    pdf.addImage(logo, 'PNG', MARGIN, y, 12 * (logo.width / logo.height), 12);
+  }
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(16);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(taxDocument.title, PAGE_WIDTH - MARGIN, y + 6, { align: 'right' });
+
+  pdf.setFontSize(8.5);
+  let referenceY = y + 12;
+  taxDocument.references.forEach(([label, value]) => {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(`${label}:`, PAGE_WIDTH - MARGIN - 38, referenceY, { align: 'right' });
+    pdf.setFont('helvetica', 'bold');
+    pdf.setTextColor(...TEXT_COLOR);
+    pdf.text(String(value || '-'), PAGE_WIDTH - MARGIN, referenceY, { align: 'right' });
+    referenceY += 4.5;
+  });
+
+  let sellerY = y + (logo ? 18 : 4);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(10);
+  pdf.text(seller.name || '', MARGIN, sellerY);
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...MUTED_COLOR);
+  [
+    ...pdf.splitTextToSize(seller.address || '', 90),
+    seller.state ? `State: ${seller.state}` : '',
+    seller.gstin ? `GSTIN: ${seller.gstin}` : ''
+  ].filter(Boolean).forEach(text => {
+    sellerY += 4.2;
+    pdf.text(text, MARGIN, sellerY);
+  });
+
+  y = Math.max(sellerY, referenceY) + 6;
+
+  // Buyer details
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.line(MARGIN, y - 3, PAGE_WIDTH - MARGIN, y - 3);
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text('Bill To / Ship To', MARGIN, y + 2);
+  pdf.text('Supply', PAGE_WIDTH / 2 + 10, y + 2);
+
+  pdf.setFont('helvetica', 'normal');
+  let buyerY = y + 2;
+  [
+    buyer.name,
+    ...buyer.lines,
+    buyer.phone ? `Phone: ${buyer.phone}` : '',
+    buyer.email ? `Email: ${buyer.email}` : '',
+    `GSTIN: ${buyer.gstin || 'Unregistered'}`
+  ].filter(Boolean).forEach(text => {
+    buyerY += 4.2;
+    pdf.text(pdf.splitTextToSize(text, PAGE_WIDTH / 2 - MARGIN)[0], MARGIN, buyerY);
+  });
+
+  const supplyText = taxDocument.supplyType === SUPPLY_TYPES.INTRASTATE
+    ? 'Intrastate (CGST + SGST)'
+    : 'Interstate (IGST)';
+  pdf.text(`Place of supply: ${taxDocument.placeOfSupply || '-'}`, PAGE_WIDTH / 2 + 10, y + 6.2);
+  pdf.text(`Type: ${supplyText}`, PAGE_WIDTH / 2 + 10, y + 10.4);
+  pdf.text('Amounts in INR', PAGE_WIDTH / 2 + 10, y + 14.6);
+
+  y = buyerY + 7;
+
+  // Items table with page breaks; the header repeats on each page
+  const columns = getTableColumns(taxDocument.supplyType);
+  const descriptionColumn = columns.find(column => column.key === 'name');
+  y = drawTableHeader(pdf, columns, y);
+
+  taxDocument.lines.forEach((line, index) => {
+    const nameLines = pdf.splitTextToSize(line.name || '-', descriptionColumn.width - 3);
+    const rowHeight = nameLines.length * 3.6 + 3.4;
+
+    if (y + rowHeight > PAGE_HEIGHT - FOOTER_HEIGHT) {
+      pdf.addPage();
+      y = drawTableHeader(pdf, columns, MARGIN);
+    }
 
-  // Get current date in a formatted string
-  const getCurrentDate = () => {
-    return new Date().toLocaleDateString('en-IN', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(8);
+    pdf.setTextColor(...TEXT_COLOR);
+
+    let x = MARGIN;
+    columns.forEach(column => {
+      if (column.key === 'name') {
+        pdf.text(nameLines, x + 1.5, y + 4.4);
+      } else {
+        drawCell(pdf, getCellText(line, column.key, index), x, y + 4.4, column);
+      }
+      x += column.width;
     });
-  };
 
-  /**
-   * Check if order has import duty applied (for US orders)
-   * 
-   * @returns {boolean} Whether order has import duty
-   */
-  const hasImportDuty = () => {
-    return order.shipping?.address?.country === 'United States' && order.importDuty > 0;
-  };
+    y += rowHeight;
+    pdf.setDrawColor(...BORDER_COLOR);
+    pdf.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+  });
+
+  // Totals and amount in words need about 60mm; start a new page if needed
+  if (y + 60 > PAGE_HEIGHT - FOOTER_HEIGHT) {
+    pdf.addPage();
+    y = MARGIN;
+  }
+
+  y += 7;
+  const totalsStartY = y;
+  const taxRows = taxDocument.supplyType === SUPPLY_TYPES.INTRASTATE
+    ? [['CGST', taxDocument.totals.cgst], ['SGST', taxDocument.totals.sgst]]
+    : [['IGST', taxDocument.totals.igst]];
+
+  [
+    ['Taxable Value', taxDocument.totals.taxableValue],
+    ...taxRows,
+    ...taxDocument.charges
+  ].forEach(([label, amount]) => {
+    drawTotalRow(pdf, label, formatAmount(amount), y);
+    y += 5;
+  });
+
+  pdf.setDrawColor(...BORDER_COLOR);
+  pdf.line(PAGE_WIDTH - MARGIN - 80, y - 2, PAGE_WIDTH - MARGIN, y - 2);
+  y += 3;
+  drawTotalRow(pdf, taxDocument.totalLabel, `INR ${formatAmount(taxDocument.total)}`, y, { bold: true });
+
+  // Amount in words and note on the left, beside the totals
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text('Amount in words', MARGIN, totalsStartY);
+  pdf.setFont('helvetica', 'normal');
+  const wordLines = pdf.splitTextToSize(amountInWords(taxDocument.total), 90);
+  pdf.text(wordLines, MARGIN, totalsStartY + 4.5);
+
+  if (taxDocument.note) {
+    const noteY = totalsStartY + 6 + wordLines.length * 4;
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(pdf.splitTextToSize(taxDocument.note, 90), MARGIN, noteY);
+  }
+
+  // Signature block
+  y += 14;
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(8.5);
+  pdf.setTextColor(...TEXT_COLOR);
+  pdf.text(`For ${seller.name || ''}`, PAGE_WIDTH - MARGIN, y, { align: 'right' });
+  pdf.setFont('helvetica', 'normal');
+  pdf.setTextColor(...MUTED_COLOR);
+  pdf.text('Authorised Signatory', PAGE_WIDTH - MARGIN, y + 12, { align: 'right' });
+
+  // Footer with page numbers on every page
+  const pageCount = pdf.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(7.5);
+    pdf.setTextColor(...MUTED_COLOR);
+    pdf.text(
+      'This is a computer-generated document and does not require a physical signature.',
+      MARGIN,
+      PAGE_HEIGHT - 8
+    );
+    pdf.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: 'right' });
+  }
 
-  // Create receipt HTML with Apple-inspired aesthetic design
-  // Optimized for A4 single page with up to 5 products
-  // All styles are inline to ensure they are applied in the PDF
-  const receiptHtml = `
-    <div class="invoice-container" style="
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
-      color: #1d1d1f;
-      margin: 0 auto;
-      max-width: 210mm;
-      padding: 20px;
-      background: #ffffff;
-      font-weight: 400;
-      line-height: 1.4;
-    ">
-      
-            <!-- Header Section with Apple-like spacing and typography -->
-      <div class="invoice-header" style="
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding-bottom: 16px;
-        margin-bottom: 24px;
-        border-bottom: 1px solid #d2d2d7;
-      ">
-        <!-- Company Brand Section (Far Left) -->
-        <div class="brand-section" style="
-          display: flex; 
-          align-items: center; 
-          gap: 14px;
-        ">
-          <img src="${logoImage}" alt="ShopiyStore Logo" style="
-            width: 52px;
-            height: 52px;
-            border-radius: 10px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.08);
-          " />
-          <div>
-            <h1 style="
-              font-size: 26px;
-              font-weight: 600;
-              margin: 0;
-              color: #1d1d1f;
-              letter-spacing: -0.6px;
-            ">ShopiyStore</h1>
-            <p style="
-              font-size: 12px;
-              color: #86868b;
-              margin: 1px 0 0 0;
-              font-weight: 400;
-              letter-spacing: 0.2px;
-            ">⠀⠀</p>
-          </div>
-        </div>
-        
-        <!-- Invoice Details (Far Right) -->
-        <div class="invoice-meta" style="
-          text-align: right;
-        ">
-          <h2 style="
-            font-size: 22px;
-            font-weight: 600;
-            margin: 0 0 10px 0;
-            color: #1d1d1f;
-            letter-spacing: -0.4px;
-          ">Invoice</h2>
-          <div style="
-            font-size: 11px; 
-            color: #86868b; 
-            line-height: 1.7;
-          ">
-            <div style="margin-bottom: 2px;">
-              <strong style="color: #1d1d1f;">Order:</strong> 
-              <span style="margin-left: 6px;">${order.orderId}</span>
-            </div>
-            <div>
-              <strong style="color: #1d1d1f;">Date:</strong> 
-              <span style="margin-left: 6px;">${formatDate(order.orderDate)}</span>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      <!-- Customer & Company Info in Cards -->
-      <div class="info-grid" style="
-        display: flex;
-        gap: 20px;
-        margin-bottom: 24px;
-      ">
-        <!-- Bill To Card -->
-        <div class="info-card" style="
-          flex: 1;
-          background: #f5f5f7;
-          border-radius: 12px;
-          padding: 16px;
-        ">
-          <h3 style="
-            font-size: 12px;
-            font-weight: 600;
-            margin: 0 0 10px 0;
-            color: #1d1d1f;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-          ">Bill To</h3>
-          <div style="color: #1d1d1f; font-size: 11px; line-height: 1.5;">
-            <div style="font-weight: 600; margin-bottom: 4px;">${order.userName || 'Valued Customer'}</div>
-            <div style="color: #86868b; margin-bottom: 2px;">${order.userEmail}</div>
-            <div style="color: #86868b;">
-              ${order.shipping?.address ? (
-      `${order.shipping.address.houseNo ? order.shipping.address.houseNo + ', ' : ''}
-                ${order.shipping.address.line1 ? order.shipping.address.line1 + ', ' : ''}
-                ${order.shipping.address.line2 ? order.shipping.address.line2 + ', ' : ''}
-                ${order.shipping.address.city ? order.shipping.address.city + ', ' : ''}
-                ${order.shipping.address.state ? order.shipping.address.state + ', ' : ''}
-                ${order.shipping.address.country ? order.shipping.address.country + ' ' : ''}
-                ${order.shipping.address.pin ? '- ' + order.shipping.address.pin : ''}`
-    ) : 'Address not provided'}
-            </div>
-          </div>
-        </div>
-
-        <!-- Company Info Card -->
-        <div class="info-card" style="
-          flex: 1;
-          background: #f5f5f7;
-          border-radius: 12px;
-          padding: 16px;
-        ">
-          <h3 style="
-            font-size: 12px;
-            font-weight: 600;
-            margin: 0 0 10px 0;
-            color: #1d1d1f;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
-          ">From</h3>
-          <div style="color: #1d1d1f; font-size: 11px; line-height: 1.5;">
-            <div style="font-weight: 600; margin-bottom: 4px;">ShopiyStore Stationeries Pvt. Ltd.</div>
-            <div style="color: #86868b; margin-bottom: 2px;">North Sentinel Island, Andaman and Nicobar Islands, India</div>
-            <div style="color: #86868b; margin-bottom: 2px;">support@ShopiyStore.nsi</div>
-            <div style="color: #86868b;">+91 1800-6969-6969</div>
-          </div>
-        </div>
-      </div>
-
-      ${hasImportDuty() ? `
-      <!-- Import Duty Notice -->
-      <div style="
-        margin-bottom: 20px;
-        padding: 12px;
-        background: linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%);
-        border: 1px solid #f1c40f;
-        border-radius: 8px;
-        font-size: 10px;
-      ">
-        <div style="font-weight: 600; color: #856404; margin-bottom: 4px;">US Import Duty Applied</div>
-        <div style="color: #856404;">
-          A 69% import duty of ${formatPrice(order.importDuty)} has been included for US customs compliance.
-        </div>
-      </div>
-      ` : ''}
-
-      <!-- Items Table with Modern Design -->
-      <div class="items-section" style="margin-bottom: 24px;">
-        <table style="
-          width: 100%;
-          border-collapse: separate;
-          border-spacing: 0;
-          background: #ffffff;
-          border-radius: 12px;
-          overflow: hidden;
-          box-shadow: 0 1px 3px rgba(0,0,0,0.05);
-          border: 1px solid #e5e5ea;
-        ">
-          <thead>
-            <tr style="background: linear-gradient(135deg, #f5f5f7 0%, #e5e5ea 100%);">
-              <th style="
-                text-align: left;
-                padding: 12px 16px;
-                font-size: 11px;
-                font-weight: 600;
-                color: #1d1d1f;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                border-bottom: 1px solid #e5e5ea;
-              ">Item(s)</th>
-              <th style="
-                text-align: center;
-                padding: 12px 16px;
-                font-size: 11px;
-                font-weight: 600;
-                color: #1d1d1f;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                border-bottom: 1px solid #e5e5ea;
-                width: 60px;
-              ">Qty</th>
-              <th style="
-                text-align: right;
-                padding: 12px 16px;
-                font-size: 11px;
-                font-weight: 600;
-                color: #1d1d1f;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                border-bottom: 1px solid #e5e5ea;
-                width: 90px;
-              ">Price</th>
-              <th style="
-                text-align: right;
-                padding: 12px 16px;
-                font-size: 11px;
-                font-weight: 600;
-                color: #1d1d1f;
-                text-transform: uppercase;
-                letter-spacing: 0.5px;
-                border-bottom: 1px solid #e5e5ea;
-                width: 100px;
-              ">Total</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${order.items.map((item, index) => `
-              <tr style="
-                ${index % 2 === 0 ? 'background: #ffffff;' : 'background: #fafafa;'}
-                ${index === order.items.length - 1 ? '' : 'border-bottom: 1px solid #f0f0f0;'}
-              ">
-                <td style="
-                  padding: 14px 16px;
-                  font-size: 11px;
-                  color: #1d1d1f;
-                  font-weight: 500;
-                ">${item.name}</td>
-                <td style="
-                  padding: 14px 16px;
-                  text-align: center;
-                  font-size: 11px;
-                  color: #86868b;
-                  font-weight: 500;
-                ">${item.quantity}</td>
-                <td style="
-                  padding: 14px 16px;
-                  text-align: right;
-                  font-size: 11px;
-                  color: #86868b;
-                  font-weight: 500;
-                ">${formatPrice(item.price)}</td>
-                <td style="
-                  padding: 14px 16px;
-                  text-align: right;
-                  font-size: 11px;
-                  color: #1d1d1f;
-                  font-weight: 600;
-                ">${formatPrice(item.price * item.quantity)}</td>
-              </tr>
-            `).join('')}
-          </tbody>
-        </table>
-      </div>
-
-     
-           <!-- Order Summary (Right Side) -->
-           <div class="summary-section" style="
-             width: 300px;
-           ">
-             <h3 style="
-               font-size: 14px;
-               font-weight: 600;
-               margin: 0 0 12px 0;
-               color: #1d1d1f;
-             ">Order Summary</h3>
-             <div style="font-size: 12px; line-height: 1.6;">
-               <!-- Subtotal -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 margin-bottom: 8px;
-                 color: #86868b;
-               ">
-                 <span>Subtotal</span>
-                 <span>${formatPrice(order.subtotal)}</span>
-               </div>
-               
-               ${order.coupon ? `
-               <!-- Coupon Discount -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 margin-bottom: 8px;
-                 color: #30d158;
-               ">
-                 <span>Discount (${order.coupon.code})</span>
-                 <span>-${formatPrice(order.coupon.discountAmount || 0)}</span>
-               </div>
-               ` : ''}
-               
-               <!-- Tax -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 margin-bottom: 8px;
-                 color: #86868b;
-               ">
-                 <span>Tax (18% GST)</span>
-                 <span>${formatPrice(order.tax)}</span>
-               </div>
-               
-               <!-- Shipping -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 margin-bottom: 8px;
-                 color: #86868b;
-               ">
-                 <span>Shipping</span>
-                 <span>${formatPrice(order.shipping?.cost || 0)}</span>
-               </div>
-               
-               ${hasImportDuty() ? `
-               <!-- Import Duty -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 margin-bottom: 8px;
-                 color: #ff9500;
-               ">
-                 <span>US Import Duty (69%)</span>
-                 <span>${formatPrice(order.importDuty)}</span>
-               </div>
-               ` : ''}
-               
-               <!-- Divider -->
-               <div style="
-                 margin: 16px 0 12px 0;
-                 height: 1px;
-                 background: #d2d2d7;
-               "></div>
-               
-               <!-- Total -->
-               <div style="
-                 display: flex;
-                 justify-content: space-between;
-                 font-size: 16px;
-                 font-weight: 600;
-                 color: #1d1d1f;
-               ">
-                 <span>Total</span>
-                 <span>${formatPrice(order.totalAmount || order.total || 0)}</span>
-               </div>
-             </div>
-           </div>
-         </div>
-       </div>
-
-      <!-- Footer -->
-      <div class="invoice-footer" style="
-        text-align: center;
-        padding-top: 24px;
-        border-top: 1px solid #d2d2d7;
-      ">
-        <h3 style="
-          font-size: 16px;
-          font-weight: 600;
-          color: #1d1d1f;
-          margin: 0 0 8px 0;
-          letter-spacing: -0.2px;
-        ">Thank you for your order at ShopiyStore!</h3>
-        <p style="
-          font-size: 10px;
-          color: #86868b;
-          margin: 0;
-        ">Invoice generated on ${getCurrentDate()}</p>
-      </div>
-    </div>
-  `;
-
-  // Set the receipt HTML in the container
-  container.innerHTML = receiptHtml;
+  return pdf;
 };
 
 /**
- * Generates and downloads a PDF receipt for an order
- * 
- * @param {Object} order - The order data
- * @returns {Promise<boolean>} - A promise that resolves to true if the receipt was generated successfully
+ * Untaxed charges on an order, printed below the tax rows
+ */
+const getOrderCharges = (order) => {
+  const charges = [['Shipping', order.financials?.shipping ?? order.shipping?.cost ?? 0]];
+  if (order.importDuty > 0) {
+    charges.push(['Import Duty', order.importDuty]);
+  }
+  return charges;
+};
+
+/**
+ * Generate the tax invoice for an order that already has an invoice number
+ *
+ * @param {Object} order - Order data including invoice
+ * @param {HTMLImageElement|null} logo - Shop logo
+ * @returns {jsPDF} - The generated document
+ */
+export const generateTaxInvoicePdf = (order, logo = null) => {
+  const { supplyType, placeOfSupply, lines, totals } = getInvoiceLines(order);
+
+  return renderTaxDocument({
+    title: 'TAX INVOICE',
+    references: [
+      ['Invoice No', order.invoice.number],
+      ['Invoice Date', formatDocumentDate(order.invoice.issuedAt)],
+      ['Order ID', order.orderId || order.id],
+      ['Order Date', formatDocumentDate(order.orderDate || order.createdAt)]
+    ],
+    seller: order.invoice.seller || getSellerDetails(),
+    buyer: getBuyerDetails(order),
+    supplyType,
+    placeOfSupply,
+    lines,
+    totals,
+    charges: getOrderCharges(order),
+    total: order.financials?.total ?? order.totalAmount ?? order.total ?? 0,
+    totalLabel: 'Invoice Total',
+    note: order.payment?.method ? `Payment method: ${order.payment.method}` : ''
+  }, logo);
+};
+
+/**
+ * Generate a credit note issued against an order's invoice
+ *
+ * @param {Object} order - Order data including invoice
+ * @param {Object} creditNote - Entry from order.creditNotes
+ * @param {HTMLImageElement|null} logo - Shop logo
+ * @returns {jsPDF} - The generated document
+ */
+export const generateCreditNotePdf = (order, creditNote, logo = null) => {
+  const charges = creditNote.shipping > 0 ? [['Shipping Refund', creditNote.shipping]] : [];
+
+  return renderTaxDocument({
+    title: 'CREDIT NOTE',
+    references: [
+      ['Credit Note No', creditNote.number],
+      ['Date', formatDocumentDate(creditNote.issuedAt)],
+      ['Against Invoice', creditNote.invoiceNumber || order.invoice?.number],
+      ['Invoice Date', formatDocumentDate(creditNote.invoiceDate || order.invoice?.issuedAt)],
+      ['Order ID', order.orderId || order.id]
+    ],
+    seller: creditNote.seller || order.invoice?.seller || getSellerDetails(),
+    buyer: getBuyerDetails(order),
+    supplyType: creditNote.supplyType,
+    placeOfSupply: creditNote.placeOfSupply,
+    lines: creditNote.lines,
+    totals: creditNote.totals,
+    charges,
+    total: creditNote.total,
+    totalLabel: 'Total Credit',
+    note: creditNote.reason ? `Reason: ${creditNote.reason}` : ''
+  }, logo);
+};
+
+/**
+ * Turn a document number into a file name, e.g. INV-2025-26-00042
+ */
+const toFileName = (number) => String(number).replace(/[^\w-]+/g, '-');
+
+/**
+ * Issues the order's invoice number if it has none yet, then generates and
+ * downloads the tax invoice. Regenerating reuses the same number.
+ *
+ * @param {Object} order - The order data including its Firestore ID
+ * @returns {Promise<boolean>} - A promise that resolves to true if the invoice was generated successfully
  */
 export const downloadOrderReceipt = async (order) => {
   try {
-    // Create a temporary container for the receipt
-    const tempContainer = document.createElement('div');
-    tempContainer.id = 'temp-receipt-container';
-    tempContainer.style.position = 'absolute';
-    tempContainer.style.left = '-9999px';
-    tempContainer.style.top = '-9999px';
-    document.body.appendChild(tempContainer);
+    const orderId = order.id || order.globalOrderId;
+    let invoice = order.invoice;
+
+    if (!invoice?.number) {
+      const result = await issueInvoice(orderId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      invoice = result.invoice;
+    }
 
-    // Create the receipt template
-    createReceiptTemplate(order, 'temp-receipt-container');
+    const logo = await loadLogo();
+    const pdf = generateTaxInvoicePdf({ ...order, invoice }, logo);
+    pdf.save(`ShopiyStore-Invoice-${toFileName(invoice.number)}.pdf`);
 
-    // Generate and download the PDF
-    await generatePdfFromElement('temp-receipt-container', `ShopiyStore-Invoice-${order.orderId}`);
+    return true;
+  } catch (error) {
+    console.error('Error downloading invoice:', error);
+    return false;
+  }
+};
 
-    // Remove the temporary container
-    document.body.removeChild(tempContainer);
+/**
+ * Generates and downloads a credit note issued for a refund
+ *
+ * @param {Object} order - The order data
+ * @param {Object} creditNote - Entry from order.creditNotes
+ * @returns {Promise<boolean>} - A promise that resolves to true if the credit note was generated successfully
+ */
+export const downloadCreditNote = async (order, creditNote) => {
+  try {
+    const logo = await loadLogo();
+    const pdf = generateCreditNotePdf(order, creditNote, logo);
+    pdf.save(`ShopiyStore-Credit-Note-${toFileName(creditNote.number)}.pdf`);
 
     return true;
   } catch (error) {
-    console.error('Error downloading receipt:', error);
+    console.error('Error downloading credit note:', error);
     return false;
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,101 @@
+/**
+ * PIN Code Lookup
+ *
+ * Offline lookup of Indian PIN codes against indiaPinCodes.json, used to
+ * autofill addresses and to flag addresses whose state does not match
+ * their PIN.
+ *
+ * The dataset works at India Post sorting-district level: the first three
+ * digits of a PIN decide the state, a few well-known prefixes also name the
+ * district and city, and exact ranges cover union territories that share a
+ * prefix with a neighbouring state. Results are suggestions; customers can
+ * still edit every field.
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import pinCodeData from '../indiaPinCodes.json';
+
+/**
+ * Six digits, not starting with 0
+ */
+const PIN_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * Compare place names without caring about case or spacing
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Check whether a value is a well-formed Indian PIN code
+ *
+ * @param {string} pin - PIN code
+ * @returns {boolean} - Whether the PIN has six digits and does not start with 0
+ */
+export const isValidPinCode = (pin) => PIN_PATTERN.test(String(pin || '').trim());
+
+/**
+ * Look up where a PIN code is
+ *
+ * @param {string} pin - Six-digit PIN code
+ * @returns {Object|null} - { pin, state, district, city }, or null for malformed or unknown PINs
+ */
+export const lookupPinCode = (pin) => {
+  const code = String(pin || '').trim();
+  if (!isValidPinCode(code)) return null;
+
+  const exact = pinCodeData.exactRanges.find(range => code >= range.from && code <= range.to);
+  if (exact) {
+    return { pin: code, state: exact.state, district: exact.district || '', city: exact.city || '' };
+  }
+
+  const prefix = code.substring(0, 3);
+  const stateRange = pinCodeData.stateRanges.find(range => prefix >= range.from && prefix <= range.to);
+  if (!stateRange) return null;
+
+  const district = pinCodeData.districts[prefix] || {};
+  return {
+    pin: code,
+    state: stateRange.state,
+    district: district.district || '',
+    city: district.city || ''
+  };
+};
+
+/**
+ * Compare an Indian address with its PIN code
+ * Only the state is checked, since a sorting district can span several
+ * cities. Addresses outside India are not checked.
+ *
+ * @param {Object} address - Address with pin, state and country
+ * @returns {Object} - { location, warning }; warning is empty when the address matches
+ */
+export const checkAddressPin = (address = {}) => {
+  if (address.country && address.country !== 'India') {
+    return { location: null, warning: '' };
+  }
+
+  const pin = String(address.pin || '').trim();
+  if (!isValidPinCode(pin)) {
+    return { location: null, warning: '' };
+  }
+
+  const location = lookupPinCode(pin);
+  if (!location) {
+    return { location: null, warning: `We couldn't find PIN ${pin}. Please double-check it.` };
+  }
+  if (address.state && normalizeName(address.state) !== normalizeName(location.state)) {
+    return { location, warning: `PIN ${pin} is in ${location.state}, not ${address.state}.` };
+  }
+
+  return { location, warning: '' };
+};
+
+const pinCodeLookup = {
+  isValidPinCode,
+  lookupPinCode,
+  checkAddressPin
+};
+
+export default pinCodeLookup;
@@ -9,14 +9,37 @@ import {
   addDoc,
   updateDoc,
   deleteDoc,
-  Timestamp
+  Timestamp,
+  arrayUnion,
+  arrayRemove,
+  increment
 } from 'firebase/firestore';
 import { db, auth } from '../firebase/config';
 
+/**
+ * Moderation states for reviews, shared with the admin moderation queue.
+ * Reviews written before moderation existed have no status and count as approved.
+ */
+export const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden'
+};
+
 /**
  * Utility functions for managing product reviews
  */
 const reviewUtils = {
+  /**
+   * Check whether a review is visible on the storefront
+   * 
+   * @param {Object} review - Review object
+   * @returns {boolean} - Whether the review has been approved for display
+   */
+  isReviewPublished(review) {
+    return !review.status || review.status === REVIEW_STATUSES.APPROVED;
+  },
+
   /**
    * Check if a user has purchased and received a product
    * 
@@ -88,7 +111,8 @@ const reviewUtils = {
   },
 
   /**
-   * Get all reviews for a product
+   * Get all published reviews for a product
+   * Pending and hidden reviews are left out until a moderator approves them
    * 
    * @param {string} productId - ID of the product
    * @returns {Promise<Array>} - Array of review objects
@@ -103,13 +127,15 @@ const reviewUtils = {
 
       const reviewsSnapshot = await getDocs(reviewsQuery);
 
-      return reviewsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        // Convert Firestore timestamps to Date objects
-        createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
-        updatedAt: doc.data().updatedAt ? doc.data().updatedAt.toDate() : null
-      }));
+      return reviewsSnapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+          // Convert Firestore timestamps to Date objects
+          createdAt: doc.data().createdAt ? doc.data().createdAt.toDate() : new Date(),
+          updatedAt: doc.data().updatedAt ? doc.data().updatedAt.toDate() : null
+        }))
+        .filter(review => this.isReviewPublished(review));
     } catch (error) {
       console.error("Error getting product reviews:", error);
       return [];
@@ -159,6 +185,14 @@ const reviewUtils = {
         text,
         userName: userData.name || user.displayName || user.email,
         userProfilePic: userData.profilePic || '',
+        // Submission is gated on a delivered order, so every new review is verified
+        verifiedPurchase: true,
+        helpfulCount: 0,
+        helpfulBy: [],
+        // New reviews wait in the admin moderation queue before going live
+        status: REVIEW_STATUSES.PENDING,
+        reportCount: 0,
+        reports: [],
         createdAt: Timestamp.now(),
         updatedAt: Timestamp.now()
       };
@@ -193,32 +227,41 @@ const reviewUtils = {
   async getProductRatingStats(productId) {
     try {
       const reviews = await this.getProductReviews(productId);
-
-      if (reviews.length === 0) {
-        return { average: 0, count: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }, total: 0 };
-      }
-
-      // Calculate total and average
-      const total = reviews.reduce((sum, review) => sum + review.rating, 0);
-      const average = total / reviews.length;
-
-      // Count by rating
-      const count = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-      reviews.forEach(review => {
-        count[review.rating] = (count[review.rating] || 0) + 1;
-      });
-
-      return {
-        average,
-        count,
-        total: reviews.length
-      };
+      return this.calculateRatingStats(reviews);
     } catch (error) {
       console.error("Error calculating product rating stats:", error);
       return { average: 0, count: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }, total: 0 };
     }
   },
 
+  /**
+   * Calculate rating statistics from a list of already loaded reviews
+   * 
+   * @param {Array} reviews - Review objects with a rating field
+   * @returns {Object} - Rating statistics
+   */
+  calculateRatingStats(reviews) {
+    if (reviews.length === 0) {
+      return { average: 0, count: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }, total: 0 };
+    }
+
+    // Calculate total and average
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    const average = total / reviews.length;
+
+    // Count by rating
+    const count = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    reviews.forEach(review => {
+      count[review.rating] = (count[review.rating] || 0) + 1;
+    });
+
+    return {
+      average,
+      count,
+      total: reviews.length
+    };
+  },
+
   /**
    * Update a review
    * 
@@ -252,10 +295,11 @@ const reviewUtils = {
         throw new Error("You can only update your own reviews");
       }
 
-      // Update the review
+      // Update the review; edited text has to be moderated again
       const updateData = {
         rating,
         text,
+        status: REVIEW_STATUSES.PENDING,
         updatedAt: Timestamp.now()
       };
 
@@ -336,6 +380,88 @@ const reviewUtils = {
       console.error("Error deleting review:", error);
       throw error;
     }
+  },
+
+  /**
+   * Toggle the current user's "helpful" vote on a review
+   * 
+   * @param {string} reviewId - ID of the review
+   * @returns {Promise<boolean>} - Whether the review is now marked helpful by the user
+   */
+  async toggleReviewHelpful(reviewId) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error("User must be logged in to vote on a review");
+      }
+
+      const reviewRef = doc(db, "reviews", reviewId);
+      const reviewDoc = await getDoc(reviewRef);
+
+      if (!reviewDoc.exists()) {
+        throw new Error("Review not found");
+      }
+
+      const reviewData = reviewDoc.data();
+
+      if (reviewData.userId === user.uid) {
+        throw new Error("You can't vote on your own review");
+      }
+
+      const alreadyVoted = (reviewData.helpfulBy || []).includes(user.uid);
+
+      await updateDoc(reviewRef, {
+        helpfulBy: alreadyVoted ? arrayRemove(user.uid) : arrayUnion(user.uid),
+        helpfulCount: increment(alreadyVoted ? -1 : 1)
+      });
+
+      return !alreadyVoted;
+    } catch (error) {
+      console.error("Error voting on review:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Report a review to the moderators
+   * 
+   * @param {string} reviewId - ID of the review
+   * @param {string} reason - Why the review is being reported
+   * @returns {Promise<boolean>} - Whether the report was recorded
+   */
+  async reportReview(reviewId, reason) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error("User must be logged in to report a review");
+      }
+
+      const reviewRef = doc(db, "reviews", reviewId);
+      const reviewDoc = await getDoc(reviewRef);
+
+      if (!reviewDoc.exists()) {
+        throw new Error("Review not found");
+      }
+
+      const reports = reviewDoc.data().reports || [];
+      if (reports.some(report => report.userId === user.uid)) {
+        throw new Error("You have already reported this review");
+      }
+
+      await updateDoc(reviewRef, {
+        reports: arrayUnion({
+          userId: user.uid,
+          reason: reason.trim(),
+          createdAt: new Date().toISOString()
+        }),
+        reportCount: increment(1)
+      });
+
+      return true;
+    } catch (error) {
+      console.error("Error reporting review:", error);
+      throw error;
+    }
   }
 };
 
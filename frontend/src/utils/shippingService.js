@@ -0,0 +1,387 @@
+/**
+ * Shipping Service
+ *
+ * Works out what shipping costs and how long it takes, from the rules admins
+ * keep in settings/shippingRules.
+ *
+ * Key Features:
+ * - Zones per country, optionally narrowed to a list of states
+ * - Weight or order-value tiers per zone, with separate standard and express
+ *   prices
+ * - Free standard shipping above a per-zone order value
+ * - Delivery estimates from each carrier's standard and express days
+ * - PIN ranges admins mark as non-serviceable or without cash on delivery
+ *
+ * The cart uses the same functions as the checkout pipeline, so the price a
+ * customer sees is the price they pay.
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+/**
+ * Carrier configuration for shipping
+ * Defines available carriers, their tracking URL patterns and delivery estimates.
+ * trackingDeepLink takes the tracking code in place of {code}; carriers without
+ * one only get a link to their tracking page.
+ */
+export const SHIPPING_CARRIERS = {
+  INDIA_POST: {
+    name: 'IndiaPost',
+    code: 'INDIAPOST',
+    trackingUrl: 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx',
+    trackingDeepLink: null,
+    estimatedDays: { standard: 7, express: 3 }
+  },
+  DHL: {
+    name: 'DHL',
+    code: 'DHL',
+    trackingUrl: 'https://www.dhl.com/in-en/home/tracking.html',
+    trackingDeepLink: 'https://www.dhl.com/in-en/home/tracking.html?tracking-id={code}&submit=1',
+    estimatedDays: { standard: 3, express: 1 }
+  },
+  FEDEX: {
+    name: 'FedEx',
+    code: 'FEDEX',
+    trackingUrl: 'https://www.fedex.com/en-in/tracking.html',
+    trackingDeepLink: 'https://www.fedex.com/fedextrack/?trknbr={code}',
+    estimatedDays: { standard: 3, express: 1 }
+  },
+  BLUEDART: {
+    name: 'BlueDart',
+    code: 'BLUEDART',
+    trackingUrl: 'https://www.bluedart.com/web/guest/trackdartresult',
+    trackingDeepLink: 'https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={code}',
+    estimatedDays: { standard: 2, express: 1 }
+  }
+};
+
+/**
+ * Shipping services offered at checkout, with the labels stored on orders as
+ * shipping.method
+ */
+export const SHIPPING_SERVICES = {
+  STANDARD: 'standard',
+  EXPRESS: 'express'
+};
+
+export const SHIPPING_SERVICE_LABELS = {
+  [SHIPPING_SERVICES.STANDARD]: 'Standard Shipping',
+  [SHIPPING_SERVICES.EXPRESS]: 'Express Shipping'
+};
+
+/**
+ * What a zone's tiers are measured against
+ */
+export const SHIPPING_BASES = {
+  WEIGHT: 'weight', // Total weight in grams
+  PRICE: 'price'    // Order value after discount
+};
+
+/**
+ * Firestore document holding the rules
+ */
+export const SHIPPING_RULES_DOC = { collection: 'settings', id: 'shippingRules' };
+
+/**
+ * Rules used until an admin saves their own. Tiers are checked in order of
+ * upTo; a tier without upTo covers everything above the previous one.
+ */
+export const DEFAULT_SHIPPING_RULES = {
+  defaultItemWeight: 250,
+  zones: [
+    {
+      id: 'domestic',
+      name: 'India',
+      country: 'India',
+      states: [],
+      carrier: 'INDIA_POST',
+      basis: SHIPPING_BASES.WEIGHT,
+      freeShippingThreshold: 999,
+      expressEnabled: true,
+      tiers: [
+        { upTo: 500, standard: 49, express: 99 },
+        { upTo: 2000, standard: 79, express: 149 },
+        { upTo: null, standard: 129, express: 249 }
+      ]
+    },
+    {
+      id: 'international',
+      name: 'International',
+      country: '',
+      states: [],
+      carrier: 'DHL',
+      basis: SHIPPING_BASES.WEIGHT,
+      freeShippingThreshold: null,
+      expressEnabled: true,
+      tiers: [
+        { upTo: 500, standard: 1499, express: 2499 },
+        { upTo: 2000, standard: 2499, express: 3999 },
+        { upTo: null, standard: 3999, express: 5999 }
+      ]
+    }
+  ]
+};
+
+/**
+ * Round a currency amount to two decimal places
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Compare country and state names without caring about case or spacing
+ */
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Turn an optional number field into a number or null
+ */
+const toOptionalNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Fill in missing fields of stored rules so older or hand-edited documents
+ * still price correctly
+ *
+ * @param {Object} rules - Rules as stored in Firestore
+ * @returns {Object} - Complete rules
+ */
+export const normalizeShippingRules = (rules) => {
+  if (!rules || !Array.isArray(rules.zones)) {
+    return DEFAULT_SHIPPING_RULES;
+  }
+
+  return {
+    defaultItemWeight: toOptionalNumber(rules.defaultItemWeight) ?? DEFAULT_SHIPPING_RULES.defaultItemWeight,
+    zones: rules.zones.map((zone, index) => ({
+      id: zone.id || `zone-${index + 1}`,
+      name: zone.name || `Zone ${index + 1}`,
+      country: zone.country || '',
+      states: Array.isArray(zone.states) ? zone.states.filter(Boolean) : [],
+      carrier: SHIPPING_CARRIERS[zone.carrier] ? zone.carrier : 'INDIA_POST',
+      basis: zone.basis === SHIPPING_BASES.PRICE ? SHIPPING_BASES.PRICE : SHIPPING_BASES.WEIGHT,
+      freeShippingThreshold: toOptionalNumber(zone.freeShippingThreshold),
+      expressEnabled: zone.expressEnabled !== false,
+      tiers: (zone.tiers || [])
+        .map(tier => ({
+          upTo: toOptionalNumber(tier.upTo),
+          standard: roundCurrency(tier.standard),
+          express: roundCurrency(tier.express)
+        }))
+        .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    }))
+  };
+};
+
+/**
+ * Load the shipping rules, falling back to DEFAULT_SHIPPING_RULES
+ *
+ * @returns {Promise<Object>} - Complete rules
+ */
+export const getShippingRules = async () => {
+  try {
+    const rulesSnapshot = await getDoc(doc(db, SHIPPING_RULES_DOC.collection, SHIPPING_RULES_DOC.id));
+    return normalizeShippingRules(rulesSnapshot.exists() ? rulesSnapshot.data() : null);
+  } catch (error) {
+    console.error('❌ shippingService: Error loading shipping rules:', error);
+    return DEFAULT_SHIPPING_RULES;
+  }
+};
+
+/**
+ * Find the zone for a destination. A zone naming the destination's state
+ * wins over one covering the whole country, which wins over a zone without
+ * a country.
+ *
+ * @param {Object} rules - Complete rules
+ * @param {Object} destination - { country, state }
+ * @returns {Object|null} - Matching zone, or null when nothing ships there
+ */
+export const findShippingZone = (rules, { country, state } = {}) => {
+  const countryKey = normalizeName(country || 'India');
+  const stateKey = normalizeName(state);
+  let bestZone = null;
+  let bestScore = -1;
+
+  rules.zones.forEach(zone => {
+    const zoneCountry = normalizeName(zone.country);
+    if (zoneCountry && zoneCountry !== countryKey) return;
+    if (zone.states.length > 0 && !zone.states.some(zoneState => normalizeName(zoneState) === stateKey)) return;
+
+    const score = (zoneCountry ? 2 : 0) + (zone.states.length > 0 ? 1 : 0);
+    if (score > bestScore) {
+      bestZone = zone;
+      bestScore = score;
+    }
+  });
+
+  return bestZone;
+};
+
+/**
+ * Total weight of a set of lines in grams
+ *
+ * @param {Array} items - Lines with quantity and an optional weight in grams
+ * @param {number} defaultItemWeight - Weight for items without one
+ * @returns {number} - Total weight in grams
+ */
+export const getShipmentWeight = (items = [], defaultItemWeight = DEFAULT_SHIPPING_RULES.defaultItemWeight) =>
+  items.reduce((total, item) => {
+    const weight = Number(item.weight) > 0 ? Number(item.weight) : defaultItemWeight;
+    return total + weight * (item.quantity || 0);
+  }, 0);
+
+/**
+ * Add a number of days to a date
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Work out the shipping options for a cart or order
+ *
+ * @param {Object} rules - Complete rules
+ * @param {Object} shipment - { items, orderValue, destination }; orderValue is the subtotal after discount
+ * @param {Date} fromDate - Date delivery estimates count from
+ * @returns {Object} - { zone, weight, options, freeShippingRemaining }
+ */
+export const getShippingOptions = (rules, { items = [], orderValue = 0, destination = {} } = {}, fromDate = new Date()) => {
+  const zone = findShippingZone(rules, destination);
+  const weight = getShipmentWeight(items, rules.defaultItemWeight);
+
+  if (!zone || zone.tiers.length === 0) {
+    return { zone: null, weight, options: [], freeShippingRemaining: null };
+  }
+
+  const measure = zone.basis === SHIPPING_BASES.PRICE ? orderValue : weight;
+  const tier = zone.tiers.find(candidate => candidate.upTo === null || measure <= candidate.upTo) ||
+    zone.tiers[zone.tiers.length - 1];
+  const carrier = SHIPPING_CARRIERS[zone.carrier];
+  const qualifiesForFree = zone.freeShippingThreshold !== null && orderValue >= zone.freeShippingThreshold;
+
+  const services = zone.expressEnabled
+    ? [SHIPPING_SERVICES.STANDARD, SHIPPING_SERVICES.EXPRESS]
+    : [SHIPPING_SERVICES.STANDARD];
+
+  const options = services.map(service => {
+    const baseCost = tier[service];
+    // Free shipping covers the standard service only
+    const free = service === SHIPPING_SERVICES.STANDARD && qualifiesForFree;
+    const estimatedDays = carrier.estimatedDays[service];
+
+    return {
+      service,
+      label: SHIPPING_SERVICE_LABELS[service],
+      carrier: carrier.name,
+      cost: free ? 0 : baseCost,
+      baseCost,
+      free,
+      estimatedDays,
+      estimatedDelivery: addDays(fromDate, estimatedDays)
+    };
+  });
+
+  return {
+    zone,
+    weight,
+    options,
+    freeShippingRemaining: zone.freeShippingThreshold !== null && !qualifiesForFree
+      ? roundCurrency(zone.freeShippingThreshold - orderValue)
+      : null
+  };
+};
+
+/**
+ * Firestore document holding the PIN ranges with delivery restrictions
+ */
+export const PIN_RESTRICTIONS_DOC = { collection: 'settings', id: 'pinServiceability' };
+
+/**
+ * What a restricted PIN range cannot get
+ */
+export const PIN_RESTRICTION_TYPES = {
+  NON_SERVICEABLE: 'non_serviceable', // Nothing ships there
+  COD_UNAVAILABLE: 'cod_unavailable'  // Ships, but only prepaid
+};
+
+/**
+ * Load the restricted PIN ranges
+ *
+ * @returns {Promise<Array>} - Ranges as { from, to, type, note }; empty when none are saved
+ */
+export const getPinRestrictions = async () => {
+  try {
+    const restrictionsSnapshot = await getDoc(doc(db, PIN_RESTRICTIONS_DOC.collection, PIN_RESTRICTIONS_DOC.id));
+    return restrictionsSnapshot.exists() ? restrictionsSnapshot.data().ranges || [] : [];
+  } catch (error) {
+    console.error('❌ shippingService: Error loading PIN restrictions:', error);
+    return [];
+  }
+};
+
+/**
+ * Check whether an Indian PIN code can be delivered to and paid for on
+ * delivery. Destinations outside India are never restricted by PIN.
+ *
+ * @param {Array} restrictions - Ranges from getPinRestrictions
+ * @param {Object} destination - { country, pin }
+ * @returns {Object} - { serviceable, codAvailable, note }; note is the admin's note for the matching range
+ */
+export const checkPinServiceability = (restrictions = [], { country, pin } = {}) => {
+  const code = String(pin || '').trim();
+  if ((country && country !== 'India') || !/^\d{6}$/.test(code)) {
+    return { serviceable: true, codAvailable: true, note: '' };
+  }
+
+  const matches = restrictions.filter(range => code >= range.from && code <= range.to);
+  const blocked = matches.find(range => range.type === PIN_RESTRICTION_TYPES.NON_SERVICEABLE);
+  const noCod = matches.find(range => range.type === PIN_RESTRICTION_TYPES.COD_UNAVAILABLE);
+
+  return {
+    serviceable: !blocked,
+    codAvailable: !blocked && !noCod,
+    note: (blocked || noCod)?.note || ''
+  };
+};
+
+/**
+ * Pick the option for a requested service, falling back to standard
+ *
+ * @param {Array} options - Options from getShippingOptions
+ * @param {string} service - Value from SHIPPING_SERVICES
+ * @returns {Object|null} - Chosen option
+ */
+export const selectShippingOption = (options, service) =>
+  options.find(option => option.service === service) ||
+  options.find(option => option.service === SHIPPING_SERVICES.STANDARD) ||
+  null;
+
+const shippingService = {
+  SHIPPING_CARRIERS,
+  SHIPPING_SERVICES,
+  SHIPPING_SERVICE_LABELS,
+  SHIPPING_BASES,
+  SHIPPING_RULES_DOC,
+  DEFAULT_SHIPPING_RULES,
+  normalizeShippingRules,
+  getShippingRules,
+  findShippingZone,
+  getShipmentWeight,
+  getShippingOptions,
+  selectShippingOption,
+  PIN_RESTRICTIONS_DOC,
+  PIN_RESTRICTION_TYPES,
+  getPinRestrictions,
+  checkPinServiceability
+};
+
+export default shippingService;
@@ -0,0 +1,41 @@
+/**
+ * Stock helpers shared by the cart and product views
+ *
+ * Products carry a `stock` count. The storefront caps cart quantities at that
+ * count and warns customers when only a few units remain, so oversold items
+ * are caught before checkout rather than by processNewOrder.
+ */
+
+/**
+ * Products at or below this many units show an "Only N left" warning
+ */
+export const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Read a product's stock as a non-negative whole number
+ *
+ * @param {Object} product - Product data
+ * @returns {number} - Units available
+ */
+export const getAvailableStock = (product) =>
+  Math.max(0, Number.parseInt(product?.stock, 10) || 0);
+
+/**
+ * Short availability message for a stock level
+ *
+ * @param {number} stock - Units available
+ * @returns {string|null} - "Out of stock", "Only N left" or null when plenty remain
+ */
+export const getStockMessage = (stock) => {
+  if (stock <= 0) return 'Out of stock';
+  if (stock <= LOW_STOCK_THRESHOLD) return `Only ${stock} left`;
+  return null;
+};
+
+const stockUtils = {
+  LOW_STOCK_THRESHOLD,
+  getAvailableStock,
+  getStockMessage
+};
+
+export default stockUtils;
@@ -0,0 +1,23 @@
+/**
+ * Cloud Functions
+ *
+ * Server-side work that can't be trusted to the browser or needs to run
+ * while no one has the store or the admin panel open.
+ *
+ * Key Features:
+ * - trackOrder: guest order tracking checked against the order's email
+ * - authorizePayment, releaseCancelledPayment: UPI and card gateway calls,
+ *   recorded in paymentAuthorizations
+ * - processEmailOutbox: scheduled retries of queued emails
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { authorizePayment, releaseCancelledPayment } from './payments.js';
+export { processEmailOutbox } from './processEmailOutbox.js';
+export { trackOrder } from './trackOrder.js';
@@ -0,0 +1,374 @@
+/**
+ * Payment Functions
+ *
+ * Gateway calls for UPI and card orders. They run here rather than in the
+ * customer's browser so the outcome is recorded by the server: every
+ * authorization is stored in `paymentAuthorizations/{orderId}`, which only
+ * these functions write, and the admin panel approves gateway orders on that
+ * record instead of on the order's own payment field.
+ *
+ * Key Features:
+ * - authorizePayment: authorizes a Pending Payment order and moves it to Placed
+ * - releaseCancelledPayment: voids or refunds the payment of an order its
+ *   customer cancelled, recorded like an admin refund in financials.refunds
+ * - Gateway adapters by id; the id is stored on the payment as `provider`
+ *
+ * Gateway adapter interface (see mockGatewayAdapter):
+ * - authorize({ reference, amount, currency, method, details }):
+ *   Promise<{ success, transactionId, error }>
+ * - refund({ transactionId, amount }): Promise<{ success, refundId, error }>
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { FieldValue, getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+
+export const PAYMENT_AUTHORIZATIONS_COLLECTION = 'paymentAuthorizations';
+
+// Keep in step with ORDER_STATUSES and PAYMENT_STATUSES in the storefront
+const ORDER_STATUSES = {
+  PENDING_PAYMENT: 'Pending Payment',
+  PLACED: 'Placed',
+  CANCELLED: 'Cancelled'
+};
+
+const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+// Same message for a missing order and someone else's order
+const NOT_FOUND_MESSAGE = 'We could not find that order';
+
+/**
+ * Local test gateway; keep its outcomes in step with the storefront's
+ * payment picker hints:
+ * - UPI IDs starting with "fail" are declined
+ * - Card numbers ending in 0002 are declined (e.g. 4000 0000 0000 0002)
+ * - Everything else is authorized
+ */
+const mockGatewayAdapter = {
+  name: 'Mock Gateway',
+
+  async authorize({ reference, method, details = {} }) {
+    const cardNumber = String(details.cardNumber || '').replace(/[\s-]/g, '');
+    if (method === 'UPI' && /^fail/i.test(details.upiId || '')) {
+      return { success: false, error: 'UPI payment was declined by the bank' };
+    }
+    if (method === 'Card' && cardNumber.endsWith('0002')) {
+      return { success: false, error: 'Card was declined' };
+    }
+    return { success: true, transactionId: `mock_txn_${reference}_${Date.now().toString(36)}` };
+  },
+
+  async refund({ transactionId }) {
+    return transactionId
+      ? { success: true, refundId: `mock_rfnd_${Date.now().toString(36)}` }
+      : { success: false, error: 'Missing transaction ID' };
+  }
+};
+
+/**
+ * Gateway adapters by the id stored on the payment record as `provider`
+ */
+const GATEWAY_ADAPTERS = {
+  mock: mockGatewayAdapter
+};
+
+/**
+ * Round to paise
+ */
+const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Keep only the payment details that are safe to store: UPI ID, or card
+ * brand and last four digits
+ */
+const toStoredPaymentDetails = (method, details = {}) => {
+  if (method === 'UPI') {
+    return { upiId: String(details.upiId || '').trim() };
+  }
+  if (method === 'Card') {
+    const cardNumber = String(details.cardNumber || '').replace(/[\s-]/g, '');
+    const cardType = /^4/.test(cardNumber) ? 'Visa'
+      : /^(5[1-5]|2[2-7])/.test(cardNumber) ? 'Mastercard'
+        : /^3[47]/.test(cardNumber) ? 'American Express'
+          : /^(60|65|81|82|508)/.test(cardNumber) ? 'RuPay'
+            : 'Card';
+    return { cardType, lastFour: cardNumber.slice(-4) };
+  }
+  return {};
+};
+
+/**
+ * Add a state to a payment record, keeping its history
+ */
+const withPaymentStatus = (payment, status, { note = '', ...changes } = {}) => ({
+  ...payment,
+  ...changes,
+  status,
+  history: [
+    ...(payment.history || []),
+    { status, timestamp: new Date().toISOString(), note, updatedBy: 'system' }
+  ]
+});
+
+/**
+ * Load an order the signed-in customer owns, or throw not-found
+ */
+const getOwnOrder = async (db, request) => {
+  if (!request.auth?.uid) {
+    throw new HttpsError('unauthenticated', 'Please sign in to pay for your order');
+  }
+  const orderId = String(request.data?.orderId || '');
+  if (!orderId || orderId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'Missing order ID');
+  }
+
+  const orderRef = db.collection('orders').doc(orderId);
+  const snapshot = await orderRef.get();
+  if (!snapshot.exists || snapshot.data().userId !== request.auth.uid) {
+    throw new HttpsError('not-found', NOT_FOUND_MESSAGE);
+  }
+  return { orderId, orderRef, order: snapshot.data() };
+};
+
+/**
+ * The order and its copies in users/{uid}/orders
+ */
+const getOrderRefs = async (db, orderId, orderRef, userId) => {
+  const userOrders = await db.collection('users').doc(userId).collection('orders')
+    .where('globalOrderId', '==', orderId)
+    .get();
+  return [orderRef, ...userOrders.docs.map(userOrderDoc => userOrderDoc.ref)];
+};
+
+/**
+ * Callable: { orderId, details } -> { status, payment, statusHistory } or { status: 'failed', error }
+ *
+ * Card numbers and CVVs are only passed to the gateway; the order keeps the
+ * brand and last four digits. A declined order stays Pending Payment for the
+ * storefront to release its stock.
+ */
+export const authorizePayment = onCall(async (request) => {
+  const db = getFirestore();
+  const { orderId, orderRef, order } = await getOwnOrder(db, request);
+  const payment = order.payment || {};
+  if (order.status !== ORDER_STATUSES.PENDING_PAYMENT || payment.status !== PAYMENT_STATUSES.PENDING) {
+    throw new HttpsError('failed-precondition', 'This order is not waiting for payment');
+  }
+
+  // create() fails if the order was already sent to the gateway, so a
+  // double submit can't authorize twice
+  const authorizationRef = db.collection(PAYMENT_AUTHORIZATIONS_COLLECTION).doc(orderId);
+  try {
+    await authorizationRef.create({
+      orderId,
+      userId: order.userId,
+      paymentId: payment.id,
+      provider: payment.provider,
+      method: payment.method,
+      amount: payment.amount,
+      currency: payment.currency || 'INR',
+      status: 'authorizing',
+      createdAt: new Date().toISOString()
+    });
+  } catch {
+    throw new HttpsError('already-exists', 'This order has already been sent for payment');
+  }
+
+  const details = request.data?.details || {};
+  const gateway = GATEWAY_ADAPTERS[payment.provider];
+  let result;
+  try {
+    result = gateway
+      ? await gateway.authorize({
+        reference: payment.id,
+        amount: payment.amount,
+        currency: payment.currency || 'INR',
+        method: payment.method,
+        details
+      })
+      : { success: false, error: `Unknown payment gateway: ${payment.provider}` };
+  } catch (error) {
+    logger.error(`Gateway authorization error for order ${orderId}`, error);
+    result = { success: false, error: 'The payment gateway could not be reached' };
+  }
+
+  const storedDetails = toStoredPaymentDetails(payment.method, details);
+  const refs = await getOrderRefs(db, orderId, orderRef, order.userId);
+
+  if (!result.success) {
+    const batch = db.batch();
+    const error = result.error || 'Payment was declined';
+    const failedPayment = withPaymentStatus(payment, PAYMENT_STATUSES.FAILED, {
+      details: storedDetails,
+      failureReason: error,
+      note: error
+    });
+    batch.update(authorizationRef, { status: PAYMENT_STATUSES.FAILED, error, updatedAt: new Date().toISOString() });
+    refs.forEach(ref => batch.update(ref, { payment: failedPayment, updatedAt: FieldValue.serverTimestamp() }));
+    await batch.commit();
+
+    logger.info(`Payment declined for order ${orderId}: ${error}`);
+    return { status: PAYMENT_STATUSES.FAILED, error };
+  }
+
+  const authorizedAt = new Date().toISOString();
+  const authorizedPayment = withPaymentStatus(payment, PAYMENT_STATUSES.AUTHORIZED, {
+    transactionId: result.transactionId,
+    details: storedDetails,
+    note: `Payment authorized by ${payment.provider}`
+  });
+
+  // The storefront releases the order if this call seems to fail, so only
+  // place it while it is still waiting for payment
+  const statusHistory = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(orderRef)).data();
+    if (current.status !== ORDER_STATUSES.PENDING_PAYMENT) {
+      return null;
+    }
+
+    const history = [...(current.statusHistory || []), {
+      status: ORDER_STATUSES.PLACED,
+      timestamp: authorizedAt,
+      note: 'Order placed successfully',
+      updatedBy: 'system',
+      previousStatus: ORDER_STATUSES.PENDING_PAYMENT
+    }];
+    transaction.update(authorizationRef, {
+      status: PAYMENT_STATUSES.AUTHORIZED,
+      transactionId: result.transactionId,
+      authorizedAt
+    });
+    refs.forEach(ref => transaction.update(ref, {
+      status: ORDER_STATUSES.PLACED,
+      statusHistory: history,
+      payment: authorizedPayment,
+      updatedAt: FieldValue.serverTimestamp()
+    }));
+    return history;
+  });
+
+  if (!statusHistory) {
+    // Released in the meantime: give the hold back
+    const release = await gateway.refund({ transactionId: result.transactionId, amount: payment.amount });
+    await authorizationRef.update({
+      status: release.success ? PAYMENT_STATUSES.REFUNDED : 'release_failed',
+      transactionId: result.transactionId,
+      refundId: release.refundId || null,
+      updatedAt: new Date().toISOString()
+    });
+    logger.warn(`Order ${orderId} was released before its payment was authorized`);
+    return { status: PAYMENT_STATUSES.FAILED, error: 'The order was cancelled before the payment went through' };
+  }
+
+  logger.info(`Payment authorized for order ${orderId}`);
+  return { status: PAYMENT_STATUSES.AUTHORIZED, payment: authorizedPayment, statusHistory };
+});
+
+/**
+ * Callable: { orderId } -> { refund, payment }
+ *
+ * For an order its customer has cancelled: refunds the whole payment through
+ * the gateway, which releases the hold on an authorized payment. The stock
+ * was already restored by the cancellation, so the refund lines are marked
+ * restocked.
+ */
+export const releaseCancelledPayment = onCall(async (request) => {
+  const db = getFirestore();
+  const { orderId, orderRef } = await getOwnOrder(db, request);
+
+  // Claim the authorization, and the order against an admin refund, so the
+  // payment can't be refunded twice
+  const authorizationRef = db.collection(PAYMENT_AUTHORIZATIONS_COLLECTION).doc(orderId);
+  const order = await db.runTransaction(async (transaction) => {
+    const [orderSnapshot, authorization] = await Promise.all([
+      transaction.get(orderRef),
+      transaction.get(authorizationRef)
+    ]);
+    const current = orderSnapshot.data();
+    const payment = current.payment || {};
+    if (current.status !== ORDER_STATUSES.CANCELLED || current.cancelledBy !== request.auth.uid) {
+      throw new HttpsError('failed-precondition', 'Only orders you cancelled are refunded here');
+    }
+    if (!authorization.exists || authorization.data().status !== PAYMENT_STATUSES.AUTHORIZED ||
+        ![PAYMENT_STATUSES.AUTHORIZED, PAYMENT_STATUSES.CAPTURED].includes(payment.status) ||
+        (current.financials?.refunds || []).length > 0 || current.refundInProgress) {
+      throw new HttpsError('failed-precondition', 'There is no payment to refund on this order');
+    }
+
+    transaction.update(authorizationRef, { status: 'releasing', updatedAt: new Date().toISOString() });
+    transaction.update(orderRef, {
+      refundInProgress: { claimedAt: new Date().toISOString(), claimedBy: request.auth.uid }
+    });
+    return current;
+  });
+  const payment = order.payment;
+
+  const amount = roundCurrency((Number(payment.amount) || 0) - (Number(payment.refundedAmount) || 0));
+  const gateway = GATEWAY_ADAPTERS[payment.provider];
+  let result;
+  try {
+    result = gateway
+      ? await gateway.refund({ transactionId: payment.transactionId, amount })
+      : { success: false, error: `Unknown payment gateway: ${payment.provider}` };
+  } catch (error) {
+    logger.error(`Gateway refund error for order ${orderId}`, error);
+    result = { success: false, error: 'The payment gateway could not be reached' };
+  }
+
+  if (!result.success) {
+    await Promise.all([
+      authorizationRef.update({ status: PAYMENT_STATUSES.AUTHORIZED, error: result.error || null }),
+      orderRef.update({ refundInProgress: null })
+    ]);
+    throw new HttpsError('unavailable', `The refund could not be made: ${result.error || 'unknown error'}`);
+  }
+
+  const refundedAt = new Date().toISOString();
+  const refundId = result.refundId || null;
+  const refund = {
+    id: `RF-${Date.now().toString(36).toUpperCase()}`,
+    items: (order.items || []).map(({ productId, name, quantity }) => ({ productId, name, quantity, restocked: true })),
+    shipping: roundCurrency(order.financials?.shipping ?? order.shipping?.cost),
+    amount,
+    reason: order.cancellationReason || 'Cancelled by customer',
+    method: payment.method,
+    paymentRefundId: refundId,
+    creditNoteNumber: null,
+    refundedAt,
+    refundedBy: request.auth.uid
+  };
+  const refundedPayment = withPaymentStatus(payment, PAYMENT_STATUSES.REFUNDED, {
+    refundedAt,
+    refundedAmount: roundCurrency((Number(payment.refundedAmount) || 0) + amount),
+    refundId,
+    refunds: [...(payment.refunds || []), { amount, refundId, refundedAt }],
+    note: `Refunded through the gateway on cancellation: ${amount}`
+  });
+  const refunds = [...(order.financials?.refunds || []), refund];
+  const refundedTotal = roundCurrency(refunds.reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0));
+
+  const refs = await getOrderRefs(db, orderId, orderRef, order.userId);
+  const batch = db.batch();
+  batch.update(authorizationRef, { status: PAYMENT_STATUSES.REFUNDED, refundId, updatedAt: refundedAt });
+  refs.forEach(ref => batch.update(ref, {
+    payment: refundedPayment,
+    'financials.refunds': refunds,
+    'financials.refunded': refundedTotal,
+    refundedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+    refundInProgress: null
+  }));
+  await batch.commit();
+
+  logger.info(`Refunded ${amount} on cancelled order ${orderId}`);
+  return { refund, payment: refundedPayment };
+});
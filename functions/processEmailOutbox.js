@@ -0,0 +1,161 @@
+/**
+ * Email Outbox Processor
+ *
+ * Retries queued emails on a schedule, so an email the storefront or the
+ * admin panel could not send goes out even when nobody has either open.
+ * Entries are the ones written by the storefront's emailOutbox and the admin
+ * emailOutboxService; the claim and backoff rules match theirs.
+ *
+ * Key Features:
+ * - Runs every 5 minutes over the entries whose nextAttemptAt has passed,
+ *   oldest first (index in firestore.indexes.json)
+ * - Picks up sends whose lease ran out, e.g. a tab closed mid-send
+ * - Sends through Resend with the RESEND_API_KEY secret
+ *
+ * Configuration:
+ * - RESEND_API_KEY (secret): Resend API key
+ * - EMAIL_FROM: sender for entries queued without one
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { defineSecret, defineString } from 'firebase-functions/params';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+
+const RESEND_API_KEY = defineSecret('RESEND_API_KEY');
+const EMAIL_FROM = defineString('EMAIL_FROM', { default: '' });
+
+const EMAIL_OUTBOX_COLLECTION = 'emailOutbox';
+
+const EMAIL_STATUSES = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const MAX_EMAIL_ATTEMPTS = 5;
+const SENDING_LEASE_MS = 2 * 60 * 1000;
+
+// Entries looked at in one run; the rest wait for the next run, oldest first
+const BATCH_SIZE = 50;
+
+/**
+ * Wait before the next attempt: 1, 2, 4, 8... minutes, at most 6 hours
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(60 * 1000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+
+/**
+ * Sender in "Name <address>" form
+ */
+const formatSender = (from) => {
+  const fromEmail = from || EMAIL_FROM.value();
+  if (!fromEmail) {
+    throw new Error('EMAIL_FROM is not configured');
+  }
+  return fromEmail.includes('<') ? fromEmail : `ShopiyStore <${fromEmail}>`;
+};
+
+/**
+ * Send one email through the Resend API
+ * @returns {Promise<Object>} - { id } of the sent email; throws on failure
+ */
+const sendWithResend = async ({ from, to, subject, html, text }) => {
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY.value()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ from: formatSender(from), to, subject, html, ...(text && { text }) })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || `Resend returned ${response.status}`);
+  }
+  return { id: result.id || null };
+};
+
+/**
+ * Claim an entry for one delivery attempt, unless another processor got to it
+ * @returns {Promise<Object|null>} - The claimed entry, or null when it is not due
+ */
+const claimEntry = (db, outboxRef) => db.runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(outboxRef);
+  if (!snapshot.exists) return null;
+
+  const entry = snapshot.data();
+  const now = Date.now();
+  const isOpen = entry.status === EMAIL_STATUSES.PENDING || entry.status === EMAIL_STATUSES.SENDING;
+  if (!isOpen || Date.parse(entry.nextAttemptAt) > now) return null;
+
+  const leaseExpiresAt = new Date(now + SENDING_LEASE_MS).toISOString();
+  const claimed = {
+    status: EMAIL_STATUSES.SENDING,
+    attempts: (entry.attempts || 0) + 1,
+    leaseExpiresAt,
+    nextAttemptAt: leaseExpiresAt
+  };
+  transaction.update(outboxRef, claimed);
+  return { ...entry, ...claimed };
+});
+
+/**
+ * Make one delivery attempt
+ * @returns {Promise<string|null>} - Resulting status, or null when skipped
+ */
+const processEntry = async (db, outboxRef) => {
+  const entry = await claimEntry(db, outboxRef);
+  if (!entry) return null;
+
+  try {
+    const result = await sendWithResend(entry);
+    await outboxRef.update({
+      status: EMAIL_STATUSES.SENT,
+      sentAt: new Date().toISOString(),
+      transport: 'resend',
+      providerMessageId: result.id,
+      lastError: null
+    });
+    return EMAIL_STATUSES.SENT;
+  } catch (error) {
+    const status = entry.attempts < MAX_EMAIL_ATTEMPTS ? EMAIL_STATUSES.PENDING : EMAIL_STATUSES.FAILED;
+    await outboxRef.update({
+      status,
+      lastError: error.message || 'Failed to send email',
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(entry.attempts)).toISOString()
+    });
+    logger.warn(`Attempt ${entry.attempts} for ${entry.idempotencyKey} failed`, error);
+    return status;
+  }
+};
+
+export const processEmailOutbox = onSchedule(
+  { schedule: 'every 5 minutes', secrets: [RESEND_API_KEY] },
+  async () => {
+    const db = getFirestore();
+    const snapshot = await db.collection(EMAIL_OUTBOX_COLLECTION)
+      .where('status', 'in', [EMAIL_STATUSES.PENDING, EMAIL_STATUSES.SENDING])
+      .where('nextAttemptAt', '<=', new Date().toISOString())
+      .orderBy('nextAttemptAt')
+      .limit(BATCH_SIZE)
+      .get();
+
+    const counts = { sent: 0, pending: 0, failed: 0 };
+    for (const entryDoc of snapshot.docs) {
+      const status = await processEntry(db, entryDoc.ref);
+      if (status === EMAIL_STATUSES.SENT) counts.sent += 1;
+      else if (status === EMAIL_STATUSES.FAILED) counts.failed += 1;
+      else if (status === EMAIL_STATUSES.PENDING) counts.pending += 1;
+    }
+
+    if (!snapshot.empty) {
+      logger.info(`Processed ${snapshot.size} due emails`, counts);
+    }
+  }
+);
@@ -0,0 +1,99 @@
+/**
+ * Order Tracking Function
+ *
+ * Looks an order up for the public tracking page. Orders are not readable by
+ * other customers, so the lookup runs here: the order reference and the
+ * checkout email are checked together, and only the fields the tracking page
+ * shows are returned. Signed-in customers can look up their own orders
+ * without the email.
+ *
+ * @author Shop Management System
+ * @version 1.0.0
+ */
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+
+// Same message for a missing order and a wrong email
+const NOT_FOUND_MESSAGE = 'We could not find an order matching those details';
+
+/**
+ * Timestamps and ISO strings as ISO strings
+ */
+const toIso = (value) => {
+  if (!value) return null;
+  return value.toDate ? value.toDate().toISOString() : value;
+};
+
+/**
+ * Find an order by document ID or by the ORDER-xxxx reference shown to customers
+ */
+const findOrder = async (db, reference) => {
+  if (!reference.includes('/')) {
+    const snapshot = await db.collection('orders').doc(reference).get();
+    if (snapshot.exists) return snapshot;
+  }
+  const matches = await db.collection('orders')
+    .where('orderId', '==', reference.toUpperCase())
+    .limit(1)
+    .get();
+  return matches.docs[0] || null;
+};
+
+/**
+ * Trimmed-down order for the tracking page
+ */
+const toTrackingOrder = (id, order) => ({
+  id,
+  orderId: order.orderId || id,
+  status: order.status,
+  statusHistory: (order.statusHistory || []).map(({ status, timestamp, note }) => ({
+    status,
+    timestamp: toIso(timestamp),
+    note: note || ''
+  })),
+  tracking: {
+    carrier: order.tracking?.carrier || '',
+    code: order.tracking?.code || '',
+    url: order.tracking?.url || '',
+    service: order.tracking?.service || '',
+    shippedDate: toIso(order.tracking?.shippedDate)
+  },
+  shipping: {
+    method: order.shipping?.method || 'Standard',
+    carrier: order.shipping?.carrier || '',
+    service: order.shipping?.service || ''
+  },
+  shippingAddress: {
+    city: order.shippingAddress?.city || '',
+    state: order.shippingAddress?.state || '',
+    country: order.shippingAddress?.country || ''
+  },
+  items: (order.items || []).map(({ name, quantity, image }) => ({ name, quantity, image: image || null })),
+  orderDate: toIso(order.orderDate),
+  createdAt: toIso(order.createdAt),
+  shippedAt: toIso(order.shippedAt),
+  deliveredAt: toIso(order.deliveredAt)
+});
+
+/**
+ * Callable: { orderReference, email } -> { order }
+ */
+export const trackOrder = onCall(async (request) => {
+  const reference = String(request.data?.orderReference || '').trim().replace(/^#/, '');
+  const email = String(request.data?.email || '').trim().toLowerCase();
+  if (!reference) {
+    throw new HttpsError('invalid-argument', 'Please enter your order ID');
+  }
+
+  const snapshot = await findOrder(getFirestore(), reference);
+  const order = snapshot?.data();
+  const isOwner = Boolean(request.auth?.uid) && order?.userId === request.auth.uid;
+  const emailMatches = Boolean(email) && order?.userEmail?.toLowerCase() === email;
+
+  if (!order || (!isOwner && !emailMatches)) {
+    throw new HttpsError('not-found', NOT_FOUND_MESSAGE);
+  }
+
+  return { order: toTrackingOrder(snapshot.id, order) };
+});